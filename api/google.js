@@ -1,15 +1,31 @@
-// api/google.js
-const SCOPES = [
-  'https://www.googleapis.com/auth/drive.metadata.readonly',
-  'https://www.googleapis.com/auth/drive.file',
-  'https://www.googleapis.com/auth/spreadsheets',
-  'https://www.googleapis.com/auth/gmail.readonly',      
-  'https://www.googleapis.com/auth/calendar.readonly',
-  'https://www.googleapis.com/auth/documents',
-  'https://www.googleapis.com/auth/userinfo.email',
-  'https://www.googleapis.com/auth/userinfo.profile',
-  'openid',
-].join(' ');
+// api/google.js — Google OAuth (start/callback) and connection status
+// Tokens are kept server-side by lib/session.js; the browser only gets an opaque sid cookie.
+// Login CSRF protection: signed `state` + PKCE, both tied to a short-lived oauth_tx cookie
+// that only the browser which started the flow has.
+// Several accounts can be connected at once (?op=start&add=1); `account` (id, email or label)
+// picks one for status/me/logout/account, the default account otherwise.
+
+const crypto = require('crypto');
+const {
+  saveTokens,
+  getFreshTokens,
+  destroySession,
+  listAccounts,
+  removeAccount,
+  configureAccount,
+  parseCookies,
+  appendCookie,
+  cookieString,
+} = require('../lib/session');
+const { SCOPE_GROUPS, DEFAULT_GROUPS, parseGroups, scopesFor, missingGroups } = require('../lib/scopes');
+const { sign, verify, randomId, b64url } = require('../lib/sign');
+
+const OAUTH_TX_COOKIE = 'oauth_tx';
+const OAUTH_TX_TTL_MS = 10 * 60 * 1000;
+
+function stateSecret() {
+  return process.env.OAUTH_STATE_SECRET || process.env.SESSION_SECRET || '';
+}
 
 function isLocalHost(host) {
   if (!host) return false;
@@ -17,104 +33,107 @@ function isLocalHost(host) {
   return h.includes('localhost') || h.includes('127.0.0.1');
 }
 
-function parseCookie(req) {
-  const raw = req.headers.cookie || '';
-  return Object.fromEntries(
-    raw.split(';').map(p => p.trim().split('=').map(decodeURIComponent)).filter(kv => kv[0])
-  );
+function redirectUriFor(req) {
+  return isLocalHost(req.headers.host || '')
+    ? process.env.GOOGLE_REDIRECT_URI_LOCAL
+    : process.env.GOOGLE_REDIRECT_URI;
 }
 
-function readTokens(req) {
-  try {
-    const cookies = parseCookie(req);
-    if (!cookies.gTokens) return null;
-    return JSON.parse(cookies.gTokens);
-  } catch {
-    return null;
-  }
+function defaultReturnPath(req) {
+  return isLocalHost(req.headers.host || '') ? '/' : (process.env.POST_OAUTH_RETURN_PATH || '/index.html');
 }
 
-function writeTokens(res, tokens) {
-  const merged = {
-    access_token: tokens.access_token,
-    refresh_token: tokens.refresh_token,
-    scope: tokens.scope,
-    token_type: tokens.token_type || 'Bearer',
-    expiry_date: tokens.expires_in ? (Date.now() + tokens.expires_in * 1000) : tokens.expiry_date,
-    id_token: tokens.id_token,
-  };
-  const cookie = [
-    `gTokens=${encodeURIComponent(JSON.stringify(merged))}`,
-    'HttpOnly',
-    'Path=/',
-    'SameSite=Lax',
-    'Secure',
-    `Max-Age=${60 * 60 * 24 * 30}`,
-  ].join('; ');
-  res.setHeader('Set-Cookie', cookie);
-  return merged;
+// Same-origin paths only ("/x?y"), never "//evil.com" or "https://..." (open redirect).
+function safeReturnTo(v) {
+  const s = String(v || '');
+  if (!s.startsWith('/') || s.startsWith('//') || s.startsWith('/\\')) return null;
+  if (/[\r\n]/.test(s) || s.length > 500) return null;
+  return s;
 }
 
-async function refreshIfNeeded(req, res) {
-  const cur = readTokens(req);
-  if (!cur) return null;
-  const needsRefresh = !cur.access_token || (cur.expiry_date && cur.expiry_date - Date.now() < 60_000);
-  if (!needsRefresh) return cur;
-  if (!cur.refresh_token) return cur;
-  const body = new URLSearchParams({
-    client_id: process.env.GOOGLE_CLIENT_ID || '',
-    client_secret: process.env.GOOGLE_CLIENT_SECRET || '',
-    refresh_token: cur.refresh_token,
-    grant_type: 'refresh_token',
-  });
-  const r = await fetch('https://oauth2.googleapis.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body,
+async function fetchUserinfo(accessToken) {
+  const r = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+    headers: { Authorization: `Bearer ${accessToken}` },
   });
-  const data = await r.json();
-  if (!r.ok) return { ...cur, _refresh_error: data };
-  data.refresh_token = data.refresh_token || cur.refresh_token;
-  return writeTokens(res, data);
+  return r.ok ? r.json() : null;
 }
 
-export default async function handler(req, res) {
+function withQuery(path, params) {
+  const qs = new URLSearchParams(params).toString();
+  return path + (path.includes('?') ? '&' : '?') + qs;
+}
+
+module.exports = async function handler(req, res) {
   const op = (req.query?.op || '').toString();
+  const account = (req.query?.account || '').toString();
 
   if (op === 'start') {
-    const host = req.headers.host || '';
-    const redirectUri = isLocalHost(host)
-      ? process.env.GOOGLE_REDIRECT_URI_LOCAL
-      : process.env.GOOGLE_REDIRECT_URI;
+    const redirectUri = redirectUriFor(req);
     if (!process.env.GOOGLE_CLIENT_ID || !redirectUri) {
       return res.status(500).send('Missing GOOGLE_CLIENT_ID or GOOGLE_REDIRECT_URI(_LOCAL)');
     }
+    if (!stateSecret()) return res.status(500).send('Missing SESSION_SECRET');
+
+    // First connect gets the default read set; later calls add only what a tool asked for.
+    // add=1 connects another account, so it starts from scratch with Google's account chooser.
+    const adding = req.query?.add === '1';
+    const current = adding ? null : await getFreshTokens(req, res, { account });
+    const requested = parseGroups(req.query?.scopes);
+    const groups = current?.access_token
+      ? missingGroups(current, requested.length ? requested : DEFAULT_GROUPS)
+      : [...new Set([...DEFAULT_GROUPS, ...requested])];
+    const returnTo = safeReturnTo(req.query?.returnTo) || defaultReturnPath(req);
+
+    const nonce = randomId();
+    const verifier = randomId() + randomId(); // 43+ chars as PKCE requires
+    const challenge = b64url(crypto.createHash('sha256').update(verifier).digest());
+    const exp = Date.now() + OAUTH_TX_TTL_MS;
+
+    const state = sign({ n: nonce, rt: returnTo, g: groups, exp }, stateSecret());
+    appendCookie(res, cookieString(req, OAUTH_TX_COOKIE, sign({ n: nonce, v: verifier, exp }, stateSecret()), OAUTH_TX_TTL_MS / 1000));
+
     const params = new URLSearchParams({
       client_id: process.env.GOOGLE_CLIENT_ID,
       redirect_uri: redirectUri,
       response_type: 'code',
       access_type: 'offline',
       include_granted_scopes: 'true',
-      prompt: 'consent',
-      scope: SCOPES,
+      scope: scopesFor(groups).join(' '),
+      state,
+      code_challenge: challenge,
+      code_challenge_method: 'S256',
     });
+    // Only force the consent screen when we still need a refresh token.
+    if (!current?.refresh_token || req.query?.prompt === 'consent') params.set('prompt', 'consent');
+    if (adding) params.set('prompt', 'select_account consent');
+    else if (account.includes('@')) params.set('login_hint', account);
+
     const url = `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
     return res.status(302).setHeader('Location', url).end();
   }
 
   if (op === 'callback') {
+    const st = verify((req.query?.state || '').toString(), stateSecret());
+    const tx = verify(parseCookies(req)[OAUTH_TX_COOKIE] || '', stateSecret());
+    appendCookie(res, cookieString(req, OAUTH_TX_COOKIE, '', 0));
+
+    // Reject callbacks this browser did not start (login CSRF) or that expired.
+    if (!st || !tx || st.n !== tx.n) return res.status(400).send('Invalid or expired OAuth state. Start again from the app.');
+
+    const returnTo = safeReturnTo(st.rt) || defaultReturnPath(req);
+    if (req.query?.error) {
+      return res.status(302).setHeader('Location', withQuery(returnTo, { google_error: String(req.query.error) })).end();
+    }
+
     const code = (req.query?.code || '').toString();
     if (!code) return res.status(400).send('Missing ?code');
-    const host = req.headers.host || '';
-    const redirectUri = isLocalHost(host)
-      ? process.env.GOOGLE_REDIRECT_URI_LOCAL
-      : process.env.GOOGLE_REDIRECT_URI;
     const body = new URLSearchParams({
       code,
       client_id: process.env.GOOGLE_CLIENT_ID || '',
       client_secret: process.env.GOOGLE_CLIENT_SECRET || '',
-      redirect_uri: redirectUri || '',
+      redirect_uri: redirectUriFor(req) || '',
       grant_type: 'authorization_code',
+      code_verifier: tx.v,
     });
     const tokenResp = await fetch('https://oauth2.googleapis.com/token', {
       method: 'POST',
@@ -123,37 +142,75 @@ export default async function handler(req, res) {
     });
     const tokens = await tokenResp.json();
     if (!tokenResp.ok) return res.status(400).json(tokens);
-    writeTokens(res, tokens);
-    const backTo = isLocalHost(host) ? '/' : (process.env.POST_OAUTH_RETURN_PATH || '/index.html');
+
+    // Accounts are keyed by Google user id; hd (hosted domain) marks a Workspace account.
+    const who = await fetchUserinfo(tokens.access_token);
+    if (!who?.id) return res.status(400).send('Could not read the Google account profile.');
+    await saveTokens(req, res, tokens, {
+      id: who.id,
+      email: who.email || '',
+      name: who.name || '',
+      label: who.hd ? 'work' : 'personal',
+    });
+
+    const stillMissing = missingGroups(tokens, st.g || []);
+    const backTo = stillMissing.length ? withQuery(returnTo, { google_missing: stillMissing.join(',') }) : returnTo;
     return res.status(302).setHeader('Location', backTo).end();
   }
 
   if (op === 'status') {
-    const t = await refreshIfNeeded(req, res);
+    const t = await getFreshTokens(req, res, { account });
     if (!t || !t.access_token) return res.status(200).json({ connected: false });
+    const { accounts } = await listAccounts(req, res);
     return res.status(200).json({
       connected: true,
+      accounts: accounts.map(a => a.email || a.id),
       scope: t.scope,
+      missing_groups: missingGroups(t, Object.keys(SCOPE_GROUPS)),
       expires_in_ms: t.expiry_date ? Math.max(0, t.expiry_date - Date.now()) : null,
       has_refresh_token: !!t.refresh_token,
       refresh_problem: t._refresh_error || null,
     });
   }
 
+  // Connected accounts, or one account's Google profile with ?account=.
   if (op === 'me') {
-    const t = await refreshIfNeeded(req, res);
-    if (!t?.access_token) return res.status(401).json({ error: 'not_connected' });
-    const r = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-      headers: { Authorization: `Bearer ${t.access_token}` },
+    const { defaultAccount, accounts } = await listAccounts(req, res);
+    if (!accounts.length) return res.status(401).json({ ok: false, error: 'not_connected' });
+    if (!account) {
+      return res.status(200).json({ ok: true, defaultAccount, accounts: accounts.map(({ scope, ...a }) => a) });
+    }
+    const t = await getFreshTokens(req, res, { account });
+    if (!t?.access_token) return res.status(404).json({ ok: false, error: 'unknown_account', account });
+    const data = await fetchUserinfo(t.access_token);
+    return res.status(data ? 200 : 400).json(data ? { ok: true, ...data } : { ok: false, error: 'userinfo_failed' });
+  }
+
+  // POST ?op=account&account=<id|email|label>&label=work&default=1 — a change, so never on a GET a link or image can make.
+  if (op === 'account') {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ ok: false, error: 'Use POST for op=account' });
+    }
+    const updated = await configureAccount(req, account, {
+      label: req.query?.label !== undefined ? String(req.query.label) : undefined,
+      makeDefault: req.query?.default === '1',
     });
-    const data = await r.json();
-    return res.status(r.ok ? 200 : 400).json(data);
+    if (!updated) return res.status(404).json({ ok: false, error: 'unknown_account', account });
+    const { scope, ...pub } = updated;
+    return res.status(200).json({ ok: true, account: pub });
   }
 
+  // With ?account= only that account is disconnected; without it the whole session ends.
   if (op === 'logout') {
-    res.setHeader('Set-Cookie', 'gTokens=; HttpOnly; Path=/; SameSite=Lax; Secure; Max-Age=0');
-    return res.status(200).json({ ok: true });
+    if (!account) {
+      await destroySession(req, res);
+      return res.status(200).json({ ok: true });
+    }
+    const out = await removeAccount(req, res, account);
+    if (!out.removed) return res.status(404).json({ ok: false, error: 'unknown_account', account });
+    return res.status(200).json({ ok: true, removed: out.removed, remaining: out.remaining });
   }
 
-  return res.status(400).send('Unknown op. Use ?op=start | op=callback | op=status | op=me | op=logout');
-}
+  return res.status(400).send('Unknown op. Use ?op=start | op=callback | op=status | op=me | op=account | op=logout');
+};
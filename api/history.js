@@ -0,0 +1,140 @@
+// api/history.js — past conversations: transcripts and the tool calls made in them (lib/history.js)
+// Contract (all JSON responses include ok:true/false; 401 { ok:false, error:'not_connected' } without a session):
+//   GET    ?op=list[&limit=20][&before=<updatedAt>] -> { ok, conversations:[summary], more }
+//   GET    ?op=get&id=<id>                            -> { ok, conversation:{ ...summary, events } }
+//   GET    ?op=search[&q=][&from=][&to=][&timeZone=][&role=user|assistant|tool][&changes=1][&limit=50]
+//                                                     -> { ok, from, to, count, hits:[{ conversationId, title, ...event }], more }
+//          from/to take ISO or phrases ("last Tuesday"); a day on its own covers the whole day.
+//   GET    ?op=export[&id=<id>][&format=md|json]      -> the conversation (or all of them) as a download
+//   POST   ?op=append { conversationId, events:[{ role:'user'|'assistant', text, at }] } -> { ok, conversation:summary }
+//   DELETE ?op=delete&id=<id>                         -> { ok, deleted }
+
+const {
+  historyOwner, validId, appendTranscript, deleteConversation, listConversations, readConversation, readIndex,
+  searchHistory, historyRange, toMarkdown,
+} = require('../lib/history');
+const { isValidTimeZone } = require('../lib/time');
+const { resolveProfile } = require('../lib/profile');
+
+function json(res, status, body) {
+  res.status(status).setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(JSON.stringify(body));
+}
+
+function fail(res, status, body) {
+  return json(res, status, { ok: false, ...body });
+}
+
+function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return {}; }
+  }
+  return req.body;
+}
+
+function clampInt(v, min, max, dflt) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : dflt;
+}
+
+function download(res, name, type, text) {
+  res.status(200).setHeader('Content-Type', `${type}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(text);
+}
+
+async function exportHistory(req, res, owner) {
+  const format = (req.query.format || 'md').toString() === 'json' ? 'json' : 'md';
+  const id = (req.query.id || '').toString();
+  const index = await readIndex(owner);
+  const picked = id ? index.filter(c => c.id === id) : index;
+  if (id && !picked.length) return fail(res, 404, { error: 'Conversation not found' });
+
+  const convs = [];
+  for (const c of picked) {
+    const conv = await readConversation(owner, c.id);
+    if (conv) convs.push({ summary: c, conv });
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  const name = id ? `nyx-conversation-${id}` : `nyx-history-${stamp}`;
+  if (format === 'json') {
+    const out = convs.map(({ summary, conv }) => ({ ...summary, events: conv.events }));
+    return download(res, `${name}.json`, 'application/json', JSON.stringify(id ? out[0] : out, null, 2));
+  }
+  const { profile } = await resolveProfile(req, res);
+  const names = { assistant: profile.name, user: profile.userName };
+  return download(res, `${name}.md`, 'text/markdown', convs.map(({ summary, conv }) => toMarkdown(conv, summary, names)).join('\n---\n\n'));
+}
+
+module.exports = async function handler(req, res) {
+  const op = (req.query?.op || (req.method === 'POST' ? 'append' : req.method === 'DELETE' ? 'delete' : 'list')).toString();
+
+  try {
+    const owner = await historyOwner(req, res);
+    if (!owner) return fail(res, 401, { error: 'not_connected' });
+
+    if (req.method === 'GET' && op === 'list') {
+      const out = await listConversations(owner, {
+        limit: clampInt(req.query.limit, 1, 100, 20),
+        before: (req.query.before || '').toString() || undefined,
+      });
+      return json(res, 200, { ok: true, ...out });
+    }
+
+    if (req.method === 'GET' && op === 'get') {
+      const id = (req.query.id || '').toString();
+      const summary = (await readIndex(owner)).find(c => c.id === id);
+      const conv = summary && await readConversation(owner, id);
+      if (!conv) return fail(res, 404, { error: 'Conversation not found' });
+      return json(res, 200, { ok: true, conversation: { ...summary, events: conv.events } });
+    }
+
+    if (req.method === 'GET' && op === 'search') {
+      const timeZone = isValidTimeZone((req.query.timeZone || '').toString()) ? req.query.timeZone.toString() : 'UTC';
+      const range = historyRange(req.query, timeZone);
+      const role = ['user', 'assistant', 'tool'].includes(req.query.role) ? req.query.role : undefined;
+      const out = await searchHistory(owner, {
+        q: (req.query.q || '').toString(),
+        from: range.from,
+        to: range.to,
+        role,
+        changes: req.query.changes === '1' || req.query.changes === 'true',
+        limit: clampInt(req.query.limit, 1, 200, 50),
+      });
+      return json(res, 200, {
+        ok: true,
+        from: range.from?.toISOString() || null,
+        to: range.to?.toISOString() || null,
+        timeZone,
+        count: out.hits.length,
+        hits: out.hits,
+        more: out.more,
+      });
+    }
+
+    if (req.method === 'GET' && op === 'export') return await exportHistory(req, res, owner);
+
+    if (req.method === 'POST' && op === 'append') {
+      const b = parseBody(req);
+      const id = (b.conversationId || '').toString();
+      if (!validId(id)) return fail(res, 400, { error: 'conversationId must be 8-64 letters, digits, - or _' });
+      const summary = await appendTranscript(owner, id, b.events);
+      return json(res, 200, { ok: true, conversation: summary });
+    }
+
+    if (req.method === 'DELETE' && op === 'delete') {
+      const deleted = await deleteConversation(owner, (req.query.id || '').toString());
+      if (!deleted) return fail(res, 404, { error: 'Conversation not found' });
+      return json(res, 200, { ok: true, deleted: true });
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return fail(res, 400, { error: `Unknown op for ${req.method}`, allowed: ['list', 'get', 'search', 'export', 'append', 'delete'] });
+  } catch (e) {
+    if (e && e.status && e.body) return fail(res, e.status, e.body);
+    return fail(res, 500, { error: 'History request failed', details: String(e?.message || e) });
+  }
+};
@@ -0,0 +1,77 @@
+// api/profile.js — the assistant profile for this user (lib/profile.js): persona, voice, listening and instructions
+// Contract (all responses include ok:true/false):
+//   GET    -> { ok, id, profile, saved, savedAt?, signedIn, canEdit, setup:{ session, greeting }, voices,
+//             tools:[{ name, description }] }
+//             setup is what index.html sends to the realtime session; tools lists every tool the profile can enable;
+//             canEdit says whether this account may save or reset the profile.
+//   PUT    { profile } -> same as GET, with the edits saved over the profile file; fields left out stay as they are
+//             (400 { errors } on bad fields)
+//   DELETE -> same as GET, back to the profile file's version
+// Saving and resetting need a Google session (401 { ok:false, error:'not_connected' }) whose account is listed in
+// PROFILE_ADMINS (403 { ok:false, error:'not_allowed' }); they change the profile for everyone it is assigned to.
+
+const { TOOLS } = require('../lib/tools');
+const { VOICES, resolveProfile, saveProfile, resetProfile, sessionSetup } = require('../lib/profile');
+
+function json(res, status, body) {
+  res.status(status).setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(JSON.stringify(body));
+}
+
+function fail(res, status, body) {
+  return json(res, status, { ok: false, ...body });
+}
+
+function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return {}; }
+  }
+  return req.body;
+}
+
+async function current(req, res) {
+  const r = await resolveProfile(req, res);
+  return {
+    ok: true,
+    id: r.id,
+    profile: r.profile,
+    saved: r.saved,
+    savedAt: r.savedAt,
+    signedIn: r.signedIn,
+    canEdit: r.canEdit,
+    setup: sessionSetup(r.profile),
+    voices: VOICES,
+    tools: TOOLS.map(t => ({ name: t.name, description: t.description })),
+  };
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method === 'GET') return json(res, 200, await current(req, res));
+
+    if (req.method === 'PUT' || req.method === 'DELETE') {
+      const r = await resolveProfile(req, res);
+      if (!r.signedIn) return fail(res, 401, { error: 'not_connected' });
+      if (!r.canEdit) {
+        return fail(res, 403, { error: 'not_allowed', hint: `Only PROFILE_ADMINS may change the shared profile "${r.id}"` });
+      }
+      if (req.method === 'PUT') {
+        const { profile } = parseBody(req);
+        if (!profile || typeof profile !== 'object') return fail(res, 400, { error: 'profile is required' });
+        // Fields left out keep their current value.
+        await saveProfile(r.id, { ...r.profile, ...profile, vad: { ...r.profile.vad, ...profile.vad } }, r.email);
+      } else {
+        await resetProfile(r.id);
+      }
+      return json(res, 200, await current(req, res));
+    }
+
+    res.setHeader('Allow', 'GET, PUT, DELETE');
+    return fail(res, 405, { error: 'Use GET, PUT or DELETE' });
+  } catch (e) {
+    if (e && e.status && e.body) return fail(res, e.status, e.body);
+    return fail(res, 500, { error: 'Profile request failed', details: String(e?.message || e) });
+  }
+};
@@ -1,11 +1,70 @@
-// api/realtime/session.js
-export default async function handler(req, res) {
-  const apiKey = process.env.GOOGLE_GENERATIVE_AI_API_KEY;
-  
-  if (!apiKey) {
-    return res.status(500).json({ error: 'API Key not configured on server' });
+// api/realtime/session.js — mint a short-lived, single-use token for the realtime relay
+// Contract (all responses include ok:true/false):
+//   POST   -> 200 { ok:true, token, expiresAt, wsUrl }
+//             401 { ok:false, error:'not_connected' } | 429 { ok:false, error:'rate_limited', retryAfterS }
+//   DELETE -> 200 { ok:true, revoked } ; body { jti } revokes one of the caller's tokens, no body revokes all of them
+//             404 { ok:false, error:'unknown_token' } | 503 { ok:false, error:'revocation_unavailable' } without kv
+// The Gemini API key stays on the relay (server/gemini-realtime.js); it is never returned here.
+
+const { mintToken, revokeTokens } = require('../../lib/realtime-tokens');
+const { getFreshTokens } = require('../../lib/session');
+
+function json(res, status, body) {
+  res.status(status).setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(JSON.stringify(body));
+}
+
+function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return {}; }
   }
+  return req.body;
+}
 
-  // We are just handing the key to your frontend so it can connect to Google
-  return res.status(200).json({ apiKey });
+// Identity comes from Google (userinfo), not from anything the browser sends.
+async function currentUser(req, res) {
+  const t = await getFreshTokens(req, res);
+  if (!t?.access_token) return null;
+  const r = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+    headers: { Authorization: `Bearer ${t.access_token}` },
+  });
+  if (!r.ok) return null;
+  const data = await r.json();
+  return data.id ? { sub: data.id, email: data.email || '' } : null;
 }
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    res.setHeader('Allow', 'POST, DELETE');
+    return json(res, 405, { ok: false, error: 'Use POST to mint or DELETE to revoke' });
+  }
+
+  try {
+    const user = await currentUser(req, res);
+    if (!user) return json(res, 401, { ok: false, error: 'not_connected' });
+
+    if (req.method === 'DELETE') {
+      const jti = (parseBody(req).jti || '').toString();
+      const out = await revokeTokens(user, { jti });
+      if (!out.ok) return json(res, out.status, { ok: false, error: out.error, details: out.details });
+      return json(res, 200, { ok: true, revoked: jti || 'all' });
+    }
+
+    const out = await mintToken(user);
+    if (!out.ok) {
+      if (out.retryAfterS) res.setHeader('Retry-After', String(out.retryAfterS));
+      return json(res, out.status, { ok: false, error: out.error, retryAfterS: out.retryAfterS });
+    }
+
+    return json(res, 200, {
+      ok: true,
+      token: out.token,
+      expiresAt: out.expiresAt,
+      wsUrl: process.env.REALTIME_WS_URL || 'ws://localhost:3000/api/gemini-realtime',
+    });
+  } catch (e) {
+    return json(res, 500, { ok: false, error: 'Session mint failed', details: String(e?.message || e) });
+  }
+};
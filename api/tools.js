@@ -0,0 +1,37 @@
+// api/tools.js — the assistant's tool schemas, from lib/tools.js
+// Contract (all responses include ok:true/false):
+//   GET -> 200 { ok:true, tools:[{ type:'function', name, description, parameters }], actions:{ [name]: action }, dryRun }
+// index.html registers `tools` with the realtime session and POSTs each call to /api/workspace.js?action=<action>.
+// Tools the policy (lib/policy.js) denies are left out, so the model is not offered them; dryRun says writes are off.
+// So are tools the user's assistant profile (lib/profile.js) does not enable.
+
+const { TOOLS, toolSchemas } = require('../lib/tools');
+const { loadPolicy, actionMode } = require('../lib/policy');
+const { resolveProfile, toolEnabled } = require('../lib/profile');
+
+function json(res, status, body) {
+  res.status(status).setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(JSON.stringify(body));
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return json(res, 405, { ok: false, error: 'Use GET' });
+  }
+  let policy, profile;
+  try {
+    policy = loadPolicy();
+    ({ profile } = await resolveProfile(req, res));
+  } catch (e) {
+    return json(res, e.status || 500, { ok: false, ...(e.body || { error: String(e?.message || e) }) });
+  }
+  const offered = new Set(TOOLS.filter(t => actionMode(policy, t) !== 'deny' && toolEnabled(profile, t.name)).map(t => t.name));
+  return json(res, 200, {
+    ok: true,
+    tools: toolSchemas().filter(t => offered.has(t.name)),
+    actions: Object.fromEntries(TOOLS.filter(t => offered.has(t.name)).map(t => [t.name, t.action])),
+    dryRun: policy.dryRun,
+  });
+};
@@ -1,12 +1,46 @@
-@ -1,312 +1,234 @@
-// api/workspace.js — Drive + Sheets + Docs + Gmail + Calendar + Web search
+// api/workspace.js — Drive + Sheets + Docs + Gmail + Calendar + Web search and page fetching
 // Fixes included:
 // 1) CommonJS export (prevents "Unexpected token 'export'" / ESM load failure)
 // 2) Hard "ok" contract: ALL responses include ok:true/false
 // 3) Tool-failure guard: if something fails, response is ok:false with details
 //    (Your frontend MUST gate on ok===true before letting Nyx summarize.)
 
+const { decodeMessage, buildRawMessage, replyHeaders } = require('../lib/mime');
+const { sign, verify, randomId } = require('../lib/sign');
+const { getFreshTokens, listAccounts, getSession, resolveAccountId } = require('../lib/session');
+const { missingGroups, authStartUrl } = require('../lib/scopes');
+const {
+  WEEKDAYS,
+  isValidTimeZone,
+  zonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  toZonedIso,
+  formatZoned,
+  parseHm,
+} = require('../lib/time');
+const { resolveDateTime, endOfDay, echoFor } = require('../lib/dates');
+const { buildRecurrence, endRuleBefore, remainingRule, ruleCount } = require('../lib/recurrence');
+const { toRecords, runQuery, headerNames, findHeader } = require('../lib/sheetquery');
+const { resolveTemplate, templateRequests } = require('../lib/sheettemplates');
+const {
+  bodyElements, docEnd, headings, findHeading, sectionRange, windows, chunkElements, docChunks, docOutline, sectionText,
+} = require('../lib/docstructure');
+const { markdownRequests } = require('../lib/docsmarkdown');
+const { extractText, kindOf, MAX_TEXT } = require('../lib/extract');
+const { choiceKey, recallChoice, parkCandidates, confirmChoice, forgetChoice } = require('../lib/choices');
+const { CALENDAR_LIST_MAX, toolByAction, validateArgs } = require('../lib/tools');
+const { searchWeb, fixturePage } = require('../lib/websearch');
+const { fetchPage, decodeHtml, readablePage } = require('../lib/webpage');
+const { historyOwner, validId, recordToolCall, searchHistory, historyRange } = require('../lib/history');
+const { recordChange, pendingChanges, markUndone, changeView } = require('../lib/journal');
+const {
+  loadPolicy, actionMode, restricted, allowedFile, allowedFolder, createPending, redeemPending,
+} = require('../lib/policy');
+const { resolveProfile, toolEnabled } = require('../lib/profile');
+
 function json(res, status, body) {
+  res.__sent = { status, body }; // for the history log
   res.status(status).setHeader('Content-Type', 'application/json');
   res.send(JSON.stringify(body));
 }
@@ -19,130 +53,306 @@ function fail(res, status, body) {
 
 function parseBody(req) {
   if (!req.body) return {};
-  if (typeof req.body === 'string') { try { return JSON.parse(req.body); } catch { return {}; } }
   if (typeof req.body === 'string') {
     try { return JSON.parse(req.body); } catch { return {}; }
   }
   return req.body;
 }
 
-function getTokensFromCookie(req) {
-  const raw = req.headers.cookie || '';
-  const m = raw.match(/(?:^|;\s*)gTokens=([^;]+)/);
-  if (!m) return null;
-  try { return JSON.parse(decodeURIComponent(m[1])); } catch { return null; }
+// Retries once on 401 with a refreshed token. The refresh itself is locked per session in
+// lib/session.js, so parallel tool calls that all hit 401 share a single refresh.
+// req.__account is the account the handler resolved for this request (see `account` below).
+async function withRefresh(tokensIn, res, req, call) {
+  let tokens = tokensIn;
+
+  let out = await call(tokens.access_token);
+  if (out.ok || out.status !== 401) return { tokens, ...out };
+
+  tokens = await getFreshTokens(req, res, { force: true, stale: tokens.access_token, account: req.__account });
+  if (!tokens?.access_token || tokens._refresh_error) {
+    throw { status: 401, body: { error: 'Google session expired. Reconnect via /api/google.js?op=start', details: tokens?._refresh_error } };
+  }
+
+  out = await call(tokens.access_token);
+  return { tokens, ...out };
+}
+
+// ---- Drive helpers
+const DRIVE_BASE = 'https://www.googleapis.com/drive/v3';
+const GOOGLE_DOC = 'application/vnd.google-apps.document';
+const GOOGLE_SHEET = 'application/vnd.google-apps.spreadsheet';
+
+// Value for a Drive query string: 'O\'Brien' (backslashes first, then quotes)
+function driveQuote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// Searches My Drive and every shared drive the user can see, or one shared drive with driveId.
+async function driveSearch(accessToken, q, fields, pageSize = 50, { pageToken, driveId, orderBy } = {}) {
+  const url = new URL(`${DRIVE_BASE}/files`);
+  url.searchParams.set('q', q);
+  url.searchParams.set('spaces', 'drive');
+  url.searchParams.set('fields', fields);
+  url.searchParams.set('pageSize', String(pageSize));
+  url.searchParams.set('includeItemsFromAllDrives', 'true');
+  url.searchParams.set('supportsAllDrives', 'true');
+  url.searchParams.set('corpora', driveId ? 'drive' : 'allDrives');
+  if (driveId) url.searchParams.set('driveId', driveId);
+  if (pageToken) url.searchParams.set('pageToken', pageToken);
+  if (orderBy) url.searchParams.set('orderBy', orderBy);
+  const r = await fetch(url.href, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+async function driveListSharedDrives(accessToken, name) {
+  const url = new URL(`${DRIVE_BASE}/drives`);
+  if (name) url.searchParams.set('q', `name contains ${driveQuote(name)}`);
+  url.searchParams.set('pageSize', '50');
+  url.searchParams.set('fields', 'drives(id,name)');
+  const r = await fetch(url.href, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
 }
 
-function setTokensCookie(res, req, tokens) {
-  const enc = encodeURIComponent(JSON.stringify(tokens));
-  const maxAge = 60 * 60 * 24 * 30;
-  const base = `gTokens=${enc}; HttpOnly; Path=/; SameSite=Lax; Max-Age=${maxAge}`;
-  const host = (req.headers.host || '').toLowerCase();
-  const isLocal = host.includes('localhost') || host.includes('127.0.0.1');
-  res.setHeader('Set-Cookie', isLocal ? base : `${base}; Secure`);
+async function driveGetFile(accessToken, fileId, fields = 'id,name,mimeType,parents,driveId,webViewLink,trashed') {
+  const url = `${DRIVE_BASE}/files/${encodeURIComponent(fileId)}?supportsAllDrives=true&fields=${encodeURIComponent(fields)}`;
+  const r = await fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
 }
 
-async function refreshAccessToken(tokens) {
-  if (!tokens.refresh_token) throw new Error('No refresh_token available');
-  const form = new URLSearchParams({
-    client_id: process.env.GOOGLE_CLIENT_ID,
-    client_secret: process.env.GOOGLE_CLIENT_SECRET,
-    refresh_token: tokens.refresh_token,
-    grant_type: 'refresh_token',
+// Metadata changes (name, trashed) plus optional addParents/removeParents for moves.
+async function driveUpdateFile(accessToken, fileId, body, { addParents, removeParents } = {}) {
+  const url = new URL(`${DRIVE_BASE}/files/${encodeURIComponent(fileId)}`);
+  url.searchParams.set('supportsAllDrives', 'true');
+  url.searchParams.set('fields', 'id,name,mimeType,parents,trashed,webViewLink');
+  if (addParents) url.searchParams.set('addParents', addParents);
+  if (removeParents) url.searchParams.set('removeParents', removeParents);
+  const r = await fetch(url.href, {
+    method: 'PATCH',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {}),
   });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
 
-  const r = await fetch('https://oauth2.googleapis.com/token', {
+// A copy with mimeType set to a Google type is a conversion; ocrLanguage hints the OCR for images and scans.
+async function driveCopyFile(accessToken, fileId, body, { ocrLanguage } = {}) {
+  const url = new URL(`${DRIVE_BASE}/files/${encodeURIComponent(fileId)}/copy`);
+  url.searchParams.set('supportsAllDrives', 'true');
+  url.searchParams.set('fields', 'id,name,mimeType,parents,webViewLink,modifiedTime');
+  if (ocrLanguage) url.searchParams.set('ocrLanguage', ocrLanguage);
+  const r = await fetch(url.href, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: form.toString(),
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {}),
   });
-
   const data = await r.json();
-  if (!r.ok || !data.access_token) throw new Error(`Refresh failed: ${data.error || r.statusText}`);
+  return { ok: r.ok, status: r.status, data };
+}
 
-  return {
-    ...tokens,
-    access_token: data.access_token,
-    token_type: data.token_type || 'Bearer',
-    scope: data.scope ?? tokens.scope,
-    expiry_date: data.expires_in ? Date.now() + data.expires_in * 1000 : tokens.expiry_date,
-  };
+// File bytes (alt=media) or a Google Docs/Sheets/Slides export. data is a Buffer when ok, the error JSON otherwise.
+async function driveDownload(accessToken, fileId, exportMimeType) {
+  const url = exportMimeType
+    ? `${DRIVE_BASE}/files/${encodeURIComponent(fileId)}/export?mimeType=${encodeURIComponent(exportMimeType)}`
+    : `${DRIVE_BASE}/files/${encodeURIComponent(fileId)}?alt=media&supportsAllDrives=true`;
+  const r = await fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
+  if (!r.ok) return { ok: false, status: r.status, data: await r.json().catch(() => ({})) };
+  return { ok: true, status: r.status, data: Buffer.from(await r.arrayBuffer()) };
 }
 
-async function withRefresh(tokensIn, res, req, call) {
-  let tokens = tokensIn;
+async function driveDeleteFile(accessToken, fileId) {
+  const url = `${DRIVE_BASE}/files/${encodeURIComponent(fileId)}?supportsAllDrives=true`;
+  const r = await fetch(url, { method: 'DELETE', headers: { Authorization: `Bearer ${accessToken}` } });
+  return { ok: r.ok, status: r.status, data: r.status === 204 ? {} : await r.json().catch(() => ({})) };
+}
 
-  let out = await call(tokens.access_token);
-  if (out.ok || out.status !== 401) return { tokens, ...out };
+async function driveShareFile(accessToken, fileId, permission, { notify = true, message = '' } = {}) {
+  const url = new URL(`${DRIVE_BASE}/files/${encodeURIComponent(fileId)}/permissions`);
+  url.searchParams.set('supportsAllDrives', 'true');
+  url.searchParams.set('fields', 'id,type,role,emailAddress');
+  if (permission.type === 'user') {
+    url.searchParams.set('sendNotificationEmail', notify ? 'true' : 'false');
+    if (notify && message) url.searchParams.set('emailMessage', message);
+  }
+  const r = await fetch(url.href, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(permission),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
 
-  tokens = await refreshAccessToken(tokens);
-  setTokensCookie(res, req, tokens);
+// ---- Name lookups
+// A name resolves when there is one confident match: the pick remembered for this session (lib/choices.js), else a
+// single exact (case-insensitive) name, else the only result. Anything else is a 409 with `ambiguous: true` and
+// candidates; the follow-up call that passes a candidate's id along with the same name is remembered.
+function candidateView(f) {
+  return { id: f.id, name: f.name, modifiedTime: f.modifiedTime, owner: f.owners?.[0]?.displayName };
+}
 
-  out = await call(tokens.access_token);
-  return { tokens, ...out };
+// Exact name first, then most recently modified.
+function sortByName(files, name) {
+  return files.sort((a, b) =>
+    (b.name === name) - (a.name === name) ||
+    (b.modifiedTime || '').localeCompare(a.modifiedTime || '')
+  );
 }
 
-// ---- Drive helpers
-async function driveSearch(accessToken, q, fields, pageSize = 50) {
-  const url = 'https://www.googleapis.com/drive/v3/files'
-    + `?q=${encodeURIComponent(q)}`
-    + `&spaces=drive&fields=${encodeURIComponent(fields)}`
-    + `&pageSize=${pageSize}&includeItemsFromAllDrives=false&supportsAllDrives=false`;
-  const r = await fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
-  const data = await r.json();
-  return { ok: r.ok, status: r.status, data };
+async function pickByName(req, res, items, { name, key, idField, what = 'files' }) {
+  if (!items.length) return null;
+
+  const remembered = await recallChoice(req, res, key);
+  if (remembered) {
+    const hit = items.find(f => f.id === remembered);
+    if (hit) return hit;
+    await forgetChoice(req, key); // renamed, moved or trashed since
+  }
+
+  const exact = items.filter(f => f.name.toLowerCase() === name.toLowerCase());
+  if (exact.length === 1) return exact[0];
+  if (!exact.length && items.length === 1) return items[0];
+
+  const candidates = (exact.length ? exact : items).slice(0, 8);
+  await parkCandidates(req, key, candidates.map(f => f.id));
+  throw {
+    status: 409,
+    body: {
+      error: `Several ${what} match "${name}"`,
+      ambiguous: true,
+      candidates: candidates.map(candidateView),
+      hint: `Ask which one is meant (name, owner or last modified), then call again with the same arguments plus ${idField} set to that candidate's id.`,
+    },
+  };
 }
 
-async function resolveFolderId(tokens, req, res, folderName) {
+// folderId given with folderName is the pick from an earlier ambiguous lookup (idField names it in that hint).
+async function resolveFolderId(tokens, req, res, folderName, { folderId, idField = 'folderId' } = {}) {
+  const key = choiceKey('folder', folderName);
+  const id = (folderId || '').toString().trim();
+  if (id) {
+    if (folderName) await confirmChoice(req, key, id, folderName);
+    return id;
+  }
   if (!folderName) return undefined;
 
   const qFolder = [
     "mimeType = 'application/vnd.google-apps.folder'",
-    `name contains '${folderName.replace(/'/g, "\\'")}'`,
+    `name contains ${driveQuote(folderName)}`,
     "trashed = false",
   ].join(' and ');
 
-  const r = await withRefresh(tokens, res, req, t => driveSearch(t, qFolder, "files(id,name,modifiedTime)"));
+  const r = await withRefresh(tokens, res, req, t => driveSearch(t, qFolder, "files(id,name,modifiedTime,owners/displayName)"));
   if (!r.ok) throw { status: r.status, body: { error: 'Drive folder search failed', details: r.data } };
 
-  const folders = r.data.files || [];
-  if (!folders.length) return undefined;
-
-  folders.sort((a, b) =>
-    (a.name === folderName ? -1 : b.name === folderName ? 1 : 0) ||
-    (b.modifiedTime || '').localeCompare(a.modifiedTime || '')
-  );
-
-  return folders[0].id;
+  const folders = sortByName(r.data.files || [], folderName);
+  const folder = await pickByName(req, res, folders, { name: folderName, key, idField, what: 'folders' });
+  return folder ? folder.id : undefined;
 }
 
-async function resolveFileByName(tokens, req, res, args) {
-  const parent = args.folderId ? `'${args.folderId}' in parents and ` : '';
+async function findFilesByName(tokens, req, res, args) {
   const q = [
-    parent + `mimeType = '${args.mimeType}'`,
-    `name contains '${args.name.replace(/'/g, "\\'")}'`,
-    "trashed = false",
-  ].join(' and ');
+    args.folderId ? `${driveQuote(args.folderId)} in parents` : '',
+    args.mimeType ? `mimeType = ${driveQuote(args.mimeType)}` : '',
+    `name contains ${driveQuote(args.name)}`,
+    args.trashed ? 'trashed = true' : 'trashed = false',
+  ].filter(Boolean).join(' and ');
 
   const r = await withRefresh(tokens, res, req, t => driveSearch(t, q, "files(id,name,modifiedTime,owners/displayName)"));
   if (!r.ok) throw { status: r.status, body: { error: 'Drive file search failed', details: r.data } };
+  return sortByName(r.data.files || [], args.name);
+}
 
-  const files = r.data.files || [];
-  if (!files.length) return null;
+// args: { name, folderId, folderName, mimeType, trashed, idField }; null when nothing matches.
+async function resolveFileByName(tokens, req, res, args) {
+  const files = await findFilesByName(tokens, req, res, args);
+  return pickByName(req, res, files, {
+    name: args.name,
+    key: fileChoiceKey(args.mimeType, args.name, args.folderName),
+    idField: args.idField || 'fileId',
+  });
+}
 
-  files.sort((a, b) =>
-    (a.name === args.name ? -1 : b.name === args.name ? 1 : 0) ||
-    (b.modifiedTime || '').localeCompare(a.modifiedTime || '')
-  );
+function fileChoiceKey(mimeType, name, folderName) {
+  return choiceKey(mimeType || 'file', name, folderName);
+}
 
-  return files[0];
+// An id passed along with a name: remembered when it answers an earlier ambiguous lookup of that name.
+async function confirmFileChoice(req, id, { name, mimeType, folderName }) {
+  if (id && name) await confirmChoice(req, fileChoiceKey(mimeType, name, folderName), id, name);
+}
+
+// A file the Docs or Sheets API just created sits in My Drive; this moves it out of whatever parents it has, so a
+// folder on a shared drive works too.
+async function driveMoveToFolder(accessToken, fileId, folderId) {
+  const cur = await driveGetFile(accessToken, fileId, 'id,parents');
+  if (!cur.ok) return cur;
+  const removeParents = (cur.data.parents || []).filter(p => p !== folderId).join(',');
+  return driveUpdateFile(accessToken, fileId, {}, { addParents: folderId, removeParents });
+}
+
+// ---- Write allowlists (lib/policy.js)
+// Writing tools may only touch files in allowlisted folders, or allowlisted spreadsheets. Reads go anywhere.
+function guarded(req) {
+  return req.__writes && req.__policy && restricted(req.__policy);
+}
+
+function outsideAllowlist(what, req) {
+  return {
+    status: 403,
+    body: {
+      error: 'outside_allowlist',
+      details: `${what} is not in a folder the assistant may change`,
+      allowed: req.__policy.allow,
+      hint: 'Tell the user; the policy file decides where writes are allowed.',
+    },
+  };
+}
+
+// Folder id -> { id, name, isRoot }. My Drive's real id is only known by asking for 'root'.
+async function folderView(tokens, req, res, id) {
+  if (req.__rootId === undefined) {
+    const r = await withRefresh(tokens, res, req, t => driveGetFile(t, 'root', 'id'));
+    req.__rootId = r.ok ? r.data.id : null;
+  }
+  if (id === 'root' || id === req.__rootId) return { id, name: 'My Drive', isRoot: true };
+  const r = await withRefresh(tokens, res, req, t => driveGetFile(t, id, 'id,name'));
+  return { id, name: r.ok ? r.data.name : '' };
+}
+
+// folderId: where something new goes (none: My Drive).
+async function guardFolder(tokens, req, res, folderId, label) {
+  if (!guarded(req)) return;
+  const folder = await folderView(tokens, req, res, folderId || 'root');
+  if (!allowedFolder(req.__policy, folder)) throw outsideAllowlist(`The folder ${label || folder.name || folder.id}`, req);
+}
+
+// file: Drive metadata with id, name and parents when already fetched, otherwise just { id }.
+async function guardFile(tokens, req, res, file, { spreadsheet = false } = {}) {
+  if (!guarded(req)) return;
+  let meta = file;
+  if (!meta.parents) {
+    const r = await withRefresh(tokens, res, req, t => driveGetFile(t, file.id, 'id,name,parents'));
+    if (!r.ok) throw { status: r.status, body: { error: 'Drive file lookup failed', details: r.data } };
+    meta = r.data;
+  }
+  const parents = [];
+  for (const id of meta.parents || []) parents.push(await folderView(tokens, req, res, id));
+  if (!allowedFile(req.__policy, { id: meta.id, name: meta.name, parents }, { spreadsheet })) {
+    throw outsideAllowlist(meta.name || meta.id, req);
+  }
 }
 
 // ---- Gmail helpers
-async function gmailList(accessToken, { label, maxResults }) {
-  const base = 'https://gmail.googleapis.com/gmail/v1/users/me';
-  const listUrl = new URL(`${base}/messages`);
+const GMAIL_BASE = 'https://gmail.googleapis.com/gmail/v1/users/me';
+
+async function gmailList(accessToken, { label, q, maxResults }) {
+  const listUrl = new URL(`${GMAIL_BASE}/messages`);
   if (label) listUrl.searchParams.set('labelIds', label);
+  if (q) listUrl.searchParams.set('q', q);
   listUrl.searchParams.set('maxResults', String(maxResults || 10));
 
   const listResp = await fetch(listUrl.href, { headers: { Authorization: `Bearer ${accessToken}` } });
@@ -154,7 +364,7 @@ async function gmailList(accessToken, { label, maxResults }) {
   const results = [];
 
   for (const m of messages) {
-    const getUrl = new URL(`${base}/messages/${encodeURIComponent(m.id)}`);
+    const getUrl = new URL(`${GMAIL_BASE}/messages/${encodeURIComponent(m.id)}`);
     getUrl.searchParams.set('format', 'metadata');
     getUrl.searchParams.set('metadataHeaders', 'From');
     getUrl.searchParams.append('metadataHeaders', 'Subject');
@@ -177,10 +387,94 @@ async function gmailList(accessToken, { label, maxResults }) {
     });
   }
 
-  return { ok: true, status: 200, data: { messages: results } };
+  return { ok: true, status: 200, data: { messages: results, resultSizeEstimate: listData.resultSizeEstimate || 0 } };
+}
+
+async function gmailGet(accessToken, { id, maxChars }) {
+  const url = `${GMAIL_BASE}/messages/${encodeURIComponent(id)}?format=full`;
+  const r = await fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+  return { ok: true, status: 200, data: { messages: [decodeMessage(data, { maxChars })] } };
+}
+
+async function gmailThread(accessToken, { threadId, maxChars }) {
+  const url = `${GMAIL_BASE}/threads/${encodeURIComponent(threadId)}?format=full`;
+  const r = await fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+  const messages = (data.messages || []).map(m => decodeMessage(m, { maxChars }));
+  return { ok: true, status: 200, data: { threadId: data.id, messages } };
+}
+
+// ---- Gmail write helpers
+// Nothing is sent directly: gmail.draft / gmail.reply create a Gmail draft and return a preview
+// plus a signed confirmToken; gmail.send only sends that exact draft once the user said yes.
+const CONFIRM_TTL_MS = 10 * 60 * 1000;
+
+function confirmSecret() {
+  return process.env.CONFIRM_SECRET || '';
+}
+
+async function gmailCreateDraft(accessToken, { raw, threadId }) {
+  const r = await fetch(`${GMAIL_BASE}/drafts`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: threadId ? { raw, threadId } : { raw } }),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+async function gmailGetDraft(accessToken, draftId) {
+  const r = await fetch(`${GMAIL_BASE}/drafts/${encodeURIComponent(draftId)}?format=minimal`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+async function gmailSendDraft(accessToken, draftId) {
+  const r = await fetch(`${GMAIL_BASE}/drafts/send`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: draftId }),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+async function gmailProfile(accessToken) {
+  const r = await fetch(`${GMAIL_BASE}/profile`, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+function gmailWriteFailure(res, out, error) {
+  const hint = out.status === 403
+    ? `Gmail write permission missing. Grant it via ${authStartUrl(['gmail.write'], '/')}`
+    : undefined;
+  return fail(res, out.status, { error, hint, details: out.data });
+}
+
+// The token pins the draft id AND its current message id: editing the draft in Gmail
+// changes the message id, so a stale confirmation cannot send different content.
+function draftPreview(res, draft, preview) {
+  const exp = Date.now() + CONFIRM_TTL_MS;
+  const confirmToken = sign({ kind: 'gmail.send', draftId: draft.id, messageId: draft.message?.id || '', exp }, confirmSecret());
+  return json(res, 200, {
+    ok: true,
+    needsConfirmation: true,
+    sent: false,
+    draftId: draft.id,
+    threadId: draft.message?.threadId || null,
+    preview,
+    confirmToken,
+    expiresAt: new Date(exp).toISOString(),
+    next: 'Read the preview to the user and ask whether to send it. Only after a clear yes, call gmail_send with draftId and confirmToken.',
+  });
 }
 
-// ---- Calendar helpers
 // ---- Calendar helpers (read)
 async function calendarList(accessToken, { maxResults, timeMin, timeMax }) {
   const now = new Date();
@@ -198,112 +492,314 @@ async function calendarList(accessToken, { maxResults, timeMin, timeMax }) {
   const data = await r.json();
   if (!r.ok) return { ok: false, status: r.status, data };
 
-  const events = (data.items || []).map(ev => ({
-    id: ev.id,
-    summary: ev.summary || '',
-    start: ev.start?.dateTime || ev.start?.date || null,
-    end: ev.end?.dateTime || ev.end?.date || null,
-    location: ev.location || '',
-    status: ev.status || '',
-  }));
+  const events = (data.items || []).map(ev => ({ ...eventView(ev), status: ev.status || '' }));
 
   return { ok: true, status: 200, data: { events } };
 }
 
-async function actCalendarCreate(req, res, tokens) {
-  const b = parseBody(req);
-  const summary = (b.summary || '').toString().trim();
-  const start = (b.start || '').toString().trim();
+// ---- Calendar helpers (free/busy)
+const CAL_BASE = 'https://www.googleapis.com/calendar/v3';
 
-  if (!summary) return fail(res, 400, { error: 'summary is required' });
-  if (!start) return fail(res, 400, { error: 'start is required (ISO or parseable date string)' });
+async function calendarTimeZone(accessToken) {
+  const r = await fetch(`${CAL_BASE}/users/me/settings/timezone`, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+  return { ok: true, status: 200, data: { timeZone: data.value || 'UTC' } };
+}
 
-  const out = await withRefresh(tokens, res, req, t =>
-    calendarCreate(t, {
-      summary,
-      description: b.description,
-      location: b.location,
-      start: b.start,
-      end: b.end,
-      durationMinutes: b.durationMinutes,
-      colorId: b.color || b.colorId, // allow "color":"tangerine"
-    })
-  );
-  if (!out.ok) return fail(res, out.status, { error: 'Calendar create failed', details: out.data });
+// Calendars the user has ticked in the Google Calendar UI (plus primary), hidden/unselected ones skipped.
+async function calendarSelectedList(accessToken) {
+  const url = new URL(`${CAL_BASE}/users/me/calendarList`);
+  url.searchParams.set('minAccessRole', 'freeBusyReader');
+  url.searchParams.set('maxResults', '250');
 
-  return json(res, 200, {
-    ok: true,
-    event: {
-      id: out.data.id,
-      summary: out.data.summary || '',
-      start: out.data.start?.dateTime || out.data.start?.date || null,
-      end: out.data.end?.dateTime || out.data.end?.date || null,
-      location: out.data.location || '',
-      colorId: out.data.colorId || null,
-      htmlLink: out.data.htmlLink || '',
-    }
+  const r = await fetch(url.href, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+
+  const calendars = (data.items || [])
+    .filter(c => c.primary || (c.selected && !c.hidden))
+    .map(c => ({ id: c.id, summary: c.summaryOverride || c.summary || c.id, primary: !!c.primary }));
+  return { ok: true, status: 200, data: { calendars } };
+}
+
+// Busy blocks per calendar id. `ids` may include attendees' emails (their primary calendars),
+// which only answer when they share free/busy with the user; those come back under `errors`.
+async function calendarFreeBusy(accessToken, { timeMin, timeMax, ids, timeZone }) {
+  const r = await fetch(`${CAL_BASE}/freeBusy`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ timeMin, timeMax, timeZone, items: ids.slice(0, 50).map(id => ({ id })) }),
   });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+
+  const busy = [];
+  const errors = [];
+  for (const [id, cal] of Object.entries(data.calendars || {})) {
+    if (cal.errors?.length) errors.push({ id, reason: cal.errors[0].reason || 'unknown' });
+    for (const b of cal.busy || []) busy.push({ id, start: b.start, end: b.end });
+  }
+  return { ok: true, status: 200, data: { busy, errors } };
 }
 
-async function actCalendarUpdate(req, res, tokens) {
-  const b = parseBody(req);
-  const eventId = (b.eventId || '').toString().trim();
-  if (!eventId) return fail(res, 400, { error: 'eventId is required' });
+// Sorted, overlap-merged [{ s, e }] in epoch ms.
+function mergeBusy(busy) {
+  const list = busy
+    .map(b => ({ s: Date.parse(b.start), e: Date.parse(b.end) }))
+    .filter(b => b.e > b.s)
+    .sort((a, b) => a.s - b.s);
+  const out = [];
+  for (const b of list) {
+    const last = out[out.length - 1];
+    if (last && b.s <= last.e) last.e = Math.max(last.e, b.e);
+    else out.push({ ...b });
+  }
+  return out;
+}
 
-  const out = await withRefresh(tokens, res, req, t =>
-    calendarUpdate(t, {
-      eventId,
-      summary: b.summary,
-      description: b.description,
-      location: b.location,
-      start: b.start,
-      end: b.end,
-      durationMinutes: b.durationMinutes,
-      colorId: b.color || b.colorId,
-    })
+// Walks each working day in tz and returns up to `count` free slots of `durationMs`.
+// Slots start on `stepMin` boundaries and never overlap each other, so every option is a real alternative.
+function findFreeSlots({ busy, from, to, durationMs, tz, dayStartMin, dayEndMin, days, stepMin, bufferMs, count }) {
+  const blocks = mergeBusy(busy).map(b => ({ s: b.s - bufferMs, e: b.e + bufferMs }));
+  const stepMs = stepMin * 60 * 1000;
+  const slots = [];
+
+  for (let day = startOfZonedDay(from, tz); day < to && slots.length < count; day = startOfZonedDay(day, tz, 1)) {
+    const p = zonedParts(day, tz);
+    if (!days.includes(p.weekday)) continue;
+
+    const dayStart = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, minute: dayStartMin }, tz).getTime();
+    const dayEnd = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, minute: dayEndMin }, tz).getTime();
+    let t = Math.max(dayStart, from.getTime());
+    t = dayStart + Math.ceil((t - dayStart) / stepMs) * stepMs;
+
+    while (t + durationMs <= Math.min(dayEnd, to.getTime()) && slots.length < count) {
+      const clash = blocks.find(b => b.s < t + durationMs && b.e > t);
+      if (clash) {
+        t = dayStart + Math.ceil((clash.e - dayStart) / stepMs) * stepMs;
+        continue;
+      }
+      slots.push({ s: t, e: t + durationMs });
+      t += durationMs;
+      t = dayStart + Math.ceil((t - dayStart) / stepMs) * stepMs;
+    }
+  }
+  return slots;
+}
+
+function slotView(s, e, tz) {
+  return { start: toZonedIso(new Date(s), tz), end: toZonedIso(new Date(e), tz), label: formatZoned(new Date(s), tz) };
+}
+
+// Overlaps with [startIso, endIso) across the user's selected calendars; [] when free.
+async function calendarConflicts(tokens, res, req, { startIso, endIso }) {
+  const cals = await withRefresh(tokens, res, req, t => calendarSelectedList(t));
+  if (!cals.ok) return cals;
+  const names = Object.fromEntries(cals.data.calendars.map(c => [c.id, c.summary]));
+
+  const fb = await withRefresh(tokens, res, req, t =>
+    calendarFreeBusy(t, { timeMin: startIso, timeMax: endIso, ids: Object.keys(names) })
   );
-  if (!out.ok) return fail(res, out.status, { error: 'Calendar update failed', details: out.data });
+  if (!fb.ok) return fb;
 
-  return json(res, 200, {
-    ok: true,
-    event: {
-      id: out.data.id,
-      summary: out.data.summary || '',
-      start: out.data.start?.dateTime || out.data.start?.date || null,
-      end: out.data.end?.dateTime || out.data.end?.date || null,
-      location: out.data.location || '',
-      colorId: out.data.colorId || null,
-      htmlLink: out.data.htmlLink || '',
-    }
+  const conflicts = fb.data.busy.map(b => ({ calendar: names[b.id] || b.id, start: b.start, end: b.end }));
+  return { ok: true, status: 200, data: { conflicts } };
+}
+
+// The user's IANA zone: explicit `timeZone` in the request, else their Google Calendar setting, else UTC.
+async function userTimeZone(req, res, tokens, b) {
+  if (req.__timeZone) return req.__timeZone;
+  let tz = (b.timeZone || '').toString().trim();
+  if (tz && !isValidTimeZone(tz)) throw { status: 400, body: { error: `Unknown timeZone: ${tz}` } };
+  if (!tz) {
+    const out = await withRefresh(tokens, res, req, t => calendarTimeZone(t));
+    tz = out.ok && isValidTimeZone(out.data.timeZone) ? out.data.timeZone : 'UTC';
+  }
+  req.__timeZone = tz;
+  return tz;
+}
+
+// Phrase or ISO -> resolveDateTime() result; throws a 400 naming the field when it can't be understood.
+function resolveWhen(value, field, opts) {
+  const r = resolveDateTime(value, opts);
+  if (!r.ok) throw { status: 400, body: { error: `Could not understand ${field}: ${r.error}`, field, hint: r.hint } };
+  return r;
+}
+
+// timeMin/timeMax pair for list-style actions. A date-only timeMax ("friday") runs to the end of that day;
+// a date-only timeMin with no timeMax means just that day.
+function resolveWindow(b, timeZone, defaultDays) {
+  const now = new Date();
+  const min = b.timeMin ? resolveWhen(b.timeMin, 'timeMin', { timeZone, now }) : null;
+  const max = b.timeMax ? resolveWhen(b.timeMax, 'timeMax', { timeZone, now }) : null;
+
+  const from = min ? new Date(min.utc) : now;
+  let to;
+  if (max) to = max.dateOnly ? endOfDay(new Date(max.utc), timeZone) : new Date(max.utc);
+  else if (min?.dateOnly) to = endOfDay(from, timeZone);
+  else to = new Date(from.getTime() + defaultDays * 24 * 60 * 60 * 1000);
+
+  if (to <= from) throw { status: 400, body: { error: 'timeMax must be after timeMin' } };
+  return { from, to };
+}
+
+// "2026-10-23" for the local day containing `date`
+function zonedDateString(date, timeZone) {
+  return toZonedIso(date, timeZone).slice(0, 10);
+}
+
+// allDay:true events: start day plus either an inclusive `end` day or `days` (default 1).
+// Google wants the end date exclusive, so the stored end is the day after the last one.
+function resolveAllDay(startIn, endIn, b, timeZone) {
+  const start = resolveWhen(startIn, 'start', { timeZone });
+  const first = new Date(start.utc);
+  let last = first;
+  if (endIn) last = new Date(resolveWhen(endIn, 'end', { timeZone, base: first }).utc);
+  else if (Number(b.days) > 1) last = startOfZonedDay(first, timeZone, Math.floor(Number(b.days)) - 1);
+  if (last < first) throw { status: 400, body: { error: 'end must not be before start' } };
+
+  return {
+    allDay: true,
+    startDate: zonedDateString(first, timeZone),
+    endDate: zonedDateString(endOfDay(last, timeZone), timeZone),
+    echo: { start: echoFor(first, timeZone, true), end: echoFor(last, timeZone, true) },
+  };
+}
+
+// start/end (or startIso/endIso) + durationMinutes -> resolved pair with echoes for read-back.
+// `required` is false for updates, where a missing start leaves the event's time alone.
+function resolveEventTimes(b, timeZone, { required = true } = {}) {
+  const startIn = (b.start ?? b.startIso ?? '').toString().trim();
+  const endIn = (b.end ?? b.endIso ?? '').toString().trim();
+  if (!startIn) {
+    if (required) throw { status: 400, body: { error: 'start is required (ISO 8601 or a phrase like "tomorrow at 3pm")' } };
+    if (endIn) throw { status: 400, body: { error: 'Changing end also needs start' } };
+    return null;
+  }
+  if (b.allDay === true || b.allDay === 'true') return resolveAllDay(startIn, endIn, b, timeZone);
+
+  const start = resolveWhen(startIn, 'start', { timeZone });
+  if (start.dateOnly) {
+    throw {
+      status: 400,
+      body: { error: `start "${startIn}" has no time of day. Ask the user what time, or pass allDay:true.`, field: 'start' },
+    };
+  }
+  let endDate;
+  if (endIn) {
+    const end = resolveWhen(endIn, 'end', { timeZone, base: new Date(start.utc) });
+    endDate = new Date(end.utc);
+  } else if (Number(b.durationMinutes) > 0 || required) {
+    const mins = Number(b.durationMinutes) > 0 ? Number(b.durationMinutes) : 60;
+    endDate = new Date(Date.parse(start.utc) + mins * 60 * 1000);
+  }
+  if (endDate && endDate <= new Date(start.utc)) {
+    throw { status: 400, body: { error: 'end must be after start', start: start.echo } };
+  }
+
+  return {
+    startIso: start.iso,
+    endIso: endDate ? toZonedIso(endDate, timeZone) : null,
+    echo: { start: start.echo, end: endDate ? echoFor(endDate, timeZone, false) : null },
+  };
+}
+
+const EMAIL_RE = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+function normalizeAttendees(list, field) {
+  const arr = Array.isArray(list) ? list : String(list || '').split(/[\s,;]+/).filter(Boolean);
+  return arr.map(a => {
+    const email = (typeof a === 'string' ? a : a?.email || '').trim();
+    if (!EMAIL_RE.test(email)) throw { status: 400, body: { error: `${field}: "${email}" is not an email address` } };
+    return typeof a === 'object' && a.optional ? { email, optional: true } : { email };
   });
 }
 
-async function actCalendarDelete(req, res, tokens) {
-  const b = parseBody(req);
-  const eventId = (b.eventId || '').toString().trim();
-  if (!eventId) return fail(res, 400, { error: 'eventId is required' });
+// reminders: "default" | "none" | [10, { method:'email', minutes:1440 }] (numbers are popups)
+function normalizeReminders(v) {
+  if (v === 'default') return { useDefault: true };
+  if (v === 'none') return { useDefault: false, overrides: [] };
+  const arr = Array.isArray(v) ? v : [v];
+  const overrides = arr.map(r => {
+    const minutes = Number(typeof r === 'object' ? r.minutes : r);
+    const method = typeof r === 'object' && r.method === 'email' ? 'email' : 'popup';
+    if (!(minutes >= 0 && minutes <= 40320)) throw { status: 400, body: { error: 'reminder minutes must be 0 to 40320 (4 weeks)' } };
+    return { method, minutes: Math.round(minutes) };
+  });
+  if (overrides.length > 5) throw { status: 400, body: { error: 'At most 5 reminders' } };
+  return { useDefault: false, overrides };
+}
 
-  const out = await withRefresh(tokens, res, req, t => calendarDelete(t, { eventId }));
-  if (!out.ok) return fail(res, out.status, { error: 'Calendar delete failed', details: out.data });
+// Optional event fields shared by create and update: recurrence (+ until/count), attendees, reminders, meet.
+// Returns { fields, echo, hasAttendees }; `current` (update only) supplies attendees for addAttendees.
+function resolveEventExtras(b, timeZone, { allDay, current } = {}) {
+  const fields = {};
+  const echo = {};
+
+  if (b.recurrence) {
+    const until = b.until ? resolveWhen(b.until, 'until', { timeZone }) : null;
+    const rec = buildRecurrence(b.recurrence, {
+      until: until ? (until.dateOnly ? new Date(endOfDay(new Date(until.utc), timeZone) - 1000) : new Date(until.utc)) : null,
+      count: b.count,
+      allDay,
+    });
+    if (!rec.ok) throw { status: 400, body: { error: rec.error, field: 'recurrence' } };
+    fields.recurrence = [rec.rule];
+    echo.repeats = rec.description;
+  }
+
+  if (b.attendees != null || b.addAttendees != null) {
+    const base = b.attendees != null ? normalizeAttendees(b.attendees, 'attendees') : (current?.attendees || []);
+    const added = b.addAttendees != null ? normalizeAttendees(b.addAttendees, 'addAttendees') : [];
+    const seen = new Set();
+    fields.attendees = [...base, ...added].filter(a => {
+      const k = a.email.toLowerCase();
+      return seen.has(k) ? false : seen.add(k);
+    });
+    echo.attendees = fields.attendees.map(a => a.email);
+  }
+
+  if (b.reminders != null && b.reminders !== '') {
+    fields.reminders = normalizeReminders(b.reminders);
+    echo.reminders = fields.reminders.useDefault ? 'calendar default' :
+      fields.reminders.overrides.map(r => `${r.method} ${r.minutes} min before`).join(', ') || 'none';
+  }
+
+  if (b.meet === true || b.meet === 'true') {
+    fields.conferenceData = { createRequest: { requestId: randomId('meet_'), conferenceSolutionKey: { type: 'hangoutsMeet' } } };
+  }
+
+  return { fields, echo, hasAttendees: !!fields.attendees?.length };
+}
 
-  return json(res, 200, { ok: true, deleted: true, eventId });
+// sendUpdates: all | externalOnly | none. Invitations go out by default when there are attendees.
+function sendUpdatesFor(b, hasAttendees) {
+  if (['all', 'externalOnly', 'none'].includes(b.sendUpdates)) return b.sendUpdates;
+  return hasAttendees ? 'all' : 'none';
 }
 
+// The view of an event every calendar action returns.
+function eventView(ev) {
+  return {
+    id: ev.id,
+    summary: ev.summary || '',
+    start: ev.start?.dateTime || ev.start?.date || null,
+    end: ev.end?.dateTime || ev.end?.date || null,
+    allDay: !!ev.start?.date,
+    location: ev.location || '',
+    colorId: ev.colorId || null,
+    recurrence: ev.recurrence || undefined,
+    recurringEventId: ev.recurringEventId || undefined,
+    attendees: ev.attendees ? ev.attendees.map(a => ({ email: a.email, responseStatus: a.responseStatus })) : undefined,
+    meetLink: ev.hangoutLink || undefined,
+    htmlLink: ev.htmlLink || '',
+  };
+}
 
 // ---- Calendar write helpers
 const CAL_EVENT_COLOR_NAME_TO_ID = {
   // Google UI names
-  'lavender': '1',
-  'sage': '2',
-  'grape': '3',
-  'flamingo': '4',
-  'banana': '5',
-  'tangerine': '6', // Tangerine is colorId "6" :contentReference[oaicite:2]{index=2}
-  'peacock': '7',
-  'graphite': '8',
-  'blueberry': '9',
-  'basil': '10',
-  'tomato': '11',
   lavender: '1',
   sage: '2',
   grape: '3',
@@ -316,13 +812,6 @@ const CAL_EVENT_COLOR_NAME_TO_ID = {
   basil: '10',
   tomato: '11',
   // Allow plain words
-  'orange': '6',
-  'yellow': '5',
-  'red': '11',
-  'green': '10',
-  'blue': '9',
-  'gray': '8',
-  'grey': '8',
   orange: '6',
   yellow: '5',
   red: '11',
@@ -332,42 +821,67 @@ const CAL_EVENT_COLOR_NAME_TO_ID = {
   grey: '8',
 };
 
+// Normalizes an already-resolved ISO value (with offset). User phrases go through resolveEventTimes() first.
 function toIsoOrNull(s) {
-@ -320,7 +242,6 @@ function normalizeColorId(colorNameOrId) {
+  if (s == null || s === '') return null;
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString();
+}
+
+function normalizeColorId(colorNameOrId) {
   if (colorNameOrId == null) return undefined;
   const v = String(colorNameOrId).trim();
   if (!v) return undefined;
-  // If user passes an id "1".."11"
   if (/^(1|2|3|4|5|6|7|8|9|10|11)$/.test(v)) return v;
   const key = v.toLowerCase();
   return CAL_EVENT_COLOR_NAME_TO_ID[key];
-@ -328,7 +249,9 @@ function normalizeColorId(colorNameOrId) {
+}
 
-async function calendarCreate(accessToken, { summary, description, location, start, end, durationMinutes, colorId }) {
-  const startIso = toIsoOrNull(start);
-  if (!startIso) return { ok: false, status: 400, data: { error: 'Invalid or missing start (must be ISO or parseable date string)' } };
-  if (!startIso) {
-    return { ok: false, status: 400, data: { error: 'Invalid or missing start (must be ISO or parseable date string)' } };
-  }
-
-  let endIso = toIsoOrNull(end);
-  if (!endIso) {
-@ -339,11 +262,12 @@ async function calendarCreate(accessToken, { summary, description, location, sta
+// Events URL with the query options writes need. conferenceDataVersion=1 lets Google create the Meet link.
+function calendarEventsUrl(eventId, { sendUpdates, conference } = {}) {
+  const url = new URL(`${CAL_BASE}/calendars/primary/events${eventId ? `/${encodeURIComponent(eventId)}` : ''}`);
+  if (sendUpdates) url.searchParams.set('sendUpdates', sendUpdates);
+  if (conference) url.searchParams.set('conferenceDataVersion', '1');
+  return url.href;
+}
 
+// start/end: ISO with offset, or "YYYY-MM-DD" dates (end exclusive) when allDay.
+// fields: extra event properties (recurrence, attendees, reminders, conferenceData) from resolveEventExtras().
+async function calendarCreate(accessToken, { summary, description, location, start, end, durationMinutes, colorId, timeZone, allDay, fields, sendUpdates }) {
   const body = {
     summary: (summary || '').toString(),
-    description: (description || '').toString(),
-    location: (location || '').toString(),
     description: description != null ? String(description) : '',
     location: location != null ? String(location) : '',
-    start: { dateTime: startIso },
-    end: { dateTime: endIso },
   };
 
+  if (allDay) {
+    body.start = { date: start };
+    body.end = { date: end };
+  } else {
+    const startIso = toIsoOrNull(start);
+    if (!startIso) {
+      return { ok: false, status: 400, data: { error: 'Invalid or missing start (must be ISO or parseable date string)' } };
+    }
+    let endIso = toIsoOrNull(end);
+    if (!endIso) {
+      const mins = Number(durationMinutes) > 0 ? Number(durationMinutes) : 60;
+      endIso = new Date(new Date(startIso).getTime() + mins * 60 * 1000).toISOString();
+    }
+    body.start = { dateTime: startIso, timeZone };
+    body.end = { dateTime: endIso, timeZone };
+  }
+
   const cId = normalizeColorId(colorId);
   if (cId) body.colorId = cId;
+  Object.assign(body, fields);
+
+  return calendarInsertEvent(accessToken, body, { sendUpdates });
+}
 
-@ -352,6 +276,7 @@ async function calendarCreate(accessToken, { summary, description, location, sta
+async function calendarInsertEvent(accessToken, body, { sendUpdates } = {}) {
+  const r = await fetch(calendarEventsUrl(null, { sendUpdates, conference: !!body.conferenceData }), {
+    method: 'POST',
     headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
     body: JSON.stringify(body),
   });
@@ -375,52 +889,112 @@ async function calendarCreate(accessToken, { summary, description, location, sta
   const data = await r.json();
   return { ok: r.ok, status: r.status, data };
 }
-@ -379,11 +304,15 @@ async function calendarUpdate(accessToken, { eventId, summary, description, loca
+
+async function calendarUpdate(accessToken, { eventId, summary, description, location, start, end, durationMinutes, colorId, timeZone, allDay, fields, sendUpdates }) {
+  if (!eventId) return { ok: false, status: 400, data: { error: 'eventId is required' } };
+
+  const patch = {};
+  if (summary != null) patch.summary = String(summary);
+  if (description != null) patch.description = String(description);
+  if (location != null) patch.location = String(location);
+
+  if (allDay && start) {
+    patch.start = { date: start, dateTime: null };
+    patch.end = { date: end, dateTime: null };
+  } else {
+    const startIso = toIsoOrNull(start);
+    if (start != null && start !== '' && !startIso) {
+      return { ok: false, status: 400, data: { error: 'Invalid start (must be ISO or parseable date string)' } };
+    }
+    let endIso = toIsoOrNull(end);
+    if (startIso) {
+      patch.start = { dateTime: startIso, timeZone, date: null };
+      if (!endIso && Number(durationMinutes) > 0) {
+        endIso = new Date(new Date(startIso).getTime() + Number(durationMinutes) * 60 * 1000).toISOString();
+      }
+    }
+    if (endIso) patch.end = { dateTime: endIso, timeZone, date: null };
+  }
+
   const cId = normalizeColorId(colorId);
   if (cId) patch.colorId = cId;
+  Object.assign(patch, fields);
+
+  return calendarPatchEvent(accessToken, eventId, patch, { sendUpdates });
+}
 
-  const r = await fetch(`https://www.googleapis.com/calendar/v3/calendars/primary/events/${encodeURIComponent(eventId)}`, {
+async function calendarPatchEvent(accessToken, eventId, patch, { sendUpdates } = {}) {
+  const r = await fetch(calendarEventsUrl(eventId, { sendUpdates, conference: !!patch.conferenceData }), {
     method: 'PATCH',
     headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
     body: JSON.stringify(patch),
   });
-  const r = await fetch(
-    `https://www.googleapis.com/calendar/v3/calendars/primary/events/${encodeURIComponent(eventId)}`,
-    {
-      method: 'PATCH',
-      headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify(patch),
-    }
-  );
 
   const data = await r.json();
   return { ok: r.ok, status: r.status, data };
 }
-@ -391,27 +320,31 @@ async function calendarUpdate(accessToken, { eventId, summary, description, loca
-async function calendarDelete(accessToken, { eventId }) {
+
+// The occurrence of a recurring series in [from, to) that starts closest to `at`.
+async function calendarFindInstance(accessToken, seriesId, { at, from, to }) {
+  const url = new URL(`${CAL_BASE}/calendars/primary/events/${encodeURIComponent(seriesId)}/instances`);
+  url.searchParams.set('timeMin', from.toISOString());
+  url.searchParams.set('timeMax', to.toISOString());
+  url.searchParams.set('maxResults', '25');
+
+  const r = await fetch(url.href, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+  const items = data.items || [];
+  if (!items.length) return { ok: false, status: 404, data: { error: 'No occurrence of that series at that time' } };
+  const closest = items.sort((x, y) =>
+    Math.abs(Date.parse(x.start?.dateTime || x.start?.date) - at) - Math.abs(Date.parse(y.start?.dateTime || y.start?.date) - at)
+  )[0];
+  return { ok: true, status: 200, data: closest };
+}
+
+// How many occurrences of a series were due before `before`; cancelled ones count too, as they do for COUNT.
+async function calendarCountInstances(accessToken, seriesId, before) {
+  let count = 0;
+  let pageToken;
+  do {
+    const url = new URL(`${CAL_BASE}/calendars/primary/events/${encodeURIComponent(seriesId)}/instances`);
+    url.searchParams.set('timeMax', before.toISOString());
+    url.searchParams.set('showDeleted', 'true');
+    url.searchParams.set('maxResults', '2500');
+    if (pageToken) url.searchParams.set('pageToken', pageToken);
+
+    const r = await fetch(url.href, { headers: { Authorization: `Bearer ${accessToken}` } });
+    const data = await r.json();
+    if (!r.ok) return { ok: false, status: r.status, data };
+    count += (data.items || []).filter(i => instantOf(i.originalStartTime || i.start) < before.getTime()).length;
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return { ok: true, status: 200, data: { count } };
+}
+
+async function calendarGetEvent(accessToken, eventId) {
+  const r = await fetch(`${CAL_BASE}/calendars/primary/events/${encodeURIComponent(eventId)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+async function calendarDelete(accessToken, { eventId, sendUpdates }) {
   if (!eventId) return { ok: false, status: 400, data: { error: 'eventId is required' } };
 
-  const r = await fetch(`https://www.googleapis.com/calendar/v3/calendars/primary/events/${encodeURIComponent(eventId)}`, {
+  const r = await fetch(calendarEventsUrl(eventId, { sendUpdates }), {
     method: 'DELETE',
     headers: { Authorization: `Bearer ${accessToken}` },
   });
-  const r = await fetch(
-    `https://www.googleapis.com/calendar/v3/calendars/primary/events/${encodeURIComponent(eventId)}`,
-    {
-      method: 'DELETE',
-      headers: { Authorization: `Bearer ${accessToken}` },
-    }
-  );
 
   // Delete often returns empty body
   const ok = r.ok;
   return { ok, status: r.status, data: ok ? { deleted: true } : { error: 'Delete failed' } };
 }
 
-
 // ---- Sheets helpers
 async function sheetsRead(accessToken, spreadsheetId, range) {
-  const url = `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}?majorDimension=ROWS`;
   const url =
     `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}?majorDimension=ROWS`;
   const r = await fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
@@ -428,139 +1002,2446 @@ async function sheetsRead(accessToken, spreadsheetId, range) {
   return { ok: r.ok, status: r.status, data };
 }
 
+// Writes answer with the cells as they now read (formulas, not results): the after-state the change journal keeps.
+const WRITE_RESPONSE = 'includeValuesInResponse=true&responseValueRenderOption=FORMULA';
+
 async function sheetsAppend(accessToken, spreadsheetId, range, values) {
-  const url = `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}:append?valueInputOption=USER_ENTERED`;
   const url =
-    `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}:append?valueInputOption=USER_ENTERED`;
+    `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}:append?valueInputOption=USER_ENTERED&${WRITE_RESPONSE}`;
   const r = await fetch(url, {
     method: 'POST',
     headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
-@ -422,7 +355,8 @@ async function sheetsAppend(accessToken, spreadsheetId, range, values) {
+    body: JSON.stringify({ values: [values] }),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
 }
 
 async function sheetsUpdateCell(accessToken, spreadsheetId, range, value) {
-  const url = `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}?valueInputOption=USER_ENTERED`;
   const url =
-    `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}?valueInputOption=USER_ENTERED`;
+    `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}?valueInputOption=USER_ENTERED&${WRITE_RESPONSE}`;
   const r = await fetch(url, {
     method: 'PUT',
     headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
-@ -682,6 +616,85 @@ async function actCalendarList(req, res, tokens) {
-  return json(res, 200, { ok: true, count: events.length, events });
+    body: JSON.stringify({ values: [[value]] }),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
 }
 
-async function actCalendarCreate(req, res, tokens) {
-  const b = parseBody(req);
-  const summary = (b.summary || '').toString().trim();
-  const start = (b.start || '').toString().trim();
+async function sheetsBatchWrite(accessToken, spreadsheetId, data) {
+  const url =
+    `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values:batchUpdate`;
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ valueInputOption: 'USER_ENTERED', data, includeValuesInResponse: true, responseValueRenderOption: 'FORMULA' }),
+  });
+  const out = await r.json();
+  return { ok: r.ok, status: r.status, data: out };
+}
 
-  if (!summary) return fail(res, 400, { error: 'summary is required' });
-  if (!start) return fail(res, 400, { error: 'start is required (ISO or parseable date string)' });
+// Single-cell ranges -> their values as formulas (what writing back with USER_ENTERED restores), '' when empty.
+async function sheetsReadCells(accessToken, spreadsheetId, ranges) {
+  const url = new URL(`https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}/values:batchGet`);
+  for (const range of ranges) url.searchParams.append('ranges', range);
+  url.searchParams.set('valueRenderOption', 'FORMULA');
+  const r = await fetch(url.href, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+  return { ok: true, status: 200, data: ranges.map((_, i) => data.valueRanges?.[i]?.values?.[0]?.[0] ?? '') };
+}
 
-  const out = await withRefresh(tokens, res, req, t =>
-    calendarCreate(t, {
-      summary,
-      description: b.description,
-      location: b.location,
-      start: b.start,
-      end: b.end,
-      durationMinutes: b.durationMinutes,
-      colorId: b.color || b.colorId, // allow "color":"tangerine"
-    })
-  );
-  if (!out.ok) return fail(res, out.status, { error: 'Calendar create failed', details: out.data });
+async function sheetsCreate(accessToken, title, tab) {
+  const r = await fetch('https://sheets.googleapis.com/v4/spreadsheets', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ properties: { title }, sheets: [{ properties: { title: tab } }] }),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
 
-  return json(res, 200, {
+async function sheetsBatchUpdate(accessToken, spreadsheetId, requests) {
+  const url = `https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}:batchUpdate`;
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ requests }),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+// Cells with their types (number format tells dates and currency apart) plus the spreadsheet's time zone.
+async function sheetsGrid(accessToken, spreadsheetId, range) {
+  const url = new URL(`https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}`);
+  url.searchParams.set('ranges', range);
+  url.searchParams.set('includeGridData', 'true');
+  url.searchParams.set('fields',
+    'properties(title,timeZone),sheets(properties/title,data(startRow,rowData/values(effectiveValue,formattedValue,effectiveFormat/numberFormat/type)))');
+  const r = await fetch(url.href, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+
+  const sheet = data.sheets?.[0] || {};
+  const grid = sheet.data?.[0] || {};
+  return {
     ok: true,
-    event: {
-      id: out.data.id,
-      summary: out.data.summary || '',
-      start: out.data.start?.dateTime || out.data.start?.date || null,
-      end: out.data.end?.dateTime || out.data.end?.date || null,
-      location: out.data.location || '',
-      colorId: out.data.colorId || null,
-      htmlLink: out.data.htmlLink || '',
-    }
+    status: 200,
+    data: {
+      title: data.properties?.title || '',
+      timeZone: data.properties?.timeZone || 'UTC',
+      tab: sheet.properties?.title || '',
+      startRow: grid.startRow || 0,
+      rowData: grid.rowData || [],
+    },
+  };
+}
+
+// Visible tab titles in the order they appear.
+async function sheetsTabs(accessToken, spreadsheetId) {
+  const url = new URL(`https://sheets.googleapis.com/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}`);
+  url.searchParams.set('fields', 'sheets.properties(title,hidden)');
+  const r = await fetch(url.href, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const data = await r.json();
+  if (!r.ok) return { ok: false, status: r.status, data };
+  const tabs = (data.sheets || []).filter(s => !s.properties?.hidden).map(s => s.properties?.title || '');
+  return { ok: true, status: 200, data: { tabs } };
+}
+
+// 'My Tab' -> "'My Tab'" (quotes are required once the tab name has spaces)
+function quotedTab(tab) {
+  return `'${(tab || 'Sheet1').replace(/'/g, "''")}'`;
+}
+
+// 'My Tab' -> "'My Tab'!A:Z"
+function tabRange(tab, range) {
+  return `${quotedTab(tab)}!${range || 'A:Z'}`;
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnLetter(index) {
+  let out = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) out = String.fromCharCode(65 + ((n - 1) % 26)) + out;
+  return out;
+}
+
+function columnIndex(letters) {
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// ---- Docs helpers
+async function docsGet(accessToken, docId) {
+  const r = await fetch(`https://docs.googleapis.com/v1/documents/${encodeURIComponent(docId)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
   });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
 }
 
-async function actCalendarUpdate(req, res, tokens) {
+async function docsCreate(accessToken, title) {
+  const r = await fetch('https://docs.googleapis.com/v1/documents', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title }),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+// revisionId: fail instead of writing if the doc changed since the read the indexes came from.
+async function docsBatchUpdate(accessToken, docId, requests, revisionId) {
+  const body = { requests };
+  if (revisionId) body.writeControl = { requiredRevisionId: revisionId };
+  const r = await fetch(`https://docs.googleapis.com/v1/documents/${encodeURIComponent(docId)}:batchUpdate`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await r.json();
+  return { ok: r.ok, status: r.status, data };
+}
+
+// Flattens paragraphs and table cells into plain text.
+function docToText(doc) {
+  const out = [];
+  (function walk(content) {
+    for (const el of content || []) {
+      if (el.paragraph) {
+        out.push((el.paragraph.elements || []).map(e => e.textRun?.content || '').join(''));
+      } else if (el.table) {
+        for (const row of el.table.tableRows || []) {
+          for (const cell of row.tableCells || []) walk(cell.content);
+        }
+      } else if (el.tableOfContents) {
+        walk(el.tableOfContents.content);
+      }
+    }
+  })(doc.body?.content);
+  return out.join('');
+}
+
+function docEndIndex(doc) {
+  const content = doc.body?.content || [];
+  return content.length ? content[content.length - 1].endIndex : 1;
+}
+
+// ---- Actions
+async function resolveSharedDrive(tokens, req, res, name) {
+  const r = await withRefresh(tokens, res, req, t => driveListSharedDrives(t, name));
+  if (!r.ok) throw { status: r.status, body: { error: 'Shared drive lookup failed', details: r.data } };
+  const drives = r.data.drives || [];
+  return drives.find(d => d.name.toLowerCase() === name.toLowerCase()) || drives[0] || null;
+}
+
+// name (in the file name), text (full text: contents, names, descriptions), mimeType, folderName and
+// sharedDrive narrow the search. More results: pass back `cursor`.
+async function actDriveSearch(req, res, tokens) {
   const b = parseBody(req);
-  const eventId = (b.eventId || '').toString().trim();
-  if (!eventId) return fail(res, 400, { error: 'eventId is required' });
+  const name = (b.name || '').toString().trim();
+  const text = (b.text || b.fullText || '').toString().trim();
+  const mimeType = (b.mimeType || '').toString().trim();
+  const pageSize = Math.min(200, Math.max(1, Number(b.pageSize) || 25));
+
+  const folderId = await resolveFolderId(tokens, req, res, (b.folderName || '').toString().trim(), { folderId: b.folderId });
+  if (b.folderName && !folderId) return fail(res, 404, { error: `Folder not found: ${b.folderName}` });
+
+  let sharedDrive = null;
+  if (b.sharedDrive) {
+    sharedDrive = await resolveSharedDrive(tokens, req, res, b.sharedDrive.toString().trim());
+    if (!sharedDrive) return fail(res, 404, { error: `Shared drive not found: ${b.sharedDrive}` });
+  }
+
+  const parts = ['trashed = false'];
+  if (folderId) parts.push(`${driveQuote(folderId)} in parents`);
+  if (name) parts.push(`name contains ${driveQuote(name)}`);
+  if (text) parts.push(`fullText contains ${driveQuote(text)}`);
+  if (mimeType) parts.push(`mimeType = ${driveQuote(mimeType)}`);
+
+  const out = await withRefresh(tokens, res, req, t => driveSearch(
+    t,
+    parts.join(' and '),
+    'nextPageToken,incompleteSearch,files(id,name,mimeType,modifiedTime,webViewLink,driveId,parents)',
+    pageSize,
+    // Full-text results come back in relevance order, which orderBy would override.
+    { pageToken: b.cursor ? b.cursor.toString() : undefined, driveId: sharedDrive?.id, orderBy: text ? undefined : 'modifiedTime desc' },
+  ));
+  if (!out.ok) return fail(res, out.status, { error: 'Drive search failed', details: out.data });
+
+  const files = out.data.files || [];
+  return json(res, 200, {
+    ok: true,
+    count: files.length,
+    files,
+    sharedDrive: sharedDrive ? sharedDrive.name : undefined,
+    cursor: out.data.nextPageToken || null,
+    incompleteSearch: out.data.incompleteSearch || undefined,
+  });
+}
 
+async function actDriveListRoot(req, res, tokens) {
   const out = await withRefresh(tokens, res, req, t =>
-    calendarUpdate(t, {
-      eventId,
-      summary: b.summary,
-      description: b.description,
-      location: b.location,
-      start: b.start,
-      end: b.end,
-      durationMinutes: b.durationMinutes,
-      colorId: b.color || b.colorId,
-    })
+    driveSearch(t, "'root' in parents and trashed = false", 'files(id,name,mimeType,modifiedTime,webViewLink)', 100)
   );
-  if (!out.ok) return fail(res, out.status, { error: 'Calendar update failed', details: out.data });
+  if (!out.ok) return fail(res, out.status, { error: 'Drive list failed', details: out.data });
 
-  return json(res, 200, {
-    ok: true,
-    event: {
-      id: out.data.id,
-      summary: out.data.summary || '',
-      start: out.data.start?.dateTime || out.data.start?.date || null,
-      end: out.data.end?.dateTime || out.data.end?.date || null,
-      location: out.data.location || '',
-      colorId: out.data.colorId || null,
-      htmlLink: out.data.htmlLink || '',
+  const files = out.data.files || [];
+  return json(res, 200, { ok: true, count: files.length, files });
+}
+
+function docChunkSize(b) {
+  return Math.min(20000, Math.max(500, Number(b.maxChars) || 6000));
+}
+
+// ---- Drive file operations (need the drive.write scope group)
+// fileId, or fileName (+ folderName) that must match a file name exactly (case-insensitive), since these change things.
+async function resolveDriveFile(tokens, req, res, b, { trashed = false } = {}) {
+  let fileId = (b.fileId || '').toString().trim();
+  const fileName = (b.fileName || '').toString().trim();
+  const folderName = (b.folderName || '').toString().trim();
+  if (fileId) {
+    await confirmFileChoice(req, fileId, { name: fileName, folderName });
+  } else {
+    if (!fileName) throw { status: 400, body: { error: 'fileId or fileName is required' } };
+
+    const folderId = await resolveFolderId(tokens, req, res, folderName, { folderId: b.folderId });
+    if (folderName && !folderId) throw { status: 404, body: { error: `Folder not found: ${folderName}` } };
+
+    const file = await resolveFileByName(tokens, req, res, { name: fileName, folderId, folderName, trashed });
+    if (!file) throw { status: 404, body: { error: `File not found: ${fileName}` } };
+    if (file.name.toLowerCase() !== fileName.toLowerCase()) {
+      throw { status: 404, body: { error: `No file named exactly ${fileName}`, closest: { id: file.id, name: file.name } } };
     }
+    fileId = file.id;
+  }
+
+  const r = await withRefresh(tokens, res, req, t => driveGetFile(t, fileId));
+  if (!r.ok) throw { status: r.status, body: { error: 'Drive file lookup failed', details: r.data } };
+  await guardFile(tokens, req, res, r.data);
+  return r.data;
+}
+
+// Destination folder: toFolderId, or toFolderName ("My Drive" / "root" for the top level).
+async function resolveDestination(tokens, req, res, b) {
+  const id = (b.toFolderId || '').toString().trim();
+  const name = (b.toFolderName || '').toString().trim();
+  if (!id && !name) return null;
+  const dest = !id && /^(root|my drive)$/i.test(name) ? { id: 'root', name: 'My Drive' } : null;
+  const folderId = dest ? dest.id : await resolveFolderId(tokens, req, res, name, { folderId: id, idField: 'toFolderId' });
+  if (!folderId) throw { status: 404, body: { error: `Folder not found: ${name}` } };
+  await guardFolder(tokens, req, res, folderId, dest ? dest.name : name);
+  return dest || { id: folderId, name: name || id };
+}
+
+function fileView(f) {
+  return { id: f.id, name: f.name, mimeType: f.mimeType, parents: f.parents, webViewLink: f.webViewLink };
+}
+
+async function actDriveMove(req, res, tokens) {
+  const b = parseBody(req);
+  const file = await resolveDriveFile(tokens, req, res, b);
+  const dest = await resolveDestination(tokens, req, res, b);
+  if (!dest) return fail(res, 400, { error: 'toFolderName or toFolderId is required' });
+
+  const from = (file.parents || []).join(',');
+  const out = await withRefresh(tokens, res, req, t => driveUpdateFile(t, file.id, {}, { addParents: dest.id, removeParents: from }));
+  if (!out.ok) return fail(res, out.status, { error: 'Drive move failed', details: out.data });
+  noteChange(req, {
+    type: 'file.patched', fileId: file.id, label: file.name, before: { parents: file.parents || [] }, after: { parents: out.data.parents || [] },
   });
+
+  return json(res, 200, { ok: true, file: fileView(out.data), folder: dest.name, previousParents: file.parents || [] });
 }
 
-async function actCalendarDelete(req, res, tokens) {
+async function actDriveRename(req, res, tokens) {
   const b = parseBody(req);
-  const eventId = (b.eventId || '').toString().trim();
-  if (!eventId) return fail(res, 400, { error: 'eventId is required' });
+  const newName = (b.newName || '').toString().trim();
+  if (!newName) return fail(res, 400, { error: 'newName is required' });
+  const file = await resolveDriveFile(tokens, req, res, b);
 
-  const out = await withRefresh(tokens, res, req, t => calendarDelete(t, { eventId }));
-  if (!out.ok) return fail(res, out.status, { error: 'Calendar delete failed', details: out.data });
+  const out = await withRefresh(tokens, res, req, t => driveUpdateFile(t, file.id, { name: newName }));
+  if (!out.ok) return fail(res, out.status, { error: 'Drive rename failed', details: out.data });
+  noteChange(req, { type: 'file.patched', fileId: file.id, label: newName, before: { name: file.name }, after: { name: out.data.name } });
 
-  return json(res, 200, { ok: true, deleted: true, eventId });
+  return json(res, 200, { ok: true, file: fileView(out.data), previousName: file.name });
 }
 
-// --- Web Search using SerpAPI ---
-async function actWebSearch(req, res /*, tokens */) {
+async function actDriveCopy(req, res, tokens) {
   const b = parseBody(req);
-@ -733,9 +746,9 @@ module.exports = async function handler(req, res) {
+  const file = await resolveDriveFile(tokens, req, res, b);
+  const dest = await resolveDestination(tokens, req, res, b);
 
-  const raw = ((req.query.action || req.query.op || '') + '').toLowerCase();
-  const alias = {
-    'read_by_search': 'sheets.read',
-    'append': 'sheets.appendrow',
-    'doc_append': 'docs.createappend'
-    read_by_search: 'sheets.read',
-    append: 'sheets.appendrow',
-    doc_append: 'docs.createappend'
+  const body = {};
+  if (b.newName) body.name = b.newName.toString().trim();
+  if (dest) body.parents = [dest.id];
+  const out = await withRefresh(tokens, res, req, t => driveCopyFile(t, file.id, body));
+  if (!out.ok) return fail(res, out.status, { error: 'Drive copy failed', details: out.data });
+  noteChange(req, { type: 'file.created', fileId: out.data.id, label: out.data.name, modifiedTime: out.data.modifiedTime });
+
+  return json(res, 200, { ok: true, file: fileView(out.data), source: { id: file.id, name: file.name }, folder: dest ? dest.name : undefined });
+}
+
+const SHARE_ROLES = ['reader', 'commenter', 'writer'];
+
+// emails (one or a list) get `role`; anyone:true makes a link anyone can open. Owner transfer is not offered.
+async function actDriveShare(req, res, tokens) {
+  const b = parseBody(req);
+  const role = (b.role || 'reader').toString().toLowerCase();
+  if (!SHARE_ROLES.includes(role)) return fail(res, 400, { error: `role must be one of ${SHARE_ROLES.join(', ')}` });
+
+  const emails = [].concat(b.emails || b.email || []).flatMap(e => String(e).split(/[,;]\s*/)).map(e => e.trim()).filter(Boolean);
+  const anyone = b.anyone === true || b.anyone === 'true';
+  if (!emails.length && !anyone) return fail(res, 400, { error: 'emails or anyone:true is required' });
+  const bad = emails.filter(e => !EMAIL_RE.test(e));
+  if (bad.length) return fail(res, 400, { error: 'Not email addresses', invalid: bad });
+
+  const file = await resolveDriveFile(tokens, req, res, b);
+  const opts = { notify: b.notify !== false, message: (b.message || '').toString() };
+  const targets = emails.map(e => ({ type: 'user', role, emailAddress: e }));
+  if (anyone) targets.push({ type: 'anyone', role });
+
+  const shared = [];
+  const failed = [];
+  for (const perm of targets) {
+    const out = await withRefresh(tokens, res, req, t => driveShareFile(t, file.id, perm, opts));
+    const who = perm.emailAddress || 'anyone with the link';
+    if (out.ok) shared.push({ who, role, permissionId: out.data.id });
+    else failed.push({ who, status: out.status, error: out.data?.error?.message || 'Share failed' });
+  }
+
+  const base = { file: { id: file.id, name: file.name, webViewLink: file.webViewLink }, shared, failed };
+  if (failed.length) return fail(res, shared.length ? 207 : failed[0].status || 502, { error: 'Sharing failed for some recipients', ...base });
+  return json(res, 200, { ok: true, ...base });
+}
+
+// Moves to the bin (restorable for 30 days); restore:true with a fileId or name takes it back out.
+async function actDriveTrash(req, res, tokens) {
+  const b = parseBody(req);
+  const restore = b.restore === true || b.restore === 'true';
+  const file = await resolveDriveFile(tokens, req, res, b, { trashed: restore });
+
+  const out = await withRefresh(tokens, res, req, t => driveUpdateFile(t, file.id, { trashed: !restore }));
+  if (!out.ok) return fail(res, out.status, { error: restore ? 'Drive restore failed' : 'Drive trash failed', details: out.data });
+  noteChange(req, {
+    type: 'file.patched', fileId: file.id, label: file.name, before: { trashed: !!file.trashed }, after: { trashed: !!out.data.trashed },
+  });
+
+  return json(res, 200, { ok: true, file: fileView(out.data), trashed: !!out.data.trashed });
+}
+
+// ---- Drive file contents (need the drive.read scope group)
+// PDFs and Office files are parsed here (lib/extract.js); Google Docs/Sheets/Slides are exported first.
+// Images, and PDFs without a text layer, go through Drive's OCR: a temporary Google Doc copy, exported and deleted.
+const READFILE_MAX_BYTES = 20 * 1024 * 1024;
+
+const GOOGLE_EXPORTS = {
+  [GOOGLE_DOC]: 'text/plain',
+  [GOOGLE_SHEET]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.google-apps.presentation': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+// fileId, or fileName (+ folderName): closest name match, like docs.read.
+async function resolveReadableFile(tokens, req, res, b) {
+  let fileId = (b.fileId || '').toString().trim();
+  const fileName = (b.fileName || '').toString().trim();
+  const folderName = (b.folderName || '').toString().trim();
+  if (fileId) {
+    await confirmFileChoice(req, fileId, { name: fileName, folderName });
+  } else {
+    if (!fileName) throw { status: 400, body: { error: 'fileId or fileName is required' } };
+
+    const folderId = await resolveFolderId(tokens, req, res, folderName, { folderId: b.folderId });
+    if (folderName && !folderId) throw { status: 404, body: { error: `Folder not found: ${folderName}` } };
+
+    const file = await resolveFileByName(tokens, req, res, { name: fileName, folderId, folderName });
+    if (!file) throw { status: 404, body: { error: `File not found: ${fileName}` } };
+    fileId = file.id;
+  }
+
+  const r = await withRefresh(tokens, res, req, t => driveGetFile(t, fileId, 'id,name,mimeType,size,webViewLink'));
+  if (!r.ok) throw { status: r.status, body: { error: 'Drive file lookup failed', details: r.data } };
+  return r.data;
+}
+
+async function ocrText(tokens, req, res, file, language) {
+  const copy = await withRefresh(tokens, res, req, t =>
+    driveCopyFile(t, file.id, { name: `OCR of ${file.name}`, mimeType: GOOGLE_DOC }, { ocrLanguage: language }));
+  if (!copy.ok) throw { status: copy.status, body: { error: 'Drive OCR conversion failed', details: copy.data } };
+
+  try {
+    const out = await withRefresh(tokens, res, req, t => driveDownload(t, copy.data.id, 'text/plain'));
+    if (!out.ok) throw { status: out.status, body: { error: 'Drive OCR export failed', details: out.data } };
+    return out.data.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+  } finally {
+    await withRefresh(tokens, res, req, t => driveDeleteFile(t, copy.data.id)).catch(() => null);
+  }
+}
+
+// Parts -> elements for chunkElements: the label ("Page 3", a sheet name, "Slide 2") as a heading, then one per line.
+function partElements(parts) {
+  const els = [];
+  let at = 0;
+  const add = (text, level, label) => {
+    els.push({ startIndex: at, endIndex: at + text.length + 1, text, level, label });
+    at += text.length + 1;
   };
-  const action = alias[raw] || raw;
+  for (const p of parts) {
+    if (parts.length > 1) add(`--- ${p.label} ---`, 1, p.label);
+    for (const line of p.text.split('\n')) add(line, null);
+  }
+  return els;
+}
+
+async function actDriveReadFile(req, res, tokens) {
+  const b = parseBody(req);
+  const file = await resolveReadableFile(tokens, req, res, b);
+  if (file.mimeType === 'application/vnd.google-apps.folder') return fail(res, 400, { error: `${file.name} is a folder` });
+  if (Number(file.size) > READFILE_MAX_BYTES) {
+    return fail(res, 413, { error: `File is too large to read (${Math.round(file.size / 1048576)} MB, limit ${READFILE_MAX_BYTES / 1048576} MB)`, webViewLink: file.webViewLink });
+  }
+
+  const exportAs = GOOGLE_EXPORTS[file.mimeType];
+  if (file.mimeType.startsWith('application/vnd.google-apps.') && !exportAs) {
+    return fail(res, 415, { error: `Can't read ${file.mimeType} files`, webViewLink: file.webViewLink });
+  }
+
+  let extracted = null;
+  const kind = exportAs ? kindOf(exportAs) || 'text' : kindOf(file.mimeType, file.name);
+  if (kind !== 'image') {
+    const dl = await withRefresh(tokens, res, req, t => driveDownload(t, file.id, exportAs));
+    if (!dl.ok) return fail(res, dl.status, { error: 'Drive download failed', details: dl.data });
+    extracted = extractText(dl.data, exportAs || file.mimeType, file.name);
+  }
+
+  // No text layer (scans, photos, some encrypted PDFs): let Drive OCR it.
+  let ocr = false;
+  const hasText = x => !!x && x.parts.some(p => p.text.trim());
+  if (!hasText(extracted) && (kind === 'image' || kind === 'pdf')) {
+    const text = await ocrText(tokens, req, res, file, (b.language || '').toString().trim());
+    extracted = { kind, parts: [{ label: file.name, text: text.slice(0, MAX_TEXT) }], truncated: text.length > MAX_TEXT };
+    ocr = true;
+  }
+
+  const els = partElements(extracted.parts);
+  const chunks = chunkElements(els, { maxChars: docChunkSize(b), by: b.by === 'chars' ? 'chars' : 'heading' });
+  const chars = chunks.reduce((n, c) => n + c.text.length, 0);
+  const labels = els.filter(e => e.label);
+  const chunkOf = e => (chunks.find(c => e.startIndex >= c.startIndex && e.startIndex < c.endIndex) || {}).chunk;
+  const outline = labels.map((e, i) => ({
+    n: i + 1,
+    text: e.label,
+    chars: extracted.parts[i].text.length,
+    chunk: chunkOf(e),
+  }));
+
+  const base = {
+    ok: true,
+    fileId: file.id,
+    name: file.name,
+    mimeType: file.mimeType,
+    kind: extracted.kind,
+    chars,
+    parts: extracted.parts.length,
+    truncated: extracted.truncated || undefined,
+    ocr: ocr || undefined,
+  };
+  if (!hasText(extracted)) {
+    return json(res, 200, { ...base, text: '', hint: 'The file has no readable text.' });
+  }
+  if (b.outlineOnly) return json(res, 200, { ...base, chunks: chunks.length, outline });
+  if (chunks.length <= 1) return json(res, 200, { ...base, outline, text: chunks[0].text });
+
+  const n = Math.min(chunks.length, Math.max(1, Math.floor(Number(b.chunk)) || 1));
+  const c = chunks[n - 1];
+  return json(res, 200, {
+    ...base,
+    chunks: chunks.length,
+    chunk: n,
+    next: n < chunks.length ? n + 1 : null,
+    headings: labels.filter(e => chunkOf(e) === n).map(e => e.label),
+    outline: n === 1 || b.outline ? outline : undefined,
+    text: c.text,
+    hint: 'Long file: answer from this chunk if you can, otherwise read another chunk (the outline shows which chunk holds each page or sheet).',
+  });
+}
+
+// Short docs come back whole. Long ones return an outline plus one chunk at a time (`chunk`, 1-based),
+// split at headings (`by: 'heading'`, default) or plain character windows (`by: 'chars'`).
+async function actDocsRead(req, res, tokens) {
+  const b = parseBody(req);
+  const doc = await resolveDocument(tokens, req, res, b);
+
+  const out = await withRefresh(tokens, res, req, t => docsGet(t, doc.id));
+  if (!out.ok) return fail(res, out.status, { error: 'Docs read failed', details: out.data });
+
+  const chunks = docChunks(out.data, { maxChars: docChunkSize(b), by: b.by === 'chars' ? 'chars' : 'heading' });
+  const outline = docOutline(out.data, chunks);
+  const chars = chunks.reduce((n, c) => n + c.text.length, 0);
+  const title = out.data.title || doc.name;
+
+  if (b.outlineOnly) return json(res, 200, { ok: true, docId: doc.id, title, chars, chunks: chunks.length, outline });
+  if (chunks.length <= 1) return json(res, 200, { ok: true, docId: doc.id, title, chars, outline, text: docToText(out.data) });
+
+  const n = Math.min(chunks.length, Math.max(1, Math.floor(Number(b.chunk)) || 1));
+  const c = chunks[n - 1];
+  return json(res, 200, {
+    ok: true,
+    docId: doc.id,
+    title,
+    chars,
+    chunks: chunks.length,
+    chunk: n,
+    next: n < chunks.length ? n + 1 : null,
+    headings: c.headings,
+    outline: n === 1 || b.outline ? outline : undefined,
+    text: c.text,
+    hint: 'Long document: answer from this chunk if you can, otherwise read another chunk or open a section by heading.',
+  });
+}
+
+// One heading and everything under it; long sections are paged with `part`.
+async function actDocsSection(req, res, tokens) {
+  const b = parseBody(req);
+  if (!b.heading && !b.n) return fail(res, 400, { error: 'heading (text) or n (outline number) is required' });
+  const doc = await resolveDocument(tokens, req, res, b);
+
+  const out = await withRefresh(tokens, res, req, t => docsGet(t, doc.id));
+  if (!out.ok) return fail(res, out.status, { error: 'Docs read failed', details: out.data });
+
+  let heading;
+  if (b.n) {
+    const all = headings(out.data);
+    heading = all[Math.floor(Number(b.n)) - 1];
+    if (!heading) return fail(res, 404, { error: `No heading number ${b.n}; the outline has ${all.length}` });
+  } else {
+    heading = findHeading(out.data, b.heading);
+  }
+
+  const section = sectionText(out.data, heading);
+  const parts = windows(section.elements, docChunkSize(b));
+  const part = Math.min(parts.length, Math.max(1, Math.floor(Number(b.part)) || 1));
+  return json(res, 200, {
+    ok: true,
+    docId: doc.id,
+    title: out.data.title || doc.name,
+    heading: heading.text.trim(),
+    level: heading.level,
+    chars: section.text.length,
+    subheadings: section.elements.filter(e => e.level !== null && e.level > heading.level).map(e => e.text.trim()),
+    part,
+    parts: parts.length,
+    next: part < parts.length ? part + 1 : null,
+    text: parts[part - 1]?.text || '',
+  });
+}
 
-@ -754,13 +767,15 @@ module.exports = async function handler(req, res) {
-    if (action === 'calendar.delete')   return await actCalendarDelete(req, res, tokens);
-    if (action === 'web.search')        return await actWebSearch(req, res, tokens);
-
-    // FIX: include the new calendar actions here so the error message matches reality.
-    return fail(res, 400, {
-      error: 'Unknown or missing action.',
-      allowed: [
-        'drive.search','drive.listroot',
-        'docs.read','docs.createappend',
-        'sheets.read','sheets.appendrow','sheets.updatecell',
-        'gmail.list','calendar.list',
-        'drive.search', 'drive.listroot',
-        'docs.read', 'docs.createappend',
-        'sheets.read', 'sheets.appendrow', 'sheets.updatecell',
-        'gmail.list',
-        'calendar.list', 'calendar.create', 'calendar.update', 'calendar.delete',
-        'web.search'
-      ]
+async function actDocsCreateAppend(req, res, tokens) {
+  const b = parseBody(req);
+  let docId = (b.docId || '').toString().trim();
+  const docName = (b.docName || '').toString().trim();
+  const mode = (b.mode || 'append').toString().toLowerCase();
+  const text = (b.text ?? '').toString();
+
+  if (!text) return fail(res, 400, { error: 'text is required' });
+  if (mode !== 'append' && mode !== 'replace') return fail(res, 400, { error: 'mode must be append or replace' });
+
+  let created = false;
+  const folderName = (b.folderName || '').toString().trim();
+  if (docId) {
+    await confirmFileChoice(req, docId, { name: docName, folderName, mimeType: GOOGLE_DOC });
+    await guardFile(tokens, req, res, { id: docId });
+  } else {
+    if (!docName) return fail(res, 400, { error: 'docId or docName is required' });
+    const folderId = await resolveFolderId(tokens, req, res, folderName, { folderId: b.folderId });
+    if (folderName && !folderId) return fail(res, 404, { error: `Folder not found: ${folderName}` });
+
+    const file = await resolveFileByName(tokens, req, res, {
+      name: docName, folderId, folderName, mimeType: GOOGLE_DOC, idField: 'docId',
     });
+
+    if (file) {
+      await guardFile(tokens, req, res, file);
+      docId = file.id;
+    } else {
+      await guardFolder(tokens, req, res, folderId, folderName);
+      const c = await withRefresh(tokens, res, req, t => docsCreate(t, docName));
+      if (!c.ok) return fail(res, c.status, { error: 'Docs create failed', details: c.data });
+      docId = c.data.documentId;
+      created = true;
+      if (folderId) {
+        const mv = await withRefresh(tokens, res, req, t => driveMoveToFolder(t, docId, folderId));
+        if (!mv.ok) {
+          noteChange(req, { type: 'file.created', fileId: docId, label: docName });
+          return fail(res, mv.status, { error: 'Doc created but move to folder failed', docId, details: mv.data });
+        }
+      }
+    }
+  }
+
+  const requests = [];
+  let previous = '';
+  const inserted = mode === 'replace' || text.endsWith('\n') ? text : text + '\n';
+  if (mode === 'replace') {
+    const cur = await withRefresh(tokens, res, req, t => docsGet(t, docId));
+    if (!cur.ok) return fail(res, cur.status, { error: 'Docs read failed', details: cur.data });
+    previous = docToText(cur.data);
+    const end = docEndIndex(cur.data);
+    if (end > 2) requests.push({ deleteContentRange: { range: { startIndex: 1, endIndex: end - 1 } } });
+    requests.push({ insertText: { location: { index: 1 }, text: inserted } });
+  } else {
+    requests.push({ insertText: { endOfSegmentLocation: {}, text: inserted } });
+  }
+
+  const out = await withRefresh(tokens, res, req, t => docsBatchUpdate(t, docId, requests));
+  if (!out.ok) return fail(res, out.status, { error: 'Docs write failed', docId, details: out.data });
+  const revisionId = out.data.writeControl?.requiredRevisionId;
+  const label = docName || docId;
+  if (created) noteChange(req, { type: 'file.created', fileId: docId, label, revisionId });
+  else if (mode === 'replace') noteChange(req, { type: 'doc.replaced', docId, label, revisionId, before: previous });
+  else noteChange(req, { type: 'doc.inserted', docId, label, revisionId, length: inserted.length });
+
+  return json(res, 200, { ok: true, docId, created, mode, chars: text.length });
+}
+
+// ---- Docs editing: Markdown writes (lib/docsmarkdown.js) and find/replace
+// docId, or docName (+ folderName) looked up in Drive; `create` makes the doc when the name is not found.
+async function resolveDocument(tokens, req, res, b, { create = false } = {}) {
+  const docId = (b.docId || '').toString().trim();
+  const docName = (b.docName || '').toString().trim();
+  const folderName = (b.folderName || '').toString().trim();
+  if (docId) {
+    await confirmFileChoice(req, docId, { name: docName, folderName, mimeType: GOOGLE_DOC });
+    await guardFile(tokens, req, res, { id: docId });
+    return { id: docId, name: '', created: false };
+  }
+  if (!docName) throw { status: 400, body: { error: 'docId or docName is required' } };
+
+  const folderId = await resolveFolderId(tokens, req, res, folderName, { folderId: b.folderId });
+  if (folderName && !folderId) throw { status: 404, body: { error: `Folder not found: ${folderName}` } };
+
+  const file = await resolveFileByName(tokens, req, res, {
+    name: docName, folderId, folderName, mimeType: GOOGLE_DOC, idField: 'docId',
+  });
+  if (file) {
+    await guardFile(tokens, req, res, file);
+    return { id: file.id, name: file.name, created: false };
+  }
+  if (!create) throw { status: 404, body: { error: `Document not found: ${docName}` } };
+
+  await guardFolder(tokens, req, res, folderId, folderName);
+  const c = await withRefresh(tokens, res, req, t => docsCreate(t, docName));
+  if (!c.ok) throw { status: c.status, body: { error: 'Docs create failed', details: c.data } };
+  const id = c.data.documentId;
+  if (folderId) {
+    const mv = await withRefresh(tokens, res, req, t => driveMoveToFolder(t, id, folderId));
+    if (!mv.ok) {
+      noteChange(req, { type: 'file.created', fileId: id, label: docName });
+      throw { status: mv.status, body: { error: 'Doc created but move to folder failed', docId: id, details: mv.data } };
+    }
+  }
+  return { id, name: docName, created: true };
+}
+
+const DOC_WRITE_MODES = ['append', 'replace', 'under_heading', 'replace_section'];
+
+// Requests that leave an empty, plain paragraph at `index` to write into.
+function plainParagraphAt(index) {
+  const range = { startIndex: index, endIndex: index + 1 };
+  return [
+    { updateParagraphStyle: { range, paragraphStyle: { namedStyleType: 'NORMAL_TEXT' }, fields: 'namedStyleType' } },
+    { deleteParagraphBullets: { range } },
+  ];
+}
+
+// Markdown goes in at the start of a paragraph. At the end of the body that is the last paragraph if it is
+// empty, otherwise a new one split off before the final newline.
+function openAtEnd(doc, requests) {
+  const els = bodyElements(doc);
+  const last = els[els.length - 1];
+  if (last?.type === 'paragraph' && !last.text) return last.startIndex;
+  const end = docEnd(doc);
+  requests.push({ insertText: { location: { index: end - 1 }, text: '\n' } }, ...plainParagraphAt(end));
+  return end;
+}
+
+// Where a write at `at` (after deleting `removed`, if any) changed the document, for the doc.range journal op: the new
+// text starts at startIndex and ends `tail` indexes before the end of the body; `before` is the text it replaced.
+function writtenRange(doc, at, removed) {
+  const end = docEnd(doc);
+  const startIndex = Math.min(at, end - 1); // openAtEnd splits off its paragraph just before the final newline
+  if (!removed) return { startIndex, tail: end - startIndex, before: '' };
+  const before = bodyElements(doc)
+    .filter(e => e.startIndex >= removed.start && e.startIndex < removed.end)
+    .map(e => `${e.text}\n`)
+    .join('');
+  return { startIndex, tail: end - removed.end, before: removed.atEnd ? before.replace(/\n$/, '') : before };
+}
+
+// mode: append (default) | replace (whole body) | under_heading (end of that section, or its start with
+// position:'start') | replace_section (everything between the heading and the next one of its level).
+async function actDocsWrite(req, res, tokens) {
+  const b = parseBody(req);
+  const markdown = (b.markdown ?? b.text ?? '').toString();
+  if (!markdown.trim()) return fail(res, 400, { error: 'markdown is required' });
+
+  const mode = (b.mode || 'append').toString().toLowerCase();
+  if (!DOC_WRITE_MODES.includes(mode)) return fail(res, 400, { error: `mode must be one of ${DOC_WRITE_MODES.join(', ')}` });
+  const sectional = mode === 'under_heading' || mode === 'replace_section';
+  if (sectional && !b.heading) return fail(res, 400, { error: `heading is required for mode ${mode}` });
+
+  const doc = await resolveDocument(tokens, req, res, b, { create: !sectional });
+  const cur = await withRefresh(tokens, res, req, t => docsGet(t, doc.id));
+  if (!cur.ok) return fail(res, cur.status, { error: 'Docs read failed', details: cur.data });
+
+  const requests = [];
+  let at;
+  let heading = null;
+  let removed = null; // the [start, end) replace_section deletes
+  if (mode === 'append') {
+    at = openAtEnd(cur.data, requests);
+  } else if (mode === 'replace') {
+    const end = docEnd(cur.data);
+    if (end > 2) requests.push({ deleteContentRange: { range: { startIndex: 1, endIndex: end - 1 } } });
+    requests.push(...plainParagraphAt(1));
+    at = 1;
+  } else {
+    heading = findHeading(cur.data, b.heading);
+    const section = sectionRange(cur.data, heading);
+    if (mode === 'replace_section') {
+      if (section.end > section.start) {
+        removed = section;
+        requests.push({ deleteContentRange: { range: { startIndex: section.start, endIndex: section.end } } });
+        if (section.atEnd) requests.push(...plainParagraphAt(section.start));
+      }
+      at = section.end > section.start || !section.atEnd ? section.start : openAtEnd(cur.data, requests);
+    } else if (b.position === 'start') {
+      at = heading.endIndex < docEnd(cur.data) ? heading.endIndex : openAtEnd(cur.data, requests);
+    } else {
+      at = section.atEnd ? openAtEnd(cur.data, requests) : section.end;
+    }
+  }
+
+  const md = markdownRequests(markdown, at);
+  requests.push(...md.requests);
+
+  const out = await withRefresh(tokens, res, req, t => docsBatchUpdate(t, doc.id, requests, cur.data.revisionId));
+  if (!out.ok) return fail(res, out.status, { error: 'Docs write failed', docId: doc.id, details: out.data });
+  const revisionId = out.data.writeControl?.requiredRevisionId;
+  const label = cur.data.title || doc.name || doc.id;
+  if (doc.created) noteChange(req, { type: 'file.created', fileId: doc.id, label, revisionId });
+  else if (mode === 'replace') noteChange(req, { type: 'doc.replaced', docId: doc.id, label, revisionId, before: docToText(cur.data) });
+  else noteChange(req, { type: 'doc.range', docId: doc.id, label, revisionId, ...writtenRange(cur.data, at, removed) });
+
+  return json(res, 200, {
+    ok: true,
+    docId: doc.id,
+    title: cur.data.title || doc.name,
+    created: doc.created,
+    mode,
+    heading: heading ? heading.text : undefined,
+    paragraphs: md.paragraphs,
+    tables: md.tables,
+    chars: md.chars,
+  });
+}
+
+// replacements: [{ find, replace, matchCase }] (or a single find/replace), applied in order.
+async function actDocsReplace(req, res, tokens) {
+  const b = parseBody(req);
+  const pairs = Array.isArray(b.replacements) ? b.replacements : [{ find: b.find, replace: b.replace, matchCase: b.matchCase }];
+  const list = pairs
+    .filter(p => p && String(p.find ?? '') !== '')
+    .map(p => ({ find: String(p.find), replace: String(p.replace ?? ''), matchCase: p.matchCase === true }));
+  if (!list.length) return fail(res, 400, { error: 'find (or replacements: [{ find, replace }]) is required' });
+  if (list.length > 50) return fail(res, 400, { error: 'At most 50 replacements per call' });
+
+  const doc = await resolveDocument(tokens, req, res, b);
+  const cur = await withRefresh(tokens, res, req, t => docsGet(t, doc.id));
+  if (!cur.ok) return fail(res, cur.status, { error: 'Docs read failed', details: cur.data });
+  const requests = list.map(p => ({
+    replaceAllText: { containsText: { text: p.find, matchCase: p.matchCase }, replaceText: p.replace },
+  }));
+
+  const out = await withRefresh(tokens, res, req, t => docsBatchUpdate(t, doc.id, requests, cur.data.revisionId));
+  if (!out.ok) return fail(res, out.status, { error: 'Docs replace failed', docId: doc.id, details: out.data });
+
+  const replies = out.data.replies || [];
+  const results = list.map((p, i) => ({ ...p, occurrences: replies[i]?.replaceAllText?.occurrencesChanged || 0 }));
+  const total = results.reduce((n, r) => n + r.occurrences, 0);
+  if (total) {
+    noteChange(req, {
+      type: 'doc.replaced',
+      docId: doc.id,
+      label: cur.data.title || doc.name || doc.id,
+      revisionId: out.data.writeControl?.requiredRevisionId,
+      before: docToText(cur.data),
+    });
+  }
+  return json(res, 200, {
+    ok: true,
+    docId: doc.id,
+    replacements: results,
+    total,
+  });
+}
+
+async function resolveSpreadsheet(tokens, req, res, b) {
+  const spreadsheetId = (b.spreadsheetId || b.fileId || '').toString().trim();
+  const fileName = (b.fileName || '').toString().trim();
+  const folderName = (b.folderName || '').toString().trim();
+  if (spreadsheetId) {
+    await confirmFileChoice(req, spreadsheetId, { name: fileName, folderName, mimeType: GOOGLE_SHEET });
+    await guardFile(tokens, req, res, { id: spreadsheetId }, { spreadsheet: true });
+    return { id: spreadsheetId, name: '' };
+  }
+  if (!fileName) throw { status: 400, body: { error: 'fileName or spreadsheetId is required' } };
+
+  const folderId = await resolveFolderId(tokens, req, res, folderName, { folderId: b.folderId });
+  if (folderName && !folderId) throw { status: 404, body: { error: `Folder not found: ${folderName}` } };
+
+  const file = await resolveFileByName(tokens, req, res, {
+    name: fileName, folderId, folderName, mimeType: GOOGLE_SHEET, idField: 'spreadsheetId',
+  });
+  if (!file) throw { status: 404, body: { error: `Spreadsheet not found: ${fileName}` } };
+  await guardFile(tokens, req, res, file, { spreadsheet: true });
+  return file;
+}
+
+// The tab a call names, else the spreadsheet's first one (a template's is "Expenses" or "Invoices", not Sheet1).
+async function tabFor(tokens, req, res, file, b) {
+  const tab = (b.tab || '').toString().trim();
+  if (tab) return tab;
+  const out = await withRefresh(tokens, res, req, t => sheetsTabs(t, file.id));
+  if (!out.ok) throw { status: out.status, body: { error: 'Sheets read failed', details: out.data } };
+  return out.data.tabs[0] || 'Sheet1';
+}
+
+async function actSheetsRead(req, res, tokens) {
+  const b = parseBody(req);
+  const file = await resolveSpreadsheet(tokens, req, res, b);
+  const range = tabRange(await tabFor(tokens, req, res, file, b), (b.range || '').toString().trim());
+
+  const out = await withRefresh(tokens, res, req, t => sheetsRead(t, file.id, range));
+  if (!out.ok) return fail(res, out.status, { error: 'Sheets read failed', details: out.data });
+
+  const values = out.data.values || [];
+  return json(res, 200, { ok: true, file: { id: file.id, name: file.name }, range: out.data.range || range, rows: values.length, values });
+}
+
+// Header-aware query: filters, sort, group-by and sum/count/avg/min/max computed here (lib/sheetquery.js),
+// so the model reads totals instead of adding up raw cells.
+async function actSheetsQuery(req, res, tokens) {
+  const b = parseBody(req);
+  const file = await resolveSpreadsheet(tokens, req, res, b);
+  const range = tabRange(await tabFor(tokens, req, res, file, b), (b.range || '').toString().trim());
+
+  const out = await withRefresh(tokens, res, req, t => sheetsGrid(t, file.id, range));
+  if (!out.ok) return fail(res, out.status, { error: 'Sheets read failed', details: out.data });
+
+  const headerRow = Math.max(1, Number(b.headerRow) || 1);
+  const table = toRecords(out.data.rowData, { headerRow, firstRow: out.data.startRow + 1 });
+  if (!table.headers.length) return fail(res, 404, { error: `No header row found in ${range}` });
+
+  const result = runQuery(table, {
+    where: b.where || b.filters,
+    match: b.match,
+    select: b.select,
+    sort: b.sort,
+    limit: b.limit,
+    groupBy: b.groupBy,
+    aggregates: b.aggregates,
+    includeRows: b.includeRows,
+  }, { timeZone: out.data.timeZone });
+
+  return json(res, 200, {
+    ok: true,
+    file: { id: file.id, name: file.name || out.data.title },
+    tab: out.data.tab,
+    timeZone: out.data.timeZone,
+    scanned: table.records.length,
+    ...result,
+  });
+}
+
+// ---- Header-mapped Sheets edits (upsert / batchupdate)
+// The whole tab as formatted text; header row -> column names, so callers never deal in A1 positions.
+async function loadSheetTable(tokens, req, res, file, b) {
+  const name = await tabFor(tokens, req, res, file, b);
+  const tab = quotedTab(name);
+  const out = await withRefresh(tokens, res, req, t => sheetsRead(t, file.id, tab));
+  if (!out.ok) throw { status: out.status, body: { error: 'Sheets read failed', details: out.data } };
+
+  const values = out.data.values || [];
+  const headerRow = Math.max(1, Number(b.headerRow) || 1);
+  const headers = headerNames(values[headerRow - 1] || []);
+  if (!headers.length) throw { status: 404, body: { error: `No header row found on ${tab} (row ${headerRow})` } };
+  return { name, tab, headerRow, headers, values };
+}
+
+function cellText(v) {
+  return v === null || v === undefined ? '' : String(v).trim();
+}
+
+// "$1,200.50" and 1200.5 are the same value, so writing one over the other is not a change.
+function sameCell(from, to) {
+  const a = cellText(from);
+  const b = cellText(to);
+  if (a === b) return true;
+  const num = v => (/^[-+]?[$€£]?[\d,]*\.?\d+%?$/.test(v) ? Number(v.replace(/[$€£,%]/g, '')) : NaN);
+  return b !== '' && num(a) === num(b);
+}
+
+// { Status: 'Paid' } -> [{ column: 'Status', index: 3, value: 'Paid' }]; unknown headers are a 400.
+function mapRecord(table, record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record) || !Object.keys(record).length) {
+    throw { status: 400, body: { error: 'values must be an object keyed by column header', columns: table.headers } };
+  }
+  return Object.entries(record).map(([name, value]) => {
+    const column = findHeader(table.headers, name);
+    return { column, index: table.headers.indexOf(column), value: value ?? '' };
+  });
+}
+
+// Row numbers (1-based) below the header whose columns all equal `match` (trimmed, case-insensitive).
+function matchRows(table, match) {
+  const keys = mapRecord(table, match).map(k => ({ ...k, want: cellText(k.value).toLowerCase() }));
+  const blank = keys.find(k => !k.want);
+  if (blank) throw { status: 400, body: { error: `Key value for ${blank.column} is empty` } };
+
+  const rows = [];
+  for (let i = table.headerRow; i < table.values.length; i++) {
+    const row = table.values[i] || [];
+    if (keys.every(k => cellText(row[k.index]).toLowerCase() === k.want)) rows.push(i + 1);
+  }
+  return rows;
+}
+
+function singleRow(table, match) {
+  const rows = matchRows(table, match);
+  if (!rows.length) throw { status: 404, body: { error: 'No row matches', match } };
+  if (rows.length > 1) throw { status: 409, body: { error: 'More than one row matches; add another key column', match, rows } };
+  return rows[0];
+}
+
+// One planned cell write; null when the cell already holds that value.
+function cellChange(table, row, index, value) {
+  const from = (table.values[row - 1] || [])[index] ?? '';
+  if (sameCell(from, value)) return null;
+  return {
+    cell: `${columnLetter(index)}${row}`,
+    row,
+    column: row > table.headerRow ? table.headers[index] || null : null,
+    from,
+    to: value,
+  };
+}
+
+// { cell:'B7', value } | { row: 12, values:{...} } | { match:{ Invoice:'1043' }, values:{...} } -> changes
+function planUpdate(table, u) {
+  if (!u || typeof u !== 'object') throw { status: 400, body: { error: 'each update must be an object' } };
+
+  if (u.cell) {
+    const m = /^([A-Z]+)([0-9]+)$/.exec(String(u.cell).trim().toUpperCase());
+    if (!m || Number(m[2]) < 1) throw { status: 400, body: { error: `cell must be an A1 reference like B7, got ${u.cell}` } };
+    const change = cellChange(table, Number(m[2]), columnIndex(m[1]), u.value ?? '');
+    return change ? [change] : [];
+  }
+
+  let row;
+  if (u.match) row = singleRow(table, u.match);
+  else if (Number.isInteger(Number(u.row)) && Number(u.row) > table.headerRow) row = Number(u.row);
+  else throw { status: 400, body: { error: `each update needs cell, row (below header row ${table.headerRow}) or match` } };
+
+  return mapRecord(table, u.values).map(c => cellChange(table, row, c.index, c.value)).filter(Boolean);
+}
+
+// ---- Sheets change journal: cells as formulas before the write, and as the write response says they now read
+async function cellsBefore(tokens, req, res, spreadsheetId, ranges) {
+  const out = await withRefresh(tokens, res, req, t => sheetsReadCells(t, spreadsheetId, ranges));
+  if (!out.ok) throw { status: out.status, body: { error: 'Sheets read failed', details: out.data } };
+  return out.data;
+}
+
+function writtenValue(updatedData, sent) {
+  return updatedData ? updatedData.values?.[0]?.[0] ?? '' : sent;
+}
+
+// The row an append wrote (updatedRange "'Tab'!A5:C5"), cell by cell; those cells were empty before.
+function appendedCells(updates, sent) {
+  const range = updates?.updatedRange || '';
+  const bang = range.lastIndexOf('!');
+  const m = /^([A-Z]+)([0-9]+)/.exec(range.slice(bang + 1));
+  if (bang < 0 || !m) return [];
+  const tab = range.slice(0, bang);
+  const row = updates.updatedData ? updates.updatedData.values?.[0] || [] : sent;
+  return row.map((v, i) => ({ range: `${tab}!${columnLetter(columnIndex(m[1]) + i)}${m[2]}`, before: '', after: v ?? '' }));
+}
+
+// A single change goes through sheetsUpdateCell; several are one values:batchUpdate call.
+async function writeChanges(tokens, req, res, file, table, changes) {
+  const ranges = changes.map(c => `${table.tab}!${c.cell}`);
+  const before = await cellsBefore(tokens, req, res, file.id, ranges);
+  const journal = after => noteChange(req, {
+    type: 'cells',
+    spreadsheetId: file.id,
+    label: file.name || file.id,
+    cells: ranges.map((range, i) => ({ range, before: before[i], after: after[i] })),
+  });
+
+  if (changes.length === 1) {
+    const out = await withRefresh(tokens, res, req, t => sheetsUpdateCell(t, file.id, ranges[0], changes[0].to));
+    if (!out.ok) throw { status: out.status, body: { error: 'Sheets update failed', details: out.data } };
+    journal([writtenValue(out.data.updatedData, changes[0].to)]);
+    return out.data.updatedCells || 1;
+  }
+  const data = changes.map((c, i) => ({ range: ranges[i], values: [[c.to]] }));
+  const out = await withRefresh(tokens, res, req, t => sheetsBatchWrite(t, file.id, data));
+  if (!out.ok) throw { status: out.status, body: { error: 'Sheets update failed', details: out.data } };
+  journal(changes.map((c, i) => writtenValue(out.data.responses?.[i]?.updatedData, c.to)));
+  return out.data.totalUpdatedCells || changes.length;
+}
+
+// Update the row whose key column(s) match, or append one. mode: upsert (default) | update | insert.
+async function actSheetsUpsert(req, res, tokens) {
+  const b = parseBody(req);
+  const record = b.values || b.record;
+  const keys = [].concat(b.key || b.keys || []).map(k => String(k).trim()).filter(Boolean);
+  if (!keys.length) return fail(res, 400, { error: 'key (column name or list of names) is required' });
+
+  const mode = (b.mode || 'upsert').toString();
+  if (!['upsert', 'update', 'insert'].includes(mode)) return fail(res, 400, { error: 'mode must be upsert, update or insert' });
+  const dryRun = b.dryRun === true || b.dryRun === 'true';
+
+  const file = await resolveSpreadsheet(tokens, req, res, b);
+  const table = await loadSheetTable(tokens, req, res, file, b);
+  const cols = mapRecord(table, record);
+
+  const match = {};
+  for (const k of keys) {
+    const col = cols.find(c => c.column === findHeader(table.headers, k));
+    if (!col) return fail(res, 400, { error: `values has no entry for key column ${k}` });
+    match[col.column] = col.value;
+  }
+
+  const rows = matchRows(table, match);
+  const base = { ok: true, file: { id: file.id, name: file.name }, tab: table.name, key: match, dryRun };
+  if (rows.length > 1) return fail(res, 409, { error: 'More than one row matches; add another key column', match, rows });
+
+  if (rows.length === 1) {
+    if (mode === 'insert') return fail(res, 409, { error: 'A row with that key already exists', match, row: rows[0] });
+    const changes = cols.map(c => cellChange(table, rows[0], c.index, c.value)).filter(Boolean);
+    if (dryRun || !changes.length) return json(res, 200, { ...base, action: 'update', row: rows[0], changes });
+
+    const updatedCells = await writeChanges(tokens, req, res, file, table, changes);
+    return json(res, 200, { ...base, action: 'update', row: rows[0], changes, updatedCells });
+  }
+
+  if (mode === 'update') return fail(res, 404, { error: 'No row matches', match });
+
+  const values = new Array(Math.max(...cols.map(c => c.index)) + 1).fill('');
+  for (const c of cols) values[c.index] = c.value;
+  const changes = cols.map(c => ({ column: c.column, from: '', to: c.value }));
+  if (dryRun) return json(res, 200, { ...base, action: 'append', changes });
+
+  const out = await withRefresh(tokens, res, req, t => sheetsAppend(t, file.id, `${table.tab}!A:A`, values));
+  if (!out.ok) return fail(res, out.status, { error: 'Sheets append failed', details: out.data });
+  noteChange(req, { type: 'cells', spreadsheetId: file.id, label: file.name || file.id, cells: appendedCells(out.data.updates, values) });
+
+  return json(res, 200, { ...base, action: 'append', changes, updatedRange: out.data.updates?.updatedRange || '' });
+}
+
+// Several edits against one read of the tab. Every update is checked first; if any fails nothing is written.
+async function actSheetsBatchUpdate(req, res, tokens) {
+  const b = parseBody(req);
+  const updates = Array.isArray(b.updates) ? b.updates : [];
+  if (!updates.length) return fail(res, 400, { error: 'updates (non-empty array) is required' });
+  if (updates.length > 100) return fail(res, 400, { error: 'At most 100 updates per call' });
+  const dryRun = b.dryRun === true || b.dryRun === 'true';
+
+  const file = await resolveSpreadsheet(tokens, req, res, b);
+  const table = await loadSheetTable(tokens, req, res, file, b);
+
+  const byCell = new Map(); // later updates to the same cell win
+  const errors = [];
+  updates.forEach((u, index) => {
+    try {
+      for (const c of planUpdate(table, u)) byCell.set(c.cell, c);
+    } catch (e) {
+      if (!(e && e.status && e.body)) throw e;
+      errors.push({ index, ...e.body });
+    }
+  });
+  if (errors.length) return fail(res, 400, { error: 'Some updates could not be applied; nothing was written', errors });
+
+  const changes = [...byCell.values()];
+  const base = { ok: true, file: { id: file.id, name: file.name }, tab: table.name, dryRun, changes };
+  if (dryRun || !changes.length) return json(res, 200, base);
+
+  const updatedCells = await writeChanges(tokens, req, res, file, table, changes);
+  return json(res, 200, { ...base, updatedCells });
+}
+
+// ---- Spreadsheets and tabs from templates (lib/sheettemplates.js)
+async function actSheetsCreate(req, res, tokens) {
+  const b = parseBody(req);
+  const template = resolveTemplate(b.template, b.columns);
+  const title = (b.title || b.fileName || template.title || '').toString().trim();
+  if (!title) return fail(res, 400, { error: 'title is required' });
+  const tab = (b.tab || template.tab || 'Sheet1').toString().trim();
+
+  const folderName = (b.folderName || '').toString().trim();
+  const folderId = await resolveFolderId(tokens, req, res, folderName, { folderId: b.folderId });
+  if (folderName && !folderId) return fail(res, 404, { error: `Folder not found: ${folderName}` });
+  await guardFolder(tokens, req, res, folderId, folderName);
+
+  // "Start a new expenses log" said twice should not leave two files with the same name.
+  if (!b.allowDuplicate) {
+    const files = await findFilesByName(tokens, req, res, { name: title, folderId, mimeType: GOOGLE_SHEET });
+    const existing = files.find(f => f.name.toLowerCase() === title.toLowerCase());
+    if (existing) {
+      return fail(res, 409, { error: `A spreadsheet named ${existing.name} already exists`, file: { id: existing.id, name: existing.name } });
+    }
+  }
+
+  const c = await withRefresh(tokens, res, req, t => sheetsCreate(t, title, tab));
+  if (!c.ok) return fail(res, c.status, { error: 'Sheets create failed', details: c.data });
+  const spreadsheetId = c.data.spreadsheetId;
+  const sheetId = c.data.sheets?.[0]?.properties?.sheetId ?? 0;
+  // Sheets has no revision to compare against later; undo only checks the file is still there (the bin keeps it).
+  // Noted now, so the file is journaled even when the template or the move below fails.
+  noteChange(req, { type: 'file.created', fileId: spreadsheetId, label: title });
+
+  const f = await withRefresh(tokens, res, req, t => sheetsBatchUpdate(t, spreadsheetId, templateRequests(sheetId, template)));
+  if (!f.ok) return fail(res, f.status, { error: 'Spreadsheet created but applying the template failed', spreadsheetId, details: f.data });
+
+  if (folderId) {
+    const mv = await withRefresh(tokens, res, req, t => driveMoveToFolder(t, spreadsheetId, folderId));
+    if (!mv.ok) return fail(res, mv.status, { error: 'Spreadsheet created but move to folder failed', spreadsheetId, details: mv.data });
+  }
+
+  return json(res, 200, {
+    ok: true,
+    file: { id: spreadsheetId, name: title, url: c.data.spreadsheetUrl || '' },
+    folder: folderId ? folderName : null,
+    tab,
+    template: template.name,
+    columns: template.columns.map(col => col.header),
+  });
+}
+
+async function actSheetsAddTab(req, res, tokens) {
+  const b = parseBody(req);
+  const template = resolveTemplate(b.template, b.columns);
+  const tab = (b.tab || template.tab || '').toString().trim();
+  if (!tab) return fail(res, 400, { error: 'tab is required' });
+
+  const file = await resolveSpreadsheet(tokens, req, res, b);
+
+  const add = await withRefresh(tokens, res, req, t => sheetsBatchUpdate(t, file.id, [{ addSheet: { properties: { title: tab } } }]));
+  if (!add.ok) return fail(res, add.status, { error: 'Adding the tab failed', details: add.data });
+  const sheetId = add.data.replies?.[0]?.addSheet?.properties?.sheetId;
+
+  const f = await withRefresh(tokens, res, req, t => sheetsBatchUpdate(t, file.id, templateRequests(sheetId, template)));
+  if (!f.ok) return fail(res, f.status, { error: 'Tab added but applying the template failed', tab, details: f.data });
+
+  return json(res, 200, {
+    ok: true,
+    file: { id: file.id, name: file.name },
+    tab,
+    sheetId,
+    template: template.name,
+    columns: template.columns.map(col => col.header),
+  });
+}
+
+async function actSheetsAppendRow(req, res, tokens) {
+  const b = parseBody(req);
+  if (!Array.isArray(b.values) || !b.values.length) return fail(res, 400, { error: 'values (non-empty array) is required' });
+
+  const file = await resolveSpreadsheet(tokens, req, res, b);
+  const range = tabRange(await tabFor(tokens, req, res, file, b), 'A:A');
+
+  const out = await withRefresh(tokens, res, req, t => sheetsAppend(t, file.id, range, b.values));
+  if (!out.ok) return fail(res, out.status, { error: 'Sheets append failed', details: out.data });
+  noteChange(req, { type: 'cells', spreadsheetId: file.id, label: file.name || file.id, cells: appendedCells(out.data.updates, b.values) });
+
+  return json(res, 200, {
+    ok: true,
+    file: { id: file.id, name: file.name },
+    updatedRange: out.data.updates?.updatedRange || '',
+    updatedCells: out.data.updates?.updatedCells || 0,
+  });
+}
+
+async function actSheetsUpdateCell(req, res, tokens) {
+  const b = parseBody(req);
+  const cell = (b.cell || '').toString().trim().toUpperCase();
+  if (!/^[A-Z]+[0-9]+$/.test(cell)) return fail(res, 400, { error: 'cell must be an A1 reference like B7' });
+
+  const file = await resolveSpreadsheet(tokens, req, res, b);
+  const range = tabRange(await tabFor(tokens, req, res, file, b), cell);
+  const [before] = await cellsBefore(tokens, req, res, file.id, [range]);
+
+  const out = await withRefresh(tokens, res, req, t => sheetsUpdateCell(t, file.id, range, b.value ?? ''));
+  if (!out.ok) return fail(res, out.status, { error: 'Sheets update failed', details: out.data });
+  noteChange(req, {
+    type: 'cells',
+    spreadsheetId: file.id,
+    label: file.name || file.id,
+    cells: [{ range, before, after: writtenValue(out.data.updatedData, b.value ?? '') }],
+  });
+
+  return json(res, 200, { ok: true, file: { id: file.id, name: file.name }, updatedRange: out.data.updatedRange || range });
+}
+
+async function actGmailList(req, res, tokens) {
+  const b = parseBody(req);
+  const label = (b.label || 'INBOX').toString();
+  const maxResults = Math.min(20, Math.max(1, Number(b.maxResults) || 10));
+
+  const out = await withRefresh(tokens, res, req, t => gmailList(t, { label, maxResults }));
+  if (!out.ok) return fail(res, out.status, { error: 'Gmail list failed', details: out.data });
+
+  const messages = out.data.messages || [];
+  return json(res, 200, { ok: true, count: messages.length, messages });
+}
+
+// Gmail query syntax, e.g. "from:accountant invoice newer_than:30d"
+async function actGmailSearch(req, res, tokens) {
+  const b = parseBody(req);
+  const q = (b.q || b.query || '').toString().trim();
+  if (!q) return fail(res, 400, { error: 'q is required (Gmail search syntax)' });
+  const maxResults = Math.min(20, Math.max(1, Number(b.maxResults) || 10));
+
+  const out = await withRefresh(tokens, res, req, t => gmailList(t, { q, maxResults }));
+  if (!out.ok) return fail(res, out.status, { error: 'Gmail search failed', details: out.data });
+
+  const messages = out.data.messages || [];
+  return json(res, 200, { ok: true, q, count: messages.length, estimate: out.data.resultSizeEstimate, messages });
+}
+
+async function actGmailGet(req, res, tokens) {
+  const b = parseBody(req);
+  const id = (b.id || b.messageId || '').toString().trim();
+  if (!id) return fail(res, 400, { error: 'id is required' });
+  const maxChars = Math.min(20000, Math.max(500, Number(b.maxChars) || 8000));
+
+  const out = await withRefresh(tokens, res, req, t => gmailGet(t, { id, maxChars }));
+  if (!out.ok) return fail(res, out.status, { error: 'Gmail get failed', details: out.data });
+
+  const messages = out.data.messages;
+  return json(res, 200, { ok: true, count: messages.length, messages });
+}
+
+async function actGmailThread(req, res, tokens) {
+  const b = parseBody(req);
+  const threadId = (b.threadId || b.id || '').toString().trim();
+  if (!threadId) return fail(res, 400, { error: 'threadId is required' });
+  // Whole threads get long; keep each message shorter than a single gmail.get.
+  const maxChars = Math.min(20000, Math.max(500, Number(b.maxChars) || 3000));
+
+  const out = await withRefresh(tokens, res, req, t => gmailThread(t, { threadId, maxChars }));
+  if (!out.ok) return fail(res, out.status, { error: 'Gmail thread failed', details: out.data });
+
+  const messages = out.data.messages;
+  return json(res, 200, { ok: true, threadId: out.data.threadId, count: messages.length, messages });
+}
+
+async function actGmailDraft(req, res, tokens) {
+  const b = parseBody(req);
+  const to = (b.to || '').toString().trim();
+  const subject = (b.subject || '').toString().trim();
+  const body = (b.body ?? b.text ?? '').toString();
+
+  if (!to) return fail(res, 400, { error: 'to is required' });
+  if (!subject) return fail(res, 400, { error: 'subject is required' });
+  if (!body.trim()) return fail(res, 400, { error: 'body is required' });
+  if (!confirmSecret()) return fail(res, 500, { error: 'CONFIRM_SECRET not configured on server' });
+
+  const msg = { to, cc: (b.cc || '').toString(), bcc: (b.bcc || '').toString(), subject, body };
+  const out = await withRefresh(tokens, res, req, t => gmailCreateDraft(t, { raw: buildRawMessage(msg) }));
+  if (!out.ok) return gmailWriteFailure(res, out, 'Gmail draft failed');
+
+  return draftPreview(res, out.data, { to: msg.to, cc: msg.cc, bcc: msg.bcc, subject, body });
+}
+
+async function actGmailReply(req, res, tokens) {
+  const b = parseBody(req);
+  const messageId = (b.messageId || b.id || '').toString().trim();
+  const body = (b.body ?? b.text ?? '').toString();
+  const replyAll = b.replyAll === true || b.replyAll === 'true';
+
+  if (!messageId) return fail(res, 400, { error: 'messageId is required' });
+  if (!body.trim()) return fail(res, 400, { error: 'body is required' });
+  if (!confirmSecret()) return fail(res, 500, { error: 'CONFIRM_SECRET not configured on server' });
+
+  const orig = await withRefresh(tokens, res, req, t => gmailGet(t, { id: messageId, maxChars: 500 }));
+  if (!orig.ok) return fail(res, orig.status, { error: 'Gmail get (original) failed', details: orig.data });
+  const original = orig.data.messages[0];
+
+  let self = '';
+  if (replyAll) {
+    const p = await withRefresh(tokens, res, req, t => gmailProfile(t));
+    if (p.ok) self = p.data.emailAddress || '';
+  }
+
+  const h = replyHeaders(original, { replyAll, self });
+  const raw = buildRawMessage({ ...h, body });
+  const out = await withRefresh(tokens, res, req, t => gmailCreateDraft(t, { raw, threadId: original.threadId }));
+  if (!out.ok) return gmailWriteFailure(res, out, 'Gmail reply draft failed');
+
+  return draftPreview(res, out.data, {
+    to: h.to,
+    cc: h.cc,
+    subject: h.subject,
+    body,
+    inReplyTo: { id: original.id, from: original.from, date: original.date },
+  });
+}
+
+async function actGmailSend(req, res, tokens) {
+  const b = parseBody(req);
+  const draftId = (b.draftId || '').toString().trim();
+  const confirmToken = (b.confirmToken || '').toString().trim();
+
+  if (!draftId || !confirmToken) {
+    return fail(res, 400, { error: 'draftId and confirmToken are required. Create a preview with gmail.draft or gmail.reply first.' });
+  }
+
+  const p = verify(confirmToken, confirmSecret());
+  if (!p || p.kind !== 'gmail.send' || p.draftId !== draftId) {
+    return fail(res, 403, { error: 'Invalid or expired confirmToken. Create a new preview and confirm it with the user.' });
+  }
+
+  const cur = await withRefresh(tokens, res, req, t => gmailGetDraft(t, draftId));
+  if (!cur.ok) return fail(res, cur.status, { error: 'Draft not found (already sent or deleted?)', details: cur.data });
+  if ((cur.data.message?.id || '') !== p.messageId) {
+    return fail(res, 409, { error: 'Draft changed since the preview. Create a new preview and confirm it with the user.' });
+  }
+
+  const out = await withRefresh(tokens, res, req, t => gmailSendDraft(t, draftId));
+  if (!out.ok) return gmailWriteFailure(res, out, 'Gmail send failed');
+
+  return json(res, 200, { ok: true, sent: true, id: out.data.id, threadId: out.data.threadId });
+}
+
+async function actCalendarList(req, res, tokens) {
+  const b = parseBody(req);
+  const maxResults = Math.min(CALENDAR_LIST_MAX, Math.max(1, Number(b.maxResults) || 10));
+  const timeZone = await userTimeZone(req, res, tokens, b);
+  const { from, to } = resolveWindow(b, timeZone, 7);
+
+  const out = await withRefresh(tokens, res, req, t =>
+    calendarList(t, { maxResults, timeMin: from.toISOString(), timeMax: to.toISOString() })
+  );
+  if (!out.ok) return fail(res, out.status, { error: 'Calendar list failed', details: out.data });
+
+  const events = out.data.events || [];
+  return json(res, 200, {
+    ok: true,
+    timeZone,
+    window: { from: echoFor(from, timeZone, false), to: echoFor(to, timeZone, false) },
+    count: events.length,
+    events,
+  });
+}
+
+// Weekday names ("mon", "Thursday") or numbers (0 = Sunday) -> [0..6]
+function parseWeekdays(v) {
+  if (v == null || v === '') return [1, 2, 3, 4, 5];
+  const list = Array.isArray(v) ? v : String(v).split(/[\s,]+/);
+  const out = list.map(d => {
+    if (Number.isInteger(Number(d)) && String(d).trim() !== '') return Number(d);
+    return WEEKDAYS.findIndex(w => String(d).toLowerCase().startsWith(w.toLowerCase()));
+  });
+  return [...new Set(out.filter(d => d >= 0 && d <= 6))];
+}
+
+async function actCalendarFindSlot(req, res, tokens) {
+  const b = parseBody(req);
+  const durationMinutes = Number(b.durationMinutes);
+  if (!(durationMinutes >= 5 && durationMinutes <= 8 * 60)) {
+    return fail(res, 400, { error: 'durationMinutes is required (5 to 480)' });
+  }
+
+  const timeZone = await userTimeZone(req, res, tokens, b);
+  const { from, to } = resolveWindow(b, timeZone, 7);
+  if (to - from > 62 * 24 * 60 * 60 * 1000) return fail(res, 400, { error: 'Search window is limited to 62 days' });
+
+  const dayStartMin = parseHm(b.workStart || b.workingHours?.start || '09:00');
+  const dayEndMin = parseHm(b.workEnd || b.workingHours?.end || '17:00');
+  if (dayStartMin == null || dayEndMin == null || dayEndMin <= dayStartMin) {
+    return fail(res, 400, { error: 'workStart/workEnd must be "HH:MM" with workEnd after workStart' });
+  }
+  const days = parseWeekdays(b.days);
+  if (!days.length) return fail(res, 400, { error: 'days did not contain any weekday' });
+
+  let calendars = Array.isArray(b.calendars) ? b.calendars.map(String).filter(Boolean) : [];
+  let names = {};
+  if (!calendars.length) {
+    const cals = await withRefresh(tokens, res, req, t => calendarSelectedList(t));
+    if (!cals.ok) return fail(res, cals.status, { error: 'Calendar list failed', details: cals.data });
+    calendars = cals.data.calendars.map(c => c.id);
+    names = Object.fromEntries(cals.data.calendars.map(c => [c.id, c.summary]));
+  }
+  const attendees = (Array.isArray(b.attendees) ? b.attendees : String(b.attendees || '').split(/[\s,;]+/))
+    .map(a => String(a).trim())
+    .filter(a => a.includes('@'));
+
+  const fb = await withRefresh(tokens, res, req, t =>
+    calendarFreeBusy(t, {
+      timeMin: from.toISOString(),
+      timeMax: to.toISOString(),
+      timeZone,
+      ids: [...new Set([...calendars, ...attendees])],
+    })
+  );
+  if (!fb.ok) return fail(res, fb.status, { error: 'Free/busy query failed', details: fb.data });
+
+  const slots = findFreeSlots({
+    busy: fb.data.busy,
+    from,
+    to,
+    durationMs: durationMinutes * 60 * 1000,
+    tz: timeZone,
+    dayStartMin,
+    dayEndMin,
+    days,
+    stepMin: Math.min(60, Math.max(5, Number(b.stepMinutes) || 15)),
+    bufferMs: Math.min(120, Math.max(0, Number(b.bufferMinutes) || 0)) * 60 * 1000,
+    count: Math.min(10, Math.max(1, Number(b.count) || 3)),
+  });
+
+  return json(res, 200, {
+    ok: true,
+    timeZone,
+    durationMinutes,
+    window: slotView(from.getTime(), to.getTime(), timeZone),
+    checked: [...calendars.map(id => names[id] || id), ...attendees],
+    unavailable: fb.data.errors, // attendees/calendars whose free/busy we could not see
+    slots: slots.map(x => slotView(x.s, x.e, timeZone)),
+    message: slots.length ? undefined : 'No free slot of that length in the window and working hours given.',
+  });
+}
+
+async function actCalendarCreate(req, res, tokens) {
+  const b = parseBody(req);
+  const summary = (b.summary || '').toString().trim();
+  if (!summary) return fail(res, 400, { error: 'summary is required' });
+
+  const timeZone = await userTimeZone(req, res, tokens, b);
+  const when = resolveEventTimes(b, timeZone);
+  const extras = resolveEventExtras(b, timeZone, { allDay: when.allDay });
+
+  // onConflict: warn (default; create and report overlaps) | refuse (409, nothing created) | ignore
+  // Only the first occurrence is checked; all-day events are not checked.
+  const onConflict = ['warn', 'refuse', 'ignore'].includes(b.onConflict) ? b.onConflict : 'warn';
+  let conflicts = [];
+  let conflictCheck = 'skipped';
+  if (onConflict !== 'ignore' && !when.allDay) {
+    const c = await calendarConflicts(tokens, res, req, { startIso: when.startIso, endIso: when.endIso });
+    if (!c.ok && onConflict === 'refuse') {
+      return fail(res, c.status, { error: 'Could not check for conflicts, so nothing was created', details: c.data });
+    }
+    conflictCheck = c.ok ? 'done' : 'failed';
+    conflicts = c.ok ? c.data.conflicts : [];
+    if (conflicts.length && onConflict === 'refuse') {
+      return fail(res, 409, {
+        error: 'conflict',
+        conflicts,
+        hint: 'Nothing was created. Offer another time (calendar.findslot) or ask whether to book anyway.',
+      });
+    }
+  }
+
+  const sendUpdates = sendUpdatesFor(b, extras.hasAttendees);
+  const out = await withRefresh(tokens, res, req, t =>
+    calendarCreate(t, {
+      summary,
+      description: b.description,
+      location: b.location,
+      start: when.allDay ? when.startDate : when.startIso,
+      end: when.allDay ? when.endDate : when.endIso,
+      timeZone,
+      allDay: when.allDay,
+      colorId: b.color || b.colorId, // allow "color":"tangerine"
+      fields: extras.fields,
+      sendUpdates,
+    })
+  );
+  if (!out.ok) return fail(res, out.status, { error: 'Calendar create failed', details: out.data });
+  noteChange(req, { type: 'event.created', eventId: out.data.id, label: summary, updated: out.data.updated });
+
+  return json(res, 200, {
+    ok: true,
+    echo: { ...when.echo, ...extras.echo },
+    invitesSent: extras.hasAttendees ? sendUpdates : undefined,
+    conflictCheck,
+    conflicts,
+    warning: conflicts.length ? 'Created, but it overlaps existing busy time. Tell the user.' : undefined,
+    event: eventView(out.data),
+  });
+}
+
+// Works out which event an update/delete applies to. Recurring events take `scope`:
+//   this      — only the given occurrence (default when eventId is an occurrence)
+//   following — this occurrence and all later ones (the series is split in two)
+//   all       — the whole series (default when eventId is the series itself)
+// A series id plus `occurrence` ("next Tuesday", ISO) picks one occurrence of it.
+async function calendarTarget(req, res, tokens, b, timeZone) {
+  const eventId = (b.eventId || '').toString().trim();
+  if (!eventId) throw { status: 400, body: { error: 'eventId is required' } };
+
+  const cur = await withRefresh(tokens, res, req, t => calendarGetEvent(t, eventId));
+  if (!cur.ok) throw { status: cur.status, body: { error: 'Calendar event not found', details: cur.data } };
+  let target = cur.data;
+
+  if (b.occurrence) {
+    if (!target.recurrence) throw { status: 400, body: { error: 'occurrence only applies to a recurring series' } };
+    const at = resolveWhen(b.occurrence, 'occurrence', { timeZone });
+    const near = new Date(at.utc);
+    // A day ("thursday") searches that whole day; a time searches 12 hours either side.
+    const range = at.dateOnly
+      ? { at: near, from: near, to: endOfDay(near, timeZone) }
+      : { at: near, from: new Date(near.getTime() - 12 * 3_600_000), to: new Date(near.getTime() + 12 * 3_600_000) };
+    const inst = await withRefresh(tokens, res, req, t => calendarFindInstance(t, target.id, range));
+    if (!inst.ok) throw { status: inst.status, body: { error: `No occurrence on ${at.echo}`, details: inst.data } };
+    target = inst.data;
+  }
+
+  const isInstance = !!target.recurringEventId;
+  let scope = ['this', 'following', 'all'].includes(b.scope) ? b.scope : (isInstance ? 'this' : 'all');
+  if (!isInstance && scope !== 'all') {
+    if (target.recurrence) {
+      throw {
+        status: 400,
+        body: { error: `scope "${scope}" needs one occurrence: pass occurrence (e.g. "next Tuesday") or an occurrence eventId` },
+      };
+    }
+    scope = 'all'; // a plain, non-recurring event
+  }
+
+  let series = null;
+  if (isInstance && scope !== 'this') {
+    const sOut = await withRefresh(tokens, res, req, t => calendarGetEvent(t, target.recurringEventId));
+    if (!sOut.ok) throw { status: sOut.status, body: { error: 'Recurring series not found', details: sOut.data } };
+    series = sOut.data;
+    // "following" from the first occurrence is the whole series.
+    if (scope === 'following' && instantOf(target.originalStartTime) <= instantOf(series.start)) scope = 'all';
+  }
+  return { target, series, scope };
+}
+
+function instantOf(t) {
+  return Date.parse(t?.dateTime || t?.date);
+}
+
+// Series start/end after moving one occurrence by `deltaMs` (and giving it `lengthMs`).
+function shiftedSeriesTimes(series, deltaMs, lengthMs, timeZone) {
+  const start = new Date(instantOf(series.start) + deltaMs);
+  const end = new Date(start.getTime() + lengthMs);
+  if (series.start.date) return { start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) };
+  return { start: toZonedIso(start, timeZone), end: toZonedIso(end, timeZone) };
+}
+
+async function actCalendarUpdate(req, res, tokens) {
+  const b = parseBody(req);
+  const timeZone = await userTimeZone(req, res, tokens, b);
+  const when = resolveEventTimes(b, timeZone, { required: false });
+  const { target, series, scope } = await calendarTarget(req, res, tokens, b, timeZone);
+
+  // Moving the start without an end or duration keeps the event's current length.
+  if (when && !when.allDay && !when.endIso) {
+    const s0 = instantOf(target.start);
+    const e0 = instantOf(target.end);
+    const endDate = new Date(Date.parse(when.startIso) + (e0 > s0 ? e0 - s0 : 60 * 60 * 1000));
+    when.endIso = toZonedIso(endDate, timeZone);
+    when.echo.end = echoFor(endDate, timeZone, false);
+  }
+
+  const allDay = when ? !!when.allDay : !!target.start?.date;
+  const extras = resolveEventExtras(b, timeZone, { allDay, current: scope === 'following' ? series : target });
+  if (extras.fields.recurrence && scope === 'this' && target.recurringEventId) {
+    return fail(res, 400, { error: 'Change the repeat pattern with scope "all" or "following", not on one occurrence' });
+  }
+  const sendUpdates = sendUpdatesFor(b, extras.hasAttendees || !!(series || target).attendees?.length);
+
+  const change = {
+    summary: b.summary,
+    description: b.description,
+    location: b.location,
+    start: when ? (when.allDay ? when.startDate : when.startIso) : undefined,
+    end: when ? (when.allDay ? when.endDate : when.endIso) : undefined,
+    timeZone,
+    allDay: when?.allDay,
+    colorId: b.color || b.colorId,
+    fields: extras.fields,
+    sendUpdates,
+  };
+
+  let out;
+  if (scope === 'following') {
+    // Split: a new series starts at this occurrence with the changes applied, the old one ends just before it. A
+    // COUNT carries over as the occurrences the old series had left.
+    const cut = new Date(instantOf(target.originalStartTime));
+    let done = 0;
+    if ((series.recurrence || []).some(r => r.startsWith('RRULE:') && ruleCount(r) !== null)) {
+      const counted = await withRefresh(tokens, res, req, t => calendarCountInstances(t, series.id, cut));
+      if (!counted.ok) return fail(res, counted.status, { error: 'Calendar update failed (could not count occurrences)', details: counted.data });
+      done = counted.data.count;
+    }
+    const copy = {
+      summary: series.summary,
+      description: series.description,
+      location: series.location,
+      colorId: series.colorId,
+      attendees: series.attendees,
+      reminders: series.reminders,
+      recurrence: (series.recurrence || []).map(r => (r.startsWith('RRULE:') ? remainingRule(r, done) : r)),
+      start: target.start,
+      end: target.end,
+    };
+    const created = await withRefresh(tokens, res, req, t =>
+      calendarCreate(t, {
+        summary: change.summary ?? copy.summary,
+        description: change.description ?? copy.description,
+        location: change.location ?? copy.location,
+        start: change.start ?? (copy.start.date || copy.start.dateTime),
+        end: change.end ?? (copy.end.date || copy.end.dateTime),
+        timeZone,
+        allDay: when ? when.allDay : !!copy.start.date,
+        colorId: change.colorId || copy.colorId,
+        fields: { attendees: copy.attendees, reminders: copy.reminders, recurrence: copy.recurrence, ...extras.fields },
+        sendUpdates,
+      })
+    );
+    if (!created.ok) return fail(res, created.status, { error: 'Calendar update failed (new series)', details: created.data });
+
+    const trimmed = await withRefresh(tokens, res, req, t =>
+      calendarPatchEvent(t, series.id, {
+        recurrence: series.recurrence.map(r => (r.startsWith('RRULE:') ? endRuleBefore(r, cut) : r)),
+      }, { sendUpdates })
+    );
+    if (!trimmed.ok) {
+      await withRefresh(tokens, res, req, t => calendarDelete(t, { eventId: created.data.id, sendUpdates: 'none' }));
+      return fail(res, trimmed.status, { error: 'Calendar update failed (could not end the old series)', details: trimmed.data });
+    }
+    noteChange(req, { type: 'event.created', eventId: created.data.id, label: created.data.summary, updated: created.data.updated });
+    noteChange(req, {
+      type: 'event.patched', eventId: series.id, label: series.summary, before: eventChanges(series, trimmed.data), updated: trimmed.data.updated,
+    });
+    out = created;
+  } else {
+    const edited = scope === 'all' && series ? series : target;
+    if (edited === series && change.start) {
+      // Moving one occurrence with scope "all" moves the whole series by the same amount.
+      const delta = Date.parse(change.start) - instantOf(target.start);
+      const length = Date.parse(change.end) - Date.parse(change.start);
+      Object.assign(change, shiftedSeriesTimes(series, delta, length, timeZone));
+    }
+    out = await withRefresh(tokens, res, req, t => calendarUpdate(t, { eventId: edited.id, ...change }));
+    if (out.ok) {
+      noteChange(req, {
+        type: 'event.patched', eventId: edited.id, label: edited.summary, before: eventChanges(edited, out.data), updated: out.data.updated,
+      });
+    }
+  }
+  if (!out.ok) return fail(res, out.status, { error: 'Calendar update failed', details: out.data });
+
+  return json(res, 200, {
+    ok: true,
+    scope,
+    echo: when || Object.keys(extras.echo).length ? { ...(when?.echo || {}), ...extras.echo } : undefined,
+    event: eventView(out.data),
+  });
+}
+
+async function actCalendarDelete(req, res, tokens) {
+  const b = parseBody(req);
+  const timeZone = await userTimeZone(req, res, tokens, b);
+  const { target, series, scope } = await calendarTarget(req, res, tokens, b, timeZone);
+  const sendUpdates = sendUpdatesFor(b, !!(series || target).attendees?.length);
+
+  let out;
+  if (scope === 'following') {
+    const cut = new Date(instantOf(target.originalStartTime));
+    out = await withRefresh(tokens, res, req, t =>
+      calendarPatchEvent(t, series.id, {
+        recurrence: series.recurrence.map(r => (r.startsWith('RRULE:') ? endRuleBefore(r, cut) : r)),
+      }, { sendUpdates })
+    );
+    if (out.ok) {
+      noteChange(req, {
+        type: 'event.patched', eventId: series.id, label: series.summary, before: eventChanges(series, out.data), updated: out.data.updated,
+      });
+    }
+  } else {
+    const deleted = scope === 'all' && series ? series : target;
+    out = await withRefresh(tokens, res, req, t => calendarDelete(t, { eventId: deleted.id, sendUpdates }));
+    if (out.ok) noteChange(req, { type: 'event.deleted', eventId: deleted.id, label: deleted.summary, before: deleted });
+  }
+  if (!out.ok) return fail(res, out.status, { error: 'Calendar delete failed', details: out.data });
+
+  return json(res, 200, { ok: true, deleted: true, scope, eventId: scope === 'all' && series ? series.id : target.id });
+}
+
+// ---- Web (lib/websearch.js picks the provider; lib/webpage.js fetches and cleans pages)
+async function actWebSearch(req, res /*, tokens */) {
+  const b = parseBody(req);
+  const query = (b.query || '').toString().trim();
+  if (!query) return fail(res, 400, { error: 'query is required' });
+
+  const num = Math.min(10, Math.max(1, Number(b.num) || 5));
+  const site = (b.site || '').toString().trim();
+  const freshnessDays = Math.max(0, Number(b.freshnessDays) || 0);
+
+  const out = await searchWeb({ query, num, site, freshnessDays });
+  return json(res, 200, {
+    ok: true,
+    query,
+    provider: out.provider,
+    answer: out.answer,
+    count: out.results.length,
+    results: out.results,
+    hint: out.results.length ? 'Snippets are short: web_fetch a result link to answer from the page itself.' : undefined,
+  });
+}
+
+// Readable blocks -> elements for chunkElements, headings kept as levels.
+function blockElements(blocks) {
+  let at = 0;
+  return blocks.map(bl => {
+    const e = { startIndex: at, endIndex: at + bl.text.length + 1, text: bl.text, level: bl.level, label: bl.level ? bl.text : undefined };
+    at = e.endIndex;
+    return e;
+  });
+}
+
+// url -> the page's readable text (HTML) or extracted text (PDF, Office, plain text), chunked like drive.readfile,
+// with a citation to read out with the answer.
+async function actWebFetch(req, res /*, tokens */) {
+  const b = parseBody(req);
+  const url = (b.url || '').toString().trim();
+  if (!url) return fail(res, 400, { error: 'url is required' });
+
+  const stored = fixturePage(url);
+  const page = stored !== null
+    ? { url, finalUrl: url, contentType: 'text/html; charset=utf-8', buf: Buffer.from(stored), truncated: false }
+    : await fetchPage(url);
+
+  const mimeType = page.contentType.split(';')[0].trim().toLowerCase();
+  const name = decodeURIComponent(new URL(page.finalUrl).pathname.split('/').pop() || '');
+  const kind = mimeType === 'text/html' || mimeType === 'application/xhtml+xml' || (!mimeType && /^\s*</.test(page.buf.toString('utf8', 0, 200)))
+    ? 'html'
+    : kindOf(mimeType, name);
+
+  let meta = {};
+  let els;
+  if (kind === 'html') {
+    const read = readablePage(decodeHtml(page.buf, page.contentType));
+    const { blocks, ...rest } = read;
+    meta = rest;
+    els = blockElements(blocks);
+  } else if (kind && kind !== 'image') {
+    const extracted = extractText(page.buf, mimeType, name);
+    meta = { title: name };
+    els = partElements(extracted.parts);
+  } else {
+    return fail(res, 415, { error: `Can't read ${mimeType || 'this kind of page'}`, url: page.finalUrl });
+  }
+
+  const host = new URL(page.finalUrl).hostname.replace(/^www\./, '');
+  const citation = {
+    title: meta.title || host,
+    url: meta.canonical ? new URL(meta.canonical, page.finalUrl).href : page.finalUrl,
+    siteName: meta.siteName || host,
+    byline: meta.byline || undefined,
+    published: meta.published || undefined,
+    retrieved: new Date().toISOString(),
+  };
+  const base = {
+    ok: true,
+    url,
+    finalUrl: page.finalUrl !== url ? page.finalUrl : undefined,
+    kind,
+    lang: meta.lang || undefined,
+    truncated: page.truncated || undefined,
+    citation,
+  };
+  if (!els.some(e => e.text.trim())) {
+    return json(res, 200, { ...base, chars: 0, text: '', hint: 'No readable text on this page (it may need JavaScript or a login).' });
+  }
+
+  const chunks = chunkElements(els, { maxChars: docChunkSize(b), by: b.by === 'chars' ? 'chars' : 'heading' });
+  const chars = chunks.reduce((n, c) => n + c.text.length, 0);
+  const labels = els.filter(e => e.label);
+  const chunkOf = e => (chunks.find(c => e.startIndex >= c.startIndex && e.startIndex < c.endIndex) || {}).chunk;
+  const outline = labels.map((e, i) => ({ n: i + 1, text: e.label, level: e.level, chunk: chunkOf(e) }));
+
+  if (b.outlineOnly) return json(res, 200, { ...base, chars, chunks: chunks.length, outline });
+  if (chunks.length <= 1) return json(res, 200, { ...base, chars, outline, text: chunks[0].text });
+
+  const n = Math.min(chunks.length, Math.max(1, Math.floor(Number(b.chunk)) || 1));
+  return json(res, 200, {
+    ...base,
+    chars,
+    chunks: chunks.length,
+    chunk: n,
+    next: n < chunks.length ? n + 1 : null,
+    headings: chunks[n - 1].headings,
+    outline: n === 1 || b.outline ? outline : undefined,
+    text: chunks[n - 1].text,
+    hint: 'Long page: answer from this chunk if you can, otherwise read another chunk (see outline).',
+  });
+}
+
+// ---- History (lib/history.js): the assistant looking back at earlier conversations
+async function actHistorySearch(req, res, tokens) {
+  const b = parseBody(req);
+  const owner = await historyOwner(req, res);
+  if (!owner) return fail(res, 401, { error: 'not_connected' });
+
+  const timeZone = await userTimeZone(req, res, tokens, b);
+  const range = historyRange(b, timeZone);
+  const out = await searchHistory(owner, {
+    q: (b.q || '').toString(),
+    from: range.from,
+    to: range.to,
+    changes: !!b.changesOnly,
+    limit: Math.min(50, Math.max(1, Number(b.limit) || 20)),
+  });
+  const echo = d => (d ? formatZoned(d, timeZone) : null);
+  return json(res, 200, {
+    ok: true,
+    from: echo(range.from),
+    to: echo(range.to),
+    count: out.hits.length,
+    more: out.more || undefined,
+    hits: out.hits.map(h => (h.role === 'tool'
+      ? { at: formatZoned(new Date(h.at), timeZone), tool: h.name, args: h.args, ok: h.ok, changed: h.changed, error: h.error, result: h.result }
+      : { at: formatZoned(new Date(h.at), timeZone), role: h.role, text: h.text })),
+  });
+}
+
+// ---- Change journal and undo (lib/journal.js)
+// Handlers call noteChange once a write went through; the dispatcher files a call's notes as one journal entry.
+function noteChange(req, op) {
+  (req.__changes ||= []).push(op);
+}
+
+// Writes that are journaled but not reversed here, and what to do instead.
+const NO_UNDO = {
+  'drive.share': "Remove the access in the file's Share dialog in Drive",
+  'sheets.addtab': 'Delete the tab in Google Sheets',
+  'gmail.draft': 'Delete the draft in Gmail',
+  'gmail.reply': 'Delete the draft in Gmail',
+  'gmail.send': 'Sent email cannot be unsent',
+};
+
+// Event fields the calendar actions change, so the ones undo patches back.
+const UNDO_EVENT_FIELDS = ['summary', 'description', 'location', 'colorId', 'start', 'end', 'attendees', 'reminders', 'recurrence'];
+
+// The fields that differ after an update, with their earlier values (null where the event had none).
+function eventChanges(before, after) {
+  const out = {};
+  for (const f of UNDO_EVENT_FIELDS) {
+    if (JSON.stringify(before[f] ?? null) !== JSON.stringify(after[f] ?? null)) out[f] = before[f] ?? null;
+  }
+  return out;
+}
+
+function editedSince(op, details) {
+  return {
+    status: 409,
+    body: { error: `"${op.label}" was edited after this change, so nothing was undone`, modified: true, ...details },
+  };
+}
+
+function goneSince(op) {
+  return { status: 409, body: { error: `"${op.label}" no longer exists, so nothing was undone`, gone: true } };
+}
+
+function undoFailed(out, error) {
+  return { status: out.status, body: { error, details: out.data } };
+}
+
+async function eventNow({ req, res, tokens }, op) {
+  const cur = await withRefresh(tokens, res, req, t => calendarGetEvent(t, op.eventId));
+  if (cur.status === 404 || cur.status === 410 || cur.data?.status === 'cancelled') throw goneSince(op);
+  if (!cur.ok) throw undoFailed(cur, 'Calendar read failed');
+  if (cur.data.updated !== op.updated) throw editedSince(op);
+  return cur.data;
+}
+
+async function docNow({ req, res, tokens }, op) {
+  const cur = await withRefresh(tokens, res, req, t => docsGet(t, op.docId || op.fileId));
+  if (cur.status === 404) throw goneSince(op);
+  if (!cur.ok) throw undoFailed(cur, 'Docs read failed');
+  if (op.revisionId && cur.data.revisionId !== op.revisionId) throw editedSince(op);
+  return cur.data;
+}
+
+// A deleted event put back as a new one when it can't be restored in place (read-only fields dropped).
+function eventCopy(ev) {
+  const {
+    id, etag, kind, status, htmlLink, created, updated, creator, organizer, iCalUID, sequence, hangoutLink, conferenceData,
+    recurringEventId, originalStartTime, ...body
+  } = ev;
+  return body;
+}
+
+// Per op type: check() throws when the target no longer looks as the change left it; revert() puts it back.
+const UNDO = {
+  'event.created': {
+    check: eventNow,
+    async revert({ req, res, tokens }, op, cur) {
+      const sendUpdates = cur.attendees?.length ? 'all' : 'none';
+      const out = await withRefresh(tokens, res, req, t => calendarDelete(t, { eventId: op.eventId, sendUpdates }));
+      if (!out.ok) throw undoFailed(out, 'Calendar delete failed');
+      return { deletedEvent: op.eventId };
+    },
+  },
+
+  'event.patched': {
+    check: eventNow,
+    async revert({ req, res, tokens }, op, cur) {
+      const patch = { ...op.before };
+      for (const f of ['start', 'end']) if (patch[f]) patch[f] = { date: null, dateTime: null, ...patch[f] };
+      const sendUpdates = cur.attendees?.length || op.before.attendees?.length ? 'all' : 'none';
+      const out = await withRefresh(tokens, res, req, t => calendarPatchEvent(t, op.eventId, patch, { sendUpdates }));
+      if (!out.ok) throw undoFailed(out, 'Calendar update failed');
+      return { event: eventView(out.data) };
+    },
+  },
+
+  'event.deleted': {
+    async check({ req, res, tokens }, op) {
+      const cur = await withRefresh(tokens, res, req, t => calendarGetEvent(t, op.eventId));
+      if (cur.ok && cur.data.status !== 'cancelled') throw editedSince(op, { error: `"${op.label}" is in the calendar again, so nothing was undone` });
+      return cur.ok ? cur.data : null;
+    },
+    async revert({ req, res, tokens }, op, cur) {
+      const sendUpdates = op.before.attendees?.length ? 'all' : 'none';
+      if (cur) {
+        const out = await withRefresh(tokens, res, req, t => calendarPatchEvent(t, op.eventId, { status: 'confirmed' }, { sendUpdates }));
+        if (out.ok) return { event: eventView(out.data) };
+      }
+      const out = await withRefresh(tokens, res, req, t => calendarInsertEvent(t, eventCopy(op.before), { sendUpdates }));
+      if (!out.ok) throw undoFailed(out, 'Calendar restore failed');
+      return { event: eventView(out.data), recreated: true };
+    },
+  },
+
+  cells: {
+    async check({ req, res, tokens }, op) {
+      const ranges = op.cells.map(c => c.range);
+      const now = await withRefresh(tokens, res, req, t => sheetsReadCells(t, op.spreadsheetId, ranges));
+      if (now.status === 404) throw goneSince(op);
+      if (!now.ok) throw undoFailed(now, 'Sheets read failed');
+      const edited = op.cells
+        .map((c, i) => ({ cell: c.range, expected: c.after, now: now.data[i] }))
+        .filter(c => String(c.now) !== String(c.expected));
+      if (edited.length) throw editedSince(op, { cells: edited });
+    },
+    async revert({ req, res, tokens }, op) {
+      const data = op.cells.map(c => ({ range: c.range, values: [[c.before]] }));
+      const out = await withRefresh(tokens, res, req, t => sheetsBatchWrite(t, op.spreadsheetId, data));
+      if (!out.ok) throw undoFailed(out, 'Sheets update failed');
+      return { cells: op.cells.map(c => ({ cell: c.range, from: c.after, to: c.before })) };
+    },
+  },
+
+  'doc.inserted': {
+    check: docNow,
+    async revert({ req, res, tokens }, op, doc) {
+      const end = docEndIndex(doc);
+      if (end - 1 - op.length < 1) throw editedSince(op);
+      const range = { startIndex: end - 1 - op.length, endIndex: end - 1 };
+      const out = await withRefresh(tokens, res, req, t => docsBatchUpdate(t, op.docId, [{ deleteContentRange: { range } }], op.revisionId));
+      if (!out.ok) throw undoFailed(out, 'Docs update failed');
+      return { docId: op.docId, removedChars: op.length };
+    },
+  },
+
+  'doc.range': {
+    check: docNow,
+    async revert({ req, res, tokens }, op, doc) {
+      const endIndex = docEndIndex(doc) - op.tail;
+      if (endIndex < op.startIndex) throw editedSince(op);
+      const requests = [];
+      if (endIndex > op.startIndex) requests.push({ deleteContentRange: { range: { startIndex: op.startIndex, endIndex } } });
+      if (op.before) {
+        // Text inserted before a heading would take on its style; the earlier text comes back as plain paragraphs.
+        const range = { startIndex: op.startIndex, endIndex: op.startIndex + op.before.length };
+        requests.push(
+          { insertText: { location: { index: op.startIndex }, text: op.before } },
+          { updateParagraphStyle: { range, paragraphStyle: { namedStyleType: 'NORMAL_TEXT' }, fields: 'namedStyleType' } }
+        );
+      }
+      const out = await withRefresh(tokens, res, req, t => docsBatchUpdate(t, op.docId, requests, op.revisionId));
+      if (!out.ok) throw undoFailed(out, 'Docs update failed');
+      return {
+        docId: op.docId,
+        removedChars: endIndex - op.startIndex,
+        note: op.before ? 'The earlier section text is back; its formatting is not' : undefined,
+      };
+    },
+  },
+
+  'doc.replaced': {
+    check: docNow,
+    async revert({ req, res, tokens }, op, doc) {
+      const end = docEndIndex(doc);
+      const text = op.before.replace(/\n$/, '');
+      const requests = [];
+      if (end > 2) requests.push({ deleteContentRange: { range: { startIndex: 1, endIndex: end - 1 } } });
+      if (text) requests.push({ insertText: { location: { index: 1 }, text } });
+      const out = await withRefresh(tokens, res, req, t => docsBatchUpdate(t, op.docId, requests, op.revisionId));
+      if (!out.ok) throw undoFailed(out, 'Docs update failed');
+      return { docId: op.docId, note: 'The earlier text is back; its formatting is not' };
+    },
+  },
+
+  'file.created': {
+    async check(ctx, op) {
+      const { req, res, tokens } = ctx;
+      const cur = await withRefresh(tokens, res, req, t => driveGetFile(t, op.fileId, 'id,name,trashed,modifiedTime'));
+      if (cur.status === 404 || cur.data?.trashed) throw goneSince(op);
+      if (!cur.ok) throw undoFailed(cur, 'Drive file lookup failed');
+      if (op.revisionId) await docNow(ctx, op);
+      else if (op.modifiedTime && cur.data.modifiedTime !== op.modifiedTime) throw editedSince(op);
+    },
+    async revert({ req, res, tokens }, op) {
+      const out = await withRefresh(tokens, res, req, t => driveUpdateFile(t, op.fileId, { trashed: true }));
+      if (!out.ok) throw undoFailed(out, 'Drive trash failed');
+      return { trashedFile: fileView(out.data), hint: 'It stays in the Drive bin for 30 days.' };
+    },
+  },
+
+  'file.patched': {
+    async check({ req, res, tokens }, op) {
+      const cur = await withRefresh(tokens, res, req, t => driveGetFile(t, op.fileId));
+      if (cur.status === 404) throw goneSince(op);
+      if (!cur.ok) throw undoFailed(cur, 'Drive file lookup failed');
+      const shape = f => JSON.stringify({ name: f.name, trashed: !!f.trashed, parents: [...(f.parents || [])].sort() });
+      if (shape(cur.data) !== shape({ ...cur.data, ...op.after })) throw editedSince(op);
+    },
+    async revert({ req, res, tokens }, op) {
+      const body = {};
+      if ('name' in op.before) body.name = op.before.name;
+      if ('trashed' in op.before) body.trashed = op.before.trashed;
+      const parents = 'parents' in op.before
+        ? { addParents: op.before.parents.join(','), removeParents: op.after.parents.join(',') }
+        : {};
+      const out = await withRefresh(tokens, res, req, t => driveUpdateFile(t, op.fileId, body, parents));
+      if (!out.ok) throw undoFailed(out, 'Drive update failed');
+      return { file: fileView(out.data) };
+    },
+  },
+};
+
+// Reverses one journal entry with the account that made it, last op first. Every target is checked before anything
+// is written, so a change made of several steps (a split series) comes back whole or not at all.
+async function undoChange(req, res, entry) {
+  if (!entry.ops.length) throw { status: 409, body: { error: "This change can't be undone here", reason: entry.reason } };
+
+  req.__account = entry.account;
+  const tokens = await getFreshTokens(req, res, { account: entry.account });
+  if (!tokens?.access_token) throw { status: 409, body: { error: 'The Google account that made this change is no longer connected' } };
+
+  const ctx = { req, res, tokens };
+  const ops = [...entry.ops].reverse();
+  const states = [];
+  for (const op of ops) states.push(await UNDO[op.type].check(ctx, op));
+  const results = [];
+  for (const [i, op] of ops.entries()) results.push(await UNDO[op.type].revert(ctx, op, states[i]));
+  return Object.assign({}, ...results);
+}
+
+// The newest `count` changes (default 1, up to 10) or one `changeId`, newest first; stops at the first one that
+// can't be undone and says why. dryRun lists them without touching anything.
+async function actWorkspaceUndo(req, res /*, tokens */) {
+  const b = parseBody(req);
+  const owner = await historyOwner(req, res);
+  if (!owner) return fail(res, 401, { error: 'not_connected' });
+
+  const pending = await pendingChanges(owner);
+  let picked;
+  if (b.changeId) {
+    const entry = pending.find(e => e.id === b.changeId);
+    if (!entry) return fail(res, 404, { error: 'No such change, or it was already undone', recent: pending.slice(0, 5).map(changeView) });
+    picked = [entry];
+  } else {
+    picked = pending.slice(0, Math.min(10, Math.max(1, Number(b.count) || 1)));
+  }
+  if (!picked.length) return fail(res, 404, { error: 'Nothing to undo' });
+  if (b.dryRun) return json(res, 200, { ok: true, dryRun: true, changes: picked.map(changeView) });
+
+  const undone = [];
+  for (const entry of picked) {
+    try {
+      const result = await undoChange(req, res, entry);
+      await markUndone(owner, entry.id);
+      undone.push({ ...changeView(entry), ...result });
+    } catch (e) {
+      if (!(e && e.status && e.body)) throw e;
+      const stopped = { change: changeView(entry), ...e.body };
+      if (!undone.length) return fail(res, e.status, stopped);
+      return json(res, 200, { ok: true, undone, stopped, hint: 'Tell the user what was undone, and why the next change was not.' });
+    }
+  }
+  return json(res, 200, { ok: true, undone });
+}
+
+// Scope groups (lib/scopes.js) each action needs. Name lookups go through Drive, hence 'drive' on Docs/Sheets.
+// A function gets the request body, for actions whose needs depend on the arguments.
+const ACTION_SCOPES = {
+  'drive.search': b => (b.text || b.fullText ? ['drive', 'drive.read'] : ['drive']),
+  'drive.listroot': ['drive'],
+  'drive.move': ['drive', 'drive.write'],
+  'drive.rename': ['drive', 'drive.write'],
+  'drive.copy': ['drive', 'drive.write'],
+  'drive.share': ['drive', 'drive.write'],
+  'drive.trash': ['drive', 'drive.write'],
+  'drive.readfile': ['drive', 'drive.read'],
+  'docs.read': ['docs', 'drive'],
+  'docs.section': ['docs', 'drive'],
+  'docs.createappend': ['docs', 'drive'],
+  'docs.write': ['docs', 'drive'],
+  'docs.replace': ['docs', 'drive'],
+  'sheets.read': ['sheets', 'drive'],
+  'sheets.query': ['sheets', 'drive'],
+  'sheets.upsert': ['sheets', 'drive'],
+  'sheets.batchupdate': ['sheets', 'drive'],
+  'sheets.create': ['sheets', 'drive'],
+  'sheets.addtab': ['sheets', 'drive'],
+  'sheets.appendrow': ['sheets', 'drive'],
+  'sheets.updatecell': ['sheets', 'drive'],
+  'gmail.list': ['gmail.read'],
+  'gmail.search': ['gmail.read'],
+  'gmail.get': ['gmail.read'],
+  'gmail.thread': ['gmail.read'],
+  'gmail.draft': ['gmail.write'],
+  'gmail.reply': ['gmail.read', 'gmail.write'],
+  'gmail.send': ['gmail.write'],
+  'calendar.list': ['calendar.read'],
+  'calendar.findslot': ['calendar.read'],
+  'calendar.create': ['calendar.read', 'calendar.write'], // read: free/busy for the conflict check
+  'calendar.update': ['calendar.read', 'calendar.write'],
+  'calendar.delete': ['calendar.read', 'calendar.write'],
+};
+
+// ---- History
+// Calls made inside a conversation (?conversation=<id>, sent by index.html) go to its audit log (lib/history.js);
+// looking through history is not itself logged. Logging never fails the action itself.
+async function logToolCall(req, res, action, tool) {
+  const conversationId = (req.query.conversation || '').toString();
+  if (!conversationId || !validId(conversationId) || !res.__sent || action === 'history.search') return;
+  try {
+    const owner = await historyOwner(req, res);
+    if (!owner) return;
+    await recordToolCall(owner, conversationId, {
+      tool,
+      action,
+      account: req.__account,
+      args: parseBody(req),
+      status: res.__sent.status,
+      body: res.__sent.body,
+    });
+  } catch (e) {
+    console.error('[history] tool call not logged:', e?.message || e);
+  }
+}
+
+// ---- Change journal
+// A write's noted changes (noteChange) become one journal entry; writes with nothing to reverse are kept with NO_UNDO's
+// reason, so "undo the last change" never skips past them. Like the history log, this never fails the action.
+async function journalChange(req, res, action, tool) {
+  if (!tool?.writes || action === 'workspace.undo') return;
+  const args = parseBody(req);
+  const ops = req.__changes || [];
+  // A write that failed partway is journaled only for what it already changed (a created file it couldn't move).
+  if (!res.__sent?.body?.ok && !ops.length) return;
+  if (res.__sent?.body?.dryRun === true || (!ops.length && !NO_UNDO[action])) return;
+  try {
+    const owner = await historyOwner(req, res);
+    if (!owner) return;
+    const { record } = await getSession(req, res);
+    const label = [...new Set(ops.map(op => op.label).filter(Boolean))].join(', ')
+      || [args.docName, args.fileName, args.title, args.subject, args.tab].filter(Boolean).join(' / ');
+    const conversationId = (req.query.conversation || '').toString();
+    await recordChange(owner, {
+      action,
+      tool: tool.name,
+      account: resolveAccountId(record, req.__account),
+      conversationId: validId(conversationId) ? conversationId : undefined,
+      summary: label ? `${tool.name}: ${label}` : tool.name,
+      ops,
+      reason: NO_UNDO[action],
+    });
+  } catch (e) {
+    console.error('[journal] change not recorded:', e?.message || e);
+  }
+}
+
+// ---- Policy (lib/policy.js): confirmations and dry-run mode
+// Runs the handler with dryRun:true into a throwaway response and returns what it would have sent. Session cookies it
+// sets (token refresh) still reach the real response.
+async function previewWrite(req, res, tokens, handle) {
+  const capture = {
+    status() { return this; },
+    setHeader(k, v) {
+      if (k.toLowerCase() === 'set-cookie') res.setHeader(k, v);
+      return this;
+    },
+    getHeader: k => (res.getHeader ? res.getHeader(k) : undefined),
+    send() {},
+  };
+  const body = req.body;
+  req.body = { ...body, dryRun: true };
+  try {
+    await handle(req, capture, tokens);
+  } catch (e) {
+    if (e && e.status && e.body) return { status: e.status, body: { ok: false, ...e.body } };
+    throw e;
+  } finally {
+    req.body = body;
+  }
+  return capture.__sent;
+}
+
+// Dry-run mode: nothing reaches Google. Tools with their own dryRun say what they would change; the rest echo the call.
+async function dryRunWrite(req, res, tokens, tool, handle) {
+  req.body = { ...parseBody(req), dryRun: true };
+  if (tool.parameters.properties.dryRun) return handle(req, res, tokens);
+  const { dryRun, pendingToken, ...args } = req.body;
+  return json(res, 200, {
+    ok: true,
+    dryRun: true,
+    policy: 'dry_run',
+    tool: tool.name,
+    wouldCall: { action: tool.action, args },
+    note: 'Dry-run mode is on: nothing was changed. Tell the user what this would have done.',
+  });
+}
+
+// Confirm mode: the first call returns a pendingToken (plus a preview where the tool has dryRun); the same call with
+// that token runs. Returns true when the call may go ahead.
+async function confirmWrite(req, res, tokens, tool, handle) {
+  const args = parseBody(req);
+  const owner = await historyOwner(req, res);
+  if (!owner) throw { status: 401, body: { error: 'not_connected' } };
+  if (args.pendingToken) {
+    await redeemPending(owner, tool.action, args);
+    return true;
+  }
+
+  const pending = createPending(owner, tool.action, args);
+  const preview = tool.parameters.properties.dryRun ? await previewWrite(req, res, tokens, handle) : null;
+  if (preview && !preview.body?.ok) {
+    fail(res, preview.status, preview.body);
+    return false;
+  }
+  const { account, ...shown } = args;
+  fail(res, 428, {
+    error: 'confirmation_required',
+    tool: tool.name,
+    args: shown,
+    preview: preview?.body,
+    ...pending,
+    hint: 'Say what this will do and ask the user. Only after they say yes, call again with the same arguments plus pendingToken.',
+  });
+  return false;
+}
+
+// ---- Dispatch
+// action -> handler(req, res, tokens). Tool schemas for these live in lib/tools.js.
+const HANDLERS = {
+  'drive.search': actDriveSearch,
+  'drive.listroot': actDriveListRoot,
+  'drive.move': actDriveMove,
+  'drive.rename': actDriveRename,
+  'drive.copy': actDriveCopy,
+  'drive.share': actDriveShare,
+  'drive.trash': actDriveTrash,
+  'drive.readfile': actDriveReadFile,
+  'docs.read': actDocsRead,
+  'docs.section': actDocsSection,
+  'docs.createappend': actDocsCreateAppend,
+  'docs.write': actDocsWrite,
+  'docs.replace': actDocsReplace,
+  'sheets.read': actSheetsRead,
+  'sheets.query': actSheetsQuery,
+  'sheets.upsert': actSheetsUpsert,
+  'sheets.batchupdate': actSheetsBatchUpdate,
+  'sheets.create': actSheetsCreate,
+  'sheets.addtab': actSheetsAddTab,
+  'sheets.appendrow': actSheetsAppendRow,
+  'sheets.updatecell': actSheetsUpdateCell,
+  'gmail.list': actGmailList,
+  'gmail.search': actGmailSearch,
+  'gmail.get': actGmailGet,
+  'gmail.thread': actGmailThread,
+  'gmail.draft': actGmailDraft,
+  'gmail.reply': actGmailReply,
+  'gmail.send': actGmailSend,
+  'calendar.list': actCalendarList,
+  'calendar.findslot': actCalendarFindSlot,
+  'calendar.create': actCalendarCreate,
+  'calendar.update': actCalendarUpdate,
+  'calendar.delete': actCalendarDelete,
+  'web.search': actWebSearch,
+  'web.fetch': actWebFetch,
+  'history.search': actHistorySearch,
+  'workspace.undo': actWorkspaceUndo,
+};
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return fail(res, 405, { error: 'Use POST (or GET for read-only testing)' });
+  }
+
+  // Every action takes an optional `account` (id, email or label such as "work"); default account otherwise.
+  const account = (parseBody(req).account || req.query.account || '').toString().trim();
+  req.__account = account;
+
+  const tokens = await getFreshTokens(req, res, { account });
+  if (!tokens?.access_token) {
+    if (account) {
+      const { accounts } = await listAccounts(req, res);
+      if (accounts.length) {
+        return fail(res, 404, {
+          error: `No connected Google account matches "${account}"`,
+          accounts: accounts.map(a => ({ email: a.email, label: a.label, default: a.default })),
+        });
+      }
+    }
+    return fail(res, 401, { error: 'Not connected to Google. Visit /api/google.js?op=start' });
+  }
+
+  const raw = ((req.query.action || req.query.op || '') + '').toLowerCase();
+  const alias = {
+    read_by_search: 'sheets.read',
+    append: 'sheets.appendrow',
+    doc_append: 'docs.createappend'
+  };
+  const action = alias[raw] || raw;
+
+  const handle = HANDLERS[action];
+  if (!handle) {
+    return fail(res, 400, { error: 'Unknown or missing action.', allowed: Object.keys(HANDLERS) });
+  }
+
+  const tool = toolByAction(action);
+  try {
+    // Arguments are checked against the tool's schema in lib/tools.js (the same one the model sees).
+    if (tool) {
+      const { args, errors } = validateArgs(tool, parseBody(req));
+      if (errors.length) return fail(res, 400, { error: 'Invalid arguments', tool: tool.name, errors });
+      // Only tools that declare dryRun honour it; elsewhere it would only hide a real write from policy and journal.
+      if (!tool.parameters.properties.dryRun) delete args.dryRun;
+      req.body = args;
+    }
+
+    // Server-side policy: deny, confirm or run (lib/policy.js); writes may be limited to allowlisted places.
+    const policy = loadPolicy();
+    const mode = tool ? actionMode(policy, tool, parseBody(req)) : 'read';
+    req.__policy = policy;
+    req.__writes = !!tool?.writes;
+    if (mode === 'deny') {
+      return fail(res, 403, { error: 'denied_by_policy', tool: tool.name, hint: 'This action is switched off for the assistant; tell the user.' });
+    }
+    // /api/tools.js only offers the tools the assistant profile enables; a call to any other is refused here too.
+    if (tool && !toolEnabled((await resolveProfile(req, res)).profile, tool.name)) {
+      return fail(res, 403, { error: 'not_in_profile', tool: tool.name, hint: 'This tool is not enabled in the assistant profile; tell the user.' });
+    }
+
+    // Incremental authorization: ask for write scopes only when a tool first needs them.
+    const needs = ACTION_SCOPES[action];
+    const missing = missingGroups(tokens, (typeof needs === 'function' ? needs(parseBody(req)) : needs) || []);
+    if (missing.length) {
+      const returnTo = (parseBody(req).returnTo || '').toString();
+      return fail(res, 403, {
+        error: 'needs_scope',
+        needsScope: missing,
+        authUrl: authStartUrl(missing, returnTo.startsWith('/') ? returnTo : '', account),
+        hint: 'Ask the user to grant access using the link shown in the app, then try again.',
+      });
+    }
+
+    if (req.__writes && policy.dryRun) return await dryRunWrite(req, res, tokens, tool, handle);
+    if (mode === 'confirm' && !(await confirmWrite(req, res, tokens, tool, handle))) return;
+
+    return await handle(req, res, tokens);
+  } catch (e) {
+    // Helpers throw { status, body } for expected failures (not found, bad input, Google errors).
+    if (e && e.status && e.body) return fail(res, e.status, e.body);
+    return fail(res, 500, { error: 'Workspace action failed', details: String(e?.message || e) });
+  } finally {
+    await journalChange(req, res, action, tool);
+    await logToolCall(req, res, action, tool);
+  }
+};
@@ -0,0 +1,65 @@
+// lib/choices.js — per-session memory for "which Budget did you mean?"
+// A name lookup that matches several files parks the candidate ids under a key (kind + folder + name). When a later
+// call passes one of those ids together with the same name, that id becomes the answer for the name, for this
+// session and Google account; later lookups pick it without asking (as long as the search still returns it).
+// Stored in the session record as choices: { [accountId]: { remembered: { key: { id, name, at } }, pending: { key: { ids, at } } } }.
+
+const { getSession, updateSession, resolveAccountId } = require('./session');
+
+const PENDING_TTL_MS = 30 * 60 * 1000;
+const MAX_REMEMBERED = 50;
+
+// ('application/vnd.google-apps.spreadsheet', 'Budget', 'Finance') -> one string per lookup
+function choiceKey(kind, name, folder) {
+  return [kind || 'file', String(folder || '').trim().toLowerCase(), String(name || '').trim().toLowerCase()].join('|');
+}
+
+function accountChoices(record, account) {
+  const id = resolveAccountId(record, account);
+  if (!id) return null;
+  record.choices = record.choices || {};
+  const mine = record.choices[id] || (record.choices[id] = { remembered: {}, pending: {} });
+  const now = Date.now();
+  for (const [k, p] of Object.entries(mine.pending)) if (now - p.at > PENDING_TTL_MS) delete mine.pending[k];
+  return mine;
+}
+
+// Remembered file id for this lookup, or null.
+async function recallChoice(req, res, key) {
+  const { record } = await getSession(req, res);
+  const id = resolveAccountId(record, req.__account);
+  return record?.choices?.[id]?.remembered?.[key]?.id || null;
+}
+
+async function parkCandidates(req, key, ids) {
+  await updateSession(req, record => {
+    const mine = accountChoices(record, req.__account);
+    if (mine) mine.pending[key] = { ids, at: Date.now() };
+  });
+}
+
+// The call names `id` for a lookup that was ambiguous: remember it. Returns true when something was remembered.
+async function confirmChoice(req, key, id, name) {
+  const out = await updateSession(req, record => {
+    const mine = accountChoices(record, req.__account);
+    if (!mine || !mine.pending[key]?.ids.includes(id)) return false;
+    delete mine.pending[key];
+    mine.remembered[key] = { id, name: name || '', at: Date.now() };
+    const keys = Object.keys(mine.remembered);
+    if (keys.length > MAX_REMEMBERED) {
+      keys.sort((a, b) => mine.remembered[a].at - mine.remembered[b].at);
+      for (const k of keys.slice(0, keys.length - MAX_REMEMBERED)) delete mine.remembered[k];
+    }
+    return true;
+  });
+  return out === true;
+}
+
+async function forgetChoice(req, key) {
+  await updateSession(req, record => {
+    const mine = accountChoices(record, req.__account);
+    if (mine) delete mine.remembered[key];
+  });
+}
+
+module.exports = { choiceKey, recallChoice, parkCandidates, confirmChoice, forgetChoice };
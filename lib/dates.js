@@ -0,0 +1,247 @@
+// lib/dates.js — turn what the model passes for a date/time ("next Tuesday at 3", "tomorrow morning",
+// "in two hours", "2026-10-22T14:00") into an instant in the user's IANA time zone.
+// Deliberately small: anything it doesn't fully understand is rejected rather than guessed, and every
+// result carries an `echo` ("Tue, 27 Oct 2026, 15:00 (Europe/Amsterdam)") for the model to read back.
+
+const { zonedParts, zonedTimeToUtc, toZonedIso } = require('./time');
+
+const WEEKDAY_RE = /\b(?:(next|this|coming|on|last)\s+)?(mon|tue|tues|wed|wednes|thu|thur|thurs|fri|sat|satur|sun)(?:day)?\b/;
+const WEEKDAY_IDX = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_RE = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty-five': 45, forty: 40, fifty: 50, ninety: 90,
+};
+
+// Default clock time for a part of the day, in minutes after midnight.
+const PARTS_OF_DAY = [
+  [/\bearly morning\b/, 7 * 60],
+  [/\blate morning\b/, 11 * 60],
+  [/\bmorning\b/, 9 * 60],
+  [/\b(?:lunch|lunchtime)\b/, 12 * 60],
+  [/\bearly afternoon\b/, 13 * 60],
+  [/\blate afternoon\b/, 16 * 60],
+  [/\bafternoon\b/, 14 * 60],
+  [/\b(?:end of (?:the )?day|eod|close of business|cob)\b/, 17 * 60],
+  [/\bevening\b/, 18 * 60],
+  [/\b(?:tonight|night)\b/, 20 * 60],
+];
+
+const UNIT_MS = { minute: 60_000, hour: 3_600_000, day: 86_400_000, week: 7 * 86_400_000 };
+
+function unitOf(word) {
+  if (/^(m|min|mins|minute|minutes)$/.test(word)) return 'minute';
+  if (/^(h|hr|hrs|hour|hours)$/.test(word)) return 'hour';
+  if (/^(d|day|days)$/.test(word)) return 'day';
+  if (/^(w|wk|wks|week|weeks)$/.test(word)) return 'week';
+  return null;
+}
+
+function numberOf(word) {
+  if (word == null) return null;
+  if (/^\d+(\.\d+)?$/.test(word)) return Number(word);
+  return NUMBER_WORDS[word] ?? null;
+}
+
+// "Tue, 27 Oct 2026, 15:00 (Europe/Amsterdam)"; date-only values leave out the clock time.
+function echoFor(date, timeZone, dateOnly) {
+  const opts = { timeZone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' };
+  if (!dateOnly) Object.assign(opts, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  return `${new Intl.DateTimeFormat('en-GB', opts).format(date)} (${timeZone})`;
+}
+
+function result(date, timeZone, dateOnly, input) {
+  return { ok: true, input, iso: toZonedIso(date, timeZone), utc: date.toISOString(), dateOnly, timeZone, echo: echoFor(date, timeZone, dateOnly) };
+}
+
+function failure(input, error) {
+  return {
+    ok: false,
+    input,
+    error,
+    hint: 'Use ISO 8601 (2026-10-22T15:00) or phrases like "tomorrow at 3pm", "next Tuesday morning", "in 2 hours".',
+  };
+}
+
+// A real calendar day: 30 February doesn't roll over into March.
+function validDay(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+// Pulls a clock time out of `text`; returns { minutes, rest } or null.
+function takeTime(text) {
+  let m;
+  if ((m = /\b(noon|midday)\b/.exec(text))) return { minutes: 12 * 60, rest: text.replace(m[0], ' ') };
+  if ((m = /\bmidnight\b/.exec(text))) return { minutes: 0, rest: text.replace(m[0], ' ') };
+
+  if ((m = /\b(half|quarter)\s+(past|to)\s+(\d{1,2})\b/.exec(text))) {
+    const h = Number(m[3]);
+    const delta = (m[1] === 'half' ? 30 : 15) * (m[2] === 'past' ? 1 : -1);
+    return { minutes: h * 60 + delta, hour: h, ambiguous: true, rest: text.replace(m[0], ' ') };
+  }
+
+  if ((m = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$)/.exec(text))) {
+    let h = Number(m[1]) % 12;
+    if (m[3].startsWith('p')) h += 12;
+    return { minutes: h * 60 + Number(m[2] || 0), rest: text.replace(m[0], ' ') };
+  }
+
+  if ((m = /\b(\d{1,2})[:h](\d{2})\b/.exec(text))) {
+    return { minutes: Number(m[1]) * 60 + Number(m[2]), rest: text.replace(m[0], ' ') };
+  }
+
+  // "at 3", "3 o'clock": no am/pm given
+  if ((m = /\b(?:at\s+(\d{1,2})(?:\s*o'?clock)?|(\d{1,2})\s*o'?clock)\b/.exec(text))) {
+    const h = Number(m[1] ?? m[2]);
+    return { minutes: h * 60, hour: h, ambiguous: true, rest: text.replace(m[0], ' ') };
+  }
+  return null;
+}
+
+// Resolves an "at 3" style hour: 1–7 without am/pm means afternoon (office hours), unless the
+// phrase says "morning"; a part of day like "evening" also moves it past noon.
+function settleHour(time, partMinutes) {
+  if (!time.ambiguous || time.hour >= 12 || time.hour === 0) return time.minutes;
+  if (partMinutes != null) return partMinutes >= 12 * 60 ? time.minutes + 12 * 60 : time.minutes;
+  return time.hour <= 7 ? time.minutes + 12 * 60 : time.minutes;
+}
+
+// Pulls a day out of `text` relative to `today` ({year, month, day, weekday} in tz).
+// Returns { year, month, day, weekdayRule?, named?, rest } or null; named days (dates said as dates) are not
+// normalised, relative ones may run past the end of the month and are.
+function takeDay(text, today, { past = false } = {}) {
+  let m;
+  const at = offset => ({ year: today.year, month: today.month, day: today.day + offset });
+
+  if ((m = /\b(?:the\s+)?day after tomorrow\b/.exec(text))) return { ...at(2), rest: text.replace(m[0], ' ') };
+  if ((m = /\btomorrow\b/.exec(text))) return { ...at(1), rest: text.replace(m[0], ' ') };
+  if ((m = /\byesterday\b/.exec(text))) return { ...at(-1), rest: text.replace(m[0], ' ') };
+  if ((m = /\btoday\b/.exec(text))) return { ...at(0), rest: text.replace(m[0], ' ') };
+  if ((m = /\btonight\b/.exec(text))) return { ...at(0), rest: text.replace(m[0], ' tonight ') };
+
+  if ((m = /\b(?:in\s+(\S+)\s+(days?|weeks?)|(\S+)\s+(days?|weeks?)\s+from\s+(?:now|today))\b/.exec(text))) {
+    const n = numberOf(m[1] ?? m[3]);
+    if (n != null && Number.isInteger(n)) {
+      const days = n * (unitOf(m[2] ?? m[4]) === 'week' ? 7 : 1);
+      return { ...at(days), rest: text.replace(m[0], ' ') };
+    }
+  }
+
+  if ((m = /\bnext week\b/.exec(text))) {
+    return { ...at(((1 - today.weekday + 7) % 7) || 7), rest: text.replace(m[0], ' ') };
+  }
+
+  if ((m = WEEKDAY_RE.exec(text))) {
+    const target = WEEKDAY_IDX[m[2].slice(0, 3)];
+    // "last Tuesday": the most recent one before today (for looking back, e.g. in history search).
+    if (m[1] === 'last') return { ...at(-(((today.weekday - target + 7) % 7) || 7)), rest: text.replace(m[0], ' ') };
+    let diff = (target - today.weekday + 7) % 7;
+    if (m[1] === 'next' && diff === 0) diff = 7;
+    // Looking back, a plain "friday" is the latest one, today included; "next friday" still looks ahead.
+    if (past && m[1] !== 'next' && m[1] !== 'coming' && diff > 0) diff -= 7;
+    return { ...at(diff), weekdayRule: diff === 0, rest: text.replace(m[0], ' ') };
+  }
+
+  if ((m = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(text))) {
+    return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]), explicitYear: true, named: true, rest: text.replace(m[0], ' ') };
+  }
+
+  const dm = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE}(?:\\s+(\\d{4}))?\\b`).exec(text);
+  const md = new RegExp(`\\b${MONTH_RE}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`).exec(text);
+  if (dm || md) {
+    const day = Number(dm ? dm[1] : md[2]);
+    const month = MONTHS.indexOf(dm ? dm[2] : md[1]) + 1;
+    const yearStr = dm ? dm[3] : md[3];
+    let year = yearStr ? Number(yearStr) : today.year;
+    // "3 March" said in October means next year; looking back, "1 November" said in October means last year.
+    if (!yearStr && past && (month > today.month || (month === today.month && day > today.day))) year -= 1;
+    if (!yearStr && !past && (month < today.month || (month === today.month && day < today.day))) year += 1;
+    return { year, month, day, explicitYear: !!yearStr, named: true, rest: text.replace((dm || md)[0], ' ') };
+  }
+  return null;
+}
+
+// input: ISO string or phrase. Options:
+//   timeZone — IANA zone phrases and zone-less ISO strings are read in (required)
+//   now      — reference instant (default: current time)
+//   base     — Date whose day is used when the phrase has only a clock time ("until 4pm" after a start)
+//   past     — look back instead of ahead: a date without a year or a weekday is its most recent occurrence, and a
+//              clock time that has passed stays today (for filtering existing data rather than scheduling)
+// Returns { ok:true, iso, utc, dateOnly, timeZone, echo } or { ok:false, error, hint }.
+function resolveDateTime(input, { timeZone, now = new Date(), base, past = false } = {}) {
+  const raw = String(input ?? '').trim();
+  if (!raw) return failure(raw, 'empty date/time');
+
+  // ISO 8601. With Z/offset it is absolute; without one it is wall-clock time in timeZone.
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(raw);
+  if (iso) {
+    if (!validDay(Number(iso[1]), Number(iso[2]), Number(iso[3]))) return failure(raw, 'invalid ISO date');
+    if (iso[7]) {
+      const d = new Date(raw.replace(' ', 'T'));
+      return Number.isNaN(d.getTime()) ? failure(raw, 'invalid ISO date') : result(d, timeZone, false, raw);
+    }
+    const [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+    const d = zonedTimeToUtc({ year, month, day, hour: Number(iso[4] || 0), minute: Number(iso[5] || 0) }, timeZone);
+    return result(d, timeZone, iso[4] == null, raw);
+  }
+
+  let text = ` ${raw.toLowerCase().replace(/[,]/g, ' ').replace(/\s+/g, ' ')} `;
+  if (/^\s*now\s*$/.test(text)) return result(now, timeZone, false, raw);
+
+  // "in 2 hours", "in half an hour", "90 minutes from now", "in an hour and a half"
+  let m = /^\s*(?:in\s+)?(half an?|\S+)(\s+and a half)?\s+(\S+?)(\s+and a half)?(?:\s+from now|\s+later)?\s*$/.exec(text);
+  if (m && /^\s*in\s|from now|later/.test(text)) {
+    const unit = unitOf(m[3]);
+    let n = m[1].startsWith('half') ? 0.5 : numberOf(m[1]);
+    if (unit && n != null && (unit === 'minute' || unit === 'hour')) {
+      if (m[2] || m[4]) n += 0.5;
+      return result(new Date(now.getTime() + n * UNIT_MS[unit]), timeZone, false, raw);
+    }
+  }
+
+  const today = zonedParts(base || now, timeZone);
+  const day = takeDay(text, today, { past });
+  if (day) text = day.rest;
+
+  const time = takeTime(text);
+  if (time) text = time.rest;
+
+  let partMinutes = null;
+  for (const [re, minutes] of PARTS_OF_DAY) {
+    if (re.test(text)) {
+      partMinutes = minutes;
+      text = text.replace(re, ' ');
+      break;
+    }
+  }
+
+  // Whatever is left must be filler; otherwise we did not understand the phrase.
+  const leftover = text.replace(/\b(at|on|the|this|in|of|by|around|about|from|starting)\b/g, ' ').trim();
+  if (leftover || (!day && !time && partMinutes == null)) {
+    return failure(raw, `could not understand "${leftover || raw}"`);
+  }
+
+  const minutes = time ? settleHour(time, partMinutes) : partMinutes;
+  if (minutes != null && (minutes < 0 || minutes >= 24 * 60)) return failure(raw, 'time of day out of range');
+
+  const ymd = day || { year: today.year, month: today.month, day: today.day };
+  if (day?.named && !validDay(ymd.year, ymd.month, ymd.day)) return failure(raw, 'invalid date');
+  let date = zonedTimeToUtc({ ...ymd, minute: minutes ?? 0 }, timeZone);
+
+  // A bare clock time (or "friday" said on a Friday) that has already passed means the next one.
+  if (minutes != null && !base && !past && date < now && (!day || day.weekdayRule)) {
+    date = zonedTimeToUtc({ ...ymd, day: ymd.day + (day ? 7 : 1), minute: minutes }, timeZone);
+  }
+  return result(date, timeZone, minutes == null, raw);
+}
+
+// End of the local day that contains `date` (for "list tomorrow" style ranges).
+function endOfDay(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day + 1 }, timeZone);
+}
+
+module.exports = { resolveDateTime, endOfDay, echoFor };
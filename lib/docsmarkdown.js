@@ -0,0 +1,191 @@
+// lib/docsmarkdown.js — a small Markdown subset -> Google Docs batchUpdate requests
+// Supported: # headings (1-6), - / * bullets and 1. numbered lists (indent 2 spaces or a tab per level),
+// **bold**, *italic*, ***both***, [links](https://...), and | pipe | tables |. One line is one paragraph;
+// blank lines and --- rules are dropped. Everything is inserted at a single index that must be the start of
+// a paragraph: blocks are emitted last-to-first at that index, so no request depends on an earlier insert.
+
+const LIST_PRESETS = {
+  bullet: 'BULLET_DISC_CIRCLE_SQUARE',
+  numbered: 'NUMBERED_DECIMAL_ALPHA_ROMAN',
+};
+
+// "**Due** [Friday](https://x)" -> [{ text:'Due', bold:true }, { text:' ' }, { text:'Friday', link:'https://x' }]
+function parseInline(text, style = {}) {
+  const spans = [];
+  const re = /\*\*\*(.+?)\*\*\*|\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)\*|(?<![\w])_(?!\s)(.+?)_(?![\w])|\[([^\]]+)\]\(([^)\s]+)\)|`([^`]+)`/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m.index > last) spans.push({ text: text.slice(last, m.index), ...style });
+    if (m[1] !== undefined) spans.push(...parseInline(m[1], { ...style, bold: true, italic: true }));
+    else if (m[2] !== undefined || m[3] !== undefined) spans.push(...parseInline(m[2] ?? m[3], { ...style, bold: true }));
+    else if (m[4] !== undefined || m[5] !== undefined) spans.push(...parseInline(m[4] ?? m[5], { ...style, italic: true }));
+    else if (m[6] !== undefined) spans.push(...parseInline(m[6], { ...style, link: m[7] }));
+    else spans.push({ text: m[8], ...style });
+    last = re.lastIndex;
+  }
+  if (last < text.length) spans.push({ text: text.slice(last), ...style });
+  return spans.filter(s => s.text);
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+}
+
+// Markdown -> blocks: { type:'paragraph', style, spans } | { type:'list', kind, items:[{ depth, spans }] }
+// | { type:'table', rows:[[spans]] }
+function parseMarkdown(md) {
+  const lines = String(md || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) continue;
+
+    const heading = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      blocks.push({ type: 'paragraph', style: `HEADING_${heading[1].length}`, spans: parseInline(heading[2]) });
+      continue;
+    }
+
+    const item = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      const kind = /\d/.test(item[2]) ? 'numbered' : 'bullet';
+      const depth = Math.min(8, Math.floor(item[1].replace(/\t/g, '  ').length / 2));
+      // Nested items join the list above whatever their marker; a top-level item of the other kind starts a new list.
+      const prev = blocks[blocks.length - 1];
+      if (prev?.type === 'list' && (depth > 0 || prev.kind === kind)) prev.items.push({ depth, spans: parseInline(item[3]) });
+      else blocks.push({ type: 'list', kind, items: [{ depth: 0, spans: parseInline(item[3]) }] });
+      continue;
+    }
+
+    if (/^\s*\|/.test(line)) {
+      const rows = [];
+      for (; i < lines.length && /^\s*\|/.test(lines[i]); i++) {
+        if (/^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(lines[i])) continue;
+        rows.push(splitRow(lines[i]));
+      }
+      i--;
+      const header = rows.length > 1;
+      blocks.push({
+        type: 'table',
+        rows: rows.map((r, n) => r.map(c => parseInline(c, n === 0 && header ? { bold: true } : {}))),
+      });
+      continue;
+    }
+
+    blocks.push({ type: 'paragraph', style: 'NORMAL_TEXT', spans: parseInline(line.trim()) });
+  }
+
+  return blocks;
+}
+
+function styleRequests(spans, start) {
+  const requests = [];
+  let at = start;
+  for (const s of spans) {
+    const range = { startIndex: at, endIndex: at + s.text.length };
+    const textStyle = {};
+    const fields = [];
+    if (s.bold) { textStyle.bold = true; fields.push('bold'); }
+    if (s.italic) { textStyle.italic = true; fields.push('italic'); }
+    if (s.link) { textStyle.link = { url: s.link }; fields.push('link'); }
+    if (fields.length) requests.push({ updateTextStyle: { range, textStyle, fields: fields.join(',') } });
+    at += s.text.length;
+  }
+  return requests;
+}
+
+// Paragraphs and lists between two tables go in with one insertText.
+function textRunRequests(blocks, index) {
+  let text = '';
+  const paragraphs = [];
+  const lists = [];
+  const styles = [];
+
+  for (const b of blocks) {
+    const items = b.type === 'list' ? b.items : [{ depth: 0, spans: b.spans }];
+    const listStart = index + text.length;
+    for (const it of items) {
+      const start = index + text.length;
+      const prefix = b.type === 'list' ? '\t'.repeat(it.depth) : '';
+      styles.push(...styleRequests(it.spans, start + prefix.length));
+      text += prefix + it.spans.map(s => s.text).join('') + '\n';
+      paragraphs.push({ start, end: index + text.length, style: b.type === 'list' ? 'NORMAL_TEXT' : b.style });
+    }
+    if (b.type === 'list') lists.push({ start: listStart, end: index + text.length, kind: b.kind });
+  }
+
+  const range = { startIndex: index, endIndex: index + text.length };
+  const requests = [
+    { insertText: { location: { index }, text } },
+    // Inserted text inherits the style of the paragraph it lands in; start from plain text.
+    { updateTextStyle: { range, textStyle: {}, fields: 'bold,italic,underline,link' } },
+    { deleteParagraphBullets: { range } },
+    ...paragraphs.map(p => ({
+      updateParagraphStyle: {
+        range: { startIndex: p.start, endIndex: p.end },
+        paragraphStyle: { namedStyleType: p.style },
+        fields: 'namedStyleType',
+      },
+    })),
+    ...styles,
+  ];
+  // createParagraphBullets removes the leading tabs it turns into nesting, so later lists go first.
+  for (const l of lists.reverse()) {
+    requests.push({
+      createParagraphBullets: {
+        range: { startIndex: l.start, endIndex: l.end },
+        bulletPreset: LIST_PRESETS[l.kind],
+      },
+    });
+  }
+  return requests;
+}
+
+// A new table at `index`: Docs puts a newline first, then each row is 1 index plus 2 per cell.
+function tableRequests(block, index) {
+  const columns = Math.max(...block.rows.map(r => r.length));
+  const requests = [{ insertTable: { rows: block.rows.length, columns, location: { index } } }];
+  const cells = [];
+  block.rows.forEach((row, r) => {
+    row.forEach((spans, c) => {
+      if (spans.length) cells.push({ at: index + 4 + r * (2 * columns + 1) + 2 * c, spans });
+    });
+  });
+  for (const cell of cells.reverse()) {
+    requests.push({ insertText: { location: { index: cell.at }, text: cell.spans.map(s => s.text).join('') } });
+    requests.push(...styleRequests(cell.spans, cell.at));
+  }
+  return requests;
+}
+
+// -> { requests, paragraphs, tables, chars }; `index` must be the start of a paragraph.
+function markdownRequests(md, index) {
+  const blocks = parseMarkdown(md);
+  const groups = [];
+  for (const b of blocks) {
+    const last = groups[groups.length - 1];
+    if (b.type === 'table') groups.push({ table: b });
+    else if (last && !last.table) last.blocks.push(b);
+    else groups.push({ blocks: [b] });
+  }
+
+  const requests = [];
+  for (const g of groups.reverse()) {
+    requests.push(...(g.table ? tableRequests(g.table, index) : textRunRequests(g.blocks, index)));
+  }
+
+  const spansLength = spans => spans.reduce((n, sp) => n + sp.text.length, 0);
+  let paragraphs = 0;
+  let chars = 0;
+  for (const b of blocks) {
+    const units = b.type === 'table' ? b.rows.flat() : (b.items || [b]).map(it => it.spans);
+    if (b.type !== 'table') paragraphs += units.length;
+    chars += units.reduce((n, spans) => n + spansLength(spans), 0);
+  }
+  const tables = blocks.filter(b => b.type === 'table').length;
+  return { requests, paragraphs, tables, chars };
+}
+
+module.exports = { parseMarkdown, parseInline, markdownRequests };
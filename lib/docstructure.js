@@ -0,0 +1,178 @@
+// lib/docstructure.js — the body of a Google Doc as a flat list of paragraphs and tables with their indexes
+// Headings (TITLE, HEADING_1..6) split the document into sections; a section runs until the next heading
+// of the same or a higher level. Indexes are the Docs API's UTF-16 offsets, ready for batchUpdate ranges.
+// Long documents are read as an outline plus chunks small enough for one tool result.
+
+const HEADING_LEVELS = {
+  TITLE: 0,
+  HEADING_1: 1, HEADING_2: 2, HEADING_3: 3, HEADING_4: 4, HEADING_5: 5, HEADING_6: 6,
+};
+
+function paragraphText(paragraph) {
+  return (paragraph.elements || []).map(e => e.textRun?.content || '').join('');
+}
+
+function cellText(cell) {
+  return (cell.content || [])
+    .map(el => (el.paragraph ? paragraphText(el.paragraph) : ''))
+    .join('')
+    .replace(/\n+$/, '')
+    .replace(/\n/g, ' ');
+}
+
+// Top-level body elements -> [{ type:'paragraph'|'table', startIndex, endIndex, text, level, bullet }]
+// level is the heading level (0 = title) or null for body text. Table text is "a | b" per row.
+function bodyElements(doc) {
+  const out = [];
+  for (const el of doc.body?.content || []) {
+    if (el.paragraph) {
+      const style = el.paragraph.paragraphStyle?.namedStyleType || 'NORMAL_TEXT';
+      const text = paragraphText(el.paragraph).replace(/\n$/, '');
+      out.push({
+        type: 'paragraph',
+        startIndex: el.startIndex,
+        endIndex: el.endIndex,
+        text,
+        level: style in HEADING_LEVELS && text.trim() ? HEADING_LEVELS[style] : null,
+        bullet: !!el.paragraph.bullet,
+      });
+    } else if (el.table) {
+      const rows = (el.table.tableRows || []).map(r => (r.tableCells || []).map(cellText).join(' | '));
+      out.push({ type: 'table', startIndex: el.startIndex, endIndex: el.endIndex, text: rows.join('\n'), level: null });
+    }
+  }
+  return out;
+}
+
+function docEnd(doc) {
+  const content = doc.body?.content || [];
+  return content.length ? content[content.length - 1].endIndex : 1;
+}
+
+function headings(doc) {
+  return bodyElements(doc).filter(e => e.level !== null);
+}
+
+// Exact (case-insensitive) heading text first, then a unique partial match; otherwise a 404 / 409.
+function findHeading(doc, name) {
+  const want = String(name || '').trim().toLowerCase();
+  if (!want) throw { status: 400, body: { error: 'heading is required' } };
+
+  const all = headings(doc);
+  const exact = all.filter(h => h.text.trim().toLowerCase() === want);
+  const hits = exact.length ? exact : all.filter(h => h.text.toLowerCase().includes(want));
+  if (hits.length === 1) return hits[0];
+
+  const list = (hits.length ? hits : all).map(h => h.text.trim());
+  if (!hits.length) throw { status: 404, body: { error: `No heading matches "${name}"`, headings: list } };
+  throw { status: 409, body: { error: `Several headings match "${name}"`, headings: list } };
+}
+
+// Content under a heading: [start, end). `atEnd` means the section runs to the end of the document,
+// where `end` stops before the body's final newline (which cannot be deleted).
+function sectionRange(doc, heading) {
+  const els = bodyElements(doc);
+  const next = els.find(e => e.startIndex >= heading.endIndex && e.level !== null && e.level <= heading.level);
+  if (next) return { start: heading.endIndex, end: next.startIndex, atEnd: false };
+  return { start: heading.endIndex, end: docEnd(doc) - 1, atEnd: true };
+}
+
+// Consecutive elements -> windows of at most maxChars, broken between elements where possible.
+// An element longer than maxChars on its own is cut into pieces.
+function windows(elements, maxChars) {
+  const out = [];
+  let cur = null;
+  for (const e of elements) {
+    const text = `${e.text}\n`;
+    if (cur && cur.text.length + text.length > maxChars) {
+      out.push(cur);
+      cur = null;
+    }
+    if (text.length > maxChars) {
+      for (let at = 0; at < text.length; at += maxChars) {
+        out.push({ startIndex: e.startIndex + at, endIndex: Math.min(e.endIndex, e.startIndex + at + maxChars), text: text.slice(at, at + maxChars) });
+      }
+      continue;
+    }
+    if (!cur) cur = { startIndex: e.startIndex, endIndex: e.endIndex, text: '' };
+    cur.text += text;
+    cur.endIndex = e.endIndex;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// by 'heading': chunks start at headings and pack whole sections while they fit; a section bigger than
+// maxChars gets character windows of its own. by 'chars': plain windows over the whole body.
+// Works on any [{ startIndex, endIndex, text, level }] list, not only a Doc's body.
+function chunkElements(els, { maxChars = 6000, by = 'heading' } = {}) {
+  let chunks;
+  if (by === 'chars') {
+    chunks = windows(els, maxChars);
+  } else {
+    const sections = [];
+    for (const e of els) {
+      if (e.level !== null || !sections.length) sections.push([]);
+      sections[sections.length - 1].push(e);
+    }
+    chunks = [];
+    let cur = null;
+    for (const sec of sections) {
+      const size = sec.reduce((n, e) => n + e.text.length + 1, 0);
+      if (cur && cur.size + size <= maxChars) {
+        cur.els.push(...sec);
+        cur.size += size;
+        continue;
+      }
+      if (cur) chunks.push(...windows(cur.els, maxChars));
+      cur = { els: [...sec], size };
+    }
+    if (cur) chunks.push(...windows(cur.els, maxChars));
+  }
+
+  return chunks.map((c, i) => {
+    const inside = els.filter(e => e.level !== null && e.startIndex >= c.startIndex && e.startIndex < c.endIndex);
+    return { chunk: i + 1, startIndex: c.startIndex, endIndex: c.endIndex, headings: inside.map(h => h.text.trim()), text: c.text };
+  });
+}
+
+function docChunks(doc, opts) {
+  return chunkElements(bodyElements(doc), opts);
+}
+
+// Headings with their section size, so the model can pick what to open next.
+function docOutline(doc, chunks) {
+  return headings(doc).map((h, i) => {
+    const sec = sectionRange(doc, h);
+    return {
+      n: i + 1,
+      text: h.text.trim(),
+      level: h.level,
+      startIndex: h.startIndex,
+      chars: Math.max(0, sec.end - h.startIndex),
+      chunk: chunks ? (chunks.find(c => h.startIndex >= c.startIndex && h.startIndex < c.endIndex) || {}).chunk : undefined,
+    };
+  });
+}
+
+// Heading plus everything under it (subsections included), as plain text.
+function sectionText(doc, heading) {
+  const sec = sectionRange(doc, heading);
+  const end = sec.atEnd ? docEnd(doc) : sec.end;
+  const els = bodyElements(doc).filter(e => e.startIndex >= heading.startIndex && e.startIndex < end);
+  return { elements: els, text: els.map(e => `${e.text}\n`).join('') };
+}
+
+module.exports = {
+  HEADING_LEVELS,
+  bodyElements,
+  docEnd,
+  headings,
+  findHeading,
+  sectionRange,
+  windows,
+  chunkElements,
+  docChunks,
+  docOutline,
+  sectionText,
+};
@@ -0,0 +1,295 @@
+// lib/extract.js — plain text out of files downloaded from Drive, split at page / sheet / slide boundaries
+// Word (.docx), Excel (.xlsx) and PowerPoint (.pptx) are zip archives of XML, read here with zlib alone;
+// PDFs go through lib/pdftext.js. Text-like files (txt, csv, md, json, html) are decoded directly.
+// Result: { kind, parts:[{ label, text }], truncated }. Anything else is a 415 the caller can OCR or report.
+
+const zlib = require('zlib');
+const { decodeEntities, htmlToText } = require('./mime');
+const { pdfToText } = require('./pdftext');
+
+const MAX_ENTRY = 50 * 1024 * 1024; // uncompressed size of one archive member
+const MAX_ROWS_PER_SHEET = 5000;
+const MAX_TEXT = 2 * 1024 * 1024; // extracted characters kept in total
+
+const OFFICE = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+};
+
+const TEXT_TYPES = /^(text\/|application\/(json|xml|csv|x-csv|javascript|x-yaml|yaml|rtf)\b)/;
+
+// ---- Zip
+// Central directory -> Map(name -> entry). Only stored and deflated members (all Office files use these).
+function readZip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 65535); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw { status: 422, body: { error: 'File is not a valid Office document (no zip directory)' } };
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let at = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let n = 0; n < count && at + 46 <= buf.length; n++) {
+    if (buf.readUInt32LE(at) !== 0x02014b50) break;
+    const method = buf.readUInt16LE(at + 10);
+    const compressed = buf.readUInt32LE(at + 20);
+    const size = buf.readUInt32LE(at + 24);
+    const nameLen = buf.readUInt16LE(at + 28);
+    const extraLen = buf.readUInt16LE(at + 30);
+    const commentLen = buf.readUInt16LE(at + 32);
+    const local = buf.readUInt32LE(at + 42);
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLen);
+    entries.set(name, { method, compressed, size, local });
+    at += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+function zipText(buf, entries, name) {
+  const e = entries.get(name);
+  if (!e || e.size > MAX_ENTRY) return null;
+  const local = e.local;
+  if (local + 30 > buf.length || buf.readUInt32LE(local) !== 0x04034b50) return null;
+  const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+  const data = buf.subarray(start, start + e.compressed);
+  try {
+    if (e.method === 0) return data.toString('utf8');
+    if (e.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY }).toString('utf8');
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+// ---- XML helpers (Office XML is regular enough for tag scanning)
+function xmlText(s) {
+  return decodeEntities(String(s || '').replace(/<[^>]+>/g, ''));
+}
+
+function attr(tag, name) {
+  const m = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return m ? decodeEntities(m[1]) : null;
+}
+
+function relsMap(xml) {
+  const map = {};
+  for (const m of String(xml || '').matchAll(/<Relationship\b[^>]*>/g)) map[attr(m[0], 'Id')] = attr(m[0], 'Target');
+  return map;
+}
+
+// "worksheets/sheet1.xml" relative to "xl/" -> "xl/worksheets/sheet1.xml"; absolute targets start at the root.
+function zipPath(base, target) {
+  if (!target) return null;
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = base.split('/').filter(Boolean);
+  for (const p of target.split('/')) {
+    if (p === '..') parts.pop();
+    else if (p !== '.') parts.push(p);
+  }
+  return parts.join('/');
+}
+
+// ---- Word
+// Paragraphs in order; table rows become "a | b". A page starts at an explicit or last-rendered page break.
+function docxParts(buf) {
+  const zip = readZip(buf);
+  const xml = zipText(buf, zip, 'word/document.xml');
+  if (xml === null) throw { status: 422, body: { error: 'Word file has no readable document body' } };
+  const body = (/<w:body\b[^>]*>([\s\S]*)<\/w:body>/.exec(xml) || [, xml])[1];
+
+  const pages = [[]];
+  const pageBreak = () => { if (pages[pages.length - 1].length) pages.push([]); };
+  const paragraph = p => {
+    let text = '';
+    for (const m of p.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>|<w:lastRenderedPageBreak\/>|<w:cr\/>/g)) {
+      const tag = m[0];
+      if (m[1] !== undefined) text += decodeEntities(m[1]);
+      else if (tag === '<w:tab/>') text += '\t';
+      else if (tag === '<w:cr/>') text += '\n';
+      else if (/w:type="page"/.test(tag) || tag === '<w:lastRenderedPageBreak/>') {
+        // Both markers often sit at the same spot; an empty page in between is never kept.
+        if (text.trim()) pages[pages.length - 1].push(text);
+        text = '';
+        pageBreak();
+      } else text += '\n';
+    }
+    return text;
+  };
+
+  for (const m of body.matchAll(/<w:tbl\b[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g)) {
+    if (m[0].startsWith('<w:tbl')) {
+      for (const row of m[0].matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)) {
+        const cells = [...row[0].matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)].map(c =>
+          [...c[0].matchAll(/<w:p\b[^>]*>[\s\S]*?<\/w:p>/g)].map(p => xmlText(p[0].replace(/<w:tab\/>/g, ' '))).join(' ').trim());
+        pages[pages.length - 1].push(cells.join(' | '));
+      }
+    } else {
+      const text = paragraph(m[0]);
+      if (text !== '' || !m[0].endsWith('/>')) pages[pages.length - 1].push(text);
+    }
+  }
+
+  const texts = pages.map(p => p.join('\n').replace(/\n{3,}/g, '\n\n').trim());
+  while (texts.length > 1 && !texts[texts.length - 1]) texts.pop();
+  return texts.map((text, i) => ({ label: `Page ${i + 1}`, text }));
+}
+
+// ---- Excel
+// Built-in number formats that are dates (ECMA-376 18.8.30).
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function dateStyles(stylesXml) {
+  const custom = {};
+  for (const m of String(stylesXml || '').matchAll(/<numFmt\b[^>]*>/g)) custom[attr(m[0], 'numFmtId')] = attr(m[0], 'formatCode') || '';
+  const xfs = (/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(stylesXml || '') || [, ''])[1];
+  return [...xfs.matchAll(/<xf\b[^>]*>/g)].map(m => {
+    const id = Number(attr(m[0], 'numFmtId') || 0);
+    if (BUILTIN_DATE_FORMATS.has(id)) return true;
+    const code = (custom[id] || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    return /[dy]/i.test(code) || /h+.*m+/i.test(code);
+  });
+}
+
+// Excel serial date -> "2024-03-01" (or with time when there is one).
+function serialDate(n) {
+  const ms = Math.round((n - 25569) * 86400000);
+  const iso = new Date(ms).toISOString();
+  return ms % 86400000 ? iso.slice(0, 16).replace('T', ' ') : iso.slice(0, 10);
+}
+
+function cellValue(c, shared, dates) {
+  const type = attr(c, 't');
+  if (type === 'inlineStr') return xmlText((/<is>([\s\S]*?)<\/is>/.exec(c) || [, ''])[1]);
+  const v = /<v>([\s\S]*?)<\/v>/.exec(c);
+  if (!v) return '';
+  const raw = decodeEntities(v[1]);
+  if (type === 's') return shared[Number(raw)] ?? '';
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  if (type === 'str' || type === 'e') return raw;
+  const style = Number(attr(c, 's') || 0);
+  const num = Number(raw);
+  if (dates[style] && Number.isFinite(num)) return serialDate(num);
+  return raw;
+}
+
+function columnNumber(ref) {
+  const letters = (/^[A-Z]+/.exec(ref || '') || [''])[0];
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function xlsxParts(buf) {
+  const zip = readZip(buf);
+  const workbook = zipText(buf, zip, 'xl/workbook.xml');
+  if (workbook === null) throw { status: 422, body: { error: 'Excel file has no readable workbook' } };
+  const rels = relsMap(zipText(buf, zip, 'xl/_rels/workbook.xml.rels'));
+  const shared = [...String(zipText(buf, zip, 'xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(m => xmlText(m[1].replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')));
+  const dates = dateStyles(zipText(buf, zip, 'xl/styles.xml'));
+
+  const parts = [];
+  let truncated = false;
+  for (const m of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = attr(m[0], 'name') || `Sheet${parts.length + 1}`;
+    const xml = zipText(buf, zip, zipPath('xl', rels[attr(m[0], 'r:id')]));
+    if (xml === null) continue;
+
+    const lines = [];
+    for (const row of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      if (lines.length >= MAX_ROWS_PER_SHEET) { truncated = true; break; }
+      const cells = [];
+      for (const c of row[1].matchAll(/<c\b[^>]*\/>|<c\b[^>]*>[\s\S]*?<\/c>/g)) {
+        const col = columnNumber(attr(c[0], 'r'));
+        const at = col >= 0 ? col : cells.length;
+        if (at > 1000) continue;
+        while (cells.length < at) cells.push('');
+        cells[at] = cellValue(c[0], shared, dates);
+      }
+      while (cells.length && cells[cells.length - 1] === '') cells.pop();
+      if (cells.length) lines.push(cells.join(' | '));
+    }
+    parts.push({ label: name, text: lines.join('\n') });
+  }
+  return { parts, truncated };
+}
+
+// ---- PowerPoint
+function pptxParts(buf) {
+  const zip = readZip(buf);
+  const slides = [...zip.keys()]
+    .map(name => ({ name, n: Number((/^ppt\/slides\/slide(\d+)\.xml$/.exec(name) || [])[1]) }))
+    .filter(s => s.n)
+    .sort((a, b) => a.n - b.n);
+  if (!slides.length) throw { status: 422, body: { error: 'PowerPoint file has no readable slides' } };
+
+  return slides.map((s, i) => {
+    const xml = zipText(buf, zip, s.name) || '';
+    const paras = [...xml.matchAll(/<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)]
+      .map(p => [...p[1].matchAll(/<a:t>([^<]*)<\/a:t>|<a:br\/>/g)].map(t => (t[1] !== undefined ? decodeEntities(t[1]) : '\n')).join(''))
+      .filter(t => t.trim());
+    const rels = relsMap(zipText(buf, zip, `ppt/slides/_rels/slide${s.n}.xml.rels`));
+    const notesPath = zipPath('ppt/slides', Object.values(rels).find(t => /notesSlide/.test(t || '')));
+    const notes = notesPath ? [...String(zipText(buf, zip, notesPath) || '').matchAll(/<a:t>([^<]*)<\/a:t>/g)]
+      .map(t => decodeEntities(t[1])).join(' ').replace(/\s+\d+\s*$/, '').trim() : '';
+    return { label: `Slide ${i + 1}`, text: paras.join('\n') + (notes ? `\n\nNotes: ${notes}` : '') };
+  });
+}
+
+// ---- Entry point
+function kindOf(mimeType, name) {
+  const type = String(mimeType || '').toLowerCase();
+  const ext = (/\.([a-z0-9]+)$/i.exec(name || '') || [, ''])[1].toLowerCase();
+  if (type === 'application/pdf' || ext === 'pdf') return 'pdf';
+  if (OFFICE[type]) return OFFICE[type];
+  if (['docx', 'xlsx', 'pptx'].includes(ext)) return ext;
+  if (type === 'text/html' || ['html', 'htm'].includes(ext)) return 'html';
+  if (TEXT_TYPES.test(type) || ['txt', 'csv', 'tsv', 'md', 'json', 'xml', 'yaml', 'yml', 'log'].includes(ext)) return 'text';
+  if (type.startsWith('image/')) return 'image';
+  return null;
+}
+
+function cap(parts) {
+  let left = MAX_TEXT;
+  let truncated = false;
+  const out = [];
+  for (const p of parts) {
+    if (left <= 0) { truncated = true; break; }
+    const text = p.text.length > left ? p.text.slice(0, left) : p.text;
+    if (text.length < p.text.length) truncated = true;
+    out.push({ label: p.label, text });
+    left -= text.length;
+  }
+  return { parts: out, truncated };
+}
+
+// Buffer + Drive mimeType/name -> { kind, parts, truncated, encrypted? }. Images and unknown types throw a 415.
+function extractText(buf, mimeType, name) {
+  const kind = kindOf(mimeType, name);
+  let parts;
+  let truncated = false;
+  let encrypted = false;
+
+  if (kind === 'pdf') {
+    const pdf = pdfToText(buf);
+    encrypted = pdf.encrypted;
+    parts = pdf.pages.map((text, i) => ({ label: `Page ${i + 1}`, text }));
+  } else if (kind === 'docx') {
+    parts = docxParts(buf);
+  } else if (kind === 'xlsx') {
+    ({ parts, truncated } = xlsxParts(buf));
+  } else if (kind === 'pptx') {
+    parts = pptxParts(buf);
+  } else if (kind === 'html') {
+    parts = [{ label: name || 'Text', text: htmlToText(buf.toString('utf8')) }];
+  } else if (kind === 'text') {
+    parts = [{ label: name || 'Text', text: buf.toString('utf8').replace(/^﻿/, '').replace(/\r\n?/g, '\n') }];
+  } else {
+    throw { status: 415, body: { error: `Can't extract text from ${mimeType || 'this file type'}`, kind } };
+  }
+
+  const capped = cap(parts);
+  return { kind, parts: capped.parts, truncated: truncated || capped.truncated, ...(encrypted ? { encrypted } : {}) };
+}
+
+module.exports = { extractText, kindOf, readZip, MAX_TEXT };
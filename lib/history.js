@@ -0,0 +1,274 @@
+// lib/history.js — conversation history: transcripts plus an audit log of every tool call
+// Owned by the signed-in Google user (the session's default account), so it outlives the browser session; records are
+// encrypted like session records. Stored in lib/store.js under namespace 'history':
+//   index:<owner>      -> [{ id, startedAt, updatedAt, title, turns, toolCalls, changes }] newest first
+//   conv:<owner>:<id>  -> { id, startedAt, updatedAt, events:[event], title?, droppedTurns?, droppedTools?, droppedChanges? }
+// event: { at, role:'user'|'assistant', text }
+//      | { at, role:'tool', name, action, account, args, ok, status, error, result, changed }
+// changed marks a successful call of a writing tool (lib/tools.js writes:true) that was not a dry run.
+//
+// Env: HISTORY_RETENTION_DAYS (90)
+
+const { createStore, withLock } = require('./store');
+const { getSession, resolveAccountId, seal, open } = require('./session');
+const { resolveDateTime, endOfDay } = require('./dates');
+
+const store = createStore('history');
+
+const MAX_CONVERSATIONS = 200;
+const MAX_EVENTS = 2000;
+const MAX_TEXT = 4000;
+const MAX_ARG_CHARS = 2000;
+const MAX_RESULT_CHARS = 8000;
+const ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+const REDACT = new Set(['confirmToken', 'pendingToken']);
+
+function retentionMs() {
+  return Math.max(1, Number(process.env.HISTORY_RETENTION_DAYS) || 90) * 86400000;
+}
+
+function validId(id) {
+  return typeof id === 'string' && ID_RE.test(id);
+}
+
+// History belongs to the session's default Google account (sessions migrated from the old cookie: the session).
+async function historyOwner(req, res) {
+  const { sid, record } = await getSession(req, res);
+  const id = resolveAccountId(record, '');
+  if (!sid || !id) return null;
+  return id === 'legacy' ? `s_${sid}` : id;
+}
+
+// ---- Storage
+async function readIndex(owner) {
+  return open(await store.get(`index:${owner}`)) || [];
+}
+
+async function readConversation(owner, id) {
+  return validId(id) ? open(await store.get(`conv:${owner}:${id}`)) : null;
+}
+
+// ---- Event shaping
+function clip(s, max) {
+  s = String(s ?? '');
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+function compactArgs(args) {
+  const out = {};
+  for (const [k, v] of Object.entries(args || {})) {
+    if (REDACT.has(k)) out[k] = '[redacted]';
+    else if (typeof v === 'string') out[k] = clip(v, MAX_ARG_CHARS);
+    else {
+      const raw = JSON.stringify(v);
+      out[k] = raw && raw.length > MAX_ARG_CHARS ? clip(raw, MAX_ARG_CHARS) : v;
+    }
+  }
+  return out;
+}
+
+// What a write returned (ids, links, changes); reads only keep ok/error, their payloads can be whole documents.
+function compactResult(body) {
+  if (!body || typeof body !== 'object') return undefined;
+  const { ok, error, ...rest } = body;
+  const raw = JSON.stringify(rest);
+  return raw.length > MAX_RESULT_CHARS ? { truncated: true, preview: raw.slice(0, MAX_RESULT_CHARS) } : rest;
+}
+
+function transcriptEvent(e) {
+  const role = e?.role === 'assistant' ? 'assistant' : e?.role === 'user' ? 'user' : null;
+  const text = clip((e?.text || '').toString().trim(), MAX_TEXT);
+  if (!role || !text) return null;
+  const at = Date.parse(e.at);
+  return { at: new Date(Number.isFinite(at) && at <= Date.now() + 60000 ? at : Date.now()).toISOString(), role, text };
+}
+
+function toolEvent({ tool, action, account, args, status, body }) {
+  const ok = !!body?.ok;
+  return {
+    at: new Date().toISOString(),
+    role: 'tool',
+    name: tool?.name || action,
+    action,
+    account: account || undefined,
+    args: compactArgs(args),
+    ok,
+    status,
+    error: ok ? undefined : clip(body?.error || 'failed', 500),
+    result: tool?.writes && ok ? compactResult(body) : undefined,
+    changed: !!(tool?.writes && ok && !args?.dryRun) || undefined,
+  };
+}
+
+// ---- Writing
+function summaryOf(conv) {
+  const firstUser = conv.events.find(e => e.role === 'user');
+  const tools = conv.events.filter(e => e.role === 'tool');
+  return {
+    id: conv.id,
+    startedAt: conv.startedAt,
+    updatedAt: conv.updatedAt,
+    title: clip(conv.title || firstUser?.text || 'Conversation', 80),
+    turns: conv.events.filter(e => e.role !== 'tool').length + (conv.droppedTurns || 0),
+    toolCalls: tools.length + (conv.droppedTools || 0),
+    changes: tools.filter(e => e.changed).length + (conv.droppedChanges || 0),
+  };
+}
+
+async function appendEvents(owner, id, events) {
+  if (!validId(id)) throw { status: 400, body: { error: 'conversationId must be 8-64 letters, digits, - or _' } };
+  const fresh = events.filter(Boolean);
+  if (!fresh.length) return null;
+
+  return withLock(store, owner, async () => {
+    const now = new Date().toISOString();
+    const conv = (await readConversation(owner, id)) || { id, startedAt: fresh[0].at || now, events: [] };
+    conv.events.push(...fresh);
+    if (conv.events.length > MAX_EVENTS) {
+      // Oldest events go first; the counters in the summary stay right.
+      for (const e of conv.events.splice(0, conv.events.length - MAX_EVENTS)) {
+        if (e.role === 'tool') {
+          conv.droppedTools = (conv.droppedTools || 0) + 1;
+          if (e.changed) conv.droppedChanges = (conv.droppedChanges || 0) + 1;
+        } else {
+          conv.droppedTurns = (conv.droppedTurns || 0) + 1;
+          if (e.role === 'user' && !conv.title) conv.title = clip(e.text, 80);
+        }
+      }
+    }
+    conv.updatedAt = now;
+
+    const summary = summaryOf(conv);
+    const cutoff = Date.now() - retentionMs();
+    const index = (await readIndex(owner))
+      .filter(c => c.id !== id && Date.parse(c.updatedAt) > cutoff);
+    index.unshift(summary);
+    const removed = index.splice(MAX_CONVERSATIONS);
+
+    await store.set(`conv:${owner}:${id}`, seal(conv), retentionMs());
+    await store.set(`index:${owner}`, seal(index), retentionMs());
+    for (const c of removed) await store.del(`conv:${owner}:${c.id}`);
+    return summary;
+  }, { label: 'History' });
+}
+
+function appendTranscript(owner, id, events) {
+  return appendEvents(owner, id, (Array.isArray(events) ? events : []).slice(0, 100).map(transcriptEvent));
+}
+
+function recordToolCall(owner, id, call) {
+  return appendEvents(owner, id, [toolEvent(call)]);
+}
+
+async function deleteConversation(owner, id) {
+  return withLock(store, owner, async () => {
+    const index = await readIndex(owner);
+    const kept = index.filter(c => c.id !== id);
+    if (kept.length === index.length) return false;
+    await store.del(`conv:${owner}:${id}`);
+    await store.set(`index:${owner}`, seal(kept), retentionMs());
+    return true;
+  }, { label: 'History' });
+}
+
+// ---- Reading
+// before: ISO time; returns conversations last updated before it (paging through the list).
+async function listConversations(owner, { limit = 20, before } = {}) {
+  const index = await readIndex(owner);
+  const from = before ? index.filter(c => c.updatedAt < before) : index;
+  const page = from.slice(0, limit);
+  return { conversations: page, more: from.length > page.length ? page[page.length - 1].updatedAt : null };
+}
+
+function eventText(e) {
+  if (e.role !== 'tool') return e.text;
+  return `${e.name} ${JSON.stringify(e.args || {})} ${e.error || ''} ${e.result ? JSON.stringify(e.result) : ''}`;
+}
+
+// { from, to } as ISO or phrases -> Dates in timeZone, read looking back ("3 October" and "friday" are the latest ones).
+// "last Tuesday" covers that whole day; "yesterday at 3pm" runs until now. Throws a 400 for phrases lib/dates.js can't
+// read.
+function historyRange({ from, to } = {}, timeZone = 'UTC', now = new Date()) {
+  const parse = (raw, name) => {
+    if (!raw) return null;
+    const r = resolveDateTime(raw.toString(), { timeZone, now, past: true });
+    if (!r.ok) throw { status: 400, body: { error: `Could not read ${name}: ${r.error}`, hint: r.hint } };
+    return r;
+  };
+  const start = parse(from, 'from');
+  const end = parse(to, 'to');
+  const at = r => new Date(r.utc);
+  return {
+    from: start ? at(start) : null,
+    to: end ? (end.dateOnly ? endOfDay(at(end), timeZone) : at(end)) : start?.dateOnly ? endOfDay(at(start), timeZone) : null,
+  };
+}
+
+// q: words that must all appear (any case); from/to: Dates; role: 'user' | 'assistant' | 'tool'; changes: writes only.
+async function searchHistory(owner, { q = '', from, to, role, changes = false, limit = 50 } = {}) {
+  const words = String(q).toLowerCase().split(/\s+/).filter(Boolean);
+  const index = await readIndex(owner);
+  const hits = [];
+  let more = false;
+  for (const c of index) {
+    if (from && Date.parse(c.updatedAt) < from.getTime()) continue;
+    if (to && Date.parse(c.startedAt) >= to.getTime()) continue;
+    if (changes && !c.changes) continue;
+    const conv = await readConversation(owner, c.id);
+    for (const e of conv?.events || []) {
+      const at = Date.parse(e.at);
+      if (from && at < from.getTime()) continue;
+      if (to && at >= to.getTime()) continue;
+      if (role && e.role !== role) continue;
+      if (changes && !e.changed) continue;
+      if (words.length) {
+        const hay = eventText(e).toLowerCase();
+        if (!words.every(w => hay.includes(w))) continue;
+      }
+      if (hits.length >= limit) {
+        more = true;
+        break;
+      }
+      hits.push({ conversationId: c.id, title: c.title, ...e });
+    }
+    if (more) break;
+  }
+  hits.sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+  return { hits, more };
+}
+
+// ---- Export
+function toolLine(e) {
+  const args = Object.entries(e.args || {})
+    .map(([k, v]) => `${k}=${typeof v === 'string' ? JSON.stringify(v.length > 80 ? `${v.slice(0, 80)}…` : v) : JSON.stringify(v)}`)
+    .join(', ');
+  const outcome = e.ok ? (e.changed ? 'changed' : 'ok') : `failed (${e.status}): ${e.error}`;
+  return `- \`${e.at.slice(11, 19)}\` **${e.name}**(${args}) → ${outcome}${e.account ? ` [${e.account}]` : ''}`;
+}
+
+// names: the assistant profile's { assistant, user } (lib/profile.js).
+function toMarkdown(conv, summary, names = {}) {
+  const lines = [`# ${summary?.title || 'Conversation'}`, '', `Started ${conv.startedAt}, last activity ${conv.updatedAt}.`];
+  if (summary) lines.push(`${summary.turns} turns, ${summary.toolCalls} tool calls, ${summary.changes} changes.`);
+  if (conv.droppedTurns || conv.droppedTools) lines.push('', '_Older events were dropped to keep the conversation size bounded._');
+  for (const e of conv.events) {
+    lines.push('');
+    if (e.role === 'tool') lines.push(toolLine(e));
+    else lines.push(`**${e.role === 'user' ? names.user || 'You' : names.assistant || 'Assistant'}** (${e.at.slice(11, 16)}): ${e.text}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  historyOwner,
+  validId,
+  appendTranscript,
+  recordToolCall,
+  deleteConversation,
+  listConversations,
+  readConversation,
+  readIndex,
+  searchHistory,
+  historyRange,
+  toMarkdown,
+};
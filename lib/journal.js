@@ -0,0 +1,100 @@
+// lib/journal.js — what each write action changed, so workspace.undo can put it back
+// Kept per history owner (lib/history.js: the session's default Google account), encrypted like session records, in
+// lib/store.js namespace 'journal' under changes:<owner> -> [entry] oldest first.
+// entry: { id, at, action, tool, account, conversationId?, summary, ops:[op], reason?, undoneAt? }
+// account is the Google account id the change was made with; an entry without ops can't be undone here and `reason`
+// says what to do instead. Ops (reversed by api/workspace.js, last op first):
+//   event.created { eventId, updated }                    -> delete the event
+//   event.patched { eventId, before, updated }            -> patch the fields in `before` back
+//   event.deleted { eventId, before }                     -> restore it (or re-create it from `before`)
+//   cells         { spreadsheetId, cells:[{ range, before, after }] } -> write `before` back
+//   doc.inserted  { docId, revisionId, length }           -> delete the text added at the end
+//   doc.range     { docId, revisionId, startIndex, tail, before } -> delete from startIndex to `tail` before the end of
+//                                                           the body and put `before` back there (without its formatting)
+//   doc.replaced  { docId, revisionId, before }           -> put the previous text back (without its formatting)
+//   file.created  { fileId, revisionId?, modifiedTime? }  -> move the file to the bin
+//   file.patched  { fileId, before, after }               -> name / parents / trashed back to `before`
+// updated / revisionId / modifiedTime / after describe the target right after the change; undo refuses when it no
+// longer looks like that.
+//
+// Env: JOURNAL_RETENTION_DAYS (30)
+
+const { createStore, withLock } = require('./store');
+const { seal, open } = require('./session');
+const { randomId } = require('./sign');
+
+const store = createStore('journal');
+
+const MAX_ENTRIES = 100;
+const MAX_BEFORE_CHARS = 200_000;
+
+function retentionMs() {
+  return Math.max(1, Number(process.env.JOURNAL_RETENTION_DAYS) || 30) * 86400000;
+}
+
+async function readEntries(owner) {
+  return open(await store.get(`changes:${owner}`)) || [];
+}
+
+async function writeEntries(owner, entries) {
+  const cutoff = Date.now() - retentionMs();
+  const kept = entries.filter(e => Date.parse(e.at) > cutoff).slice(-MAX_ENTRIES);
+  await store.set(`changes:${owner}`, seal(kept), retentionMs());
+}
+
+// A replaced document's old text can be long; past the cap the change is kept but can no longer be undone.
+function boundedOps(ops) {
+  const tooBig = ops.some(op => (op.type === 'doc.replaced' || op.type === 'doc.range') && (op.before || '').length > MAX_BEFORE_CHARS);
+  return tooBig ? { ops: [], reason: 'The previous text was too long to keep; use File → Version history in Google Docs' } : { ops };
+}
+
+async function recordChange(owner, { action, tool, account, conversationId, summary, ops = [], reason }) {
+  const bounded = boundedOps(ops);
+  const entry = {
+    id: randomId('chg_'),
+    at: new Date().toISOString(),
+    action,
+    tool,
+    account,
+    conversationId: conversationId || undefined,
+    summary,
+    ops: bounded.ops,
+    reason: bounded.reason || (bounded.ops.length ? undefined : reason),
+  };
+  await withLock(store, owner, async () => {
+    const entries = await readEntries(owner);
+    entries.push(entry);
+    await writeEntries(owner, entries);
+  }, { label: 'Journal' });
+  return entry;
+}
+
+// Changes not undone yet, newest first.
+async function pendingChanges(owner) {
+  return (await readEntries(owner)).filter(e => !e.undoneAt).reverse();
+}
+
+async function markUndone(owner, id) {
+  return withLock(store, owner, async () => {
+    const entries = await readEntries(owner);
+    const entry = entries.find(e => e.id === id);
+    if (!entry || entry.undoneAt) return false;
+    entry.undoneAt = new Date().toISOString();
+    await writeEntries(owner, entries);
+    return true;
+  }, { label: 'Journal' });
+}
+
+// What the assistant reads back before undoing: no before-states, just what and when.
+function changeView(entry) {
+  return {
+    changeId: entry.id,
+    at: entry.at,
+    tool: entry.tool,
+    summary: entry.summary,
+    undoable: entry.ops.length > 0,
+    reason: entry.reason,
+  };
+}
+
+module.exports = { recordChange, pendingChanges, markUndone, changeView };
@@ -0,0 +1,193 @@
+// lib/mime.js — Gmail message payload decoding and outgoing message building
+// Gmail's format=full returns a MIME tree ({ mimeType, filename, headers, body:{data,size,attachmentId}, parts }).
+// We flatten it into { text, html, attachments } so the assistant gets something it can read aloud.
+// Outgoing mail is built as RFC 2822 text/plain and handed to Gmail as base64url `raw`.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£',
+};
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const cp = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(cp) && cp > 0 && cp < 0x110000 ? String.fromCodePoint(cp) : m;
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// Good-enough HTML -> text for email bodies: keeps paragraphs, list items and link targets.
+function htmlToText(html) {
+  if (!html) return '';
+  let s = String(html);
+  s = s.replace(/<!--[\s\S]*?-->/g, '');
+  s = s.replace(/<(script|style|head|title)[^>]*>[\s\S]*?<\/\1>/gi, '');
+  s = s.replace(/<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (m, href, inner) => {
+    const label = inner.replace(/<[^>]+>/g, '').trim();
+    if (!label || href.startsWith('mailto:') || label === href) return label || href;
+    return `${label} (${href})`;
+  });
+  s = s.replace(/<br\s*\/?>/gi, '\n');
+  s = s.replace(/<li[^>]*>/gi, '\n• ');
+  s = s.replace(/<\/(p|div|tr|h[1-6]|blockquote|ul|ol|table)>/gi, '\n');
+  s = s.replace(/<(td|th)[^>]*>/gi, '\t');
+  s = s.replace(/<[^>]+>/g, '');
+  s = decodeEntities(s);
+  s = s.replace(/[ \t ]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n');
+  return s.trim();
+}
+
+function headerMap(headers) {
+  const out = {};
+  for (const h of headers || []) {
+    const k = h.name.toLowerCase();
+    out[k] = out[k] ? `${out[k]}, ${h.value}` : h.value;
+  }
+  return out;
+}
+
+function charsetOf(headers) {
+  const ct = headerMap(headers)['content-type'] || '';
+  const m = ct.match(/charset="?([^";\s]+)"?/i);
+  return m ? m[1].toLowerCase() : 'utf-8';
+}
+
+function decodeBody(data, charset) {
+  if (!data) return '';
+  const buf = Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buf);
+  } catch {
+    return buf.toString('utf8');
+  }
+}
+
+// Walks the MIME tree. multipart/alternative prefers text/plain; every named or
+// attachmentId-backed leaf is reported as attachment metadata (content is not downloaded).
+function walkPayload(payload) {
+  const text = [];
+  const html = [];
+  const attachments = [];
+
+  (function walk(part) {
+    if (!part) return;
+    const mt = (part.mimeType || '').toLowerCase();
+    const disp = (headerMap(part.headers)['content-disposition'] || '').toLowerCase();
+
+    if (part.filename || (part.body?.attachmentId && !mt.startsWith('text/'))) {
+      attachments.push({
+        filename: part.filename || '',
+        mimeType: part.mimeType || '',
+        size: part.body?.size || 0,
+        attachmentId: part.body?.attachmentId || null,
+        inline: disp.startsWith('inline'),
+      });
+      return;
+    }
+
+    if (mt === 'multipart/alternative' && Array.isArray(part.parts)) {
+      const plain = part.parts.find(p => (p.mimeType || '').toLowerCase() === 'text/plain' && p.body?.data);
+      for (const p of part.parts) {
+        if (plain && (p.mimeType || '').toLowerCase() === 'text/html') continue;
+        walk(p);
+      }
+      return;
+    }
+
+    if (Array.isArray(part.parts) && part.parts.length) {
+      part.parts.forEach(walk);
+      return;
+    }
+
+    if (mt === 'text/plain') text.push(decodeBody(part.body?.data, charsetOf(part.headers)));
+    else if (mt === 'text/html') html.push(decodeBody(part.body?.data, charsetOf(part.headers)));
+  })(payload);
+
+  return { text: text.join('\n\n'), html: html.join('\n'), attachments };
+}
+
+// Gmail message resource -> the shape workspace.js returns.
+// maxChars bounds the body we push through the realtime data channel.
+function decodeMessage(msg, { maxChars = 8000 } = {}) {
+  const headers = headerMap(msg.payload?.headers);
+  const { text, html, attachments } = walkPayload(msg.payload);
+  let body = (text || htmlToText(html)).replace(/\r\n/g, '\n').trim();
+  const truncated = body.length > maxChars;
+  if (truncated) body = body.slice(0, maxChars);
+
+  return {
+    id: msg.id,
+    threadId: msg.threadId,
+    from: headers['from'] || '',
+    to: headers['to'] || '',
+    cc: headers['cc'] || '',
+    subject: headers['subject'] || '',
+    date: headers['date'] || '',
+    messageIdHeader: headers['message-id'] || '',
+    references: headers['references'] || '',
+    replyTo: headers['reply-to'] || '',
+    labelIds: msg.labelIds || [],
+    snippet: decodeEntities(msg.snippet || ''),
+    body,
+    truncated,
+    attachments,
+  };
+}
+
+// ---- Outgoing (RFC 2822)
+
+// CR/LF in a header value would let a caller inject extra headers.
+function cleanHeader(v) {
+  return String(v ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+// RFC 2047 encoded-word for non-ASCII header text (subjects, display names).
+function encodeHeaderWord(v) {
+  const s = cleanHeader(v);
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+}
+
+// Splits on commas outside quotes so "Doe, Jane" <jane@x.com> stays one address.
+function addressList(v) {
+  const list = Array.isArray(v) ? v : String(v ?? '').split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  return list.map(cleanHeader).filter(Boolean).join(', ');
+}
+
+// Builds a text/plain UTF-8 message and returns it base64url-encoded, ready for Gmail's `raw`.
+function buildRawMessage({ to, cc, bcc, subject, body, inReplyTo, references }) {
+  const lines = [];
+  if (addressList(to)) lines.push(`To: ${addressList(to)}`);
+  if (addressList(cc)) lines.push(`Cc: ${addressList(cc)}`);
+  if (addressList(bcc)) lines.push(`Bcc: ${addressList(bcc)}`);
+  lines.push(`Subject: ${encodeHeaderWord(subject)}`);
+  if (inReplyTo) lines.push(`In-Reply-To: ${cleanHeader(inReplyTo)}`);
+  if (references) lines.push(`References: ${cleanHeader(references)}`);
+  lines.push('MIME-Version: 1.0');
+  lines.push('Content-Type: text/plain; charset="UTF-8"');
+  lines.push('Content-Transfer-Encoding: base64');
+
+  const b64 = Buffer.from(String(body ?? '').replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64');
+  const wrapped = b64.match(/.{1,76}/g) || [''];
+
+  const raw = lines.join('\r\n') + '\r\n\r\n' + wrapped.join('\r\n');
+  return Buffer.from(raw, 'utf8').toString('base64url');
+}
+
+// Reply headers for a message decoded by decodeMessage(); keeps the thread intact in every client.
+function replyHeaders(original, { replyAll = false, self = '' } = {}) {
+  const subj = original.subject || '';
+  const subject = /^re:/i.test(subj) ? subj : `Re: ${subj}`;
+  const to = original.replyTo || original.from;
+  const mine = (self || '').toLowerCase();
+  const others = replyAll
+    ? [original.to, original.cc].filter(Boolean).join(',').split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+      .map(cleanHeader).filter(a => a && (!mine || !a.toLowerCase().includes(mine)))
+    : [];
+  const refs = [original.references, original.messageIdHeader].filter(Boolean).join(' ');
+  return { to, cc: others.join(', '), subject, inReplyTo: original.messageIdHeader, references: refs };
+}
+
+module.exports = { decodeMessage, htmlToText, headerMap, decodeEntities, buildRawMessage, replyHeaders };
@@ -0,0 +1,386 @@
+// lib/pdftext.js — text out of a PDF, page by page, with nothing but zlib
+// Covers what invoices, contracts and exported reports use: FlateDecode streams, object streams (PDF 1.5+),
+// the page tree with inherited resources, and fonts with a ToUnicode CMap (or single-byte WinAnsi text).
+// Scans, encrypted files and text drawn inside form XObjects come back empty; the caller decides whether
+// to fall back to OCR.
+
+const zlib = require('zlib');
+
+const MAX_PAGES = 1000;
+const MAX_INFLATE = 64 * 1024 * 1024;
+
+// WinAnsi bytes 0x80-0x9F that differ from Latin-1
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+  0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ',
+};
+
+// ---- Objects
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: MAX_INFLATE });
+  } catch {
+    try {
+      // Streams with a damaged tail still give up what decompressed before the damage.
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: MAX_INFLATE });
+    } catch {
+      return null;
+    }
+  }
+}
+
+function decodeStream(dict, raw) {
+  const filter = /\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict);
+  if (!filter) return raw;
+  const names = filter[1].match(/\/\w+/g) || [];
+  if (names.length === 1 && names[0] === '/FlateDecode') return inflate(raw);
+  return null; // images (DCT, JPX, CCITT) and exotic filters carry no text we can read
+}
+
+// Every "n g obj ... endobj" in the file (later definitions win, as with incremental updates),
+// plus the objects packed inside object streams.
+function readObjects(buf) {
+  const src = buf.toString('latin1');
+  const objs = new Map();
+  const re = /(\d+)\s+(\d+)\s+obj\b/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const start = re.lastIndex;
+    const endobj = src.indexOf('endobj', start);
+    const streamAt = src.indexOf('stream', start);
+    if (endobj < 0) break;
+
+    if (streamAt < 0 || streamAt > endobj || /^end/.test(src.slice(streamAt - 3, streamAt))) {
+      objs.set(Number(m[1]), { dict: src.slice(start, endobj), stream: null });
+      re.lastIndex = endobj + 6;
+      continue;
+    }
+
+    const dict = src.slice(start, streamAt);
+    let dataStart = streamAt + 6;
+    if (src[dataStart] === '\r') dataStart++;
+    if (src[dataStart] === '\n') dataStart++;
+    const len = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+    let dataEnd = len ? dataStart + Number(len[1]) : -1;
+    if (dataEnd < 0 || src.slice(dataEnd, dataEnd + 12).trim().indexOf('endstream') !== 0) {
+      dataEnd = src.indexOf('endstream', dataStart);
+      if (dataEnd < 0) break;
+    }
+    objs.set(Number(m[1]), { dict, stream: buf.subarray(dataStart, dataEnd) });
+    const after = src.indexOf('endobj', dataEnd);
+    re.lastIndex = after < 0 ? dataEnd : after + 6;
+  }
+
+  for (const o of [...objs.values()]) {
+    if (!/\/Type\s*\/ObjStm\b/.test(o.dict) || !o.stream) continue;
+    const data = decodeStream(o.dict, o.stream);
+    if (!data) continue;
+    const text = data.toString('latin1');
+    const n = Number((/\/N\s+(\d+)/.exec(o.dict) || [])[1] || 0);
+    const first = Number((/\/First\s+(\d+)/.exec(o.dict) || [])[1] || 0);
+    const nums = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < n; i++) {
+      const num = nums[2 * i];
+      const from = first + nums[2 * i + 1];
+      const to = i + 1 < n ? first + nums[2 * i + 3] : text.length;
+      if (!objs.has(num)) objs.set(num, { dict: text.slice(from, to), stream: null });
+    }
+  }
+  return objs;
+}
+
+// ---- Dictionary values (just enough parsing to follow references)
+function valueAt(text, i) {
+  while (/\s/.test(text[i] || '')) i++;
+  if (text.startsWith('<<', i)) {
+    let depth = 0;
+    for (let j = i; j < text.length; j++) {
+      if (text.startsWith('<<', j)) { depth++; j++; } else if (text.startsWith('>>', j)) { depth--; j++; if (!depth) return text.slice(i, j + 1); }
+    }
+    return text.slice(i);
+  }
+  if (text[i] === '[') {
+    let depth = 0;
+    for (let j = i; j < text.length; j++) {
+      if (text[j] === '[') depth++;
+      else if (text[j] === ']' && !--depth) return text.slice(i, j + 1);
+    }
+    return text.slice(i);
+  }
+  const m = /^(\d+\s+\d+\s+R|\/[^\s/[\]<>()]+|[-+\d.]+|true|false|null)/.exec(text.slice(i));
+  return m ? m[1] : null;
+}
+
+function dictValue(dict, key) {
+  const re = new RegExp(`/${key}(?=[\\s/\\[<(])`);
+  const m = re.exec(dict || '');
+  return m ? valueAt(dict, m.index + m[0].length) : null;
+}
+
+function refNum(value) {
+  const m = /^(\d+)\s+\d+\s+R$/.exec(String(value || '').trim());
+  return m ? Number(m[1]) : null;
+}
+
+// A value that may be an indirect reference -> the dictionary text it points to.
+function deref(objs, value) {
+  const n = refNum(value);
+  return n === null ? value : objs.get(n)?.dict || null;
+}
+
+function refs(value) {
+  return [...String(value || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(m => Number(m[1]));
+}
+
+// ---- Page tree
+function pageList(objs) {
+  const pages = [];
+  const seen = new Set();
+  const catalog = [...objs.values()].find(o => /\/Type\s*\/Catalog\b/.test(o.dict));
+
+  (function walk(num, inherited) {
+    if (num === null || seen.has(num) || pages.length >= MAX_PAGES) return;
+    seen.add(num);
+    const o = objs.get(num);
+    if (!o) return;
+    const resources = dictValue(o.dict, 'Resources') || inherited;
+    if (/\/Type\s*\/Pages\b/.test(o.dict)) {
+      for (const kid of refs(dictValue(o.dict, 'Kids'))) walk(kid, resources);
+    } else if (/\/Type\s*\/Page\b/.test(o.dict)) {
+      pages.push({ dict: o.dict, resources });
+    }
+  })(catalog ? refNum(dictValue(catalog.dict, 'Pages')) : null, null);
+
+  if (pages.length) return pages;
+  // No usable catalog (damaged file): pages in object order.
+  return [...objs.entries()]
+    .filter(([, o]) => /\/Type\s*\/Page\b/.test(o.dict))
+    .sort((a, b) => a[0] - b[0])
+    .slice(0, MAX_PAGES)
+    .map(([, o]) => ({ dict: o.dict, resources: dictValue(o.dict, 'Resources') }));
+}
+
+// ---- Fonts
+function utf16Hex(hex) {
+  const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+  let out = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode(bytes.readUInt16BE(i));
+  return out;
+}
+
+// ToUnicode CMap -> { width (bytes per code), map: code (number) -> text }
+function parseCMap(text) {
+  const map = new Map();
+  const space = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  const width = space ? Math.max(1, space[1].length / 2) : 2;
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) map.set(parseInt(m[1], 16), utf16Hex(m[2]));
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const lo = parseInt(m[1], 16);
+      const hi = Math.min(parseInt(m[2], 16), lo + 65535);
+      if (m[3][0] === '[') {
+        const list = [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(x => utf16Hex(x[1]));
+        for (let c = lo; c <= hi && c - lo < list.length; c++) map.set(c, list[c - lo]);
+      } else {
+        const base = m[3].slice(1, -1);
+        const head = utf16Hex(base.slice(0, -4));
+        const last = parseInt(base.slice(-4) || '0', 16);
+        for (let c = lo; c <= hi; c++) map.set(c, head + String.fromCharCode(last + c - lo));
+      }
+    }
+  }
+  return { width, map };
+}
+
+function loadFonts(objs, resources) {
+  const fonts = {};
+  const res = deref(objs, resources);
+  const fontDict = deref(objs, dictValue(res, 'Font'));
+  if (!fontDict) return fonts;
+
+  for (const m of fontDict.matchAll(/\/([^\s/[\]<>()]+)\s+(\d+)\s+\d+\s+R/g)) {
+    const font = objs.get(Number(m[2]));
+    if (!font) continue;
+    const composite = /\/Subtype\s*\/Type0\b/.test(font.dict);
+    const tu = objs.get(refNum(dictValue(font.dict, 'ToUnicode')));
+    const data = tu?.stream ? decodeStream(tu.dict, tu.stream) : null;
+    fonts[m[1]] = data ? parseCMap(data.toString('latin1')) : { width: composite ? 2 : 1, map: null };
+  }
+  return fonts;
+}
+
+function decodeString(bytes, font) {
+  if (font?.map) {
+    let out = '';
+    for (let i = 0; i + font.width <= bytes.length; i += font.width) {
+      let code = 0;
+      for (let k = 0; k < font.width; k++) code = code * 256 + bytes.charCodeAt(i + k);
+      out += font.map.get(code) ?? '';
+    }
+    return out;
+  }
+  if (font && font.width === 2) return ''; // composite font without ToUnicode: glyph ids, not text
+  let out = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const c = bytes.charCodeAt(i);
+    out += WIN_ANSI[c] || (c >= 32 || c === 9 ? String.fromCharCode(c) : '');
+  }
+  return out;
+}
+
+// ---- Content streams
+// Tokens: { t:'str', v } | { t:'num', v } | { t:'name', v } | { t:'arr', v:[...] } | { t:'op', v }
+function* tokens(s) {
+  let i = 0;
+  const stack = [];
+  const emit = tok => {
+    if (stack.length) { stack[stack.length - 1].push(tok); return null; }
+    return tok;
+  };
+  while (i < s.length) {
+    const c = s[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '%') { while (i < s.length && s[i] !== '\n' && s[i] !== '\r') i++; continue; }
+
+    let tok = null;
+    if (c === '(') {
+      let depth = 1;
+      let out = '';
+      i++;
+      while (i < s.length && depth) {
+        const ch = s[i];
+        if (ch === '\\') {
+          const nx = s[i + 1];
+          const esc = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[nx];
+          if (esc) { out += esc; i += 2; } else if (/[0-7]/.test(nx)) {
+            const oct = /^[0-7]{1,3}/.exec(s.slice(i + 1, i + 4))[0];
+            out += String.fromCharCode(parseInt(oct, 8) & 255);
+            i += 1 + oct.length;
+          } else if (nx === '\r' || nx === '\n') {
+            i += s[i + 2] === '\n' && nx === '\r' ? 3 : 2;
+          } else { out += nx || ''; i += 2; }
+          continue;
+        }
+        if (ch === '(') depth++;
+        if (ch === ')' && !--depth) { i++; break; }
+        out += ch;
+        i++;
+      }
+      tok = { t: 'str', v: out };
+    } else if (c === '<' && s[i + 1] === '<') {
+      i += 2; // dictionaries (marked content properties) are skipped wholesale
+      let depth = 1;
+      while (i < s.length && depth) {
+        if (s.startsWith('<<', i)) { depth++; i += 2; } else if (s.startsWith('>>', i)) { depth--; i += 2; } else i++;
+      }
+      continue;
+    } else if (c === '<') {
+      const end = s.indexOf('>', i);
+      const hex = s.slice(i + 1, end < 0 ? s.length : end).replace(/\s+/g, '');
+      tok = { t: 'str', v: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') };
+      i = end < 0 ? s.length : end + 1;
+    } else if (c === '[') {
+      stack.push([]);
+      i++;
+      continue;
+    } else if (c === ']') {
+      const arr = stack.pop() || [];
+      tok = { t: 'arr', v: arr };
+      i++;
+    } else if (c === '/') {
+      const m = /^\/[^\s/[\]<>()%{}]*/.exec(s.slice(i, i + 128));
+      tok = { t: 'name', v: m[0].slice(1) };
+      i += m[0].length;
+    } else if (/[-+.\d]/.test(c)) {
+      const m = /^[-+]?\d*\.?\d*/.exec(s.slice(i, i + 32));
+      tok = { t: 'num', v: Number(m[0]) || 0 };
+      i += Math.max(1, m[0].length);
+    } else {
+      const m = /^[^\s/[\]<>()%{}]+/.exec(s.slice(i, i + 32));
+      const op = m ? m[0] : c;
+      i += op.length;
+      if (op === 'ID') {
+        // Inline image data runs until EI; it is binary and must not be tokenized.
+        const ei = s.slice(i).search(/\sEI(\s|$)/);
+        i = ei < 0 ? s.length : i + ei + 3;
+        continue;
+      }
+      tok = { t: 'op', v: op };
+    }
+    const out = emit(tok);
+    if (out) yield out;
+  }
+}
+
+function pageText(content, fonts) {
+  const lines = [];
+  let line = '';
+  let font = null;
+  let lastY = null;
+  const operands = [];
+  const newline = () => { lines.push(line); line = ''; };
+  const space = () => { if (line && !/\s$/.test(line)) line += ' '; };
+  const show = bytes => { line += decodeString(bytes, font); };
+
+  for (const tok of tokens(content)) {
+    if (tok.t !== 'op') { operands.push(tok); continue; }
+    const args = operands.splice(0);
+    switch (tok.v) {
+      case 'Tf': font = fonts[args[0]?.v] || null; break;
+      case 'Tj': if (args[0]?.t === 'str') show(args[0].v); break;
+      case "'": newline(); if (args[0]?.t === 'str') show(args[0].v); break;
+      case '"': newline(); if (args[2]?.t === 'str') show(args[2].v); break;
+      case 'TJ':
+        for (const el of args[0]?.v || []) {
+          if (el.t === 'str') show(el.v);
+          else if (el.t === 'num' && el.v < -250) space();
+        }
+        break;
+      case 'Td': case 'TD':
+        if (Math.abs(args[1]?.v || 0) > 0.5) newline(); else if ((args[0]?.v || 0) > 1) space();
+        break;
+      case 'T*': newline(); break;
+      case 'Tm': {
+        const y = args[5]?.v;
+        if (lastY !== null && y !== undefined && Math.abs(y - lastY) > 0.5) newline(); else space();
+        if (y !== undefined) lastY = y;
+        break;
+      }
+      case 'BT': lastY = null; break;
+      case 'ET': space(); break;
+      default: break;
+    }
+  }
+  newline();
+  return lines
+    .map(l => l.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Buffer -> { pages: [text], encrypted }
+function pdfToText(buf) {
+  const objs = readObjects(buf);
+  const encrypted = /\/Encrypt\s+\d+\s+\d+\s+R/.test(buf.toString('latin1', Math.max(0, buf.length - 4096)))
+    || [...objs.values()].some(o => /\/Encrypt\s+\d+\s+\d+\s+R/.test(o.dict) && /\/(Root|Size)\b/.test(o.dict));
+
+  const pages = pageList(objs).map(p => {
+    const fonts = loadFonts(objs, p.resources);
+    const content = refs(dictValue(p.dict, 'Contents'))
+      .map(n => objs.get(n))
+      .filter(o => o?.stream)
+      .map(o => decodeStream(o.dict, o.stream))
+      .filter(Boolean)
+      .map(b => b.toString('latin1'))
+      .join('\n');
+    return encrypted ? '' : pageText(content, fonts);
+  });
+  return { pages, encrypted };
+}
+
+module.exports = { pdfToText, parseCMap };
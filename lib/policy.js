@@ -0,0 +1,146 @@
+// lib/policy.js — what the assistant may do on its own: per-action modes, write allowlists and a dry-run mode
+// The policy is a JSON file (POLICY_FILE, default config/policy.json); keys it leaves out fall back to DEFAULTS:
+//   {
+//     "dryRun": false,
+//     "defaults": { "read": "read", "write": "confirm" },
+//     "actions": { "gmail.send": "read", "drive.share": "deny" },
+//     "allow": { "folders": ["Finance", "<folderId>", "root"], "spreadsheets": ["Expenses 2026", "<spreadsheetId>"] }
+//   }
+// Modes: read (runs right away), confirm (the first call only answers with a pendingToken; the same call with that
+// token runs it), deny (refused). "defaults" applies to actions not listed, by whether the tool writes (lib/tools.js).
+// allow: writes may only touch listed spreadsheets and files whose folder is listed ("root" is My Drive); empty lists
+// leave writes unrestricted. dryRun answers every write with what it would do instead of doing it.
+//
+// Env: POLICY_FILE, WORKSPACE_DRY_RUN (1/0, overrides dryRun), CONFIRM_SECRET (signs pending tokens),
+//      POLICY_CONFIRM_TTL_S (300)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sign, verify, randomId } = require('./sign');
+const { createStore } = require('./store');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'policy.json');
+const MODES = ['read', 'confirm', 'deny'];
+const AUD = 'workspace-pending';
+
+// gmail.send already needs the confirmToken of a draft the user heard, so it is not asked twice.
+const DEFAULTS = {
+  dryRun: false,
+  defaults: { read: 'read', write: 'confirm' },
+  actions: { 'gmail.draft': 'read', 'gmail.reply': 'read', 'gmail.send': 'read' },
+  allow: { folders: [], spreadsheets: [] },
+};
+
+const store = createStore('policy');
+
+function policyError(file, error) {
+  return { status: 500, body: { error: `Policy file invalid: ${file}`, details: error } };
+}
+
+function checkMode(file, where, mode) {
+  if (!MODES.includes(mode)) throw policyError(file, `${where} must be one of ${MODES.join(', ')}, got ${JSON.stringify(mode)}`);
+  return mode;
+}
+
+// Read on every call (it is small), so edits apply without a restart. A missing default file means DEFAULTS.
+function loadPolicy() {
+  const file = process.env.POLICY_FILE || DEFAULT_FILE;
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (!(e.code === 'ENOENT' && !process.env.POLICY_FILE)) throw policyError(file, String(e?.message || e));
+  }
+
+  const defaults = { ...DEFAULTS.defaults, ...raw.defaults };
+  const actions = { ...DEFAULTS.actions, ...raw.actions };
+  checkMode(file, 'defaults.read', defaults.read);
+  checkMode(file, 'defaults.write', defaults.write);
+  for (const [action, mode] of Object.entries(actions)) checkMode(file, `actions["${action}"]`, mode);
+
+  const list = v => [].concat(v || []).map(x => String(x).trim()).filter(Boolean);
+  const env = (process.env.WORKSPACE_DRY_RUN || '').trim();
+  return {
+    dryRun: env ? env === '1' || env.toLowerCase() === 'true' : !!raw.dryRun,
+    defaults,
+    actions,
+    allow: { folders: list(raw.allow?.folders), spreadsheets: list(raw.allow?.spreadsheets) },
+  };
+}
+
+// Mode for a tool's action. dryRun:true on a tool that declares it changes nothing, so it counts as a read; other
+// tools don't know the flag (api/workspace.js drops it) and are asked about like any other call.
+function actionMode(policy, tool, args = {}) {
+  const listed = policy.actions[tool.action];
+  if (listed === 'deny') return 'deny';
+  if (args.dryRun === true && tool.parameters.properties.dryRun) return 'read';
+  return listed || (tool.writes ? policy.defaults.write : policy.defaults.read);
+}
+
+// ---- Allowlists
+function restricted(policy) {
+  return policy.allow.folders.length > 0 || policy.allow.spreadsheets.length > 0;
+}
+
+function listed(list, item) {
+  const id = String(item?.id || '');
+  const name = String(item?.name || '').toLowerCase();
+  return list.some(x => x === id || (name && x.toLowerCase() === name));
+}
+
+// file: { id, name, parents:[{ id, name }] } with parent names resolved; spreadsheet: allowlisted by itself too.
+function allowedFile(policy, file, { spreadsheet = false } = {}) {
+  if (!restricted(policy)) return true;
+  if (spreadsheet && listed(policy.allow.spreadsheets, file)) return true;
+  return (file.parents || []).some(p => allowedFolder(policy, p));
+}
+
+// folder: { id, name }; My Drive is "root".
+function allowedFolder(policy, folder) {
+  if (!restricted(policy)) return true;
+  const root = folder.id === 'root' || folder.isRoot;
+  return listed(policy.allow.folders, folder) || (root && policy.allow.folders.some(x => /^(root|my drive)$/i.test(x)));
+}
+
+// ---- Pending confirmations
+function secret() {
+  return process.env.CONFIRM_SECRET || '';
+}
+
+function ttlMs() {
+  return Math.max(30, Number(process.env.POLICY_CONFIRM_TTL_S) || 300) * 1000;
+}
+
+// Same arguments, whatever the key order; pendingToken itself is not part of the call it confirms.
+function argsHash(args) {
+  const stable = v => (Array.isArray(v) ? v.map(stable)
+    : v && typeof v === 'object' ? Object.fromEntries(Object.keys(v).sort().map(k => [k, stable(v[k])]))
+    : v);
+  const { pendingToken, ...rest } = args || {};
+  return crypto.createHash('sha256').update(JSON.stringify(stable(rest))).digest('base64url');
+}
+
+function createPending(owner, action, args) {
+  if (!secret()) throw { status: 500, body: { error: 'CONFIRM_SECRET not configured on server' } };
+  const now = Date.now();
+  const payload = { aud: AUD, sub: owner, action, args: argsHash(args), jti: randomId('pend_'), exp: now + ttlMs() };
+  return { pendingToken: sign(payload, secret()), expiresAt: new Date(payload.exp).toISOString() };
+}
+
+// Throws { status, body } unless the token was issued to this owner for exactly this call; then burns it.
+async function redeemPending(owner, action, args) {
+  const p = verify(args.pendingToken, secret());
+  const again = 'Call the tool again without pendingToken for a new one, and ask the user first.';
+  if (!p || p.aud !== AUD || p.sub !== owner) {
+    throw { status: 403, body: { error: 'pendingToken is invalid or expired', hint: again } };
+  }
+  if (p.action !== action || p.args !== argsHash(args)) {
+    throw { status: 409, body: { error: 'pendingToken was issued for a different call; the arguments must be exactly the same', hint: again } };
+  }
+  if (!(await store.setIfAbsent(`used:${p.jti}`, true, Math.max(1000, p.exp - Date.now())))) {
+    throw { status: 409, body: { error: 'pendingToken was already used', hint: again } };
+  }
+}
+
+module.exports = { loadPolicy, actionMode, restricted, allowedFile, allowedFolder, createPending, redeemPending };
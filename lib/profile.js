@@ -0,0 +1,237 @@
+// lib/profile.js — assistant profiles: who the assistant is, who it talks to, how it listens and what it may use
+// Profiles live in a JSON file (PROFILES_FILE, default config/profiles.json):
+//   { "default": "<id>", "assign": { "<email>" | "@<domain>": "<id>" }, "profiles": { "<id>": profile } }
+// profile: { name, userName, greeting, voice, language,
+//            vad: { threshold, prefixPaddingMs, silenceDurationMs, idleTimeoutMs, interruptResponse },
+//            tools: 'all' | [toolName], instructions: [{ id, title, text, enabled }] }
+// The signed-in Google account (the session's default one) picks its profile through `assign`, by email and then by
+// domain, else `default`. Edits from the settings panel are kept in lib/store.js (namespace 'profiles') over the file's
+// version, so they apply without a redeploy; resetting drops them. A profile is shared by everyone it is assigned to, so
+// only accounts listed in PROFILE_ADMINS (emails and @domains, comma-separated) may edit it. {name} and {userName} in
+// the greeting and the instruction texts are filled in when the realtime session is set up.
+//
+// Env: PROFILES_FILE, PROFILE_ADMINS
+
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./store');
+const { listAccounts } = require('./session');
+const { TOOLS } = require('./tools');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'profiles.json');
+const ID_RE = /^[A-Za-z0-9_-]{1,40}$/;
+const MAX_BLOCKS = 40;
+const MAX_BLOCK_CHARS = 4000;
+const MAX_INSTRUCTION_CHARS = 20000;
+
+// Prebuilt Gemini Live voices; the relay (server/gemini-realtime.js) only speaks these.
+const VOICES = ['Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede', 'Leda', 'Orus', 'Zephyr'];
+
+const DEFAULTS = {
+  name: 'Nyx',
+  userName: '',
+  greeting: '',
+  voice: 'Puck',
+  language: 'English',
+  vad: { threshold: 0.85, prefixPaddingMs: 400, silenceDurationMs: 1200, idleTimeoutMs: 10000, interruptResponse: true },
+  tools: 'all',
+  instructions: [],
+};
+
+const store = createStore('profiles');
+
+// ---- Checking
+// Fills missing fields from DEFAULTS; errors lists what can't be used as given.
+function checkProfile(input) {
+  const errors = [];
+  const raw = input && typeof input === 'object' ? input : {};
+  const text = (field, max, { required = false } = {}) => {
+    const v = raw[field] === undefined ? DEFAULTS[field] : String(raw[field] ?? '').trim();
+    if (required && !v) errors.push(`${field} is required`);
+    if (v.length > max) errors.push(`${field} is longer than ${max} characters`);
+    return v;
+  };
+  const number = (field, min, max) => {
+    const v = raw.vad?.[field] === undefined ? DEFAULTS.vad[field] : Number(raw.vad[field]);
+    if (!Number.isFinite(v) || v < min || v > max) errors.push(`vad.${field} must be a number from ${min} to ${max}`);
+    return v;
+  };
+
+  const profile = {
+    name: text('name', 40, { required: true }),
+    userName: text('userName', 40),
+    greeting: text('greeting', 300),
+    voice: text('voice', 40, { required: true }),
+    language: text('language', 40, { required: true }),
+    vad: {
+      threshold: number('threshold', 0, 1),
+      prefixPaddingMs: number('prefixPaddingMs', 0, 2000),
+      silenceDurationMs: number('silenceDurationMs', 100, 5000),
+      idleTimeoutMs: number('idleTimeoutMs', 0, 120000),
+      interruptResponse: raw.vad?.interruptResponse === undefined ? DEFAULTS.vad.interruptResponse : raw.vad.interruptResponse !== false,
+    },
+    tools: 'all',
+    instructions: [],
+  };
+  if (profile.voice) {
+    const voice = VOICES.find(v => v.toLowerCase() === profile.voice.toLowerCase());
+    if (voice) profile.voice = voice;
+    else errors.push(`voice must be one of ${VOICES.join(', ')}`);
+  }
+
+  if (Array.isArray(raw.tools)) {
+    const known = new Set(TOOLS.map(t => t.name));
+    const unknown = raw.tools.filter(n => !known.has(n));
+    if (unknown.length) errors.push(`Unknown tools: ${unknown.join(', ')}`);
+    profile.tools = [...new Set(raw.tools.filter(n => known.has(n)))];
+  } else if (raw.tools !== undefined && raw.tools !== 'all') {
+    errors.push('tools must be "all" or a list of tool names');
+  }
+
+  const blocks = raw.instructions === undefined ? DEFAULTS.instructions : raw.instructions;
+  if (!Array.isArray(blocks)) errors.push('instructions must be a list of { id, title, text, enabled }');
+  else if (blocks.length > MAX_BLOCKS) errors.push(`At most ${MAX_BLOCKS} instruction blocks`);
+  else {
+    const seen = new Set();
+    blocks.forEach((b, i) => {
+      const id = String(b?.id || '').trim();
+      const block = {
+        id,
+        title: String(b?.title || id).trim().slice(0, 80),
+        text: String(b?.text || '').trim(),
+        enabled: b?.enabled !== false,
+      };
+      if (!ID_RE.test(id)) errors.push(`instructions[${i}].id must be 1-40 letters, digits, - or _`);
+      else if (seen.has(id)) errors.push(`instructions[${i}].id "${id}" is used twice`);
+      if (block.text.length > MAX_BLOCK_CHARS) errors.push(`instructions[${i}] is longer than ${MAX_BLOCK_CHARS} characters`);
+      seen.add(id);
+      profile.instructions.push(block);
+    });
+    const total = profile.instructions.reduce((n, b) => n + (b.enabled ? b.text.length : 0), 0);
+    if (total > MAX_INSTRUCTION_CHARS) errors.push(`Enabled instructions add up to more than ${MAX_INSTRUCTION_CHARS} characters`);
+  }
+  return { profile, errors };
+}
+
+// ---- Loading
+function configError(file, error) {
+  return { status: 500, body: { error: `Profiles file invalid: ${file}`, details: error } };
+}
+
+// Read on every call (it is small), so edits to the file apply without a restart.
+function loadProfiles() {
+  const file = process.env.PROFILES_FILE || DEFAULT_FILE;
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT' && !process.env.PROFILES_FILE) return { default: 'default', assign: {}, profiles: { default: DEFAULTS } };
+    throw configError(file, String(e?.message || e));
+  }
+
+  const profiles = {};
+  for (const [id, p] of Object.entries(raw.profiles || {})) {
+    const { profile, errors } = checkProfile(p);
+    if (errors.length) throw configError(file, `profiles.${id}: ${errors.join('; ')}`);
+    profiles[id] = profile;
+  }
+  const fallback = raw.default || Object.keys(profiles)[0];
+  if (!profiles[fallback]) throw configError(file, `default profile "${fallback}" is not defined`);
+  const assign = {};
+  for (const [who, id] of Object.entries(raw.assign || {})) {
+    if (!profiles[id]) throw configError(file, `assign["${who}"] names an unknown profile "${id}"`);
+    assign[who.toLowerCase()] = id;
+  }
+  return { default: fallback, assign, profiles };
+}
+
+function profileIdFor(config, email) {
+  const e = String(email || '').toLowerCase();
+  const domain = e.includes('@') ? e.slice(e.indexOf('@')) : '';
+  return (e && config.assign[e]) || (domain && config.assign[domain]) || config.default;
+}
+
+// Unset PROFILE_ADMINS means nobody edits profiles from the settings panel; the file still applies.
+function canEditProfiles(email) {
+  const e = String(email || '').toLowerCase();
+  if (!e.includes('@')) return false;
+  const admins = (process.env.PROFILE_ADMINS || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+  return admins.includes(e) || admins.includes(e.slice(e.indexOf('@')));
+}
+
+// -> { id, profile, saved, savedAt, email, signedIn, canEdit }; edits saved from the settings panel win over the file.
+async function resolveProfile(req, res) {
+  const config = loadProfiles();
+  const { accounts } = await listAccounts(req, res);
+  const email = (accounts.find(a => a.default) || accounts[0])?.email || '';
+  const id = profileIdFor(config, email);
+  const who = { email, signedIn: accounts.length > 0, canEdit: accounts.length > 0 && canEditProfiles(email) };
+  const edits = await store.get(`profile:${id}`);
+  if (edits?.profile) {
+    const { profile, errors } = checkProfile(edits.profile);
+    if (!errors.length) return { id, profile, saved: true, savedAt: edits.savedAt, ...who };
+  }
+  return { id, profile: config.profiles[id], saved: false, ...who };
+}
+
+// Throws a 400 listing every field that can't be used.
+async function saveProfile(id, input, by) {
+  const { profile, errors } = checkProfile(input);
+  if (errors.length) throw { status: 400, body: { error: 'Invalid profile', errors } };
+  const savedAt = new Date().toISOString();
+  await store.set(`profile:${id}`, { profile, savedAt, by });
+  return { profile, savedAt };
+}
+
+async function resetProfile(id) {
+  await store.del(`profile:${id}`);
+}
+
+// ---- Realtime session setup
+function fill(text, profile) {
+  return text.replace(/\{(name|userName)\}/g, (_, k) => profile[k] || (k === 'userName' ? 'the user' : 'the assistant'));
+}
+
+function profileInstructions(profile) {
+  const who = profile.userName ? ` You are talking with ${profile.userName}.` : '';
+  const lines = [
+    `Your name is ${profile.name}.${who} Always speak ${profile.language} unless asked to speak another language or to translate.`,
+    ...profile.instructions.filter(b => b.enabled && b.text).map(b => fill(b.text, profile)),
+  ];
+  return lines.join('\n\n');
+}
+
+// The session.update index.html sends once the realtime session exists, and the greeting's response instructions.
+function sessionSetup(profile) {
+  const vad = profile.vad;
+  const turnDetection = {
+    type: 'server_vad',
+    threshold: vad.threshold,
+    prefix_padding_ms: vad.prefixPaddingMs,
+    silence_duration_ms: vad.silenceDurationMs,
+    create_response: true,
+    // When the user speaks, the assistant stops (no talking over them).
+    interrupt_response: vad.interruptResponse,
+  };
+  if (vad.idleTimeoutMs) turnDetection.idle_timeout_ms = vad.idleTimeoutMs;
+  return {
+    session: { voice: profile.voice, turn_detection: turnDetection, instructions: profileInstructions(profile) },
+    greeting: profile.greeting ? `Say exactly: "${fill(profile.greeting, profile)}"` : '',
+  };
+}
+
+function toolEnabled(profile, name) {
+  return profile.tools === 'all' || profile.tools.includes(name);
+}
+
+module.exports = {
+  VOICES,
+  checkProfile,
+  canEditProfiles,
+  loadProfiles,
+  resolveProfile,
+  saveProfile,
+  resetProfile,
+  sessionSetup,
+  toolEnabled,
+};
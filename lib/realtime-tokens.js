@@ -0,0 +1,83 @@
+// lib/realtime-tokens.js — short-lived, single-use credentials for the realtime relay
+// - Minted by api/realtime/session.js for a signed-in Google user.
+// - Presented once by the browser when it opens the relay WebSocket.
+// - The Gemini API key never leaves the server; these tokens only grant one relay connection.
+// - Revoking needs the kv store: the relay is deployed on its own and only sees what the API writes there.
+//
+// Env:
+//   REALTIME_TOKEN_SECRET   HMAC secret (required)
+//   REALTIME_TOKEN_TTL_S    lifetime in seconds (default 60)
+//   REALTIME_TOKEN_RATE     max tokens per user per minute (default 10)
+
+const { sign, verify, randomId } = require('./sign');
+const { createStore, storeAdapter } = require('./store');
+
+const AUD = 'gemini-realtime';
+const store = createStore('realtime-tokens');
+
+function secret() {
+  return process.env.REALTIME_TOKEN_SECRET || '';
+}
+
+function ttlMs() {
+  return Math.max(5, Number(process.env.REALTIME_TOKEN_TTL_S) || 60) * 1000;
+}
+
+function ratePerMinute() {
+  return Math.max(1, Number(process.env.REALTIME_TOKEN_RATE) || 10);
+}
+
+// user: { sub, email } from Google userinfo.
+// Returns { ok:true, token, jti, expiresAt } or { ok:false, status, error }.
+async function mintToken(user) {
+  if (!secret()) return { ok: false, status: 500, error: 'REALTIME_TOKEN_SECRET not configured on server' };
+  if (!user?.sub) return { ok: false, status: 401, error: 'not_connected' };
+
+  const minute = Math.floor(Date.now() / 60_000);
+  const n = await store.incr(`rate:${user.sub}:${minute}`, 60_000);
+  if (n > ratePerMinute()) return { ok: false, status: 429, error: 'rate_limited', retryAfterS: 60 - Math.floor((Date.now() / 1000) % 60) };
+
+  const now = Date.now();
+  const payload = { aud: AUD, sub: user.sub, email: user.email || '', jti: randomId('rt_'), iat: now, exp: now + ttlMs() };
+  await store.set(`owner:${payload.jti}`, user.sub, ttlMs());
+  return { ok: true, token: sign(payload, secret()), jti: payload.jti, expiresAt: new Date(payload.exp).toISOString() };
+}
+
+// Verifies signature, audience, expiry and revocation, then burns the token.
+// Returns { ok:true, user } or { ok:false, error }.
+async function consumeToken(token) {
+  const p = verify(token, secret());
+  if (!p || p.aud !== AUD || !p.jti || !p.sub) return { ok: false, error: 'invalid_token' };
+
+  if (await store.get(`revoked:${p.jti}`)) return { ok: false, error: 'revoked' };
+  const revokedBefore = await store.get(`revoked-sub:${p.sub}`);
+  if (revokedBefore && p.iat <= revokedBefore) return { ok: false, error: 'revoked' };
+
+  const fresh = await store.setIfAbsent(`used:${p.jti}`, true, Math.max(1000, p.exp - Date.now()));
+  if (!fresh) return { ok: false, error: 'already_used' };
+
+  return { ok: true, user: { sub: p.sub, email: p.email } };
+}
+
+// Revoke one of the user's tokens (jti) or every token issued to them up to now.
+// Returns { ok:true } or { ok:false, status, error, details? }.
+async function revokeTokens(user, { jti } = {}) {
+  if (storeAdapter() !== 'kv') {
+    return {
+      ok: false,
+      status: 503,
+      error: 'revocation_unavailable',
+      details: 'Revoking needs the shared store the relay reads: set STORE_ADAPTER=kv with KV_REST_API_URL and KV_REST_API_TOKEN',
+    };
+  }
+  if (jti) {
+    // Someone else's token (or an expired one) looks the same as no token at all.
+    if ((await store.get(`owner:${jti}`)) !== user.sub) return { ok: false, status: 404, error: 'unknown_token' };
+    await store.set(`revoked:${jti}`, true, ttlMs());
+  } else {
+    await store.set(`revoked-sub:${user.sub}`, Date.now(), ttlMs());
+  }
+  return { ok: true };
+}
+
+module.exports = { mintToken, consumeToken, revokeTokens };
@@ -0,0 +1,136 @@
+// lib/recurrence.js — spoken repeat patterns ("every weekday", "every other Tuesday", "first Monday of the month")
+// to RFC 5545 RRULEs for Google Calendar, plus a plain-English description for read-back.
+// Raw "RRULE:..." / "FREQ=..." strings (parts in any order) pass through after a sanity check.
+
+const DAY_CODES = { sun: 'SU', mon: 'MO', tue: 'TU', wed: 'WE', thu: 'TH', fri: 'FR', sat: 'SA' };
+const DAY_NAMES = { SU: 'Sunday', MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday' };
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+const NUMBERS = { two: 2, three: 3, four: 4, five: 5, six: 6, other: 2 };
+const UNIT_FREQ = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+
+const PRESETS = {
+  daily: 'FREQ=DAILY',
+  'every day': 'FREQ=DAILY',
+  weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  'every weekday': 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  'every workday': 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  weekly: 'FREQ=WEEKLY',
+  'every week': 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  fortnightly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY',
+  'every month': 'FREQ=MONTHLY',
+  yearly: 'FREQ=YEARLY',
+  annually: 'FREQ=YEARLY',
+  'every year': 'FREQ=YEARLY',
+};
+
+function dayCode(word) {
+  return DAY_CODES[String(word).slice(0, 3)] || null;
+}
+
+// "every monday and wednesday", "every other tuesday", "every 3 weeks", "first monday of the month"
+function parsePhrase(text) {
+  if (PRESETS[text]) return PRESETS[text];
+
+  let m = /^(?:every|each|on)?\s*(first|1st|second|2nd|third|3rd|fourth|4th|last)\s+([a-z]+?)(?:day)?(?:\s+of\s+(?:the|every|each)\s+month)?$/.exec(text);
+  if (m && dayCode(m[2])) return `FREQ=MONTHLY;BYDAY=${ORDINALS[m[1]]}${dayCode(m[2])}`;
+
+  m = /^every\s+(other|two|three|four|five|six|\d+)\s+(day|week|month|year)s?$/.exec(text);
+  if (m) {
+    const n = NUMBERS[m[1]] || Number(m[1]);
+    return `FREQ=${UNIT_FREQ[m[2]]};INTERVAL=${n}`;
+  }
+
+  m = /^(?:every|each|on)\s+(?:(other)\s+)?([a-z,&\s]+)$/.exec(text);
+  if (m) {
+    const words = m[2].split(/\s*(?:,|\band\b|&)\s*|\s+/).filter(Boolean);
+    const codes = words.map(w => dayCode(w.replace(/s$/, '')));
+    if (codes.length && codes.every(Boolean)) {
+      return `FREQ=WEEKLY${m[1] ? ';INTERVAL=2' : ''};BYDAY=${[...new Set(codes)].join(',')}`;
+    }
+  }
+  return null;
+}
+
+function utcStamp(date, dateOnly) {
+  const iso = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return dateOnly ? iso.slice(0, 8) : iso;
+}
+
+// spec: preset, phrase or RRULE. until: Date (last possible occurrence), count: number of occurrences.
+// Returns { ok:true, rule:'RRULE:...', description } or { ok:false, error }.
+function buildRecurrence(spec, { until, count, allDay } = {}) {
+  const raw = String(spec || '').trim();
+  if (!raw) return { ok: false, error: 'empty recurrence' };
+
+  let rule;
+  if (/^(RRULE:)?[A-Z]+=/i.test(raw)) {
+    rule = raw.replace(/^RRULE:/i, '').toUpperCase();
+    if (!/(^|;)FREQ=(DAILY|WEEKLY|MONTHLY|YEARLY)(;|$)/.test(rule)) return { ok: false, error: 'FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY' };
+    if (/[^A-Z0-9=;,+\-]/.test(rule)) return { ok: false, error: 'RRULE contains unexpected characters' };
+  } else {
+    rule = parsePhrase(raw.toLowerCase().replace(/\s+/g, ' '));
+    if (!rule) {
+      return { ok: false, error: `could not understand recurrence "${raw}" (try "every weekday", "every other Tuesday", "monthly" or an RRULE)` };
+    }
+  }
+
+  if (until && count) return { ok: false, error: 'use either until or count, not both' };
+  if (until || count) rule = withoutLimit(rule);
+  if (until) rule += `;UNTIL=${utcStamp(until, allDay)}`;
+  if (count) rule += `;COUNT=${Math.max(1, Math.min(730, Math.floor(Number(count))))}`;
+
+  return { ok: true, rule: `RRULE:${rule}`, description: describeRule(rule) };
+}
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU" -> "every 2 weeks on Tuesday"
+function describeRule(rule) {
+  const p = Object.fromEntries(rule.replace(/^RRULE:/, '').split(';').map(kv => kv.split('=')));
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[p.FREQ] || 'period';
+  const n = Number(p.INTERVAL || 1);
+  let out = n > 1 ? `every ${n} ${unit}s` : `every ${unit}`;
+
+  if (p.BYDAY) {
+    const days = p.BYDAY.split(',');
+    if (days.join(',') === 'MO,TU,WE,TH,FR') out = n > 1 ? `${out} on weekdays` : 'every weekday';
+    else {
+      const names = days.map(d => {
+        const [, ord, code] = /^([+-]?\d+)?([A-Z]{2})$/.exec(d) || [];
+        const name = DAY_NAMES[code] || d;
+        if (!ord) return name;
+        const o = Number(ord);
+        return `${o === -1 ? 'last' : ['first', 'second', 'third', 'fourth', 'fifth'][o - 1] || `${o}th`} ${name}`;
+      });
+      out += ` on ${names.join(', ')}`;
+    }
+  }
+  if (p.COUNT) out += `, ${p.COUNT} times`;
+  if (p.UNTIL) out += `, until ${p.UNTIL.slice(0, 4)}-${p.UNTIL.slice(4, 6)}-${p.UNTIL.slice(6, 8)}`;
+  return out;
+}
+
+// The rule without its UNTIL/COUNT, wherever they sit ("RRULE:COUNT=5;FREQ=DAILY" included).
+function withoutLimit(rule) {
+  return rule.replace(/^RRULE:/i, '').split(';').filter(p => p && !/^(UNTIL|COUNT)=/i.test(p)).join(';');
+}
+
+// COUNT of a rule, or null when it has none.
+function ruleCount(rule) {
+  const m = /(?:^|[:;])COUNT=(\d+)/i.exec(rule);
+  return m ? Number(m[1]) : null;
+}
+
+// The series ends just before `date` (used when "this and following" splits a series).
+function endRuleBefore(rule, date) {
+  return `RRULE:${withoutLimit(rule)};UNTIL=${utcStamp(new Date(date.getTime() - 1000))}`;
+}
+
+// The rest of a series once `done` occurrences have passed: a COUNT drops by that many, an UNTIL stays as it is.
+function remainingRule(rule, done) {
+  const count = ruleCount(rule);
+  if (count === null) return rule;
+  return `RRULE:${withoutLimit(rule)};COUNT=${Math.max(1, count - done)}`;
+}
+
+module.exports = { buildRecurrence, describeRule, endRuleBefore, remainingRule, ruleCount };
@@ -0,0 +1,59 @@
+// lib/scopes.js — Google OAuth scopes grouped by what the assistant does with them
+// First connect asks for DEFAULT_GROUPS (all read-only apart from Docs/Sheets/Drive files the app edits).
+// Write groups (gmail.write, calendar.write, drive.write) and drive.read (file contents, full-text search) are requested the first time a tool needs them,
+// via /api/google.js?op=start&scopes=<group>&returnTo=<path> with include_granted_scopes.
+
+const G = 'https://www.googleapis.com/auth/';
+
+const SCOPE_GROUPS = {
+  base: ['openid', `${G}userinfo.email`, `${G}userinfo.profile`],
+  drive: [`${G}drive.metadata.readonly`, `${G}drive.file`],
+  'drive.read': [`${G}drive.readonly`], // contents of files the app did not create: full-text search, readfile
+  'drive.write': [`${G}drive`], // move / rename / copy / share / trash any file
+  docs: [`${G}documents`],
+  sheets: [`${G}spreadsheets`],
+  'gmail.read': [`${G}gmail.readonly`],
+  'gmail.write': [`${G}gmail.compose`], // drafts + sending drafts (gmail.send is confirm-gated)
+  'calendar.read': [`${G}calendar.readonly`],
+  'calendar.write': [`${G}calendar.events`],
+};
+
+const DEFAULT_GROUPS = ['base', 'drive', 'docs', 'sheets', 'gmail.read', 'calendar.read'];
+
+// Scopes that also satisfy a group (Google returns the broader one when both were granted).
+const IMPLIED_BY = {
+  [`${G}calendar.readonly`]: [`${G}calendar.events`, `${G}calendar`],
+  [`${G}calendar.events`]: [`${G}calendar`],
+  [`${G}gmail.readonly`]: [`${G}gmail.modify`, 'https://mail.google.com/'],
+  [`${G}gmail.compose`]: [`${G}gmail.modify`, 'https://mail.google.com/'],
+  [`${G}drive.metadata.readonly`]: [`${G}drive.readonly`, `${G}drive`],
+  [`${G}drive.readonly`]: [`${G}drive`],
+  [`${G}drive.file`]: [`${G}drive`],
+};
+
+// "gmail.write, calendar.write" -> ['gmail.write', 'calendar.write'] (unknown names dropped)
+function parseGroups(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+  return [...new Set(list.map(s => s.trim()).filter(s => SCOPE_GROUPS[s]))];
+}
+
+function scopesFor(groups) {
+  return [...new Set(['base', ...groups].flatMap(g => SCOPE_GROUPS[g] || []))];
+}
+
+// Missing groups for these tokens. Tokens without a scope string (older sessions) are not second-guessed.
+function missingGroups(tokens, groups) {
+  if (!tokens?.scope) return [];
+  const granted = new Set(String(tokens.scope).split(/\s+/));
+  const has = s => granted.has(s) || (IMPLIED_BY[s] || []).some(x => granted.has(x));
+  return groups.filter(g => !(SCOPE_GROUPS[g] || []).every(has));
+}
+
+function authStartUrl(groups, returnTo, account) {
+  const p = new URLSearchParams({ op: 'start', scopes: groups.join(',') });
+  if (returnTo) p.set('returnTo', returnTo);
+  if (account) p.set('account', account);
+  return `/api/google.js?${p.toString()}`;
+}
+
+module.exports = { SCOPE_GROUPS, DEFAULT_GROUPS, parseGroups, scopesFor, missingGroups, authStartUrl };
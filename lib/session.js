@@ -0,0 +1,332 @@
+// lib/session.js — one place for Google tokens (used by api/google.js, api/workspace.js, api/realtime/session.js)
+// - The browser only holds an opaque `sid` cookie; tokens live server-side in lib/store.js.
+// - Session records are AES-256-GCM encrypted at rest with a key derived from SESSION_SECRET.
+// - Several Google accounts per session (personal + work); requests pick one by id, email or label.
+// - Refresh runs under one lock per session, so parallel tool calls don't race each other
+//   (or burn the refresh token twice).
+// - A legacy `gTokens` cookie is migrated into the store on first sight and then cleared.
+//
+// Env: SESSION_SECRET (required), GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET
+
+const crypto = require('crypto');
+const { createStore, withLock } = require('./store');
+const { randomId } = require('./sign');
+
+const COOKIE = 'sid';
+const MAX_AGE_S = 60 * 60 * 24 * 30;
+const REFRESH_SKEW_MS = 60_000;
+const SESSION_LOCK = { ttlMs: 15_000, pollMs: 150, label: 'Session' };
+
+const store = createStore('sessions');
+const inflight = new Map(); // sid:account:token -> Promise<tokens> (same-instance refresh dedupe)
+
+// ---- Cookies
+function parseCookies(req) {
+  const raw = req.headers.cookie || '';
+  const out = {};
+  for (const part of raw.split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (!k) continue;
+    try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch { out[k] = part.slice(i + 1).trim(); }
+  }
+  return out;
+}
+
+function isLocalHost(req) {
+  const h = (req.headers.host || '').toLowerCase();
+  return h.includes('localhost') || h.includes('127.0.0.1');
+}
+
+// Secure everywhere except plain-http localhost (browsers drop Secure cookies there).
+function cookieString(req, name, value, maxAge) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'HttpOnly', 'Path=/', 'SameSite=Lax', `Max-Age=${maxAge}`];
+  if (!isLocalHost(req)) parts.push('Secure');
+  return parts.join('; ');
+}
+
+// Appends instead of overwriting, so several cookies can be set in one response.
+function appendCookie(res, cookie) {
+  const prev = res.getHeader ? res.getHeader('Set-Cookie') : undefined;
+  const list = prev ? (Array.isArray(prev) ? prev : [prev]) : [];
+  res.setHeader('Set-Cookie', [...list.filter(c => !c.startsWith(cookie.split('=')[0] + '=')), cookie]);
+}
+
+// A session created earlier in this same request is not in req's cookies yet.
+function currentSid(req) {
+  return req.__sid || parseCookies(req)[COOKIE] || null;
+}
+
+// ---- Encryption at rest
+function key() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error('SESSION_SECRET not configured on server');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function seal(obj) {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv('aes-256-gcm', key(), iv);
+  const ct = Buffer.concat([c.update(JSON.stringify(obj), 'utf8'), c.final()]);
+  return 'v1.' + Buffer.concat([iv, c.getAuthTag(), ct]).toString('base64');
+}
+
+function open(sealed) {
+  if (typeof sealed !== 'string' || !sealed.startsWith('v1.')) return null;
+  try {
+    const buf = Buffer.from(sealed.slice(3), 'base64');
+    const d = crypto.createDecipheriv('aes-256-gcm', key(), buf.subarray(0, 12));
+    d.setAuthTag(buf.subarray(12, 28));
+    return JSON.parse(Buffer.concat([d.update(buf.subarray(28)), d.final()]).toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// ---- Session records
+async function readRecord(sid) {
+  if (!sid) return null;
+  return open(await store.get(sid));
+}
+
+async function writeRecord(sid, record) {
+  await store.set(sid, seal({ ...record, updatedAt: Date.now() }), MAX_AGE_S * 1000);
+}
+
+// Google token response (expires_in) or stored tokens (expiry_date) -> stored shape.
+// A refresh response usually has no refresh_token; the previous one is kept.
+function normalizeTokens(tokens, prev = {}) {
+  return {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token || prev.refresh_token,
+    scope: tokens.scope || prev.scope,
+    token_type: tokens.token_type || prev.token_type || 'Bearer',
+    expiry_date: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : (tokens.expiry_date || prev.expiry_date),
+    id_token: tokens.id_token || prev.id_token,
+  };
+}
+
+// Record shape: { accounts: { [googleUserId]: { tokens, email, name, label } }, defaultAccount, choices }.
+// choices (lib/choices.js) holds per-account answers to ambiguous file-name lookups.
+// Sessions written before multi-account support hold a bare `tokens`; they become one 'legacy' account.
+function normalizeRecord(record) {
+  if (!record) return null;
+  if (record.tokens && !record.accounts) {
+    const { tokens, ...rest } = record;
+    return { ...rest, accounts: { legacy: { tokens, email: '', name: '', label: '' } }, defaultAccount: 'legacy' };
+  }
+  return { ...record, accounts: record.accounts || {} };
+}
+
+// selector: account id, email or label ("work"); empty -> the default account.
+function resolveAccountId(record, selector) {
+  const accounts = record?.accounts || {};
+  const sel = String(selector || '').trim().toLowerCase();
+  if (!sel) return accounts[record?.defaultAccount] ? record.defaultAccount : (Object.keys(accounts)[0] || null);
+  if (accounts[selector]) return selector;
+  const hit = Object.entries(accounts).find(([, a]) =>
+    (a.email || '').toLowerCase() === sel || (a.label || '').toLowerCase() === sel
+  );
+  return hit ? hit[0] : null;
+}
+
+function publicAccounts(record) {
+  return Object.entries(record?.accounts || {}).map(([id, a]) => ({
+    id,
+    email: a.email || '',
+    name: a.name || '',
+    label: a.label || '',
+    default: id === record.defaultAccount,
+    scope: a.tokens?.scope || '',
+  }));
+}
+
+// Returns { sid, record } for this request, migrating a legacy gTokens cookie if present.
+async function getSession(req, res) {
+  const sid = currentSid(req);
+  const record = normalizeRecord(await readRecord(sid));
+  if (record) return { sid, record };
+
+  const cookies = parseCookies(req);
+  if (cookies.gTokens && res) {
+    let legacy = null;
+    try { legacy = JSON.parse(cookies.gTokens); } catch {}
+    appendCookie(res, cookieString(req, 'gTokens', '', 0));
+    if (legacy?.access_token) return saveTokens(req, res, legacy, { id: 'legacy' });
+  }
+  return { sid: null, record: null };
+}
+
+// prev record (or null) plus one account's tokens and profile -> the record to store.
+function withAccount(prev, tokens, account) {
+  const record = { createdAt: Date.now(), accounts: {}, ...prev };
+  const id = account.id || 'legacy';
+  const before = record.accounts[id] || {};
+  // Re-connecting an account that was migrated from the legacy cookie replaces that placeholder.
+  if (id !== 'legacy' && record.accounts.legacy && Object.keys(record.accounts).length === 1) {
+    delete record.accounts.legacy;
+    if (record.defaultAccount === 'legacy') record.defaultAccount = id;
+  }
+  record.accounts = {
+    ...record.accounts,
+    [id]: {
+      email: account.email ?? before.email ?? '',
+      name: account.name ?? before.name ?? '',
+      label: before.label || account.label || '',
+      tokens: normalizeTokens(tokens, before.tokens),
+    },
+  };
+  if (!record.accounts[record.defaultAccount]) record.defaultAccount = id;
+  return record;
+}
+
+// Stores tokens for one Google account in this browser's session, creating the session (and cookie)
+// when needed. account: { id, email, name, label } from userinfo; the first account becomes the default.
+async function saveTokens(req, res, tokens, account = {}) {
+  const sid = currentSid(req);
+  if (sid && (await readRecord(sid))) {
+    // An existing session is merged under the session lock, so a concurrent refresh or account change isn't lost.
+    const saved = await withLock(store, sid, async () => {
+      const prev = normalizeRecord(await readRecord(sid));
+      if (!prev) return null;
+      const record = withAccount(prev, tokens, account);
+      await writeRecord(sid, record);
+      return { sid, record };
+    }, SESSION_LOCK);
+    if (saved) return saved;
+  }
+
+  const fresh = randomId('s_');
+  req.__sid = fresh;
+  appendCookie(res, cookieString(req, COOKIE, fresh, MAX_AGE_S));
+  const record = withAccount(null, tokens, account);
+  await writeRecord(fresh, record);
+  return { sid: fresh, record };
+}
+
+// Applies fn(record) to the stored session under the session lock; fn mutates the record.
+async function updateSession(req, fn) {
+  const sid = currentSid(req);
+  if (!sid) return null;
+  return withLock(store, sid, async () => {
+    const record = normalizeRecord(await readRecord(sid));
+    if (!record) return null;
+    const result = fn(record);
+    await writeRecord(sid, record);
+    return result === undefined ? record : result;
+  }, SESSION_LOCK);
+}
+
+async function listAccounts(req, res) {
+  const { record } = await getSession(req, res);
+  return record ? { defaultAccount: record.defaultAccount, accounts: publicAccounts(record) } : { defaultAccount: null, accounts: [] };
+}
+
+// Forget one account; the session survives while other accounts remain.
+async function removeAccount(req, res, selector) {
+  const out = await updateSession(req, record => {
+    const id = resolveAccountId(record, selector);
+    if (!id) return { removed: null };
+    delete record.accounts[id];
+    if (record.choices) delete record.choices[id];
+    if (record.defaultAccount === id) record.defaultAccount = Object.keys(record.accounts)[0] || null;
+    return { removed: id, remaining: Object.keys(record.accounts).length };
+  });
+  if (out && out.removed && out.remaining === 0) await destroySession(req, res);
+  return out || { removed: null };
+}
+
+// label: free text such as "work"; makeDefault: route requests without `account` here.
+async function configureAccount(req, selector, { label, makeDefault } = {}) {
+  return updateSession(req, record => {
+    const id = resolveAccountId(record, selector);
+    if (!id) return null;
+    if (label !== undefined) record.accounts[id].label = String(label).trim().slice(0, 40);
+    if (makeDefault) record.defaultAccount = id;
+    return publicAccounts(record).find(a => a.id === id);
+  });
+}
+
+async function destroySession(req, res) {
+  const sid = currentSid(req);
+  if (sid) await store.del(sid);
+  appendCookie(res, cookieString(req, COOKIE, '', 0));
+  appendCookie(res, cookieString(req, 'gTokens', '', 0));
+}
+
+// ---- Refresh
+async function requestRefresh(refreshToken) {
+  const form = new URLSearchParams({
+    client_id: process.env.GOOGLE_CLIENT_ID || '',
+    client_secret: process.env.GOOGLE_CLIENT_SECRET || '',
+    refresh_token: refreshToken,
+    grant_type: 'refresh_token',
+  });
+  const r = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form.toString(),
+  });
+  const data = await r.json();
+  return { ok: r.ok && !!data.access_token, status: r.status, data };
+}
+
+// Refreshes one account under the session lock. `stale` is the access token the caller saw fail
+// (or expire); if the stored token already differs, someone else refreshed and we just use theirs.
+async function refreshLocked(sid, accountId, stale) {
+  return withLock(store, sid, async () => {
+    const rec = normalizeRecord(await readRecord(sid));
+    const acct = rec?.accounts[accountId];
+    const cur = acct?.tokens;
+    if (!cur) return null;
+    if (cur.access_token !== stale) return cur;
+    if (!cur.refresh_token) return { ...cur, _refresh_error: { error: 'no_refresh_token' } };
+
+    const out = await requestRefresh(cur.refresh_token);
+    if (!out.ok) return { ...cur, _refresh_error: out.data };
+
+    const tokens = normalizeTokens(out.data, cur);
+    rec.accounts[accountId] = { ...acct, tokens };
+    await writeRecord(sid, rec);
+    return tokens;
+  }, SESSION_LOCK);
+}
+
+// Current tokens for this request, refreshed if they expire within a minute (or `force`).
+// account: id, email or label; omitted -> default account. Returns null when there is no session
+// or no such account. A failed refresh comes back as tokens with _refresh_error.
+async function getFreshTokens(req, res, { force = false, stale, account } = {}) {
+  const { sid, record } = await getSession(req, res);
+  const accountId = resolveAccountId(record, account);
+  const cur = accountId ? record.accounts[accountId].tokens : null;
+  if (!sid || !cur) return null;
+
+  const expiring = !cur.access_token || (cur.expiry_date && cur.expiry_date - Date.now() < REFRESH_SKEW_MS);
+  if (!force && !expiring) return cur;
+
+  const staleToken = stale || cur.access_token;
+  const key = `${sid}:${accountId}:${staleToken}`;
+  if (!inflight.has(key)) {
+    inflight.set(key, refreshLocked(sid, accountId, staleToken).finally(() => inflight.delete(key)));
+  }
+  return inflight.get(key);
+}
+
+module.exports = {
+  getSession,
+  saveTokens,
+  updateSession,
+  destroySession,
+  getFreshTokens,
+  listAccounts,
+  removeAccount,
+  configureAccount,
+  resolveAccountId,
+  parseCookies,
+  appendCookie,
+  cookieString,
+  isLocalHost,
+  seal,
+  open,
+};
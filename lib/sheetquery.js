@@ -0,0 +1,323 @@
+// lib/sheetquery.js — header-aware querying over a Sheets grid, so totals and filters are computed here
+// instead of by the model. Input is the rowData of spreadsheets.get (effectiveValue + number format),
+// which tells numbers, currency, percentages and dates apart; output rows are plain typed records.
+//
+// Dates are compared as "wall-clock" ms (the date/time as written in the sheet, read as if it were UTC),
+// so a sheet in Europe/Amsterdam and "this month" computed in that zone line up without offset maths.
+
+const { zonedParts } = require('./time');
+const { resolveDateTime } = require('./dates');
+
+const SHEETS_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 86_400_000;
+
+const OPS = [
+  'eq', 'ne', 'contains', 'not_contains', 'starts_with', 'gt', 'gte', 'lt', 'lte', 'between', 'in',
+  'empty', 'not_empty', 'period',
+];
+const AGGREGATES = ['sum', 'count', 'avg', 'min', 'max'];
+const OP_ALIASES = {
+  '=': 'eq', '==': 'eq', equals: 'eq', '!=': 'ne', '<>': 'ne', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte',
+  includes: 'contains', is_empty: 'empty', is_not_empty: 'not_empty', within: 'period',
+};
+
+function queryError(error, extra) {
+  return { status: 400, body: { error, ...extra } };
+}
+
+// One grid cell -> { v (typed value), t (type), f (formatted text) }
+function typedCell(cell) {
+  const ev = cell?.effectiveValue;
+  const f = cell?.formattedValue ?? '';
+  if (!ev) return { v: null, t: 'empty', f };
+  if (ev.numberValue != null) {
+    const type = cell.effectiveFormat?.numberFormat?.type || '';
+    if (type === 'DATE' || type === 'DATE_TIME') {
+      return { v: SHEETS_EPOCH_MS + ev.numberValue * DAY_MS, t: type === 'DATE' ? 'date' : 'datetime', f };
+    }
+    return { v: ev.numberValue, t: 'number', f };
+  }
+  if (ev.boolValue != null) return { v: ev.boolValue, t: 'boolean', f };
+  if (ev.errorValue) return { v: null, t: 'error', f };
+  return { v: String(ev.stringValue ?? '').trim(), t: 'string', f };
+}
+
+function isoOf(cell) {
+  const iso = new Date(cell.v).toISOString();
+  return cell.t === 'date' ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+}
+
+// How a record shows a cell: numbers/booleans as-is, dates as "2026-10-19" / "2026-10-19 14:30", text trimmed.
+function outputValue(cell) {
+  if (cell.t === 'date' || cell.t === 'datetime') return isoOf(cell);
+  return cell.v;
+}
+
+// rowData (spreadsheets.get) -> { headers, records: [{ row, cells: { header: typedCell } }] }.
+// headerRow is 1-based inside the fetched range; blank rows are skipped; duplicate headers get " (2)".
+// Header texts -> unique column names (blank -> "Column 3", repeats -> "Amount (2)").
+function headerNames(texts) {
+  const headers = [];
+  for (const text of texts || []) {
+    const base = String(text ?? '').trim() || `Column ${headers.length + 1}`;
+    let name = base;
+    for (let n = 2; headers.includes(name); n++) name = `${base} (${n})`;
+    headers.push(name);
+  }
+  return headers;
+}
+
+function toRecords(rowData, { headerRow = 1, firstRow = 1 } = {}) {
+  const rows = rowData || [];
+  const headers = headerNames((rows[headerRow - 1]?.values || []).map(c => c?.formattedValue));
+
+  const records = [];
+  for (let i = headerRow; i < rows.length; i++) {
+    const values = rows[i]?.values || [];
+    if (!values.some(c => c?.effectiveValue)) continue;
+    const cells = {};
+    headers.forEach((h, j) => { cells[h] = typedCell(values[j]); });
+    records.push({ row: firstRow + i, cells });
+  }
+  return { headers, records };
+}
+
+function findHeader(headers, name) {
+  const want = String(name || '').trim().toLowerCase();
+  const hit = headers.find(h => h.toLowerCase() === want);
+  if (!hit) throw queryError(`Unknown column: ${name}`, { columns: headers });
+  return hit;
+}
+
+// "2026-10-22T14:00+02:00" -> wall-clock ms of 2026-10-22 14:00
+function wallMs(isoZoned) {
+  return Date.parse(`${isoZoned.slice(0, 19)}Z`);
+}
+
+// Period names -> [from, to) in wall-clock ms. "last 30 days" includes today.
+function periodRange(name, timeZone, now = new Date()) {
+  const p = zonedParts(now, timeZone);
+  const day = (y, m, d) => Date.UTC(y, m - 1, d);
+  const today = day(p.year, p.month, p.day);
+  const weekStart = today - ((p.weekday + 6) % 7) * DAY_MS; // Monday
+  const quarter = Math.floor((p.month - 1) / 3);
+  const s = String(name || '').trim().toLowerCase();
+
+  let m;
+  if (s === 'today') return [today, today + DAY_MS];
+  if (s === 'yesterday') return [today - DAY_MS, today];
+  if (s === 'this week') return [weekStart, weekStart + 7 * DAY_MS];
+  if (s === 'last week') return [weekStart - 7 * DAY_MS, weekStart];
+  if (s === 'this month') return [day(p.year, p.month, 1), day(p.year, p.month + 1, 1)];
+  if (s === 'last month') return [day(p.year, p.month - 1, 1), day(p.year, p.month, 1)];
+  if (s === 'this quarter') return [day(p.year, quarter * 3 + 1, 1), day(p.year, quarter * 3 + 4, 1)];
+  if (s === 'last quarter') return [day(p.year, quarter * 3 - 2, 1), day(p.year, quarter * 3 + 1, 1)];
+  if (s === 'this year') return [day(p.year, 1, 1), day(p.year + 1, 1, 1)];
+  if (s === 'last year') return [day(p.year - 1, 1, 1), day(p.year, 1, 1)];
+  if ((m = /^(?:last|past) (\d+) days?$/.exec(s))) return [today - (Number(m[1]) - 1) * DAY_MS, today + DAY_MS];
+  if ((m = /^next (\d+) days?$/.exec(s))) return [today, today + Number(m[1]) * DAY_MS];
+  throw queryError(`Unknown period: ${name}`, {
+    periods: ['today', 'yesterday', 'this week', 'last week', 'this month', 'last month', 'this quarter', 'last quarter',
+      'this year', 'last year', 'last N days', 'next N days'],
+  });
+}
+
+// Filter value -> something comparable with cells of type `t`.
+function coerce(value, t, timeZone) {
+  if (t === 'number') {
+    const n = typeof value === 'number' ? value : Number(String(value).replace(/[^\d.eE+-]/g, ''));
+    return Number.isFinite(n) ? n : NaN;
+  }
+  if (t === 'date' || t === 'datetime') {
+    // Queries look at what is in the sheet: "October 1" said on 19 October is the one just gone.
+    const r = resolveDateTime(value, { timeZone, past: true });
+    if (!r.ok) throw queryError(`Could not read "${value}" as a date: ${r.error}`);
+    return wallMs(r.iso);
+  }
+  if (t === 'boolean') return ['true', 'yes', '1', 'y'].includes(String(value).toLowerCase());
+  return String(value ?? '').toLowerCase();
+}
+
+function testCell(cell, { op, value }, timeZone) {
+  if (op === 'empty') return cell.t === 'empty' || cell.v === '';
+  if (op === 'not_empty') return !(cell.t === 'empty' || cell.v === '');
+  if (cell.t === 'empty' || cell.t === 'error') return op === 'ne' || op === 'not_contains';
+
+  const text = String(cell.f || cell.v).toLowerCase();
+  if (op === 'contains') return text.includes(String(value).toLowerCase());
+  if (op === 'not_contains') return !text.includes(String(value).toLowerCase());
+  if (op === 'starts_with') return text.startsWith(String(value).toLowerCase());
+
+  const isDate = cell.t === 'date' || cell.t === 'datetime';
+  if (op === 'period') {
+    if (!isDate) return false;
+    const [from, to] = periodRange(value, timeZone);
+    return cell.v >= from && cell.v < to;
+  }
+  if (op === 'in') {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.some(x => testCell(cell, { op: 'eq', value: x }, timeZone));
+  }
+  if (op === 'between') {
+    const [lo, hi] = Array.isArray(value) ? value : [];
+    if (lo == null || hi == null) throw queryError('between needs value: [from, to]');
+    return testCell(cell, { op: 'gte', value: lo }, timeZone) && testCell(cell, { op: isDate ? 'lte_day' : 'lte', value: hi }, timeZone);
+  }
+
+  const t = cell.t === 'string' ? 'string' : cell.t;
+  const want = coerce(value, t, timeZone);
+  const have = t === 'string' ? cell.v.toLowerCase() : cell.v;
+  if (t === 'number' && Number.isNaN(want)) return op === 'ne';
+
+  // Dates compare by day unless the filter value had a time ("2026-10-01" matches all of that day).
+  if (isDate && (op === 'eq' || op === 'ne') && want % DAY_MS === 0) {
+    const same = have >= want && have < want + DAY_MS;
+    return op === 'eq' ? same : !same;
+  }
+  if (op === 'lte_day') return have < (want % DAY_MS === 0 ? want + DAY_MS : want + 1);
+  if (op === 'eq') return have === want;
+  if (op === 'ne') return have !== want;
+  if (op === 'gt') return have > want;
+  if (op === 'gte') return have >= want;
+  if (op === 'lt') return have < want;
+  if (op === 'lte') return have <= want;
+  return false;
+}
+
+// where: [{ column, op, value }] or { column: value } shorthand (equals).
+function normalizeWhere(where, headers) {
+  if (!where) return [];
+  const list = Array.isArray(where)
+    ? where
+    : Object.entries(where).map(([column, value]) => ({ column, op: 'eq', value }));
+  return list.map(w => {
+    const op = OP_ALIASES[String(w.op || 'eq').toLowerCase()] || String(w.op || 'eq').toLowerCase();
+    if (!OPS.includes(op)) throw queryError(`Unknown op: ${w.op}`, { ops: OPS });
+    return { column: findHeader(headers, w.column), op, value: w.value };
+  });
+}
+
+// "Amount desc" | { column, dir } | [...]
+function normalizeSort(sort) {
+  if (!sort) return [];
+  const list = Array.isArray(sort) ? sort : [sort];
+  return list.map(s => {
+    if (typeof s === 'string') {
+      const m = /^(.*?)(?:\s+(asc|desc))?$/i.exec(s.trim());
+      return { column: m[1], dir: (m[2] || 'asc').toLowerCase() };
+    }
+    return { column: s.column, dir: String(s.dir || 'asc').toLowerCase() };
+  });
+}
+
+function compareValues(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1; // empties last
+  if (b == null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// [{ op:'sum', column:'Amount', as? }] -> computes over records; count needs no column.
+function normalizeAggregates(aggregates, headers) {
+  return (aggregates || []).map(a => {
+    const op = String(a.op || '').toLowerCase();
+    if (!AGGREGATES.includes(op)) throw queryError(`Unknown aggregate: ${a.op}`, { aggregates: AGGREGATES });
+    const column = a.column ? findHeader(headers, a.column) : null;
+    if (op !== 'count' && !column) throw queryError(`${op} needs a column`);
+    return { op, column, as: a.as || (column ? `${op}_${column}` : op) };
+  });
+}
+
+function aggregate(records, aggs) {
+  const out = {};
+  for (const a of aggs) {
+    if (a.op === 'count') {
+      out[a.as] = a.column ? records.filter(r => r.cells[a.column].t !== 'empty').length : records.length;
+      continue;
+    }
+    const cells = records.map(r => r.cells[a.column]).filter(c => c.t === 'number' || c.t === 'date' || c.t === 'datetime');
+    const nums = cells.map(c => c.v);
+    const isDate = cells.length && cells[0].t !== 'number';
+    let v = null;
+    if (a.op === 'sum') v = isDate ? null : round(nums.reduce((x, y) => x + y, 0));
+    if (a.op === 'avg') v = nums.length && !isDate ? round(nums.reduce((x, y) => x + y, 0) / nums.length) : null;
+    if (a.op === 'min' && nums.length) v = Math.min(...nums);
+    if (a.op === 'max' && nums.length) v = Math.max(...nums);
+    if (isDate && v != null) v = isoOf({ v, t: cells[0].t });
+    out[a.as] = v;
+    out[`${a.as}_n`] = nums.length; // how many numeric cells went in (text/empty cells are skipped)
+  }
+  return out;
+}
+
+// Floating point noise off sums of money (0.1 + 0.2)
+function round(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// The whole query. spec: { where, match ('all'|'any'), select, sort, limit, groupBy, aggregates }.
+// Returns { headers, matched, rows } or, with groupBy/aggregates, { headers, matched, groups | totals }.
+function runQuery({ headers, records }, spec, { timeZone = 'UTC' } = {}) {
+  const where = normalizeWhere(spec.where, headers);
+  const any = String(spec.match || 'all').toLowerCase() === 'any';
+  const sortSpec = normalizeSort(spec.sort);
+  const select = spec.select?.length ? spec.select.map(c => findHeader(headers, c)) : headers;
+  const groupBy = (Array.isArray(spec.groupBy) ? spec.groupBy : spec.groupBy ? [spec.groupBy] : []).map(c => findHeader(headers, c));
+  const aggs = normalizeAggregates(spec.aggregates, headers);
+  const limit = Math.min(500, Math.max(1, Number(spec.limit) || 50));
+
+  const test = r => {
+    if (!where.length) return true;
+    const hits = where.map(w => testCell(r.cells[w.column], w, timeZone));
+    return any ? hits.some(Boolean) : hits.every(Boolean);
+  };
+  const matched = records.filter(test);
+
+  if (groupBy.length) {
+    const groups = new Map();
+    for (const r of matched) {
+      const key = groupBy.map(c => outputValue(r.cells[c]));
+      const k = JSON.stringify(key);
+      if (!groups.has(k)) groups.set(k, { key, records: [] });
+      groups.get(k).records.push(r);
+    }
+    const effective = aggs.length ? aggs : [{ op: 'count', column: null, as: 'count' }];
+    let list = [...groups.values()].map(g => ({
+      ...Object.fromEntries(groupBy.map((c, i) => [c, g.key[i]])),
+      ...aggregate(g.records, effective),
+    }));
+    // Groups sort by a groupBy column or an aggregate name ("sum_Amount desc").
+    const sort = sortSpec.map(s => ({ ...s, column: findHeader([...groupBy, ...effective.map(a => a.as)], s.column) }));
+    list.sort((a, b) => {
+      for (const s of sort) {
+        const c = compareValues(a[s.column], b[s.column]);
+        if (c) return s.dir === 'desc' ? -c : c;
+      }
+      return 0;
+    });
+    return { headers, matched: matched.length, groupCount: list.length, truncated: list.length > limit, groups: list.slice(0, limit) };
+  }
+
+  const sort = sortSpec.map(s => ({ ...s, column: findHeader(headers, s.column) }));
+  const sorted = [...matched].sort((a, b) => {
+    for (const s of sort) {
+      const c = compareValues(a.cells[s.column].t === 'empty' ? null : a.cells[s.column].v, b.cells[s.column].t === 'empty' ? null : b.cells[s.column].v);
+      if (c) return s.dir === 'desc' ? -c : c;
+    }
+    return 0;
+  });
+
+  const out = { headers, matched: matched.length };
+  if (aggs.length) out.totals = aggregate(matched, aggs);
+  if (!aggs.length || spec.includeRows) {
+    out.rows = sorted.slice(0, limit).map(r => ({
+      _row: r.row,
+      ...Object.fromEntries(select.map(c => [c, outputValue(r.cells[c])])),
+    }));
+    out.truncated = matched.length > limit;
+  }
+  return out;
+}
+
+module.exports = { toRecords, runQuery, periodRange, typedCell, headerNames, findHeader, OPS, AGGREGATES };
@@ -0,0 +1,166 @@
+// lib/sheettemplates.js — JSON spreadsheet templates (templates/sheets/*.json) -> Sheets batchUpdate requests
+// A template is { title, description, tab, freezeHeader, columns:[{ header, format, options, width, pattern }] }.
+// `format` sets the column's number format, `options` becomes a dropdown, format "checkbox" a tick box.
+// Templates are required statically so the serverless bundle picks them up.
+
+const TEMPLATES = {
+  expenses: require('../templates/sheets/expenses.json'),
+  invoices: require('../templates/sheets/invoices.json'),
+  tasks: require('../templates/sheets/tasks.json'),
+  contacts: require('../templates/sheets/contacts.json'),
+};
+
+const FORMATS = {
+  text: { type: 'TEXT' },
+  number: { type: 'NUMBER', pattern: '#,##0.##' },
+  integer: { type: 'NUMBER', pattern: '0' },
+  currency: { type: 'CURRENCY' },
+  percent: { type: 'PERCENT', pattern: '0.0%' },
+  date: { type: 'DATE', pattern: 'yyyy-mm-dd' },
+  datetime: { type: 'DATE_TIME', pattern: 'yyyy-mm-dd hh:mm' },
+  time: { type: 'TIME', pattern: 'hh:mm' },
+};
+
+const MAX_COLUMNS = 100;
+
+function templateError(error, extra) {
+  return { status: 400, body: { error, ...extra } };
+}
+
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, t]) => ({
+    name,
+    description: t.description || '',
+    columns: t.columns.map(c => c.header),
+  }));
+}
+
+// "Amount" | { header:'Amount', format:'currency' } -> normalized column; bad formats are a 400.
+function normalizeColumn(col, i) {
+  const c = typeof col === 'string' ? { header: col } : col || {};
+  const header = String(c.header ?? c.name ?? '').trim();
+  if (!header) throw templateError(`column ${i + 1} has no header`);
+
+  const format = c.format ? String(c.format).toLowerCase() : '';
+  if (format && format !== 'checkbox' && !FORMATS[format]) {
+    throw templateError(`column ${header}: unknown format ${c.format}`, { formats: [...Object.keys(FORMATS), 'checkbox'] });
+  }
+  const options = Array.isArray(c.options) ? c.options.map(o => String(o).trim()).filter(Boolean) : [];
+  const width = Number(c.width) > 0 ? Math.min(1000, Math.round(Number(c.width))) : 0;
+  return { header, format, options, width, pattern: c.pattern ? String(c.pattern) : '' };
+}
+
+// name ("expenses"), inline template object, or just a columns list -> normalized template.
+function resolveTemplate(spec, columns) {
+  let t;
+  if (typeof spec === 'string' && spec.trim()) {
+    t = TEMPLATES[spec.trim().toLowerCase()];
+    if (!t) throw templateError(`Unknown template: ${spec}`, { templates: Object.keys(TEMPLATES) });
+    t = { name: spec.trim().toLowerCase(), ...t };
+  } else if (spec && typeof spec === 'object') {
+    t = { name: 'custom', ...spec };
+  } else if (Array.isArray(columns) && columns.length) {
+    t = { name: 'custom', columns };
+  } else {
+    throw templateError('template (name or object) or columns is required', { templates: Object.keys(TEMPLATES) });
+  }
+
+  if (!Array.isArray(t.columns) || !t.columns.length) throw templateError('template has no columns');
+  if (t.columns.length > MAX_COLUMNS) throw templateError(`at most ${MAX_COLUMNS} columns`);
+
+  const cols = t.columns.map(normalizeColumn);
+  const seen = new Set();
+  for (const c of cols) {
+    const key = c.header.toLowerCase();
+    if (seen.has(key)) throw templateError(`duplicate column header: ${c.header}`);
+    seen.add(key);
+  }
+
+  return {
+    name: t.name,
+    title: String(t.title || '').trim(),
+    tab: String(t.tab || '').trim(),
+    freezeHeader: t.freezeHeader !== false,
+    columns: cols,
+  };
+}
+
+// Requests that lay a template onto an existing, empty tab.
+function templateRequests(sheetId, template) {
+  const cols = template.columns;
+  const requests = [];
+  const column = j => ({ sheetId, startRowIndex: 1, startColumnIndex: j, endColumnIndex: j + 1 });
+
+  if (cols.length > 26) {
+    requests.push({
+      updateSheetProperties: {
+        properties: { sheetId, gridProperties: { columnCount: cols.length } },
+        fields: 'gridProperties.columnCount',
+      },
+    });
+  }
+
+  requests.push({
+    updateCells: {
+      start: { sheetId, rowIndex: 0, columnIndex: 0 },
+      rows: [{
+        values: cols.map(c => ({
+          userEnteredValue: { stringValue: c.header },
+          userEnteredFormat: { textFormat: { bold: true } },
+        })),
+      }],
+      fields: 'userEnteredValue,userEnteredFormat.textFormat.bold',
+    },
+  });
+
+  if (template.freezeHeader) {
+    requests.push({
+      updateSheetProperties: {
+        properties: { sheetId, gridProperties: { frozenRowCount: 1 } },
+        fields: 'gridProperties.frozenRowCount',
+      },
+    });
+  }
+
+  cols.forEach((c, j) => {
+    if (c.format === 'checkbox') {
+      requests.push({ setDataValidation: { range: column(j), rule: { condition: { type: 'BOOLEAN' } } } });
+    } else if (c.format) {
+      const numberFormat = { ...FORMATS[c.format], ...(c.pattern ? { pattern: c.pattern } : {}) };
+      requests.push({
+        repeatCell: {
+          range: column(j),
+          cell: { userEnteredFormat: { numberFormat } },
+          fields: 'userEnteredFormat.numberFormat',
+        },
+      });
+    }
+
+    if (c.options.length) {
+      requests.push({
+        setDataValidation: {
+          range: column(j),
+          rule: {
+            condition: { type: 'ONE_OF_LIST', values: c.options.map(v => ({ userEnteredValue: v })) },
+            showCustomUi: true,
+            strict: true,
+          },
+        },
+      });
+    }
+
+    if (c.width) {
+      requests.push({
+        updateDimensionProperties: {
+          range: { sheetId, dimension: 'COLUMNS', startIndex: j, endIndex: j + 1 },
+          properties: { pixelSize: c.width },
+          fields: 'pixelSize',
+        },
+      });
+    }
+  });
+
+  return requests;
+}
+
+module.exports = { TEMPLATES, FORMATS, listTemplates, resolveTemplate, templateRequests };
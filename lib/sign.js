@@ -0,0 +1,44 @@
+// lib/sign.js — compact HMAC-signed tokens: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+// Used for anything we hand to the browser and must trust when it comes back.
+
+const crypto = require('crypto');
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromB64url(s) {
+  return Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+function sign(payload, secret) {
+  if (!secret) throw new Error('Signing secret not configured');
+  const body = b64url(JSON.stringify(payload));
+  return `${body}.${b64url(hmac(secret, body))}`;
+}
+
+// Returns the payload, or null if the signature is wrong, the token is malformed or exp (ms) has passed.
+function verify(token, secret) {
+  if (!secret || typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+
+  const expected = hmac(secret, body);
+  const given = fromB64url(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  let payload;
+  try { payload = JSON.parse(fromB64url(body).toString('utf8')); } catch { return null; }
+  if (payload.exp && Date.now() > payload.exp) return null;
+  return payload;
+}
+
+function randomId(prefix = '') {
+  return prefix + b64url(crypto.randomBytes(16));
+}
+
+module.exports = { sign, verify, randomId, b64url, fromB64url };
@@ -0,0 +1,198 @@
+// lib/store.js — tiny key/value store with per-key TTL, behind a pluggable adapter
+// - file: one JSON file per namespace, so the API functions and the local realtime relay share state
+//         on one machine (default; fine for `vercel dev` and single-instance hosting)
+// - kv:   Redis-compatible REST (Vercel KV / Upstash), required once there is more than one instance
+//
+// Env: STORE_ADAPTER (file | kv), STORE_DIR (default: <os tmpdir>/phoenix-va),
+//      KV_REST_API_URL + KV_REST_API_TOKEN (kv adapter)
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+function storeDir() {
+  return process.env.STORE_DIR || path.join(os.tmpdir(), 'phoenix-va');
+}
+
+// ---- File adapter
+function createFileStore(namespace) {
+  const file = path.join(storeDir(), `${namespace}.json`);
+  let chain = Promise.resolve(); // serializes read-modify-write within this process
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async function save(data) {
+    const now = Date.now();
+    for (const k of Object.keys(data)) if (data[k].exp && data[k].exp <= now) delete data[k];
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+
+  function exclusive(fn) {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  function live(entry) {
+    return entry && (!entry.exp || entry.exp > Date.now()) ? entry : null;
+  }
+
+  return {
+    async get(key) {
+      const data = await load();
+      return live(data[key])?.v ?? null;
+    },
+
+    set(key, value, ttlMs) {
+      return exclusive(async () => {
+        const data = await load();
+        data[key] = { v: value, exp: ttlMs ? Date.now() + ttlMs : 0 };
+        await save(data);
+      });
+    },
+
+    // Stores the value only if the key is absent or expired; resolves true when it was stored.
+    setIfAbsent(key, value, ttlMs) {
+      return exclusive(async () => {
+        const data = await load();
+        if (live(data[key])) return false;
+        data[key] = { v: value, exp: ttlMs ? Date.now() + ttlMs : 0 };
+        await save(data);
+        return true;
+      });
+    },
+
+    // Atomically increments a counter; the TTL is set when the counter is created.
+    incr(key, ttlMs) {
+      return exclusive(async () => {
+        const data = await load();
+        const cur = live(data[key]);
+        const n = (cur ? Number(cur.v) || 0 : 0) + 1;
+        data[key] = { v: n, exp: cur ? cur.exp : (ttlMs ? Date.now() + ttlMs : 0) };
+        await save(data);
+        return n;
+      });
+    },
+
+    del(key) {
+      return exclusive(async () => {
+        const data = await load();
+        delete data[key];
+        await save(data);
+      });
+    },
+
+    // Deletes the key only while it still holds value; resolves true when it was deleted.
+    delIfEqual(key, value) {
+      return exclusive(async () => {
+        const data = await load();
+        if (live(data[key])?.v !== value) return false;
+        delete data[key];
+        await save(data);
+        return true;
+      });
+    },
+  };
+}
+
+// ---- KV adapter (Upstash REST protocol: POST [command, ...args] -> { result })
+const DEL_IF_EQUAL = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+
+function createKvStore(namespace) {
+  const base = (process.env.KV_REST_API_URL || '').replace(/\/+$/, '');
+  const token = process.env.KV_REST_API_TOKEN || '';
+
+  async function cmd(...args) {
+    if (!base || !token) throw new Error('KV_REST_API_URL / KV_REST_API_TOKEN not configured');
+    const r = await fetch(base, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args.map(String)),
+    });
+    const data = await r.json();
+    if (!r.ok || data.error) throw new Error(`KV ${args[0]} failed: ${data.error || r.status}`);
+    return data.result;
+  }
+
+  const k = key => `${namespace}:${key}`;
+
+  return {
+    async get(key) {
+      const raw = await cmd('GET', k(key));
+      if (raw == null) return null;
+      try { return JSON.parse(raw); } catch { return raw; }
+    },
+
+    async set(key, value, ttlMs) {
+      const args = ['SET', k(key), JSON.stringify(value)];
+      if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+      await cmd(...args);
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      const args = ['SET', k(key), JSON.stringify(value), 'NX'];
+      if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+      return (await cmd(...args)) === 'OK';
+    },
+
+    async incr(key, ttlMs) {
+      const n = Number(await cmd('INCR', k(key)));
+      if (n === 1 && ttlMs) await cmd('PEXPIRE', k(key), Math.ceil(ttlMs));
+      return n;
+    },
+
+    async del(key) {
+      await cmd('DEL', k(key));
+    },
+
+    async delIfEqual(key, value) {
+      return Number(await cmd('EVAL', DEL_IF_EQUAL, 1, k(key), JSON.stringify(value))) === 1;
+    },
+  };
+}
+
+// 'kv' is the only adapter other hosts (the relay, other instances) see too.
+function storeAdapter() {
+  return (process.env.STORE_ADAPTER || 'file').toLowerCase();
+}
+
+function createStore(namespace) {
+  const adapter = storeAdapter();
+  if (adapter === 'kv') return createKvStore(namespace);
+  if (adapter === 'file') return createFileStore(namespace);
+  throw new Error(`Unknown STORE_ADAPTER: ${adapter}`);
+}
+
+// ---- Locks
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// Runs fn holding `lock:<key>` in `store`. The lock expires after ttlMs, so a crashed holder can't block for good;
+// waiting gives up after the same time. label names the lock in the timeout error. The lock holds a token of its own,
+// so a holder that outlived ttlMs doesn't release the lock someone else has taken since.
+async function withLock(store, key, fn, { ttlMs = 10_000, pollMs = 100, label = 'Store' } = {}) {
+  const deadline = Date.now() + ttlMs;
+  const owner = crypto.randomBytes(12).toString('hex');
+  while (!(await store.setIfAbsent(`lock:${key}`, owner, ttlMs))) {
+    if (Date.now() > deadline) throw new Error(`${label} lock timed out`);
+    await sleep(pollMs);
+  }
+  try {
+    return await fn();
+  } finally {
+    await store.delIfEqual(`lock:${key}`, owner);
+  }
+}
+
+module.exports = { createStore, storeAdapter, withLock };
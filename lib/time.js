@@ -0,0 +1,108 @@
+// lib/time.js — wall-clock arithmetic in an IANA time zone, using only Intl (no tz database of our own)
+// Google Calendar hands us instants; working hours and "Thursday afternoon" are wall-clock times in the
+// user's zone, so every conversion between the two goes through here.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map(); // tz -> Intl.DateTimeFormat (construction is slow)
+
+function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function partsFormatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(tz);
+}
+
+// Date -> { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) } as seen in tz.
+function zonedParts(date, tz) {
+  const out = {};
+  for (const p of partsFormatter(tz).formatToParts(date)) out[p.type] = p.value;
+  return {
+    year: Number(out.year),
+    month: Number(out.month),
+    day: Number(out.day),
+    hour: Number(out.hour),
+    minute: Number(out.minute),
+    second: Number(out.second),
+    weekday: WEEKDAYS.indexOf(out.weekday),
+  };
+}
+
+// Offset of tz from UTC at this instant, in ms (Amsterdam in summer -> +7200000).
+function tzOffsetMs(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock time in tz -> Date. Day/hour/minute may overflow ("day 32" rolls into next month).
+// Times skipped by a DST jump resolve to the instant just after it.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, tz) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - tzOffsetMs(new Date(guess), tz);
+  const second = guess - tzOffsetMs(new Date(first), tz);
+  return new Date(first === second ? first : Math.max(first, second));
+}
+
+// Local midnight of the day containing `date`, shifted by addDays.
+function startOfZonedDay(date, tz, addDays = 0) {
+  const p = zonedParts(date, tz);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day + addDays }, tz);
+}
+
+// "2026-10-22T14:00:00+02:00" — what the model should read and pass back.
+function toZonedIso(date, tz) {
+  const p = zonedParts(date, tz);
+  const off = Math.round(tzOffsetMs(date, tz) / 60000);
+  const pad = n => String(Math.abs(n)).padStart(2, '0');
+  const sign = off < 0 ? '-' : '+';
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.trunc(off / 60))}:${pad(off % 60)}`;
+}
+
+// "Thu 22 Oct, 14:00" for reading back to the user.
+function formatZoned(date, tz) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: tz,
+    weekday: 'short', day: 'numeric', month: 'short',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).format(date);
+}
+
+// "09:30" -> 570 (minutes after midnight); null when malformed.
+function parseHm(s) {
+  const m = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(s || '').trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  if (h > 24 || min > 59 || (h === 24 && min)) return null;
+  return h * 60 + min;
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimeZone,
+  zonedParts,
+  tzOffsetMs,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  toZonedIso,
+  formatZoned,
+  parseHm,
+};
@@ -0,0 +1,829 @@
+// lib/tools.js — every assistant tool in one place: name, backend action, JSON schema and argument checks
+// api/tools.js serves the schemas (index.html registers them with the realtime session), and api/workspace.js
+// validates each call against the same entry before dispatching to the action's handler.
+// Google tools also take `account`; properties the schema does not list pass through untouched.
+// Entry fields besides the schema: google:false (no account), writes:true (changes something; history marks these as
+// changes and the change journal records them for workspace.undo), requireOne (alternative required arguments).
+// Every tool also takes `pendingToken`, for actions the policy (lib/policy.js) makes wait for the user's yes.
+
+const { TEMPLATES } = require('./sheettemplates');
+
+const ACCOUNT = {
+  type: 'string',
+  description: 'Google account to use: "work", "personal" or an email address. Omit for the default account.',
+};
+
+// Ids the model passes back after an ambiguous name lookup (see lib/choices.js).
+const FOLDER_ID = { type: 'string', description: 'Folder ID picked from ambiguous candidates' };
+const TO_FOLDER_ID = { type: 'string', description: 'Destination folder ID picked from ambiguous candidates' };
+const SPREADSHEET_ID = { type: 'string', description: 'Spreadsheet ID (preferred if known, e.g. picked from ambiguous candidates)' };
+
+const TEMPLATE = { type: 'string', enum: Object.keys(TEMPLATES), description: 'Built-in template' };
+
+// Event options shared by calendar_create and calendar_update.
+const CAL_EVENT_OPTIONS = {
+  allDay: { type: 'boolean', description: 'All-day event; start (and optional end) are days' },
+  days: { type: 'integer', description: 'All-day events: number of days (default 1)' },
+  recurrence: { type: 'string', description: 'Repeat: "daily", "every weekday", "weekly", "every other Tuesday", "first Monday of the month", "monthly" or an RRULE' },
+  until: { type: 'string', description: 'Last day of the repeat ("end of December", ISO)' },
+  count: { type: 'integer', description: 'Number of occurrences (instead of until)' },
+  attendees: { type: 'array', items: { type: 'string' }, description: 'Guest email addresses (replaces the guest list on update)' },
+  sendUpdates: { type: 'string', enum: ['all', 'externalOnly', 'none'], description: 'Email invitations/updates to guests (default all when there are guests)' },
+  reminders: { type: 'array', items: { type: 'integer' }, description: 'Popup reminders, minutes before (e.g. [10, 60])' },
+  meet: { type: 'boolean', description: 'Add a Google Meet link' }
+};
+
+// calendar_list's maxResults cap; api/workspace.js clamps to the same number.
+const CALENDAR_LIST_MAX = 50;
+
+// Echoed back from a confirmation_required answer once the user has agreed.
+const PENDING_TOKEN = {
+  type: 'string',
+  description: 'From a confirmation_required answer: pass it back, with the same arguments, only after the user said yes',
+};
+
+const TOOLS = [
+  // ---- Docs
+  {
+    name: 'docs_read',
+    action: 'docs.read',
+    requireOne: [['docId', 'docName']],
+    description: 'Read a Google Doc by name (optional folderName). Short docs come back whole; long ones return an outline of headings and one chunk at a time (see chunks/next).',
+    parameters: {
+      type: 'object',
+      properties: {
+        docId: { type: 'string', description: 'Optional Google Doc ID (preferred if known)' },
+        docName: { type: 'string', description: 'Document name to read' },
+        folderName: { type: 'string', description: 'Optional parent folder; omit for root' },
+        folderId: FOLDER_ID,
+        chunk: { type: 'integer', description: 'Chunk number for long documents (1 = first)' },
+        outlineOnly: { type: 'boolean', description: 'Only return the outline of headings' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'docs_section',
+    action: 'docs.section',
+    description: 'Read one section of a Google Doc: a heading and everything under it. Use after docs_read returned an outline.',
+    parameters: {
+      type: 'object',
+      properties: {
+        docId: { type: 'string', description: 'Optional Google Doc ID' },
+        docName: { type: 'string', description: 'Document name' },
+        folderName: { type: 'string', description: 'Optional parent folder' },
+        folderId: FOLDER_ID,
+        heading: { type: 'string', description: 'Heading text, e.g. "Expense policy"' },
+        n: { type: 'integer', description: 'Or the heading number from the outline' },
+        part: { type: 'integer', description: 'Part number when the section is long' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'docs_createappend',
+    action: 'docs.createappend',
+    writes: true,
+    description: 'Create a Doc (or open existing) then append or replace text. Uses backend for actual write.',
+    parameters: {
+      type: 'object',
+      properties: {
+        docId: { type: 'string', description: 'Optional Google Doc ID' },
+        docName: { type: 'string', description: 'Target document name' },
+        folderName: { type: 'string', description: 'Optional parent folder; omit for root' },
+        folderId: FOLDER_ID,
+        mode: { type: 'string', enum: ['append','replace'], description: 'append (default) or replace' },
+        text: { type: 'string', description: 'Text to write' }
+      },
+      required: ['text']
+    }
+  },
+  {
+    name: 'docs_write',
+    action: 'docs.write',
+    writes: true,
+    description: 'Write formatted text (Markdown: # headings, - bullets, 1. lists, **bold**, *italic*, [links](url), | tables |) into a Doc: append to the end, replace everything, add under a heading, or replace the section under a heading. Creates the doc for append/replace if it does not exist.',
+    parameters: {
+      type: 'object',
+      properties: {
+        docId: { type: 'string', description: 'Optional Google Doc ID' },
+        docName: { type: 'string', description: 'Target document name' },
+        folderName: { type: 'string', description: 'Optional parent folder; omit for root' },
+        folderId: FOLDER_ID,
+        mode: { type: 'string', enum: ['append','replace','under_heading','replace_section'], description: 'Default append' },
+        heading: { type: 'string', description: 'Heading text for under_heading / replace_section, e.g. "Action items"' },
+        position: { type: 'string', enum: ['end','start'], description: 'under_heading: end of that section (default) or right below the heading' },
+        markdown: { type: 'string', description: 'Content in Markdown' }
+      },
+      required: ['markdown']
+    }
+  },
+  {
+    name: 'docs_replace',
+    action: 'docs.replace',
+    writes: true,
+    description: 'Find and replace text everywhere in a Doc. Returns how many times each was replaced.',
+    parameters: {
+      type: 'object',
+      properties: {
+        docId: { type: 'string', description: 'Optional Google Doc ID' },
+        docName: { type: 'string', description: 'Document name' },
+        folderName: { type: 'string', description: 'Optional parent folder' },
+        folderId: FOLDER_ID,
+        replacements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              find: { type: 'string' },
+              replace: { type: 'string' },
+              matchCase: { type: 'boolean' }
+            },
+            required: ['find','replace']
+          }
+        }
+      },
+      required: ['replacements']
+    }
+  },
+  // ---- Drive
+  {
+    name: 'drive_search',
+    action: 'drive.search',
+    description: 'Search Google Drive (My Drive and shared drives) by name, by words inside files (text), mimeType, folder or shared drive. If cursor comes back, call again with it for more results.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name fragment to search for' },
+        text: { type: 'string', description: 'Words to find inside files (full-text search)' },
+        mimeType: { type: 'string', description: 'Optional mimeType filter' },
+        folderName: { type: 'string', description: 'Optional parent folder name' },
+        folderId: FOLDER_ID,
+        sharedDrive: { type: 'string', description: 'Optional shared drive name' },
+        pageSize: { type: 'integer', description: 'Max results (1-200)', minimum: 1, maximum: 200 },
+        cursor: { type: 'string', description: 'cursor from the previous result, for the next page' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'drive_move',
+    action: 'drive.move',
+    writes: true,
+    requireOne: [['toFolderId', 'toFolderName']],
+    description: 'Move a Drive file to another folder.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileId: { type: 'string', description: 'File ID (preferred, from drive_search)' },
+        fileName: { type: 'string', description: 'Exact file name' },
+        folderName: { type: 'string', description: 'Folder the file is in now (optional)' },
+        folderId: FOLDER_ID,
+        toFolderName: { type: 'string', description: 'Destination folder, or "My Drive"' },
+        toFolderId: TO_FOLDER_ID
+      },
+      required: []
+    }
+  },
+  {
+    name: 'drive_rename',
+    action: 'drive.rename',
+    writes: true,
+    description: 'Rename a Drive file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileId: { type: 'string', description: 'File ID (preferred)' },
+        fileName: { type: 'string', description: 'Exact current name' },
+        newName: { type: 'string', description: 'New name' }
+      },
+      required: ['newName']
+    }
+  },
+  {
+    name: 'drive_copy',
+    action: 'drive.copy',
+    writes: true,
+    description: 'Copy a Drive file, optionally with a new name or into another folder.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileId: { type: 'string', description: 'File ID (preferred)' },
+        fileName: { type: 'string', description: 'Exact file name' },
+        newName: { type: 'string', description: 'Name for the copy' },
+        toFolderName: { type: 'string', description: 'Folder for the copy' },
+        toFolderId: TO_FOLDER_ID
+      },
+      required: []
+    }
+  },
+  {
+    name: 'drive_share',
+    action: 'drive.share',
+    writes: true,
+    description: 'Share a Drive file with people (reader, commenter or writer) or with anyone who has the link. Confirm with the user first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileId: { type: 'string', description: 'File ID (preferred)' },
+        fileName: { type: 'string', description: 'Exact file name' },
+        emails: { type: 'array', items: { type: 'string' }, description: 'Email addresses' },
+        role: { type: 'string', enum: ['reader','commenter','writer'], description: 'Default reader' },
+        anyone: { type: 'boolean', description: 'Anyone with the link can open it' },
+        notify: { type: 'boolean', description: 'Email the people (default true)' },
+        message: { type: 'string', description: 'Optional note in the email' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'drive_trash',
+    action: 'drive.trash',
+    writes: true,
+    description: 'Move a Drive file to the bin (restorable for 30 days), or restore it with restore:true. Confirm with the user before trashing.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileId: { type: 'string', description: 'File ID (preferred)' },
+        fileName: { type: 'string', description: 'Exact file name' },
+        restore: { type: 'boolean', description: 'Take the file back out of the bin' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'drive_readfile',
+    action: 'drive.readfile',
+    description: 'Read the text of a Drive file that is not a Google Doc: PDF, Word, Excel, PowerPoint, text, or a scanned receipt/photo (OCR). Pages, sheets and slides are marked; long files return an outline and one chunk at a time (see chunks/next).',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileId: { type: 'string', description: 'File ID (preferred, e.g. from drive_search)' },
+        fileName: { type: 'string', description: 'File name to read' },
+        folderName: { type: 'string', description: 'Optional parent folder' },
+        folderId: FOLDER_ID,
+        chunk: { type: 'integer', description: 'Chunk number for long files (1 = first)' },
+        outlineOnly: { type: 'boolean', description: 'Only return the list of pages/sheets/slides' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'drive_listroot',
+    action: 'drive.listroot',
+    description: 'List files in the root of My Drive.',
+    parameters: { type: 'object', properties: {}, required: [] }
+  },
+  // ---- Sheets
+  {
+    name: 'sheets_read',
+    action: 'sheets.read',
+    requireOne: [['spreadsheetId', 'fileName']],
+    description: 'Read a Sheet range given fileName, optional folderName, tab and range.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string', description: 'Spreadsheet name' },
+        spreadsheetId: SPREADSHEET_ID,
+        folderName: { type: 'string', description: 'Optional folder' },
+        folderId: FOLDER_ID,
+        tab: { type: 'string', description: 'Tab name, default the first tab' },
+        range: { type: 'string', description: 'A1 range, e.g. A:Z or B2:G50' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'sheets_query',
+    action: 'sheets.query',
+    requireOne: [['spreadsheetId', 'fileName']],
+    description: 'Query a Sheet by its header row: filter rows, sort, group and total. Use this for any count, sum, average, min/max or "which rows" question instead of reading raw cells and doing arithmetic yourself.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string', description: 'Spreadsheet name' },
+        spreadsheetId: SPREADSHEET_ID,
+        folderName: { type: 'string', description: 'Optional folder' },
+        folderId: FOLDER_ID,
+        tab: { type: 'string', description: 'Tab name, default the first tab' },
+        where: {
+          type: 'array',
+          description: 'Filters on header names',
+          items: {
+            type: 'object',
+            properties: {
+              column: { type: 'string' },
+              op: { type: 'string', enum: ['eq','ne','contains','not_contains','starts_with','gt','gte','lt','lte','between','in','empty','not_empty','period'] },
+              value: { description: 'Value; [from,to] for between; list for in; "this month", "last 30 days", etc. for period' }
+            },
+            required: ['column','op']
+          }
+        },
+        match: { type: 'string', enum: ['all','any'], description: 'Combine filters with AND (default) or OR' },
+        select: { type: 'array', items: { type: 'string' }, description: 'Columns to return' },
+        sort: { type: 'string', description: 'e.g. "Amount desc"' },
+        limit: { type: 'integer', description: 'Max rows or groups, default 50' },
+        groupBy: { type: 'string', description: 'Column to group by' },
+        aggregates: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              op: { type: 'string', enum: ['sum','count','avg','min','max'] },
+              column: { type: 'string' }
+            },
+            required: ['op']
+          }
+        },
+        includeRows: { type: 'boolean', description: 'Also return matching rows with the totals' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'sheets_upsert',
+    action: 'sheets.upsert',
+    writes: true,
+    requireOne: [['spreadsheetId', 'fileName']],
+    description: 'Update the Sheet row whose key column matches (e.g. Invoice 1043), or add it if there is none. Values are keyed by column header, not position.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string', description: 'Spreadsheet name' },
+        spreadsheetId: SPREADSHEET_ID,
+        folderName: { type: 'string', description: 'Optional folder' },
+        folderId: FOLDER_ID,
+        tab: { type: 'string', description: 'Tab name, default the first tab' },
+        key: { type: 'string', description: 'Header of the column that identifies the row, e.g. "Invoice"' },
+        values: { type: 'object', description: 'Column header -> new value, including the key column, e.g. {"Invoice":"1043","Status":"Paid"}' },
+        mode: { type: 'string', enum: ['upsert','update','insert'], description: 'update = only change an existing row; insert = only add' },
+        dryRun: { type: 'boolean', description: 'Only return the changes that would be made' }
+      },
+      required: ['key','values']
+    }
+  },
+  {
+    name: 'sheets_batchupdate',
+    action: 'sheets.batchupdate',
+    writes: true,
+    requireOne: [['spreadsheetId', 'fileName']],
+    description: 'Change several cells or rows of a Sheet in one go. Call with dryRun:true first, read the changes (from -> to) to the user, then call again without dryRun once they agree.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string', description: 'Spreadsheet name' },
+        spreadsheetId: SPREADSHEET_ID,
+        folderName: { type: 'string', description: 'Optional folder' },
+        folderId: FOLDER_ID,
+        tab: { type: 'string', description: 'Tab name, default the first tab' },
+        updates: {
+          type: 'array',
+          description: 'Each item is {match:{Header:value}, values:{Header:value}}, {row:12, values:{...}} or {cell:"B7", value}',
+          items: {
+            type: 'object',
+            properties: {
+              match: { type: 'object', description: 'Find the row by header values' },
+              row: { type: 'integer', description: 'Row number' },
+              values: { type: 'object', description: 'Column header -> new value' },
+              cell: { type: 'string', description: 'A1 cell, e.g. B7' },
+              value: { type: 'string', description: 'Value for cell' }
+            }
+          }
+        },
+        dryRun: { type: 'boolean', description: 'Only return the changes that would be made' }
+      },
+      required: ['updates']
+    }
+  },
+  {
+    name: 'sheets_create',
+    action: 'sheets.create',
+    writes: true,
+    description: 'Create a new spreadsheet from a template (header row, column formats, dropdowns), optionally in a Drive folder. E.g. "start a new expenses log for Q3" -> template expenses, title "Expenses Q3 2026".',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Spreadsheet name' },
+        template: TEMPLATE,
+        columns: { type: 'array', items: { type: 'string' }, description: 'Column headers, when no template fits' },
+        folderName: { type: 'string', description: 'Optional Drive folder' },
+        folderId: FOLDER_ID,
+        tab: { type: 'string', description: 'Optional first tab name' }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'sheets_addtab',
+    action: 'sheets.addtab',
+    writes: true,
+    requireOne: [['spreadsheetId', 'fileName']],
+    description: 'Add a new tab to an existing spreadsheet from a template or a list of column headers.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string', description: 'Spreadsheet name' },
+        spreadsheetId: SPREADSHEET_ID,
+        folderName: { type: 'string', description: 'Optional folder' },
+        folderId: FOLDER_ID,
+        tab: { type: 'string', description: 'New tab name' },
+        template: TEMPLATE,
+        columns: { type: 'array', items: { type: 'string' }, description: 'Column headers, when no template fits' }
+      },
+      required: ['tab']
+    }
+  },
+  {
+    name: 'sheets_appendrow',
+    action: 'sheets.appendrow',
+    writes: true,
+    requireOne: [['spreadsheetId', 'fileName']],
+    description: 'Append a row of values to a Sheet.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string', description: 'Spreadsheet name' },
+        spreadsheetId: SPREADSHEET_ID,
+        folderName: { type: 'string', description: 'Optional folder' },
+        folderId: FOLDER_ID,
+        tab: { type: 'string', description: 'Tab name, default the first tab' },
+        values: { type: 'array', items: { type: 'string' }, description: 'Row values as array' }
+      },
+      required: ['values']
+    }
+  },
+  {
+    name: 'sheets_updatecell',
+    action: 'sheets.updatecell',
+    writes: true,
+    requireOne: [['spreadsheetId', 'fileName']],
+    description: 'Update a single cell in a Sheet.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string', description: 'Spreadsheet name' },
+        spreadsheetId: SPREADSHEET_ID,
+        folderName: { type: 'string', description: 'Optional folder' },
+        folderId: FOLDER_ID,
+        tab: { type: 'string', description: 'Tab name, default the first tab' },
+        cell: { type: 'string', description: 'A1 cell reference, e.g. B7' },
+        value: { description: 'Value to write (any JSON type)' }
+      },
+      required: ['cell']
+    }
+  },
+  // ---- Web
+  {
+    name: 'web_search',
+    google: false,
+    action: 'web.search',
+    description: 'Search the web and return result titles, links and snippets. Follow up with web_fetch to read a result.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        num: { type: 'integer', description: 'Number of results (1-10)', minimum: 1, maximum: 10 },
+        site: { type: 'string', description: 'Optional site: filter, e.g. example.com' },
+        freshnessDays: { type: 'integer', description: 'Optional freshness limit in days', minimum: 0, maximum: 365 }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'web_fetch',
+    google: false,
+    action: 'web.fetch',
+    description: 'Open a web page (usually a web_search result link) and return its readable text with a citation (title, site, url, date). Long pages come back one chunk at a time with an outline of headings.',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Page URL (http or https)' },
+        chunk: { type: 'integer', description: 'Chunk number for long pages (1 = first)' },
+        outlineOnly: { type: 'boolean', description: 'Only return the outline of headings' }
+      },
+      required: ['url']
+    }
+  },
+  // ---- History
+  {
+    name: 'history_search',
+    google: false,
+    action: 'history.search',
+    description: 'Look through past conversations with the user: what was said, and every tool call made. Use changesOnly for "what did you change last Tuesday".',
+    parameters: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', description: 'Words to look for (file names, people, tool names); omit to list everything in the period' },
+        from: { type: 'string', description: 'Start: ISO or a phrase ("last Tuesday", "yesterday"); a day on its own covers the whole day' },
+        to: { type: 'string', description: 'Optional end' },
+        changesOnly: { type: 'boolean', description: 'Only calls that changed something (created, edited, sent, deleted)' },
+        limit: { type: 'integer', description: 'Max results (1-50, default 20)', minimum: 1, maximum: 50 }
+      },
+      required: []
+    }
+  },
+  // ---- Undo
+  {
+    name: 'workspace_undo',
+    google: false,
+    writes: true,
+    action: 'workspace.undo',
+    description: 'Undo the most recent changes made with the other tools (calendar, sheets, docs, drive), newest first. Call with dryRun first and say what will be undone. Refuses when the item was edited since.',
+    parameters: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer', description: 'How many of the latest changes to undo (default 1)', minimum: 1, maximum: 10 },
+        changeId: { type: 'string', description: 'Undo this one change (changeId from a dryRun) instead of the latest' },
+        dryRun: { type: 'boolean', description: 'Only list what would be undone' }
+      },
+      required: []
+    }
+  },
+  // ---- Gmail
+  {
+    name: 'gmail_list',
+    action: 'gmail.list',
+    description: 'List recent Gmail messages (metadata).',
+    parameters: {
+      type: 'object',
+      properties: {
+        label: { type: 'string', description: 'Gmail label; default INBOX' },
+        maxResults: { type: 'integer', description: 'Max messages (1–20)', minimum: 1, maximum: 20 }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'gmail_search',
+    action: 'gmail.search',
+    description: 'Search Gmail history by query string (Gmail search syntax). Returns id, threadId, from, subject, date and snippet per message.',
+    parameters: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', description: 'Gmail search query, e.g. from:someone subject:(quote) newer_than:30d' },
+        maxResults: { type: 'integer', description: 'Max IDs (1–20)', minimum: 1, maximum: 20 }
+      },
+      required: ['q']
+    }
+  },
+  {
+    name: 'gmail_get',
+    action: 'gmail.get',
+    description: 'Get a Gmail message by ID and return plain-text body for reading aloud.',
+    parameters: {
+      type: 'object',
+      properties: { id: { type: 'string', description: 'Gmail message ID' } },
+      required: ['id']
+    }
+  },
+  {
+    name: 'gmail_thread',
+    action: 'gmail.thread',
+    description: 'Get a whole Gmail conversation by threadId (from gmail_search or gmail_list), oldest message first, with plain-text bodies and attachment names.',
+    parameters: {
+      type: 'object',
+      properties: { threadId: { type: 'string', description: 'Gmail thread ID' } },
+      required: ['threadId']
+    }
+  },
+  {
+    name: 'gmail_draft',
+    action: 'gmail.draft',
+    writes: true,
+    description: 'Prepare a new email. Saves a Gmail draft and returns a preview plus draftId and confirmToken. Does NOT send.',
+    parameters: {
+      type: 'object',
+      properties: {
+        to: { type: 'string', description: 'Recipient address(es), comma-separated' },
+        cc: { type: 'string', description: 'Optional Cc address(es)' },
+        subject: { type: 'string', description: 'Subject line' },
+        body: { type: 'string', description: 'Plain-text message body' }
+      },
+      required: ['to','subject','body']
+    }
+  },
+  {
+    name: 'gmail_reply',
+    action: 'gmail.reply',
+    writes: true,
+    description: 'Prepare a reply in the same thread as a message (id from gmail_search/gmail_list). Returns a preview plus draftId and confirmToken. Does NOT send.',
+    parameters: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', description: 'Gmail message ID being replied to' },
+        body: { type: 'string', description: 'Plain-text reply body' },
+        replyAll: { type: 'boolean', description: 'Also reply to the other To/Cc recipients' }
+      },
+      required: ['messageId','body']
+    }
+  },
+  {
+    name: 'gmail_send',
+    action: 'gmail.send',
+    writes: true,
+    description: 'Send a prepared draft. ONLY call after reading the preview aloud and the user clearly said yes in this conversation.',
+    parameters: {
+      type: 'object',
+      properties: {
+        draftId: { type: 'string', description: 'draftId from gmail_draft or gmail_reply' },
+        confirmToken: { type: 'string', description: 'confirmToken from the same gmail_draft or gmail_reply result' }
+      },
+      required: ['draftId','confirmToken']
+    }
+  },
+  // ---- Calendar
+  {
+    name: 'calendar_list',
+    action: 'calendar.list',
+    description: 'Read upcoming events from the primary Google Calendar (readonly).',
+    parameters: {
+      type: 'object',
+      properties: {
+        maxResults: { type: 'integer', description: `Max events (1–${CALENDAR_LIST_MAX})`, minimum: 1, maximum: CALENDAR_LIST_MAX },
+        timeMin: { type: 'string', description: 'Optional start ("tomorrow", "monday 9am", ISO); default now. A day alone lists that whole day' },
+        timeMax: { type: 'string', description: 'Optional end ("friday", ISO); default ~7 days from now' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'calendar_create',
+    action: 'calendar.create',
+    writes: true,
+    requireOne: [['start', 'startIso']],
+    description: 'Create a calendar event. Must only claim success if ok:true and eventId returned.',
+    parameters: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string', description: 'Event title' },
+        start: { type: 'string', description: 'Start, as the user said it ("next Tuesday at 3", "tomorrow morning") or ISO 8601' },
+        end: { type: 'string', description: 'Optional end ("4pm", ISO 8601); or use durationMinutes' },
+        durationMinutes: { type: 'integer', description: 'Optional length in minutes (default 60)' },
+        description: { type: 'string', description: 'Optional description' },
+        location: { type: 'string', description: 'Optional location' },
+        onConflict: { type: 'string', enum: ['warn', 'refuse', 'ignore'], description: 'If the time overlaps busy time: warn (default, create and report), refuse (create nothing), ignore' },
+        ...CAL_EVENT_OPTIONS
+      },
+      required: ['summary']
+    }
+  },
+  {
+    name: 'calendar_update',
+    action: 'calendar.update',
+    writes: true,
+    description: 'Change an event. For repeating events say which occurrence and whether the change is for this one, this and following, or all.',
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string', description: 'Event id from calendar_list (an occurrence id or the series id)' },
+        occurrence: { type: 'string', description: 'With a series id: which occurrence ("next Tuesday", ISO)' },
+        scope: { type: 'string', enum: ['this', 'following', 'all'], description: 'For repeating events: this occurrence, this and following, or all' },
+        summary: { type: 'string', description: 'New title' },
+        start: { type: 'string', description: 'New start ("thursday 10am", ISO); length is kept unless end/durationMinutes given' },
+        end: { type: 'string', description: 'New end' },
+        durationMinutes: { type: 'integer', description: 'New length in minutes' },
+        description: { type: 'string', description: 'New description' },
+        location: { type: 'string', description: 'New location' },
+        addAttendees: { type: 'array', items: { type: 'string' }, description: 'Email addresses to invite in addition to the current guests' },
+        ...CAL_EVENT_OPTIONS
+      },
+      required: ['eventId']
+    }
+  },
+  {
+    name: 'calendar_delete',
+    action: 'calendar.delete',
+    writes: true,
+    description: 'Delete an event, or for repeating events this occurrence / this and following / all. Confirm with the user first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string', description: 'Event id from calendar_list' },
+        occurrence: { type: 'string', description: 'With a series id: which occurrence ("next Tuesday", ISO)' },
+        scope: { type: 'string', enum: ['this', 'following', 'all'], description: 'For repeating events' },
+        sendUpdates: { type: 'string', enum: ['all', 'externalOnly', 'none'], description: 'Tell guests (default all when there are guests)' }
+      },
+      required: ['eventId']
+    }
+  },
+  {
+    name: 'calendar_findslot',
+    action: 'calendar.findslot',
+    description: 'Find free time for a meeting across the user\'s calendars (and attendees who share free/busy), within working hours. Offer the returned slots; never invent times.',
+    parameters: {
+      type: 'object',
+      properties: {
+        durationMinutes: { type: 'integer', description: 'Meeting length in minutes', minimum: 5, maximum: 480 },
+        timeMin: { type: 'string', description: 'Start of the search window ("thursday", "tomorrow", ISO); default now' },
+        timeMax: { type: 'string', description: 'End of the search window ("friday", ISO); default 7 days later' },
+        workStart: { type: 'string', description: 'Earliest local time of day, HH:MM (default 09:00; "afternoon" = 12:00)' },
+        workEnd: { type: 'string', description: 'Latest local time of day, HH:MM (default 17:00)' },
+        days: { type: 'array', items: { type: 'string' }, description: 'Allowed weekdays, e.g. ["thu"]; default Mon–Fri' },
+        attendees: { type: 'array', items: { type: 'string' }, description: 'Attendee email addresses to check as well' },
+        count: { type: 'integer', description: 'How many options (1–10, default 3)', minimum: 1, maximum: 10 }
+      },
+      required: ['durationMinutes']
+    }
+  }
+];
+
+for (const tool of TOOLS) {
+  if (tool.google !== false) tool.parameters.properties.account = ACCOUNT;
+  tool.parameters.properties.pendingToken = PENDING_TOKEN;
+}
+
+const BY_NAME = new Map(TOOLS.map(t => [t.name, t]));
+const BY_ACTION = new Map(TOOLS.map(t => [t.action, t]));
+
+function toolByName(name) {
+  return BY_NAME.get(name) || null;
+}
+
+function toolByAction(action) {
+  return BY_ACTION.get(action) || null;
+}
+
+// What the realtime session needs: { type:'function', name, description, parameters }.
+function toolSchemas() {
+  return TOOLS.map(t => ({ type: 'function', name: t.name, description: t.description, parameters: t.parameters }));
+}
+
+// ---- Argument checks
+// Shallow on purpose: top-level scalars are coerced the way models get them wrong ("5" for 5, 5 for "5", "true" for
+// true), clamped to their range and checked against enums, and required keys must be present. Arrays and objects are
+// only checked for required keys of their items; the handlers validate the rest (reminders: "default", cell values...).
+// Empty optional values are dropped so they cannot blank a field on update.
+const SCALARS = new Set(['string', 'number', 'integer', 'boolean']);
+
+function coerceScalar(v, schema) {
+  const type = schema.type;
+  if (type === 'string' && (typeof v === 'number' || typeof v === 'boolean')) return String(v);
+  if (type === 'boolean' && (v === 'true' || v === 'false')) return v === 'true';
+  if (type === 'integer' || type === 'number') {
+    if (typeof v === 'string' && v.trim() && Number.isFinite(Number(v))) v = Number(v);
+    if (typeof v !== 'number' || !Number.isFinite(v)) return v;
+    if (type === 'integer') v = Math.round(v);
+    if (schema.minimum !== undefined) v = Math.max(schema.minimum, v);
+    if (schema.maximum !== undefined) v = Math.min(schema.maximum, v);
+  }
+  // Enums match case-insensitively ("Append" -> "append").
+  if (schema.enum && typeof v === 'string' && !schema.enum.includes(v)) {
+    v = schema.enum.find(e => String(e).toLowerCase() === v.trim().toLowerCase()) ?? v;
+  }
+  return v;
+}
+
+// Arrays and objects given for a scalar (key: ['Name', 'Date'], an inline template) are the handler's to judge.
+function checkScalar(v, schema, path, errors) {
+  if (v && typeof v === 'object') return;
+  const type = schema.type;
+  const ok = type === 'string' ? typeof v === 'string'
+    : type === 'boolean' ? typeof v === 'boolean'
+    : type === 'integer' ? Number.isInteger(v)
+    : typeof v === 'number' && Number.isFinite(v);
+  if (!ok) errors.push(`${path} must be ${type === 'integer' ? 'an integer' : `a ${type}`}`);
+  else if (schema.enum && !schema.enum.includes(v)) errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+}
+
+function checkItems(v, schema, path, errors) {
+  const items = schema.items;
+  if (!Array.isArray(v) || items?.type !== 'object' || !items.required) return;
+  v.forEach((item, i) => {
+    if (!item || typeof item !== 'object') return;
+    for (const key of items.required) {
+      if (item[key] === undefined || item[key] === null || item[key] === '') errors.push(`${path}[${i}].${key} is required`);
+    }
+  });
+}
+
+// -> { args, errors }. args is a copy with coerced top-level values; errors is empty when the call is valid.
+function validateArgs(tool, input) {
+  const { properties = {}, required = [] } = tool.parameters;
+  const args = { ...(input && typeof input === 'object' && !Array.isArray(input) ? input : {}) };
+  const errors = [];
+
+  for (const [key, schema] of Object.entries(properties)) {
+    if (args[key] === undefined) continue;
+    if ((args[key] === '' || args[key] === null) && !required.includes(key)) {
+      delete args[key];
+      continue;
+    }
+    if (SCALARS.has(schema.type)) {
+      args[key] = coerceScalar(args[key], schema);
+      checkScalar(args[key], schema, key, errors);
+    } else if (schema.type === 'array') {
+      checkItems(args[key], schema, key, errors);
+    }
+  }
+  const missing = key => args[key] === undefined || args[key] === '' || args[key] === null;
+  for (const key of required) {
+    if (missing(key)) errors.push(`${key} is required`);
+  }
+  // Either the name or the id picked from candidates, e.g. [['docId', 'docName']].
+  for (const keys of tool.requireOne || []) {
+    if (keys.every(missing)) errors.push(`${keys.join(' or ')} is required`);
+  }
+  return { args, errors };
+}
+
+module.exports = { TOOLS, CALENDAR_LIST_MAX, toolByName, toolByAction, toolSchemas, validateArgs };
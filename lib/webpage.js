@@ -0,0 +1,186 @@
+// lib/webpage.js — download a web page for web.fetch and keep only the readable article
+// fetchPage(url) -> { url, finalUrl, status, contentType, buf, truncated }: http(s) only, never private or loopback
+// addresses (every redirect hop is checked again), 10 s timeout, at most PAGE_MAX_BYTES read.
+// readablePage(html) -> { title, siteName, byline, published, lang, canonical, blocks:[{ text, level }] }: the main
+// <article> / <main> (or the body minus navigation), as paragraphs with headings (level 1-6) kept for the outline.
+
+const dns = require('dns').promises;
+const net = require('net');
+const { decodeEntities } = require('./mime');
+
+const PAGE_MAX_BYTES = 3 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; PhoenixVA/1.0)';
+
+// ---- Fetching
+function privateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+  }
+  const v6 = ip.toLowerCase();
+  if (v6.startsWith('::ffff:')) return privateAddress(v6.slice(7));
+  return v6 === '::' || v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || v6.startsWith('ff');
+}
+
+async function checkUrl(raw) {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw { status: 400, body: { error: `Not a valid URL: ${raw}` } };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw { status: 400, body: { error: 'Only http and https URLs can be fetched' } };
+  }
+  if (url.username || url.password) throw { status: 400, body: { error: 'URLs with credentials are not fetched' } };
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const addrs = net.isIP(host) ? [host] : await dns.lookup(host, { all: true }).then(a => a.map(x => x.address), () => []);
+  if (!addrs.length) throw { status: 404, body: { error: `Host not found: ${host}` } };
+  if (host === 'localhost' || addrs.some(privateAddress)) {
+    throw { status: 403, body: { error: 'Refusing to fetch a private or local address' } };
+  }
+  return url;
+}
+
+async function readCapped(r, max) {
+  if (!r.body?.getReader) {
+    const buf = Buffer.from(await r.arrayBuffer());
+    return { buf: buf.subarray(0, max), truncated: buf.length > max };
+  }
+  const reader = r.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(Buffer.from(value));
+    size += value.length;
+    if (size > max) {
+      truncated = true;
+      await reader.cancel().catch(() => {});
+      break;
+    }
+  }
+  return { buf: Buffer.concat(chunks).subarray(0, max), truncated };
+}
+
+async function fetchPage(raw) {
+  let url = await checkUrl(raw);
+  for (let hop = 0; ; hop++) {
+    let r;
+    try {
+      r = await fetch(url.href, {
+        redirect: 'manual',
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5' },
+        signal: AbortSignal.timeout(10000),
+      });
+    } catch (e) {
+      throw { status: 502, body: { error: `Could not fetch ${url.href}`, details: String(e?.message || e) } };
+    }
+
+    const location = r.status >= 300 && r.status < 400 && r.headers.get('location');
+    if (location) {
+      if (hop >= MAX_REDIRECTS) throw { status: 502, body: { error: 'Too many redirects', url: raw } };
+      url = await checkUrl(new URL(location, url).href);
+      continue;
+    }
+    if (!r.ok) throw { status: 502, body: { error: `The site answered ${r.status}`, url: url.href } };
+
+    const { buf, truncated } = await readCapped(r, PAGE_MAX_BYTES);
+    return { url: raw, finalUrl: url.href, status: r.status, contentType: r.headers.get('content-type') || '', buf, truncated };
+  }
+}
+
+// Bytes -> string in the charset from the Content-Type header or a <meta charset>.
+function decodeHtml(buf, contentType) {
+  const head = buf.subarray(0, 2048).toString('latin1');
+  const charset = (contentType.match(/charset=["']?([\w-]+)/i) || head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buf);
+  } catch {
+    return buf.toString('utf8');
+  }
+}
+
+// ---- Readable text
+function metaTags(html) {
+  const out = {};
+  for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const attr = n => (tag.match(new RegExp(`\\b${n}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i')) || [])
+      .slice(2).find(v => v !== undefined);
+    const key = (attr('property') || attr('name') || attr('itemprop') || '').toLowerCase();
+    const content = attr('content');
+    if (key && content && !(key in out)) out[key] = decodeEntities(content).trim();
+  }
+  return out;
+}
+
+// The longest match of <tag ...>...</tag>; nested tags of the same name close early, which is fine for article/main.
+function largestElement(html, re) {
+  let best = '';
+  for (const m of html.matchAll(re)) if (m[1].length > best.length) best = m[1];
+  return best;
+}
+
+const DROP = /<(script|style|noscript|template|svg|iframe|form|button|select|nav|aside|footer|figure)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const HIDDEN = /<(div|section|ul|p)\b[^>]*(?:\shidden(?=[\s>=/])|aria-hidden="true"|display:\s*none|class="[^"]*\b(?:cookie|newsletter|share|social|related|advert|promo|comments?)\b[^"]*")[^>]*>[\s\S]*?<\/\1>/gi;
+
+function blocksOf(html) {
+  const H = '\u0001';
+  let s = html
+    .replace(/<h([1-6])\b[^>]*>/gi, `\n${H}$1`)
+    .replace(/<\/h[1-6]>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|main|blockquote|pre|ul|ol|dl|dt|dd|tr|table|figcaption|details|summary)\b[^>]*>/gi, '\n')
+    .replace(/<(td|th)\b[^>]*>/gi, ' | ')
+    .replace(/<[^>]+>/g, '');
+  s = decodeEntities(s);
+
+  const blocks = [];
+  for (let line of s.split('\n')) {
+    line = line.replace(/[ \t ]+/g, ' ').trim().replace(/^\|\s*/, '');
+    if (!line) continue;
+    if (line[0] === H) {
+      const text = line.slice(2).trim();
+      if (text) blocks.push({ text, level: Number(line[1]) });
+    } else {
+      blocks.push({ text: line, level: null });
+    }
+  }
+  return blocks;
+}
+
+function readablePage(raw) {
+  const html = String(raw || '').replace(/<!--[\s\S]*?-->/g, '');
+  const meta = metaTags(html);
+  const titleTag = decodeEntities((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '').replace(/\s+/g, ' ').trim();
+  const body = (html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i) || [])[1] || html;
+  const clean = body.replace(DROP, '').replace(HIDDEN, '');
+
+  const article = largestElement(clean, /<article\b[^>]*>([\s\S]*?)<\/article>/gi);
+  const main = largestElement(clean, /<(?:main|div)\b[^>]*role=["']main["'][^>]*>([\s\S]*?)<\/(?:main|div)>/gi) ||
+    largestElement(clean, /<main\b[^>]*>([\s\S]*?)<\/main>/gi);
+  let blocks = blocksOf(article || main || '');
+  if (blocks.reduce((n, b) => n + b.text.length, 0) < 200) {
+    // No usable container: the whole body, minus short lines that are usually menus and buttons.
+    blocks = blocksOf(clean).filter(b => b.level !== null || b.text.length >= 40 || b.text.startsWith('• '));
+  }
+
+  const timeTag = (clean.match(/<time\b[^>]*datetime=["']([^"']+)["']/i) || [])[1];
+  return {
+    title: meta['og:title'] || titleTag || (blocks.find(b => b.level) || {}).text || '',
+    siteName: meta['og:site_name'] || meta['application-name'] || '',
+    byline: meta.author || meta['article:author'] || meta['parsely-author'] || '',
+    published: meta['article:published_time'] || meta.date || meta['dc.date'] || meta.datepublished || timeTag || '',
+    lang: (html.match(/<html\b[^>]*\blang=["']?([\w-]+)/i) || [])[1] || '',
+    canonical: (html.match(/<link\b[^>]*rel=["']canonical["'][^>]*href=["']([^"']+)["']/i) || [])[1] || '',
+    blocks,
+  };
+}
+
+module.exports = { fetchPage, decodeHtml, readablePage, PAGE_MAX_BYTES };
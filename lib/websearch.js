@@ -0,0 +1,175 @@
+// lib/websearch.js — web search behind one interface, whichever provider the server is configured with
+// searchWeb({ query, num, site, freshnessDays }) -> { provider, answer, results:[{ title, link, snippet, source, date }] }
+// Providers: serpapi (SERPAPI_KEY), brave (BRAVE_API_KEY), searxng (SEARXNG_URL, an instance with format=json enabled)
+// and fixture (WEB_SEARCH_FIXTURE, a JSON file; offline, for tests). WEB_SEARCH_PROVIDER picks one; otherwise the
+// first configured of serpapi, brave, searxng. Failures throw { status, body } like the workspace helpers.
+
+const fs = require('fs');
+const path = require('path');
+const { decodeEntities } = require('./mime');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'fixtures', 'web-search.json');
+
+function stripTags(s) {
+  return decodeEntities(String(s || '').replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function hostOf(link) {
+  try { return new URL(link).hostname.replace(/^www\./, ''); } catch { return ''; }
+}
+
+async function getJson(url, init, name) {
+  let r;
+  try {
+    r = await fetch(url, { ...init, signal: AbortSignal.timeout(10000) });
+  } catch (e) {
+    throw { status: 502, body: { error: `Web search failed (${name})`, details: String(e?.message || e) } };
+  }
+  const data = await r.json().catch(() => null);
+  if (!r.ok || !data || data.error) {
+    throw { status: r.ok ? 502 : r.status, body: { error: `Web search failed (${name})`, details: data?.error || data } };
+  }
+  return data;
+}
+
+// ---- Providers: (opts) -> { answer, results }
+const PROVIDERS = {
+  serpapi: {
+    configured: () => !!process.env.SERPAPI_KEY,
+    setup: 'SERPAPI_KEY',
+    async search({ query, num, site, freshnessDays }) {
+      const url = new URL('https://serpapi.com/search.json');
+      url.searchParams.set('engine', 'google');
+      url.searchParams.set('q', site ? `site:${site} ${query}` : query);
+      url.searchParams.set('num', String(num));
+      url.searchParams.set('api_key', process.env.SERPAPI_KEY);
+      if (freshnessDays) url.searchParams.set('tbs', `qdr:d${freshnessDays}`);
+
+      const data = await getJson(url.href, {}, 'serpapi');
+      return {
+        answer: data.answer_box?.answer || data.answer_box?.snippet || null,
+        results: (data.organic_results || []).map(x => ({
+          title: x.title || '',
+          link: x.link || '',
+          snippet: x.snippet || '',
+          source: x.source || x.displayed_link || '',
+          date: x.date || '',
+        })),
+      };
+    },
+  },
+
+  brave: {
+    configured: () => !!process.env.BRAVE_API_KEY,
+    setup: 'BRAVE_API_KEY',
+    async search({ query, num, site, freshnessDays }) {
+      const url = new URL('https://api.search.brave.com/res/v1/web/search');
+      url.searchParams.set('q', site ? `site:${site} ${query}` : query);
+      url.searchParams.set('count', String(num));
+      if (freshnessDays) {
+        const day = d => d.toISOString().slice(0, 10);
+        url.searchParams.set('freshness', `${day(new Date(Date.now() - freshnessDays * 86400000))}to${day(new Date())}`);
+      }
+
+      const data = await getJson(url.href, {
+        headers: { Accept: 'application/json', 'X-Subscription-Token': process.env.BRAVE_API_KEY },
+      }, 'brave');
+      return {
+        answer: null,
+        results: (data.web?.results || []).map(x => ({
+          title: stripTags(x.title),
+          link: x.url || '',
+          snippet: stripTags(x.description),
+          source: x.profile?.name || x.meta_url?.hostname || hostOf(x.url),
+          date: x.page_age || x.age || '',
+        })),
+      };
+    },
+  },
+
+  searxng: {
+    configured: () => !!process.env.SEARXNG_URL,
+    setup: 'SEARXNG_URL',
+    async search({ query, site, freshnessDays }) {
+      const url = new URL('search', process.env.SEARXNG_URL.replace(/\/?$/, '/'));
+      url.searchParams.set('q', site ? `site:${site} ${query}` : query);
+      url.searchParams.set('format', 'json');
+      if (freshnessDays) {
+        url.searchParams.set('time_range', freshnessDays <= 1 ? 'day' : freshnessDays <= 7 ? 'week' : freshnessDays <= 31 ? 'month' : 'year');
+      }
+
+      const data = await getJson(url.href, { headers: { Accept: 'application/json' } }, 'searxng');
+      const answer = (data.answers || []).map(a => (typeof a === 'string' ? a : a?.answer)).find(Boolean);
+      return {
+        answer: answer || null,
+        results: (data.results || []).map(x => ({
+          title: x.title || '',
+          link: x.url || '',
+          snippet: stripTags(x.content),
+          source: hostOf(x.url),
+          date: x.publishedDate || '',
+        })),
+      };
+    },
+  },
+
+  // { answer?, results:[{ title, link, snippet, source, date }], pages:{ [link]: html } }; results match on query words.
+  fixture: {
+    configured: () => true,
+    setup: 'WEB_SEARCH_FIXTURE',
+    async search({ query, site, freshnessDays }) {
+      const fx = loadFixture();
+      const words = query.toLowerCase().split(/\W+/).filter(w => w.length > 2);
+      const since = freshnessDays ? Date.now() - freshnessDays * 86400000 : 0;
+      const scored = (fx.results || [])
+        .filter(x => !site || hostOf(x.link).endsWith(site.replace(/^www\./, '')))
+        .filter(x => !since || !x.date || Date.parse(x.date) >= since)
+        .map(x => {
+          const hay = `${x.title} ${x.snippet}`.toLowerCase();
+          return { x, score: words.filter(w => hay.includes(w)).length };
+        })
+        .filter(s => s.score > 0)
+        .sort((a, b) => b.score - a.score);
+      return { answer: fx.answer || null, results: scored.map(({ x }) => ({ ...x, source: x.source || hostOf(x.link), date: x.date || '' })) };
+    },
+  },
+};
+
+function loadFixture() {
+  const file = process.env.WEB_SEARCH_FIXTURE || DEFAULT_FIXTURE;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw { status: 500, body: { error: `Web search fixture not readable: ${file}`, details: String(e?.message || e) } };
+  }
+}
+
+function providerName() {
+  const chosen = (process.env.WEB_SEARCH_PROVIDER || '').trim().toLowerCase();
+  if (chosen) return chosen;
+  return ['serpapi', 'brave', 'searxng'].find(n => PROVIDERS[n].configured()) || '';
+}
+
+async function searchWeb({ query, num = 5, site = '', freshnessDays = 0 }) {
+  const name = providerName();
+  const provider = PROVIDERS[name];
+  if (!name) {
+    throw { status: 500, body: { error: 'No web search provider configured on server', hint: 'Set SERPAPI_KEY, BRAVE_API_KEY or SEARXNG_URL' } };
+  }
+  if (!provider) {
+    throw { status: 500, body: { error: `Unknown WEB_SEARCH_PROVIDER: ${name}`, allowed: Object.keys(PROVIDERS) } };
+  }
+  if (!provider.configured()) throw { status: 500, body: { error: `${provider.setup} not configured on server` } };
+
+  const out = await provider.search({ query, num, site, freshnessDays });
+  return { provider: name, answer: out.answer, results: out.results.filter(x => x.link).slice(0, num) };
+}
+
+// The fixture's stored copy of a page, so web.fetch works offline with the fixture provider; null otherwise.
+function fixturePage(url) {
+  if (providerName() !== 'fixture') return null;
+  const html = (loadFixture().pages || {})[url];
+  return typeof html === 'string' ? html : null;
+}
+
+module.exports = { searchWeb, providerName, fixturePage, PROVIDERS };
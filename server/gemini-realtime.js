@@ -0,0 +1,372 @@
+// server/gemini-realtime.js — WebSocket relay between index.html and the Gemini Live API
+// - The browser never sees GOOGLE_GENERATIVE_AI_API_KEY; only this process talks to Google.
+// - Browser speaks the event shape index.html already parses (session.*, response.*).
+// - Upstream speaks Gemini BidiGenerateContent (setup / realtimeInput / clientContent / toolResponse).
+//
+// Run:   npm run realtime
+// Mock:  npm run realtime:mock  (then GEMINI_LIVE_URL=ws://localhost:8765 npm run realtime)
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocket, WebSocketServer } = require('ws');
+const { consumeToken } = require('../lib/realtime-tokens');
+const { storeAdapter } = require('../lib/store');
+const { VOICES } = require('../lib/profile');
+
+const PORT = Number(process.env.REALTIME_PORT || 3000);
+const PATH = '/api/gemini-realtime';
+const UPSTREAM_URL = process.env.GEMINI_LIVE_URL
+  || 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+const MODEL = process.env.GEMINI_LIVE_MODEL || 'models/gemini-2.0-flash-live-001';
+const DEFAULT_VOICE = process.env.GEMINI_VOICE || 'Puck';
+
+// Comma-separated list of page origins allowed to open the socket (blocks cross-site WebSocket hijacking).
+const ALLOWED_ORIGINS = (process.env.REALTIME_ALLOWED_ORIGINS || 'http://localhost:3000,http://127.0.0.1:3000')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+function log(...a) {
+  console.log(new Date().toISOString(), '[relay]', ...a);
+}
+
+// ---- Auth: single-use token minted by api/realtime/session.js, passed as ?token=
+async function authenticate(req) {
+  if (process.env.REALTIME_SKIP_AUTH === '1') return { ok: true, user: { email: 'local-dev' } };
+
+  const token = new URL(req.url, 'http://localhost').searchParams.get('token') || '';
+  if (!token) return { ok: false, error: 'missing_token' };
+  return consumeToken(token);
+}
+
+// ---- Browser -> Gemini translation
+const SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minimum', 'maximum'];
+
+// Gemini accepts an OpenAPI subset; drop unknown keys and give untyped props a type.
+function toGeminiSchema(s) {
+  if (!s || typeof s !== 'object') return { type: 'string' };
+  const out = {};
+  for (const k of SCHEMA_KEYS) if (s[k] !== undefined) out[k] = s[k];
+  if (!out.type) out.type = 'string';
+  if (out.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(out.properties).map(([k, v]) => [k, toGeminiSchema(v)])
+    );
+    if (!Object.keys(out.properties).length) delete out.properties;
+  }
+  if (Array.isArray(out.required) && !out.required.length) delete out.required;
+  if (out.items) out.items = toGeminiSchema(out.items);
+  return out;
+}
+
+function buildSetup(cfg) {
+  const voice = VOICES.includes(cfg.voice) ? cfg.voice : DEFAULT_VOICE;
+  const setup = {
+    model: MODEL,
+    generationConfig: {
+      responseModalities: ['AUDIO'],
+      speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } } },
+    },
+    inputAudioTranscription: {},
+    outputAudioTranscription: {},
+  };
+
+  if (cfg.instructions) setup.systemInstruction = { parts: [{ text: cfg.instructions }] };
+
+  const fns = (cfg.tools || []).filter(t => t && t.name);
+  if (fns.length) {
+    setup.tools = [{
+      functionDeclarations: fns.map(t => {
+        const decl = { name: t.name, description: t.description || '' };
+        if (t.parameters?.properties && Object.keys(t.parameters.properties).length) {
+          decl.parameters = toGeminiSchema(t.parameters);
+        }
+        return decl;
+      }),
+    }];
+  }
+
+  const td = cfg.turn_detection;
+  if (td) {
+    setup.realtimeInputConfig = {
+      automaticActivityDetection: {
+        disabled: td.type === 'none',
+        prefixPaddingMs: td.prefix_padding_ms,
+        silenceDurationMs: td.silence_duration_ms,
+      },
+    };
+  }
+
+  return { setup };
+}
+
+// ---- One browser connection
+class RelaySession {
+  constructor(client, user) {
+    this.id = 'sess_' + crypto.randomBytes(8).toString('hex');
+    this.client = client;
+    this.user = user;
+    this.cfg = {};
+    this.upstream = null;
+    this.setupSent = false;
+    this.ready = false;
+    this.queue = [];          // messages waiting for setupComplete
+    this.responseId = null;   // current model turn, surfaced as response_id
+    this.closed = false;
+  }
+
+  sendClient(msg) {
+    if (this.client.readyState === WebSocket.OPEN) this.client.send(JSON.stringify(msg));
+  }
+
+  sendUpstream(msg) {
+    if (this.ready && this.upstream?.readyState === WebSocket.OPEN) {
+      this.upstream.send(JSON.stringify(msg));
+      return;
+    }
+    this.queue.push(msg);
+    this.openUpstream();
+  }
+
+  openUpstream() {
+    if (this.upstream || this.closed) return;
+    const key = process.env.GOOGLE_GENERATIVE_AI_API_KEY;
+    if (!key) {
+      this.fail('API Key not configured on server');
+      return;
+    }
+
+    const url = `${UPSTREAM_URL}${UPSTREAM_URL.includes('?') ? '&' : '?'}key=${encodeURIComponent(key)}`;
+    const up = new WebSocket(url);
+    this.upstream = up;
+
+    up.on('open', () => {
+      // Setup is sent as late as possible so session.update messages that raced
+      // the first audio frame (tools, instructions) still make it in.
+      up.send(JSON.stringify(buildSetup(this.cfg)));
+      this.setupSent = true;
+      log(this.id, 'upstream open; setup sent');
+    });
+
+    up.on('message', (data) => this.onUpstream(data));
+
+    up.on('close', (code, reason) => {
+      log(this.id, 'upstream closed', code, String(reason || ''));
+      if (this.upstream !== up) return; // replaced by restartUpstream()
+      this.upstream = null;
+      this.ready = false;
+      this.setupSent = false;
+      if (!this.closed) this.fail(`Upstream closed (${code})`, code);
+    });
+
+    up.on('error', (e) => log(this.id, 'upstream error', e?.message || e));
+  }
+
+  // Instructions/tools can only be set in the Gemini setup message.
+  // A late session.update therefore restarts the upstream session with the merged config.
+  restartUpstream() {
+    const old = this.upstream;
+    this.upstream = null;
+    this.ready = false;
+    this.setupSent = false;
+    this.responseId = null;
+    try { old?.close(); } catch {}
+    this.openUpstream();
+  }
+
+  onClient(raw) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+
+    // Mic audio (PCM16 @ 16kHz, base64)
+    if (msg.realtime_input) {
+      const chunks = msg.realtime_input.media_chunks || [];
+      this.sendUpstream({
+        realtimeInput: {
+          mediaChunks: chunks.map(c => ({ mimeType: c.mime_type || c.mimeType, data: c.data })),
+        },
+      });
+      return;
+    }
+
+    if (msg.type === 'session.update') {
+      const s = msg.session || {};
+      for (const k of ['voice', 'instructions', 'tools', 'turn_detection']) {
+        if (s[k] !== undefined) this.cfg[k] = s[k];
+      }
+      if (this.setupSent) this.restartUpstream();
+      this.sendClient({ type: 'session.updated', session: { id: this.id } });
+      return;
+    }
+
+    if (msg.type === 'response.create') {
+      const text = msg.response?.instructions || '';
+      if (!text) return;
+      this.sendUpstream({
+        clientContent: { turns: [{ role: 'user', parts: [{ text }] }], turnComplete: true },
+      });
+      return;
+    }
+
+    if (msg.type === 'conversation.item.create' && msg.item?.type === 'function_call_output') {
+      let response;
+      try { response = JSON.parse(msg.item.output); } catch { response = { output: msg.item.output }; }
+      if (!response || typeof response !== 'object' || Array.isArray(response)) response = { output: response };
+      this.sendUpstream({
+        toolResponse: {
+          functionResponses: [{ id: msg.item.call_id, name: msg.item.name || '', response }],
+        },
+      });
+      return;
+    }
+
+    log(this.id, 'ignoring client message', msg.type || Object.keys(msg)[0]);
+  }
+
+  ensureResponse() {
+    if (this.responseId) return this.responseId;
+    this.responseId = 'resp_' + crypto.randomBytes(6).toString('hex');
+    this.sendClient({ type: 'response.created', response: { id: this.responseId } });
+    return this.responseId;
+  }
+
+  finishResponse(status) {
+    if (!this.responseId) return;
+    this.sendClient({ type: 'response.done', response_id: this.responseId, response: { id: this.responseId, status } });
+    this.responseId = null;
+  }
+
+  onUpstream(data) {
+    let msg;
+    try { msg = JSON.parse(data.toString()); } catch { return; }
+
+    if (msg.setupComplete) {
+      this.ready = true;
+      const pending = this.queue.splice(0);
+      for (const m of pending) this.upstream.send(JSON.stringify(m));
+      log(this.id, 'setup complete; flushed', pending.length);
+      return;
+    }
+
+    const sc = msg.serverContent;
+    if (sc) {
+      if (sc.inputTranscription?.text) {
+        this.sendClient({ type: 'response.input_text.delta', delta: { text: sc.inputTranscription.text } });
+      }
+
+      for (const part of sc.modelTurn?.parts || []) {
+        const response_id = this.ensureResponse();
+        if (part.inlineData?.data) {
+          this.sendClient({
+            type: 'response.audio.delta',
+            response_id,
+            mime_type: part.inlineData.mimeType,
+            delta: part.inlineData.data,
+          });
+        }
+        if (typeof part.text === 'string' && part.text) {
+          this.sendClient({ type: 'response.output_text.delta', response_id, delta: part.text });
+        }
+      }
+
+      if (sc.outputTranscription?.text) {
+        const response_id = this.ensureResponse();
+        this.sendClient({ type: 'response.audio_transcript.delta', response_id, delta: sc.outputTranscription.text });
+      }
+
+      if (sc.interrupted) this.finishResponse('cancelled');
+      if (sc.turnComplete) this.finishResponse('completed');
+      return;
+    }
+
+    if (msg.toolCall) {
+      const response_id = this.ensureResponse();
+      for (const fc of msg.toolCall.functionCalls || []) {
+        this.sendClient({
+          type: 'response.function_call_arguments.done',
+          response_id,
+          call_id: fc.id,
+          name: fc.name,
+          arguments: JSON.stringify(fc.args || {}),
+        });
+      }
+      // Gemini waits for toolResponse; the turn is over from the browser's point of view.
+      this.finishResponse('completed');
+      return;
+    }
+
+    if (msg.goAway) {
+      this.sendClient({ type: 'session.expiring', time_left: msg.goAway.timeLeft || null });
+      return;
+    }
+  }
+
+  fail(message, code) {
+    this.sendClient({ type: 'error', error: { message, code: code || null } });
+    this.close();
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    try { this.upstream?.close(); } catch {}
+    try { this.client.close(); } catch {}
+  }
+}
+
+// ---- Server
+const server = http.createServer((req, res) => {
+  if (req.url === '/healthz') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true }));
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: false, error: 'Not found' }));
+});
+
+const wss = new WebSocketServer({ noServer: true });
+
+function reject(socket, status, text) {
+  socket.write(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+server.on('upgrade', async (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname !== PATH) return reject(socket, 404, 'Not Found');
+
+  const origin = req.headers.origin || '';
+  if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+    log('rejected origin', origin);
+    return reject(socket, 403, 'Forbidden');
+  }
+
+  let auth;
+  try {
+    auth = await authenticate(req);
+  } catch (e) {
+    log('auth error', e?.message || e);
+    return reject(socket, 502, 'Bad Gateway');
+  }
+  if (!auth.ok) {
+    log('rejected token', auth.error);
+    return reject(socket, 401, 'Unauthorized');
+  }
+
+  wss.handleUpgrade(req, socket, head, (client) => {
+    const s = new RelaySession(client, auth.user);
+    log(s.id, 'client connected', auth.user.email || auth.user.sub || '');
+    client.on('message', (data) => s.onClient(data.toString()));
+    client.on('close', () => { log(s.id, 'client closed'); s.close(); });
+    client.on('error', (e) => log(s.id, 'client error', e?.message || e));
+    s.sendClient({ type: 'session.created', session: { id: s.id } });
+  });
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => log(`listening on ws://localhost:${PORT}${PATH} -> ${UPSTREAM_URL.split('?')[0]}`));
+  if (storeAdapter() !== 'kv') {
+    log('STORE_ADAPTER is not kv: used and revoked tokens are only shared with the API through STORE_DIR on this machine');
+  }
+}
+
+module.exports = { server, buildSetup, toGeminiSchema, RelaySession };
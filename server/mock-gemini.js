@@ -0,0 +1,112 @@
+// server/mock-gemini.js — offline stand-in for the Gemini Live BidiGenerateContent socket
+// Speaks just enough of the protocol to exercise server/gemini-realtime.js without a key or network:
+// - setup            -> setupComplete
+// - clientContent    -> transcript + text + a short silent audio chunk, then turnComplete
+//                       (text containing "tool" triggers a toolCall for the first declared function)
+// - toolResponse     -> a turn echoing the tool output
+// - realtimeInput    -> after ~1s of audio, an input transcription and a reply turn
+//
+// Run: npm run realtime:mock   (GEMINI_MOCK_PORT, default 8765)
+
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.GEMINI_MOCK_PORT || 8765);
+const SILENCE_24K_100MS = Buffer.alloc(2400 * 2).toString('base64');
+
+function log(...a) {
+  console.log(new Date().toISOString(), '[mock-gemini]', ...a);
+}
+
+function reply(ws, text) {
+  const words = text.split(' ');
+  for (let i = 0; i < words.length; i += 3) {
+    const chunk = words.slice(i, i + 3).join(' ') + (i + 3 < words.length ? ' ' : '');
+    ws.send(JSON.stringify({ serverContent: { outputTranscription: { text: chunk } } }));
+  }
+  ws.send(JSON.stringify({
+    serverContent: {
+      modelTurn: {
+        parts: [
+          { text },
+          { inlineData: { mimeType: 'audio/pcm;rate=24000', data: SILENCE_24K_100MS } },
+        ],
+      },
+    },
+  }));
+  ws.send(JSON.stringify({ serverContent: { turnComplete: true } }));
+}
+
+function start(port = PORT) {
+  const wss = new WebSocketServer({ port });
+
+  wss.on('connection', (ws, req) => {
+    const key = new URL(req.url, 'http://localhost').searchParams.get('key');
+    if (!key) {
+      ws.close(1008, 'API key required');
+      return;
+    }
+
+    let setup = null;
+    let audioBytes = 0;
+
+    ws.on('message', (data) => {
+      let msg;
+      try { msg = JSON.parse(data.toString()); } catch { return; }
+
+      if (msg.setup) {
+        setup = msg.setup;
+        const tools = setup.tools?.[0]?.functionDeclarations || [];
+        log('setup', setup.model, `${tools.length} tools`);
+        ws.send(JSON.stringify({ setupComplete: {} }));
+        return;
+      }
+
+      if (!setup) {
+        ws.close(1007, 'setup must be the first message');
+        return;
+      }
+
+      if (msg.clientContent) {
+        const text = (msg.clientContent.turns || [])
+          .flatMap(t => t.parts || []).map(p => p.text || '').join(' ').trim();
+        const tools = setup.tools?.[0]?.functionDeclarations || [];
+        if (/\btool\b/i.test(text) && tools.length) {
+          ws.send(JSON.stringify({
+            toolCall: {
+              functionCalls: [{ id: 'call_' + crypto.randomBytes(4).toString('hex'), name: tools[0].name, args: {} }],
+            },
+          }));
+          return;
+        }
+        reply(ws, `Mock reply to: ${text.slice(0, 120)}`);
+        return;
+      }
+
+      if (msg.toolResponse) {
+        const fr = msg.toolResponse.functionResponses?.[0];
+        reply(ws, `Tool ${fr?.name || fr?.id || 'unknown'} returned ${JSON.stringify(fr?.response || {}).slice(0, 120)}`);
+        return;
+      }
+
+      if (msg.realtimeInput) {
+        for (const c of msg.realtimeInput.mediaChunks || []) {
+          audioBytes += Buffer.from(c.data || '', 'base64').length;
+        }
+        // 16kHz * 2 bytes = 32000 bytes per second of audio
+        if (audioBytes >= 32000) {
+          audioBytes = 0;
+          ws.send(JSON.stringify({ serverContent: { inputTranscription: { text: '(one second of audio)' } } }));
+          reply(ws, 'I heard about one second of audio.');
+        }
+      }
+    });
+  });
+
+  wss.on('listening', () => log(`listening on ws://localhost:${port}`));
+  return wss;
+}
+
+if (require.main === module) start();
+
+module.exports = { start };
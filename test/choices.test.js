@@ -0,0 +1,90 @@
+// test/choices.test.js — lib/choices.js: remembering which of several same-named files was meant
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'choices-test-'));
+process.env.STORE_DIR = dir;
+process.env.SESSION_SECRET = 's'.repeat(32);
+
+const { saveTokens, getSession, removeAccount } = require('../lib/session');
+const { choiceKey, recallChoice, parkCandidates, confirmChoice, forgetChoice } = require('../lib/choices');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function fakeRes() {
+  const headers = {};
+  return { getHeader: k => headers[k], setHeader: (k, v) => { headers[k] = v; }, headers };
+}
+
+// A session with two accounts; g1 is the default.
+async function newSession() {
+  const res = fakeRes();
+  await saveTokens({ headers: { host: 'localhost' } }, res, { access_token: 'at1' }, { id: 'g1', email: 'ann@example.com' });
+  const sid = res.headers['Set-Cookie'].find(c => c.startsWith('sid=')).split(';')[0];
+  const req = { headers: { host: 'localhost', cookie: sid } };
+  await saveTokens(req, fakeRes(), { access_token: 'at2' }, { id: 'g2', email: 'work@example.com' });
+  return req;
+}
+
+const KEY = choiceKey('application/vnd.google-apps.spreadsheet', 'Budget', 'Finance');
+
+test('keys ignore case and surrounding spaces', () => {
+  assert.equal(choiceKey(undefined, ' Budget ', 'FINANCE'), 'file|finance|budget');
+  assert.equal(choiceKey('application/vnd.google-apps.spreadsheet', 'budget', ' finance'), KEY);
+});
+
+test('an id from the parked candidates is remembered; others are not', async () => {
+  const req = await newSession();
+  assert.equal(await confirmChoice(req, KEY, 'f1', 'Budget'), false); // nothing parked yet
+  await parkCandidates(req, KEY, ['f1', 'f2']);
+  assert.equal(await confirmChoice(req, KEY, 'f3', 'Budget'), false);
+  assert.equal(await recallChoice(req, fakeRes(), KEY), null);
+  assert.equal(await confirmChoice(req, KEY, 'f2', 'Budget'), true);
+  assert.equal(await recallChoice(req, fakeRes(), KEY), 'f2');
+  // The pending entry is used up.
+  assert.equal(await confirmChoice(req, KEY, 'f1', 'Budget'), false);
+
+  await forgetChoice(req, KEY);
+  assert.equal(await recallChoice(req, fakeRes(), KEY), null);
+});
+
+test('choices belong to one Google account', async () => {
+  const req = await newSession();
+  await parkCandidates(req, KEY, ['f1', 'f2']);
+  await confirmChoice(req, KEY, 'f1', 'Budget');
+  assert.equal(await recallChoice({ ...req, __account: 'work@example.com' }, fakeRes(), KEY), null);
+  assert.equal(await recallChoice({ ...req, __account: 'g1' }, fakeRes(), KEY), 'f1');
+
+  await removeAccount(req, fakeRes(), 'g1');
+  const { record } = await getSession(req, fakeRes());
+  assert.equal(record.choices.g1, undefined);
+});
+
+test('parked candidates expire after half an hour', async () => {
+  const req = await newSession();
+  await parkCandidates(req, KEY, ['f1', 'f2']);
+  const realNow = Date.now;
+  Date.now = () => realNow() + 31 * 60 * 1000;
+  try {
+    assert.equal(await confirmChoice(req, KEY, 'f1', 'Budget'), false);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('only the 50 most recent choices are kept', async () => {
+  const req = await newSession();
+  const keys = Array.from({ length: 51 }, (_, i) => choiceKey('file', `Report ${i}`));
+  for (const key of keys) {
+    await parkCandidates(req, key, ['a', 'b']);
+    await confirmChoice(req, key, 'a', key);
+  }
+  assert.equal(await recallChoice(req, fakeRes(), keys[0]), null);
+  assert.equal(await recallChoice(req, fakeRes(), keys[1]), 'a');
+  const { record } = await getSession(req, fakeRes());
+  assert.equal(Object.keys(record.choices.g1.remembered).length, 50);
+});
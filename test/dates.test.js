@@ -0,0 +1,99 @@
+// test/dates.test.js — lib/dates.js: phrases and ISO strings to instants in the user's time zone
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDateTime, endOfDay } = require('../lib/dates');
+
+const timeZone = 'Europe/Amsterdam';
+const now = new Date('2026-10-19T08:00:00Z'); // Monday 19 Oct 2026, 10:00 in Amsterdam
+const at = (input, opts = {}) => resolveDateTime(input, { timeZone, now, ...opts });
+
+test('ISO without an offset is wall-clock time in the zone', () => {
+  const r = at('2026-10-22T14:00');
+  assert.equal(r.ok, true);
+  assert.equal(r.iso, '2026-10-22T14:00:00+02:00');
+  assert.equal(r.dateOnly, false);
+  assert.equal(r.echo, 'Thu, 22 Oct 2026, 14:00 (Europe/Amsterdam)');
+});
+
+test('ISO with an offset is absolute', () => {
+  assert.equal(at('2026-10-22T14:00Z').utc, '2026-10-22T14:00:00.000Z');
+});
+
+test('relative phrases', () => {
+  assert.equal(at('tomorrow at 3pm').iso, '2026-10-20T15:00:00+02:00');
+  assert.equal(at('in 2 hours').utc, '2026-10-19T10:00:00.000Z');
+  assert.equal(at('next tuesday morning').iso, '2026-10-20T09:00:00+02:00');
+  assert.equal(at('next monday').iso, '2026-10-26T00:00:00+01:00');
+  assert.equal(at('friday').iso, '2026-10-23T00:00:00+02:00');
+  assert.equal(at('friday').dateOnly, true);
+});
+
+test('"at 3" without am/pm means the afternoon', () => {
+  assert.equal(at('thursday at 3').iso, '2026-10-22T15:00:00+02:00');
+  assert.equal(at('thursday morning at 9').iso, '2026-10-22T09:00:00+02:00');
+});
+
+test('a clock time that has passed today means tomorrow', () => {
+  assert.equal(at('9am').iso, '2026-10-20T09:00:00+02:00');
+});
+
+test('relative days run over into the next month', () => {
+  const r = at('tomorrow', { now: new Date('2026-10-31T10:00:00Z') });
+  assert.equal(r.iso, '2026-11-01T00:00:00+01:00');
+});
+
+test('a date without a year looks ahead', () => {
+  assert.equal(at('October 1').iso, '2027-10-01T00:00:00+02:00');
+  assert.equal(at('3 March').iso, '2027-03-03T00:00:00+01:00');
+  assert.equal(at('October 25').iso, '2026-10-25T00:00:00+02:00');
+});
+
+test('past: a date without a year is the most recent one', () => {
+  assert.equal(at('October 1', { past: true }).iso, '2026-10-01T00:00:00+02:00');
+  assert.equal(at('November 3', { past: true }).iso, '2025-11-03T00:00:00+01:00');
+  assert.equal(at('October 19', { past: true }).iso, '2026-10-19T00:00:00+02:00');
+});
+
+test('days a month does not have are rejected, not rolled over', () => {
+  for (const input of ['Feb 30', '31 April', '30 february 2027', '2026-02-30', '2026-02-30T10:00Z', '2026-13-01']) {
+    const r = at(input);
+    assert.equal(r.ok, false, input);
+    assert.match(r.error, /invalid/, input);
+  }
+  assert.equal(at('feb 29 2028').iso, '2028-02-29T00:00:00+01:00');
+});
+
+test('anything not fully understood is rejected with a hint', () => {
+  const r = at('sometime soonish');
+  assert.equal(r.ok, false);
+  assert.match(r.error, /could not understand/);
+  assert.ok(r.hint);
+  assert.equal(at('').error, 'empty date/time');
+});
+
+test('wall-clock times follow the zone across a DST change', () => {
+  // Europe/Amsterdam leaves summer time on Sunday 25 Oct 2026.
+  assert.equal(at('2026-10-24T09:00').utc, '2026-10-24T07:00:00.000Z');
+  assert.equal(at('2026-10-26T09:00').utc, '2026-10-26T08:00:00.000Z');
+  assert.equal(at('next monday at 9').iso, '2026-10-26T09:00:00+01:00');
+});
+
+test('the same phrase in another zone', () => {
+  const r = at('tomorrow at 3pm', { timeZone: 'America/New_York' });
+  assert.equal(r.iso, '2026-10-20T15:00:00-04:00');
+  assert.equal(r.echo, 'Tue, 20 Oct 2026, 15:00 (America/New_York)');
+  // 08:00Z is still 04:00 on Monday in New York, so 9am is today there.
+  assert.equal(at('9am', { timeZone: 'America/New_York' }).iso, '2026-10-19T09:00:00-04:00');
+});
+
+test('base: a clock time alone lands on the base day', () => {
+  const base = new Date('2026-10-22T12:00:00Z');
+  assert.equal(at('4pm', { base }).iso, '2026-10-22T16:00:00+02:00');
+  assert.equal(at('8am', { base }).iso, '2026-10-22T08:00:00+02:00'); // earlier than base, still that day
+});
+
+test('endOfDay is the next local midnight, also on the 25-hour day', () => {
+  assert.equal(endOfDay(new Date('2026-10-19T08:00:00Z'), timeZone).toISOString(), '2026-10-19T22:00:00.000Z');
+  assert.equal(endOfDay(new Date('2026-10-25T08:00:00Z'), timeZone).toISOString(), '2026-10-25T23:00:00.000Z');
+});
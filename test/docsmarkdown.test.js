@@ -0,0 +1,70 @@
+// test/docsmarkdown.test.js — lib/docsmarkdown.js: the Markdown subset and the Docs requests it turns into
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkdown, parseInline, markdownRequests } = require('../lib/docsmarkdown');
+
+const of = (requests, kind) => requests.filter(r => r[kind]).map(r => r[kind]);
+
+test('inline bold, italic, links and code', () => {
+  assert.deepEqual(parseInline('**Due** [Friday](https://x)'), [
+    { text: 'Due', bold: true },
+    { text: ' ' },
+    { text: 'Friday', link: 'https://x' },
+  ]);
+  assert.deepEqual(parseInline('***both*** and `a*b*c` _it_'), [
+    { text: 'both', bold: true, italic: true },
+    { text: ' and ' },
+    { text: 'a*b*c' },
+    { text: ' ' },
+    { text: 'it', italic: true },
+  ]);
+  assert.deepEqual(parseInline('snake_case_name'), [{ text: 'snake_case_name' }]);
+  assert.deepEqual(parseInline('[**bold link**](https://y)'), [{ text: 'bold link', bold: true, link: 'https://y' }]);
+});
+
+test('blocks: headings, lists by kind and depth, tables; blank lines and rules dropped', () => {
+  const blocks = parseMarkdown('## Plan ##\n\n---\n- one\n  1. nested\n- two\n1. first\n| A | B |\n|---|:--:|\n| 1 | 2 |\nDone');
+  assert.deepEqual(blocks.map(b => b.type), ['paragraph', 'list', 'list', 'table', 'paragraph']);
+  assert.equal(blocks[0].style, 'HEADING_2');
+  assert.deepEqual(blocks[0].spans, [{ text: 'Plan' }]);
+  assert.equal(blocks[1].kind, 'bullet');
+  assert.deepEqual(blocks[1].items.map(it => [it.depth, it.spans[0].text]), [[0, 'one'], [1, 'nested'], [0, 'two']]);
+  assert.equal(blocks[2].kind, 'numbered');
+  assert.deepEqual(blocks[3].rows, [[[{ text: 'A', bold: true }], [{ text: 'B', bold: true }]], [[{ text: '1' }], [{ text: '2' }]]]);
+  assert.equal(blocks[4].style, 'NORMAL_TEXT');
+});
+
+test('paragraphs and lists go in with one insert, styled and bulleted by index', () => {
+  const r = markdownRequests('# Title\nSome **bold**\n- a\n  - b', 10);
+  assert.deepEqual(of(r.requests, 'insertText'), [{ location: { index: 10 }, text: 'Title\nSome bold\na\n\tb\n' }]);
+  assert.deepEqual(of(r.requests, 'updateParagraphStyle').map(p => [p.range.startIndex, p.range.endIndex, p.paragraphStyle.namedStyleType]), [
+    [10, 16, 'HEADING_1'], [16, 26, 'NORMAL_TEXT'], [26, 28, 'NORMAL_TEXT'], [28, 31, 'NORMAL_TEXT'],
+  ]);
+  // The first updateTextStyle clears inherited styling over the whole insert.
+  const [clear, bold] = of(r.requests, 'updateTextStyle');
+  assert.deepEqual(clear.range, { startIndex: 10, endIndex: 31 });
+  assert.deepEqual(bold, { range: { startIndex: 21, endIndex: 25 }, textStyle: { bold: true }, fields: 'bold' });
+  assert.deepEqual(of(r.requests, 'createParagraphBullets'), [{ range: { startIndex: 26, endIndex: 31 }, bulletPreset: 'BULLET_DISC_CIRCLE_SQUARE' }]);
+  assert.deepEqual([r.paragraphs, r.tables, r.chars], [4, 0, 16]);
+});
+
+test('later lists get their bullets first', () => {
+  const r = markdownRequests('- a\nText\n1. b', 1);
+  assert.deepEqual(of(r.requests, 'createParagraphBullets').map(b => [b.range.startIndex, b.bulletPreset]), [
+    [8, 'NUMBERED_DECIMAL_ALPHA_ROMAN'], [1, 'BULLET_DISC_CIRCLE_SQUARE'],
+  ]);
+});
+
+test('tables: blocks go in last-to-first at the same index, cells filled back to front', () => {
+  const r = markdownRequests('Intro\n| A | B |\n|---|---|\n| 1 | **2** |\nOutro', 1);
+  const kinds = r.requests.map(q => Object.keys(q)[0]).filter(k => k === 'insertText' || k === 'insertTable');
+  assert.deepEqual(kinds, ['insertText', 'insertTable', 'insertText', 'insertText', 'insertText', 'insertText', 'insertText']);
+  const inserts = of(r.requests, 'insertText');
+  assert.equal(inserts[0].text, 'Outro\n');
+  assert.deepEqual(inserts.slice(1, 5).map(i => [i.location.index, i.text]), [[12, '2'], [10, '1'], [7, 'B'], [5, 'A']]);
+  assert.equal(inserts[5].text, 'Intro\n');
+  assert.deepEqual(of(r.requests, 'insertTable'), [{ rows: 2, columns: 2, location: { index: 1 } }]);
+  assert.ok(of(r.requests, 'updateTextStyle').some(s => s.range.startIndex === 12 && s.range.endIndex === 13 && s.textStyle.bold));
+  assert.deepEqual([r.paragraphs, r.tables, r.chars], [2, 1, 14]);
+});
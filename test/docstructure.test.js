@@ -0,0 +1,117 @@
+// test/docstructure.test.js — lib/docstructure.js: a Doc body as elements, sections under headings, outline and chunks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  bodyElements, docEnd, headings, findHeading, sectionRange, windows, chunkElements, docChunks, docOutline, sectionText,
+} = require('../lib/docstructure');
+
+const run = text => ({ textRun: { content: text } });
+const cell = text => ({ content: [{ paragraph: { elements: [run(`${text}\n`)] } }] });
+
+// Builds body.content from [style, text, extra?] paragraphs and { table, size } tables, indexes counted as Docs does.
+function makeDoc(blocks) {
+  const content = [{ startIndex: 0, endIndex: 1, sectionBreak: {} }];
+  let at = 1;
+  for (const b of blocks) {
+    if (b.table) {
+      const tableRows = b.table.map(r => ({ tableCells: r.map(cell) }));
+      content.push({ startIndex: at, endIndex: at + b.size, table: { tableRows } });
+      at += b.size;
+      continue;
+    }
+    const [style, text, extra] = b;
+    content.push({
+      startIndex: at,
+      endIndex: at + text.length + 1,
+      paragraph: { elements: [run(`${text}\n`)], paragraphStyle: { namedStyleType: style }, ...extra },
+    });
+    at += text.length + 1;
+  }
+  return { body: { content } };
+}
+
+// Plan [1,6) · Goals [6,12) · Ship it [12,20) · Goals detail [20,33) · • one [33,37) · Budget [37,44) · table [44,64) · "" [64,65)
+const doc = makeDoc([
+  ['TITLE', 'Plan'],
+  ['HEADING_1', 'Goals'],
+  ['NORMAL_TEXT', 'Ship it'],
+  ['HEADING_2', 'Goals detail'],
+  ['NORMAL_TEXT', 'one', { bullet: { listId: 'l1' } }],
+  ['HEADING_1', 'Budget'],
+  { table: [['Item', 'Cost'], ['Ads', '100']], size: 20 },
+  ['NORMAL_TEXT', ''],
+]);
+
+test('body elements carry indexes, heading levels, bullets and table text', () => {
+  const els = bodyElements(doc);
+  assert.deepEqual(els.map(e => e.level), [0, 1, null, 2, null, 1, null, null]);
+  assert.deepEqual([els[4].text, els[4].bullet, els[2].bullet], ['one', true, false]);
+  assert.deepEqual(els[6], { type: 'table', startIndex: 44, endIndex: 64, text: 'Item | Cost\nAds | 100', level: null });
+  assert.equal(docEnd(doc), 65);
+  assert.equal(docEnd({ body: { content: [] } }), 1);
+  // An empty paragraph styled as a heading is not a heading.
+  assert.deepEqual(headings(makeDoc([['HEADING_1', ''], ['HEADING_2', 'Real']])).map(h => h.text), ['Real']);
+});
+
+test('headings match exactly first, then by a unique part', () => {
+  assert.equal(findHeading(doc, ' GOALS ').startIndex, 6);
+  assert.equal(findHeading(doc, 'detail').startIndex, 20);
+  assert.throws(() => findHeading(doc, 'oal'), e => e.status === 409 && e.body.headings.join() === 'Goals,Goals detail');
+  assert.throws(() => findHeading(doc, 'Risks'), e => e.status === 404 && e.body.headings.length === 4);
+  assert.throws(() => findHeading(doc, ' '), e => e.status === 400);
+});
+
+test('a section runs to the next heading of the same or a higher level', () => {
+  assert.deepEqual(sectionRange(doc, findHeading(doc, 'Goals')), { start: 12, end: 37, atEnd: false });
+  assert.deepEqual(sectionRange(doc, findHeading(doc, 'Goals detail')), { start: 33, end: 37, atEnd: false });
+  // The last section stops before the body's final newline.
+  assert.deepEqual(sectionRange(doc, findHeading(doc, 'Budget')), { start: 44, end: 64, atEnd: true });
+});
+
+test('section text includes the heading and its subsections', () => {
+  assert.equal(sectionText(doc, findHeading(doc, 'Goals')).text, 'Goals\nShip it\nGoals detail\none\n');
+  const budget = sectionText(doc, findHeading(doc, 'Budget'));
+  assert.equal(budget.elements.length, 3);
+  assert.equal(budget.text, 'Budget\nItem | Cost\nAds | 100\n\n');
+});
+
+test('windows break between elements and cut elements that are too long', () => {
+  const els = [
+    { startIndex: 1, endIndex: 4, text: 'ab' },
+    { startIndex: 4, endIndex: 7, text: 'cd' },
+    { startIndex: 7, endIndex: 17, text: 'efghijklm' },
+  ];
+  assert.deepEqual(windows(els, 4), [
+    { startIndex: 1, endIndex: 4, text: 'ab\n' },
+    { startIndex: 4, endIndex: 7, text: 'cd\n' },
+    { startIndex: 7, endIndex: 11, text: 'efgh' },
+    { startIndex: 11, endIndex: 15, text: 'ijkl' },
+    { startIndex: 15, endIndex: 17, text: 'm\n' },
+  ]);
+  assert.deepEqual(windows(els, 6).slice(0, 1), [{ startIndex: 1, endIndex: 7, text: 'ab\ncd\n' }]);
+});
+
+test('chunks pack whole sections while they fit', () => {
+  const chunks = docChunks(doc, { maxChars: 40 });
+  assert.deepEqual(chunks.map(c => [c.chunk, c.startIndex, c.endIndex, c.headings]), [
+    [1, 1, 37, ['Plan', 'Goals', 'Goals detail']],
+    [2, 37, 65, ['Budget']],
+  ]);
+  assert.deepEqual(chunkElements(bodyElements(doc), { maxChars: 40 }), chunks);
+  // by chars ignores sections: the first window stops wherever 20 characters run out.
+  const byChars = docChunks(doc, { maxChars: 20, by: 'chars' });
+  assert.deepEqual([byChars[0].endIndex, byChars[0].text], [20, 'Plan\nGoals\nShip it\n']);
+  assert.ok(byChars.every(c => c.text.length <= 20));
+});
+
+test('the outline lists headings with section sizes and their chunk', () => {
+  const outline = docOutline(doc, docChunks(doc, { maxChars: 40 }));
+  assert.deepEqual(outline.map(h => [h.n, h.text, h.level, h.startIndex, h.chars, h.chunk]), [
+    [1, 'Plan', 0, 1, 63],
+    [2, 'Goals', 1, 6, 31],
+    [3, 'Goals detail', 2, 20, 17],
+    [4, 'Budget', 1, 37, 27],
+  ].map((row, i) => [...row, i < 3 ? 1 : 2]));
+  assert.equal(docOutline(doc)[0].chunk, undefined);
+});
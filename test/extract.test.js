@@ -0,0 +1,132 @@
+// test/extract.test.js — lib/extract.js: text out of Word, Excel, PowerPoint, HTML and plain-text files
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { extractText, kindOf, MAX_TEXT } = require('../lib/extract');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+// { name: xml } -> a zip with deflated members (CRCs are left 0; the reader does not check them).
+function makeZip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const data = Buffer.from(text);
+    const packed = zlib.deflateRawSync(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, packed);
+    central.push(entry, nameBuf);
+    offset += 30 + nameBuf.length + packed.length;
+  }
+  const dir = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+test('kinds come from the mime type, then the extension', () => {
+  assert.equal(kindOf('application/pdf'), 'pdf');
+  assert.equal(kindOf('application/octet-stream', 'Scan.PDF'), 'pdf');
+  assert.equal(kindOf(XLSX, 'x.bin'), 'xlsx');
+  assert.equal(kindOf('', 'notes.docx'), 'docx');
+  assert.equal(kindOf('text/html'), 'html');
+  assert.equal(kindOf('application/json'), 'text');
+  assert.equal(kindOf('', 'export.csv'), 'text');
+  assert.equal(kindOf('image/png'), 'image');
+  assert.equal(kindOf('application/zip', 'archive.zip'), null);
+});
+
+test('Word: paragraphs, tabs, entities, table rows and page breaks', () => {
+  const xml = '<w:document><w:body>'
+    + '<w:p><w:r><w:t>Hello</w:t><w:tab/><w:t xml:space="preserve">world &amp; co</w:t></w:r></w:p>'
+    + '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>A</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>B</w:t></w:r></w:p></w:tc></w:tr></w:tbl>'
+    + '<w:p><w:r><w:br w:type="page"/><w:lastRenderedPageBreak/><w:t>Second</w:t></w:r></w:p>'
+    + '</w:body></w:document>';
+  const r = extractText(makeZip({ 'word/document.xml': xml }), DOCX, 'notes.docx');
+  assert.equal(r.kind, 'docx');
+  assert.deepEqual(r.parts, [{ label: 'Page 1', text: 'Hello\tworld & co\nA | B' }, { label: 'Page 2', text: 'Second' }]);
+  assert.equal(r.truncated, false);
+});
+
+test('Excel: one part per sheet with shared strings, dates, booleans and column gaps', () => {
+  const zip = makeZip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Q3 &amp; Q4" sheetId="1" r:id="rId1"/><sheet name="Empty" sheetId="2" r:id="rId2"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+    'xl/sharedStrings.xml': '<sst><si><t>Client</t></si><si><r><t>Acme</t></r><r><t> BV</t></r></si></sst>',
+    'xl/styles.xml': '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts>'
+      + '<cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="4"/></cellXfs></styleSheet>',
+    'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+      + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Paid</t></is></c></row>'
+      + '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2" s="1"><v>45992</v></c><c r="C2" t="b"><v>1</v></c><c r="D2" s="2"><v>12.5</v></c></row>'
+      + '<row r="3"><c r="A3"/></row>'
+      + '</sheetData></worksheet>',
+    'xl/worksheets/sheet2.xml': '<worksheet><sheetData/></worksheet>',
+  });
+  const r = extractText(zip, XLSX, 'q.xlsx');
+  assert.deepEqual(r.parts, [
+    { label: 'Q3 & Q4', text: 'Client |  | Paid\nAcme BV | 2025-12-01 | TRUE | 12.5' },
+    { label: 'Empty', text: '' },
+  ]);
+});
+
+test('PowerPoint: slides in number order with their speaker notes', () => {
+  const slide = (...paras) => `<p:sld>${paras.map(p => `<a:p>${p}</a:p>`).join('')}</p:sld>`;
+  const zip = makeZip({
+    'ppt/slides/slide10.xml': slide('<a:r><a:t>Last</a:t></a:r>'),
+    'ppt/slides/slide2.xml': slide('<a:r><a:t>Middle</a:t></a:r>', ''),
+    'ppt/slides/slide1.xml': slide('<a:r><a:t>Line</a:t></a:r><a:br/><a:r><a:t>two</a:t></a:r>'),
+    'ppt/slides/_rels/slide1.xml.rels': '<Relationships><Relationship Id="rId2" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+    'ppt/notesSlides/notesSlide1.xml': '<p:notes><a:p><a:r><a:t>Say hi</a:t></a:r></a:p><a:p><a:r><a:t>1</a:t></a:r></a:p></p:notes>',
+  });
+  assert.deepEqual(extractText(zip, PPTX, 'deck.pptx').parts, [
+    { label: 'Slide 1', text: 'Line\ntwo\n\nNotes: Say hi' },
+    { label: 'Slide 2', text: 'Middle' },
+    { label: 'Slide 3', text: 'Last' },
+  ]);
+});
+
+test('Office files that are not zips, or lack their main part, are a 422', () => {
+  assert.throws(() => extractText(Buffer.from('not a zip at all, just some text here'), DOCX, 'x.docx'), e => e.status === 422);
+  assert.throws(() => extractText(makeZip({ 'word/other.xml': '<x/>' }), DOCX), e => e.status === 422);
+  assert.throws(() => extractText(makeZip({ 'ppt/presentation.xml': '<x/>' }), PPTX), e => e.status === 422);
+});
+
+test('text and HTML are decoded directly; images are a 415', () => {
+  const text = extractText(Buffer.from('\uFEFFa,b\r\nc,d\r'), 'text/csv', 'x.csv');
+  assert.deepEqual(text.parts, [{ label: 'x.csv', text: 'a,b\nc,d\n' }]);
+  const html = extractText(Buffer.from('<p>Hi <b>there</b></p><script>x()</script>'), 'text/html');
+  assert.equal(html.parts[0].label, 'Text');
+  assert.match(html.parts[0].text, /Hi there/);
+  assert.doesNotMatch(html.parts[0].text, /x\(\)/);
+  assert.throws(() => extractText(Buffer.from([0x89]), 'image/png', 'a.png'), e => e.status === 415 && e.body.kind === 'image');
+});
+
+test('extracted text is capped in total', () => {
+  const r = extractText(Buffer.from('x'.repeat(MAX_TEXT + 10)), 'text/plain');
+  assert.equal(r.truncated, true);
+  assert.equal(r.parts[0].text.length, MAX_TEXT);
+});
@@ -0,0 +1,90 @@
+// test/history.test.js — lib/history.js: transcripts, the tool-call log, search and date ranges
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+process.env.STORE_DIR = dir;
+process.env.SESSION_SECRET = 's'.repeat(32);
+
+const {
+  appendTranscript, recordToolCall, listConversations, readConversation, searchHistory, deleteConversation, historyRange,
+} = require('../lib/history');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const timeZone = 'Europe/Amsterdam';
+const now = new Date('2026-10-19T08:00:00Z'); // Monday
+const range = r => {
+  const out = historyRange(r, timeZone, now);
+  return [out.from?.toISOString() ?? null, out.to?.toISOString() ?? null];
+};
+
+test('ranges look back: a month-day is the latest one and covers that day', () => {
+  assert.deepEqual(range({ from: '3 October' }), ['2026-10-02T22:00:00.000Z', '2026-10-03T22:00:00.000Z']);
+});
+
+test('ranges look back: a bare weekday is the latest one, today included', () => {
+  assert.deepEqual(range({ from: 'friday' }), ['2026-10-15T22:00:00.000Z', '2026-10-16T22:00:00.000Z']);
+  assert.deepEqual(range({ from: 'monday' }), ['2026-10-18T22:00:00.000Z', '2026-10-19T22:00:00.000Z']);
+  assert.deepEqual(range({ from: 'last tuesday' }), ['2026-10-12T22:00:00.000Z', '2026-10-13T22:00:00.000Z']);
+});
+
+test('ranges: from/to pairs and unreadable phrases', () => {
+  assert.deepEqual(range({ from: '2026-10-01', to: '2026-10-05' }), ['2026-09-30T22:00:00.000Z', '2026-10-05T22:00:00.000Z']);
+  assert.deepEqual(range({}), [null, null]);
+  assert.throws(() => range({ from: 'whenever' }), e => e.status === 400 && /from/.test(e.body.error));
+});
+
+test('transcripts and tool calls build one conversation with counters', async () => {
+  const id = 'conv_history_1';
+  await appendTranscript('owner1', id, [
+    { role: 'user', text: 'Move the dentist to Friday' },
+    { role: 'assistant', text: 'Done.' },
+    { role: 'system', text: 'dropped' },
+  ]);
+  await recordToolCall('owner1', id, {
+    tool: { name: 'calendar_update', writes: true },
+    action: 'calendar.update',
+    args: { eventId: 'e1', start: 'friday 3pm', pendingToken: 'secret' },
+    status: 200,
+    body: { ok: true, event: { id: 'e1' } },
+  });
+  await recordToolCall('owner1', id, {
+    tool: { name: 'calendar_list' }, action: 'calendar.list', args: {}, status: 500, body: { ok: false, error: 'boom' },
+  });
+
+  const { conversations } = await listConversations('owner1');
+  assert.equal(conversations.length, 1);
+  assert.deepEqual(
+    (({ title, turns, toolCalls, changes }) => ({ title, turns, toolCalls, changes }))(conversations[0]),
+    { title: 'Move the dentist to Friday', turns: 2, toolCalls: 2, changes: 1 }
+  );
+
+  const conv = await readConversation('owner1', id);
+  const call = conv.events.find(e => e.name === 'calendar_update');
+  assert.equal(call.args.pendingToken, '[redacted]');
+  assert.deepEqual(call.result, { event: { id: 'e1' } });
+  assert.equal(conv.events.find(e => e.name === 'calendar_list').error, 'boom');
+  assert.equal(await readConversation('owner2', id), null);
+});
+
+test('search matches every word, and changesOnly keeps successful writes', async () => {
+  assert.equal((await searchHistory('owner1', { q: 'friday' })).hits.length, 2); // the turn and the tool args
+  assert.equal((await searchHistory('owner1', { q: 'DENTIST friday' })).hits.length, 1);
+  const changes = await searchHistory('owner1', { changes: true });
+  assert.deepEqual(changes.hits.map(h => h.name), ['calendar_update']);
+  assert.equal((await searchHistory('owner1', { role: 'assistant' })).hits[0].text, 'Done.');
+  const later = await searchHistory('owner1', { from: new Date(Date.now() + 60_000) });
+  assert.equal(later.hits.length, 0);
+});
+
+test('bad ids are a 400 and deleting removes the conversation', async () => {
+  await assert.rejects(appendTranscript('owner1', 'bad id', [{ role: 'user', text: 'x' }]), e => e.status === 400);
+  assert.equal(await deleteConversation('owner1', 'conv_history_1'), true);
+  assert.equal(await deleteConversation('owner1', 'conv_history_1'), false);
+  assert.equal((await listConversations('owner1')).conversations.length, 0);
+});
@@ -0,0 +1,129 @@
+// test/journal.test.js — lib/journal.js and workspace.undo: recording changes and putting a calendar event back
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+process.env.STORE_DIR = dir;
+process.env.SESSION_SECRET = 's'.repeat(32);
+process.env.POLICY_FILE = path.join(dir, 'policy.json');
+fs.writeFileSync(process.env.POLICY_FILE, JSON.stringify({ defaults: { write: 'read' } }));
+delete process.env.WORKSPACE_DRY_RUN;
+
+const { recordChange, pendingChanges, markUndone, changeView } = require('../lib/journal');
+const { saveTokens } = require('../lib/session');
+const workspace = require('../api/workspace');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('changes come back newest first until they are undone', async () => {
+  const first = await recordChange('ann', { action: 'calendar.create', tool: 'calendar_create', account: 'g1', summary: 'Created "Dentist"', ops: [{ type: 'event.created', eventId: 'e1' }] });
+  const second = await recordChange('ann', { action: 'drive.share', tool: 'drive_share', account: 'g1', summary: 'Shared "Budget"', reason: 'Remove the access in Drive' });
+  await recordChange('bob', { action: 'calendar.create', tool: 'calendar_create', account: 'g2', summary: 'Created "Standup"', ops: [{ type: 'event.created', eventId: 'e9' }] });
+
+  assert.deepEqual((await pendingChanges('ann')).map(e => e.id), [second.id, first.id]);
+  assert.deepEqual(changeView(second), {
+    changeId: second.id, at: second.at, tool: 'drive_share', summary: 'Shared "Budget"', undoable: false, reason: 'Remove the access in Drive',
+  });
+  assert.equal(changeView(first).undoable, true);
+
+  assert.equal(await markUndone('ann', first.id), true);
+  assert.equal(await markUndone('ann', first.id), false);
+  assert.equal(await markUndone('ann', 'chg_nope'), false);
+  assert.deepEqual((await pendingChanges('ann')).map(e => e.id), [second.id]);
+  // Sealed at rest like session records.
+  assert.ok(!fs.readFileSync(path.join(dir, 'journal.json'), 'utf8').includes('Dentist'));
+});
+
+test('text too long to keep makes the change not undoable', async () => {
+  const before = 'x'.repeat(200_001);
+  const range = await recordChange('cat', { action: 'docs.write', tool: 'docs_write', account: 'g1', summary: 'Rewrote a section', ops: [{ type: 'doc.range', docId: 'd1', before }] });
+  assert.deepEqual(range.ops, []);
+  assert.match(range.reason, /Version history/);
+  const insert = await recordChange('cat', { action: 'docs.write', tool: 'docs_write', account: 'g1', summary: 'Added a lot', ops: [{ type: 'doc.inserted', docId: 'd1', length: 200_001 }] });
+  assert.equal(insert.ops.length, 1);
+});
+
+// ---- workspace.undo through the dispatcher, against an in-memory calendar
+const events = {};
+let stamp = 0;
+
+function calendarFetch(url, init = {}) {
+  const method = init.method || 'GET';
+  const reply = (data, status = 200) => ({
+    ok: status < 300, status, headers: { get: () => null }, json: async () => structuredClone(data), text: async () => JSON.stringify(data),
+  });
+  if (String(url).includes('/settings/timezone')) return reply({ value: 'Europe/Amsterdam' });
+  const m = /calendars\/primary\/events(?:\/([^?/]+))?/.exec(String(url));
+  if (!m) return reply({});
+  if (!m[1] && method === 'POST') {
+    const ev = { ...JSON.parse(init.body), id: `e${Object.keys(events).length + 1}`, status: 'confirmed', updated: `u${++stamp}` };
+    events[ev.id] = ev;
+    return reply(ev);
+  }
+  const ev = events[decodeURIComponent(m[1] || '')];
+  if (!ev) return reply({ error: { code: 404 } }, 404);
+  if (method === 'DELETE') {
+    ev.status = 'cancelled';
+    return reply({}, 204);
+  }
+  return reply(ev);
+}
+
+function fakeRes() {
+  const res = { headers: {}, statusCode: 0, body: null };
+  res.status = c => { res.statusCode = c; return res; };
+  res.setHeader = (k, v) => { res.headers[k] = v; return res; };
+  res.getHeader = k => res.headers[k];
+  res.send = b => { res.body = b; return res; };
+  res.json = b => { res.body = JSON.stringify(b); return res; };
+  res.end = () => res;
+  return res;
+}
+
+async function connect() {
+  const res = fakeRes();
+  await saveTokens({ headers: { host: 'localhost' } }, res, { access_token: 'at1', expires_in: 3600 }, { id: 'g1', email: 'ann@example.com' });
+  return res.headers['Set-Cookie'].find(c => c.startsWith('sid=')).split(';')[0];
+}
+
+async function call(cookie, action, body) {
+  const res = fakeRes();
+  await workspace({ method: 'POST', headers: { host: 'localhost', cookie }, query: { action }, body }, res);
+  return { status: res.statusCode, ...JSON.parse(res.body) };
+}
+
+test('workspace.undo deletes a created event, and refuses once it was edited elsewhere', async () => {
+  const saved = global.fetch;
+  global.fetch = async (url, init) => calendarFetch(url, init);
+  try {
+    const cookie = await connect();
+    const created = await call(cookie, 'calendar.create', { summary: 'Dentist', start: '2026-10-20T15:00:00+02:00', onConflict: 'ignore' });
+    assert.equal(created.ok, true);
+    const id = created.event.id;
+
+    const listed = await call(cookie, 'workspace.undo', { dryRun: true });
+    assert.deepEqual(listed.changes.map(c => [c.tool, c.undoable]), [['calendar_create', true]]);
+    assert.equal(events[id].status, 'confirmed');
+
+    const undone = await call(cookie, 'workspace.undo', {});
+    assert.equal(undone.ok, true);
+    assert.equal(undone.undone[0].deletedEvent, id);
+    assert.equal(events[id].status, 'cancelled');
+    assert.equal((await call(cookie, 'workspace.undo', {})).status, 404); // nothing left
+
+    const lunch = await call(cookie, 'calendar.create', { summary: 'Lunch', start: '2026-10-21T12:00:00+02:00', onConflict: 'ignore' });
+    events[lunch.event.id].updated = `u${++stamp}`; // changed in Google Calendar since
+    const refused = await call(cookie, 'workspace.undo', {});
+    assert.equal(refused.status, 409);
+    assert.equal(refused.modified, true);
+    assert.equal(events[lunch.event.id].status, 'confirmed');
+
+    assert.equal((await call(cookie, 'workspace.undo', { changeId: 'chg_nope' })).status, 404);
+  } finally {
+    global.fetch = saved;
+  }
+});
@@ -0,0 +1,92 @@
+// test/mime.test.js — lib/mime.js: Gmail payloads to readable text, outgoing RFC 2822 messages and reply headers
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeMessage, htmlToText, decodeEntities, buildRawMessage, replyHeaders } = require('../lib/mime');
+
+const b64 = s => Buffer.from(s, 'utf8').toString('base64url');
+const header = (name, value) => ({ name, value });
+
+// The raw message as text: headers and the (base64) body decoded.
+function parseRaw(raw) {
+  const text = Buffer.from(raw, 'base64url').toString('utf8');
+  const [head, body] = text.split('\r\n\r\n');
+  return { head: head.split('\r\n'), body: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8') };
+}
+
+test('entities and html bodies become plain text with links and list items', () => {
+  assert.equal(decodeEntities('Tom &amp; Jerry &#8211; &#x1F600; &hellip; &bogus;'), 'Tom & Jerry – 😀 … &bogus;');
+  const html = '<style>p{}</style><p>Hi&nbsp;there,</p><ul><li>one</li><li>two</li></ul>'
+    + '<p>See <a href="https://example.com/a">the doc</a> or <a href="mailto:x@y.z">mail</a>.</p>';
+  assert.equal(htmlToText(html), 'Hi there,\n\n• one\n• two\nSee the doc (https://example.com/a) or mail.');
+});
+
+test('multipart/alternative prefers text/plain and attachments are listed, not read', () => {
+  const msg = decodeMessage({
+    id: 'm1',
+    threadId: 't1',
+    snippet: 'Lunch &amp; more',
+    payload: {
+      mimeType: 'multipart/mixed',
+      headers: [header('From', 'Ann <ann@example.com>'), header('Subject', 'Lunch'), header('Message-ID', '<a@b>')],
+      parts: [
+        {
+          mimeType: 'multipart/alternative',
+          parts: [
+            { mimeType: 'text/plain', body: { data: b64('Noon?\r\nAnn') } },
+            { mimeType: 'text/html', body: { data: b64('<p>Noon?</p>') } },
+          ],
+        },
+        { mimeType: 'application/pdf', filename: 'menu.pdf', body: { attachmentId: 'att1', size: 1234 } },
+      ],
+    },
+  });
+  assert.equal(msg.body, 'Noon?\nAnn');
+  assert.equal(msg.snippet, 'Lunch & more');
+  assert.equal(msg.from, 'Ann <ann@example.com>');
+  assert.equal(msg.messageIdHeader, '<a@b>');
+  assert.deepEqual(msg.attachments, [{ filename: 'menu.pdf', mimeType: 'application/pdf', size: 1234, attachmentId: 'att1', inline: false }]);
+});
+
+test('html-only bodies in other charsets are decoded, and long bodies truncated', () => {
+  const latin1 = Buffer.from('<p>Caf\xe9</p>', 'latin1').toString('base64url');
+  const msg = decodeMessage({
+    payload: { mimeType: 'text/html', headers: [header('Content-Type', 'text/html; charset="ISO-8859-1"')], body: { data: latin1 } },
+  });
+  assert.equal(msg.body, 'Café');
+  const long = decodeMessage({ payload: { mimeType: 'text/plain', body: { data: b64('x'.repeat(50)) } } }, { maxChars: 10 });
+  assert.deepEqual([long.body.length, long.truncated], [10, true]);
+});
+
+test('outgoing messages: encoded subject, address lists and no header injection', () => {
+  const { head, body } = parseRaw(buildRawMessage({
+    to: ['"Doe, Jane" <jane@example.com>', 'bob@example.com'],
+    cc: 'carol@example.com\r\nBcc: evil@example.com',
+    subject: 'Überweisung',
+    body: 'Line 1\nLine 2',
+  }));
+  assert.equal(head[0], 'To: "Doe, Jane" <jane@example.com>, bob@example.com');
+  assert.equal(head[1], 'Cc: carol@example.com Bcc: evil@example.com');
+  assert.ok(!head.some(h => h.startsWith('Bcc:')));
+  assert.equal(head[2], `Subject: =?UTF-8?B?${Buffer.from('Überweisung').toString('base64')}?=`);
+  assert.ok(head.includes('Content-Type: text/plain; charset="UTF-8"'));
+  assert.equal(body, 'Line 1\r\nLine 2');
+});
+
+test('reply headers keep the thread and reply-all leaves out the sender\'s own address', () => {
+  const original = {
+    from: 'Ann <ann@example.com>',
+    to: 'me@example.com, "Doe, Jane" <jane@example.com>',
+    cc: 'bob@example.com',
+    subject: 'Plans',
+    messageIdHeader: '<m2@x>',
+    references: '<m1@x>',
+  };
+  assert.deepEqual(replyHeaders(original), {
+    to: 'Ann <ann@example.com>', cc: '', subject: 'Re: Plans', inReplyTo: '<m2@x>', references: '<m1@x> <m2@x>',
+  });
+  const all = replyHeaders({ ...original, subject: 'RE: Plans', replyTo: 'list@example.com' }, { replyAll: true, self: 'ME@example.com' });
+  assert.equal(all.to, 'list@example.com');
+  assert.equal(all.cc, '"Doe, Jane" <jane@example.com>, bob@example.com');
+  assert.equal(all.subject, 'RE: Plans');
+});
@@ -0,0 +1,92 @@
+// test/pdftext.test.js — lib/pdftext.js: page text out of small hand-built PDFs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { pdfToText, parseCMap } = require('../lib/pdftext');
+
+// [{ n, dict, stream? }] -> a PDF buffer. Offsets are not needed: the reader scans for "n 0 obj".
+function makePdf(objects, trailer = '') {
+  const chunks = [Buffer.from('%PDF-1.5\n')];
+  for (const o of objects) {
+    if (o.stream) {
+      chunks.push(Buffer.from(`${o.n} 0 obj\n<< ${o.dict} /Length ${o.stream.length} >>\nstream\n`, 'latin1'));
+      chunks.push(o.stream, Buffer.from('\nendstream\nendobj\n'));
+    } else {
+      chunks.push(Buffer.from(`${o.n} 0 obj\n<< ${o.dict} >>\nendobj\n`, 'latin1'));
+    }
+  }
+  chunks.push(Buffer.from(`trailer\n<< /Root 1 0 R ${trailer} >>\n%%EOF\n`));
+  return Buffer.concat(chunks);
+}
+
+const CMAP = [
+  '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+  '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+  '1 beginbfchar <0001> <0048> endbfchar',
+  '1 beginbfrange <0002> <0003> <0069> endbfrange',
+  'endcmap end end',
+].join('\n');
+
+// Two pages sharing resources from the page tree; the WinAnsi font lives in an object stream,
+// the composite font maps its 2-byte codes through a ToUnicode CMap.
+function invoicePdf(trailer) {
+  const header = '5 0 ';
+  const packed = `${header}<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>`;
+  return makePdf([
+    { n: 1, dict: '/Type /Catalog /Pages 2 0 R' },
+    { n: 2, dict: '/Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >>' },
+    { n: 3, dict: '/Type /Page /Parent 2 0 R /Contents 7 0 R' },
+    { n: 4, dict: '/Type /Page /Parent 2 0 R /Contents [8 0 R]' },
+    { n: 6, dict: '/Type /Font /Subtype /Type0 /ToUnicode 9 0 R' },
+    {
+      n: 7,
+      dict: '/Filter /FlateDecode',
+      stream: zlib.deflateSync(Buffer.from('BT /F1 12 Tf 72 700 Td (Total \\200 12) Tj 0 -14 Td [(Due)-300(Friday)] TJ ET', 'latin1')),
+    },
+    { n: 8, dict: '', stream: Buffer.from('BT /F2 10 Tf <000100020003> Tj ET') },
+    { n: 9, dict: '', stream: Buffer.from(CMAP) },
+    { n: 10, dict: `/Type /ObjStm /N 1 /First ${header.length} /Filter /FlateDecode`, stream: zlib.deflateSync(Buffer.from(packed)) },
+  ], trailer);
+}
+
+test('pages in page-tree order, WinAnsi and ToUnicode text, line breaks from moves', () => {
+  const { pages, encrypted } = pdfToText(invoicePdf());
+  assert.equal(encrypted, false);
+  assert.deepEqual(pages, ['Total € 12\nDue Friday', 'Hij']);
+});
+
+test('encrypted files come back as empty pages, flagged', () => {
+  const { pages, encrypted } = pdfToText(invoicePdf('/Encrypt 11 0 R'));
+  assert.equal(encrypted, true);
+  assert.deepEqual(pages, ['', '']);
+});
+
+test('without a catalog pages are read in object order', () => {
+  const pdf = makePdf([
+    { n: 4, dict: '/Type /Page /Contents 6 0 R' },
+    { n: 3, dict: '/Type /Page /Contents 5 0 R' },
+    { n: 5, dict: '', stream: Buffer.from('BT (first) Tj ET') },
+    { n: 6, dict: '', stream: Buffer.from('BT (second) Tj T* (line) Tj ET') },
+  ]);
+  assert.deepEqual(pdfToText(pdf).pages, ['first', 'second\nline']);
+});
+
+test('image-only streams and composite fonts without ToUnicode give no text', () => {
+  const pdf = makePdf([
+    { n: 1, dict: '/Type /Catalog /Pages 2 0 R' },
+    { n: 2, dict: '/Type /Pages /Kids [3 0 R] /Count 1' },
+    { n: 3, dict: '/Type /Page /Resources << /Font << /F1 4 0 R >> >> /Contents [5 0 R 6 0 R]' },
+    { n: 4, dict: '/Type /Font /Subtype /Type0' },
+    { n: 5, dict: '/Filter /DCTDecode', stream: Buffer.from([0xff, 0xd8, 0xff]) },
+    { n: 6, dict: '', stream: Buffer.from('BT /F1 9 Tf <00410042> Tj ET') },
+  ]);
+  assert.deepEqual(pdfToText(pdf).pages, ['']);
+});
+
+test('CMaps: code width, bfchar, bfrange with a base and with a list', () => {
+  const cmap = parseCMap(`${CMAP}\n1 beginbfrange <0010> <0011> [<0041> <00420043>] endbfrange`);
+  assert.equal(cmap.width, 2);
+  assert.deepEqual([1, 2, 3, 16, 17].map(c => cmap.map.get(c)), ['H', 'i', 'j', 'A', 'BC']);
+  assert.equal(parseCMap('begincodespacerange <00> <FF> endcodespacerange').width, 1);
+});
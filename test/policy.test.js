@@ -0,0 +1,137 @@
+// test/policy.test.js — lib/policy.js: per-action modes, allowlists and pending confirmations
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+process.env.STORE_DIR = dir;
+process.env.CONFIRM_SECRET = 'c'.repeat(32);
+delete process.env.WORKSPACE_DRY_RUN;
+
+const { loadPolicy, actionMode, restricted, allowedFile, allowedFolder, createPending, redeemPending } = require('../lib/policy');
+const { TOOLS } = require('../lib/tools');
+
+const tool = name => TOOLS.find(t => t.name === name);
+const withPolicy = raw => {
+  const file = path.join(dir, 'policy.json');
+  fs.writeFileSync(file, JSON.stringify(raw));
+  process.env.POLICY_FILE = file;
+  return loadPolicy();
+};
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('reads run, writes ask first, listed actions override the defaults', () => {
+  const policy = withPolicy({ actions: { 'drive.share': 'deny', 'calendar.delete': 'read' } });
+  assert.equal(actionMode(policy, tool('calendar_list')), 'read');
+  assert.equal(actionMode(policy, tool('calendar_create')), 'confirm');
+  assert.equal(actionMode(policy, tool('calendar_delete')), 'read');
+  assert.equal(actionMode(policy, tool('drive_share')), 'deny');
+  assert.equal(actionMode(policy, tool('gmail_send')), 'read'); // has its own draft confirmation
+});
+
+test('dryRun only counts as a read for tools that declare it', () => {
+  const policy = withPolicy({});
+  assert.equal(actionMode(policy, tool('sheets_upsert'), { dryRun: true }), 'read');
+  assert.equal(actionMode(policy, tool('calendar_create'), { dryRun: true }), 'confirm');
+  assert.equal(actionMode(withPolicy({ actions: { 'sheets.upsert': 'deny' } }), tool('sheets_upsert'), { dryRun: true }), 'deny');
+});
+
+test('a bad mode in the policy file is a 500 naming it', () => {
+  assert.throws(() => withPolicy({ actions: { 'drive.share': 'maybe' } }), e => e.status === 500 && /drive\.share/.test(e.body.details));
+});
+
+test('WORKSPACE_DRY_RUN overrides the file', () => {
+  process.env.WORKSPACE_DRY_RUN = '1';
+  try {
+    assert.equal(withPolicy({ dryRun: false }).dryRun, true);
+  } finally {
+    delete process.env.WORKSPACE_DRY_RUN;
+  }
+});
+
+test('allowlists: listed folders and spreadsheets, by id or name', () => {
+  const open = withPolicy({});
+  assert.equal(allowedFile(open, { id: 'x', parents: [] }), true);
+
+  const policy = withPolicy({ allow: { folders: ['Finance', 'root'], spreadsheets: ['Expenses 2026'] } });
+  assert.equal(allowedFile(policy, { id: 'f1', parents: [{ id: 'p1', name: 'finance' }] }), true);
+  assert.equal(allowedFile(policy, { id: 'f2', parents: [{ id: 'p2', name: 'Other' }] }), false);
+  assert.equal(allowedFile(policy, { id: 's1', name: 'Expenses 2026', parents: [{ id: 'p2', name: 'Other' }] }, { spreadsheet: true }), true);
+  assert.equal(allowedFile(policy, { id: 's1', name: 'Expenses 2026', parents: [{ id: 'p2', name: 'Other' }] }), false);
+  assert.equal(allowedFolder(policy, { id: 'root' }), true);
+});
+
+test('a pending token confirms exactly one call, once, for its owner', async () => {
+  const args = { summary: 'Dentist', start: '2026-10-20T15:00' };
+  const { pendingToken } = createPending('owner1', 'calendar.create', args);
+
+  await assert.rejects(redeemPending('owner2', 'calendar.create', { ...args, pendingToken }), e => e.status === 403);
+  await assert.rejects(redeemPending('owner1', 'calendar.create', { ...args, summary: 'Other', pendingToken }), e => e.status === 409);
+  // Key order doesn't matter.
+  await redeemPending('owner1', 'calendar.create', { start: args.start, pendingToken, summary: args.summary });
+  await assert.rejects(redeemPending('owner1', 'calendar.create', { ...args, pendingToken }), e => /already used/.test(e.body.error));
+  await assert.rejects(redeemPending('owner1', 'calendar.create', { ...args, pendingToken: 'garbage' }), e => e.status === 403);
+});
+
+test('defaults apply by whether a tool writes; the shipped policy file is valid', () => {
+  const strict = withPolicy({ defaults: { read: 'confirm', write: 'deny' } });
+  assert.equal(actionMode(strict, tool('calendar_list')), 'confirm');
+  assert.equal(actionMode(strict, tool('calendar_create')), 'deny');
+  assert.equal(actionMode(strict, tool('gmail_send')), 'read');
+
+  delete process.env.POLICY_FILE;
+  const shipped = loadPolicy();
+  assert.equal(shipped.defaults.write, 'confirm');
+  assert.equal(actionMode(shipped, tool('gmail_draft')), 'read');
+});
+
+test('a POLICY_FILE that is missing or not JSON is a 500', () => {
+  process.env.POLICY_FILE = path.join(dir, 'missing.json');
+  assert.throws(() => loadPolicy(), e => e.status === 500 && e.body.error.includes('missing.json'));
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ "defaults": ');
+  process.env.POLICY_FILE = path.join(dir, 'broken.json');
+  assert.throws(() => loadPolicy(), e => e.status === 500);
+  assert.throws(() => withPolicy({ defaults: { write: 'ask' } }), e => /defaults\.write/.test(e.body.details));
+});
+
+test('My Drive by name, folders by id, and unrestricted policies', () => {
+  const open = withPolicy({ allow: { folders: [], spreadsheets: [' '] } });
+  assert.equal(restricted(open), false);
+  assert.equal(allowedFolder(open, { id: 'anything' }), true);
+
+  const policy = withPolicy({ allow: { folders: ['My Drive', 'fld123'] } });
+  assert.equal(restricted(policy), true);
+  assert.equal(allowedFolder(policy, { id: 'r', name: 'My Drive', isRoot: true }), true);
+  assert.equal(allowedFolder(policy, { id: 'fld123', name: 'Projects' }), true);
+  assert.ok(!allowedFolder(policy, { id: 'fld999', name: 'Projects' }));
+  assert.equal(allowedFile(policy, { id: 'f', parents: [] }), false);
+});
+
+test('pending tokens: nested arguments in any order, other actions, expiry and a missing secret', async () => {
+  const args = { spreadsheetId: 's1', values: [{ b: 2, a: 1 }] };
+  const first = createPending('owner1', 'sheets.upsert', args);
+  await redeemPending('owner1', 'sheets.upsert', { values: [{ a: 1, b: 2 }], spreadsheetId: 's1', pendingToken: first.pendingToken });
+  assert.ok(Date.parse(first.expiresAt) > Date.now());
+
+  const { pendingToken } = createPending('owner1', 'sheets.upsert', args);
+  await assert.rejects(redeemPending('owner1', 'sheets.clear', { ...args, pendingToken }), e => e.status === 409);
+  const realNow = Date.now;
+  Date.now = () => realNow() + 301 * 1000;
+  try {
+    await assert.rejects(redeemPending('owner1', 'sheets.upsert', { ...args, pendingToken }), e => e.status === 403);
+  } finally {
+    Date.now = realNow;
+  }
+
+  const saved = process.env.CONFIRM_SECRET;
+  delete process.env.CONFIRM_SECRET;
+  try {
+    assert.throws(() => createPending('owner1', 'sheets.upsert', args), e => e.status === 500);
+  } finally {
+    process.env.CONFIRM_SECRET = saved;
+  }
+});
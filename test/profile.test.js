@@ -0,0 +1,145 @@
+// test/profile.test.js — lib/profile.js: checking profiles, picking one per account, who may edit, the realtime setup
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-test-'));
+process.env.STORE_DIR = dir;
+process.env.SESSION_SECRET = 's'.repeat(32);
+
+const {
+  checkProfile, canEditProfiles, loadProfiles, resolveProfile, saveProfile, resetProfile, sessionSetup, toolEnabled,
+} = require('../lib/profile');
+const { saveTokens } = require('../lib/session');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const withProfiles = raw => {
+  const file = path.join(dir, 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify(raw));
+  process.env.PROFILES_FILE = file;
+};
+
+function fakeRes() {
+  const headers = {};
+  return { getHeader: k => headers[k], setHeader: (k, v) => { headers[k] = v; }, headers };
+}
+
+async function signedIn(email) {
+  const res = fakeRes();
+  await saveTokens({ headers: { host: 'localhost' } }, res, { access_token: 'at1' }, { id: email, email });
+  return { headers: { host: 'localhost', cookie: res.headers['Set-Cookie'].find(c => c.startsWith('sid=')).split(';')[0] } };
+}
+
+test('missing fields come from the defaults; voices match whatever the case', () => {
+  const { profile, errors } = checkProfile({ name: ' Ada ', voice: 'kore', vad: { threshold: '0.5' } });
+  assert.deepEqual(errors, []);
+  assert.equal(profile.name, 'Ada');
+  assert.equal(profile.voice, 'Kore');
+  assert.equal(profile.language, 'English');
+  assert.deepEqual(profile.vad, { threshold: 0.5, prefixPaddingMs: 400, silenceDurationMs: 1200, idleTimeoutMs: 10000, interruptResponse: true });
+  assert.equal(profile.tools, 'all');
+});
+
+test('every unusable field is listed', () => {
+  const { errors } = checkProfile({
+    name: '',
+    voice: 'Alloy',
+    vad: { threshold: 2, silenceDurationMs: 'soon' },
+    tools: ['calendar_list', 'make_coffee'],
+    instructions: [{ id: 'a', text: 'x' }, { id: 'a', text: 'y' }, { id: 'bad id', text: 'z' }, { id: 'long', text: 'x'.repeat(4001) }],
+  });
+  assert.deepEqual(errors, [
+    'name is required',
+    'vad.threshold must be a number from 0 to 1',
+    'vad.silenceDurationMs must be a number from 100 to 5000',
+    'voice must be one of Puck, Charon, Kore, Fenrir, Aoede, Leda, Orus, Zephyr',
+    'Unknown tools: make_coffee',
+    'instructions[1].id "a" is used twice',
+    'instructions[2].id must be 1-40 letters, digits, - or _',
+    'instructions[3] is longer than 4000 characters',
+  ]);
+  assert.deepEqual(checkProfile({ tools: 'some' }).errors, ['tools must be "all" or a list of tool names']);
+});
+
+test('tool lists are deduplicated and checked by name', () => {
+  const { profile } = checkProfile({ tools: ['calendar_list', 'calendar_list', 'gmail_send'] });
+  assert.deepEqual(profile.tools, ['calendar_list', 'gmail_send']);
+  assert.equal(toolEnabled(profile, 'gmail_send'), true);
+  assert.equal(toolEnabled(profile, 'drive_share'), false);
+  assert.equal(toolEnabled(checkProfile({}).profile, 'drive_share'), true);
+});
+
+test('the shipped profiles file loads; a bad one is a 500 naming the problem', () => {
+  delete process.env.PROFILES_FILE;
+  const shipped = loadProfiles();
+  assert.ok(shipped.profiles[shipped.default]);
+
+  withProfiles({ default: 'main', profiles: { main: { name: 'Nyx' } }, assign: { 'ann@example.com': 'other' } });
+  assert.throws(() => loadProfiles(), e => e.status === 500 && /assign\["ann@example.com"\]/.test(e.body.details));
+  withProfiles({ default: 'nope', profiles: { main: { name: 'Nyx' } } });
+  assert.throws(() => loadProfiles(), e => /default profile "nope"/.test(e.body.details));
+  withProfiles({ profiles: { main: { name: 'Nyx', voice: 'Alloy' } } });
+  assert.throws(() => loadProfiles(), e => /profiles\.main: voice/.test(e.body.details));
+});
+
+test('only PROFILE_ADMINS, by email or @domain, may edit', () => {
+  try {
+    delete process.env.PROFILE_ADMINS;
+    assert.equal(canEditProfiles('ann@example.com'), false);
+    process.env.PROFILE_ADMINS = ' Ann@Example.com , @office.example ';
+    assert.equal(canEditProfiles('ann@example.com'), true);
+    assert.equal(canEditProfiles('bob@office.example'), true);
+    assert.equal(canEditProfiles('bob@example.com'), false);
+    assert.equal(canEditProfiles(''), false);
+  } finally {
+    delete process.env.PROFILE_ADMINS;
+  }
+});
+
+test('accounts get their profile by email, then domain, then the default; saved edits win until reset', async () => {
+  withProfiles({
+    default: 'main',
+    assign: { 'Ann@example.com': 'ann', '@office.example': 'office' },
+    profiles: { main: { name: 'Nyx' }, ann: { name: 'Ada' }, office: { name: 'Otto' } },
+  });
+  process.env.PROFILE_ADMINS = 'ann@example.com';
+  try {
+    const ann = await resolveProfile(await signedIn('ann@example.com'), fakeRes());
+    assert.deepEqual([ann.id, ann.profile.name, ann.saved, ann.canEdit], ['ann', 'Ada', false, true]);
+    const bob = await resolveProfile(await signedIn('bob@office.example'), fakeRes());
+    assert.deepEqual([bob.id, bob.canEdit], ['office', false]);
+    const nobody = await resolveProfile({ headers: { host: 'localhost' } }, fakeRes());
+    assert.deepEqual([nobody.id, nobody.signedIn, nobody.canEdit], ['main', false, false]);
+
+    await assert.rejects(saveProfile('ann', { name: '' }, 'ann@example.com'), e => e.status === 400 && e.body.errors.length === 1);
+    await saveProfile('ann', { name: 'Ada 2', voice: 'Leda' }, 'ann@example.com');
+    const edited = await resolveProfile(await signedIn('ann@example.com'), fakeRes());
+    assert.deepEqual([edited.profile.name, edited.profile.voice, edited.saved], ['Ada 2', 'Leda', true]);
+    await resetProfile('ann');
+    assert.equal((await resolveProfile(await signedIn('ann@example.com'), fakeRes())).profile.name, 'Ada');
+  } finally {
+    delete process.env.PROFILE_ADMINS;
+  }
+});
+
+test('the realtime setup carries the voice, turn detection, instructions and greeting', () => {
+  const { profile } = checkProfile({
+    name: 'Nyx',
+    userName: 'Sam',
+    greeting: 'Hi {userName}, {name} here.',
+    language: 'Dutch',
+    vad: { idleTimeoutMs: 0, interruptResponse: false },
+    instructions: [{ id: 'tone', text: 'Keep it short for {userName}.' }, { id: 'off', text: 'Ignored.', enabled: false }],
+  });
+  const { session, greeting } = sessionSetup(profile);
+  assert.equal(session.voice, 'Puck');
+  assert.equal(session.turn_detection.interrupt_response, false);
+  assert.equal(session.turn_detection.idle_timeout_ms, undefined);
+  assert.equal(session.instructions, 'Your name is Nyx. You are talking with Sam. Always speak Dutch unless asked to speak another language or to translate.\n\nKeep it short for Sam.');
+  assert.equal(greeting, 'Say exactly: "Hi Sam, Nyx here."');
+  assert.equal(sessionSetup(checkProfile({}).profile).greeting, '');
+});
@@ -0,0 +1,74 @@
+// test/realtime-tokens.test.js — lib/realtime-tokens.js: single-use relay tokens, rate limit and revocation
+// Runs on the kv store adapter (revocation needs it) against an in-memory stand-in for the Upstash REST API.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REALTIME_TOKEN_SECRET = 'r'.repeat(32);
+process.env.REALTIME_TOKEN_RATE = '3';
+process.env.STORE_ADAPTER = 'kv';
+process.env.KV_REST_API_URL = 'https://kv.test';
+process.env.KV_REST_API_TOKEN = 'kv-token';
+
+const kv = new Map();
+global.fetch = async (url, { body }) => {
+  const [cmd, key, ...rest] = JSON.parse(body);
+  let result = null;
+  if (cmd === 'GET') result = kv.get(key) ?? null;
+  else if (cmd === 'SET') {
+    if (rest.includes('NX') && kv.has(key)) result = null;
+    else { kv.set(key, rest[0]); result = 'OK'; }
+  } else if (cmd === 'INCR') {
+    result = (Number(kv.get(key)) || 0) + 1;
+    kv.set(key, String(result));
+  } else if (cmd === 'PEXPIRE') result = 1;
+  else if (cmd === 'DEL') result = kv.delete(key) ? 1 : 0;
+  return { ok: true, status: 200, json: async () => ({ result }) };
+};
+
+const { mintToken, consumeToken, revokeTokens } = require('../lib/realtime-tokens');
+
+const ann = { sub: 'ann', email: 'ann@example.com' };
+const bob = { sub: 'bob', email: 'bob@example.com' };
+
+test('a token opens exactly one relay connection', async () => {
+  const m = await mintToken(ann);
+  assert.equal(m.ok, true);
+  assert.deepEqual(await consumeToken(m.token), { ok: true, user: ann });
+  assert.deepEqual(await consumeToken(m.token), { ok: false, error: 'already_used' });
+});
+
+test('tampered tokens and tokens without a user are refused', async () => {
+  const m = await mintToken(ann);
+  assert.equal((await consumeToken(`${m.token}x`)).error, 'invalid_token');
+  assert.equal((await consumeToken('')).error, 'invalid_token');
+  assert.deepEqual(await mintToken({}), { ok: false, status: 401, error: 'not_connected' });
+});
+
+test('minting is rate limited per user', async () => {
+  kv.clear();
+  for (let i = 0; i < 3; i++) assert.equal((await mintToken(bob)).ok, true);
+  const limited = await mintToken(bob);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.error, 'rate_limited');
+  assert.equal((await mintToken(ann)).ok, true);
+});
+
+test('a user revokes one of their own tokens, not someone else\'s', async () => {
+  kv.clear();
+  const mine = await mintToken(ann);
+  const theirs = await mintToken(bob);
+  assert.deepEqual(await revokeTokens(ann, { jti: theirs.jti }), { ok: false, status: 404, error: 'unknown_token' });
+  assert.deepEqual(await revokeTokens(ann, { jti: mine.jti }), { ok: true });
+  assert.equal((await consumeToken(mine.token)).error, 'revoked');
+  assert.equal((await consumeToken(theirs.token)).ok, true);
+});
+
+test('revoking without a jti ends every token issued so far', async () => {
+  kv.clear();
+  const a = await mintToken(ann);
+  const b = await mintToken(ann);
+  assert.deepEqual(await revokeTokens(ann), { ok: true });
+  assert.equal((await consumeToken(a.token)).error, 'revoked');
+  assert.equal((await consumeToken(b.token)).error, 'revoked');
+});
@@ -0,0 +1,54 @@
+// test/recurrence.test.js — lib/recurrence.js: spoken repeat patterns to RRULEs, read-back and splitting a series
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRecurrence, describeRule, endRuleBefore, remainingRule, ruleCount } = require('../lib/recurrence');
+
+const rule = (spec, opts) => buildRecurrence(spec, opts).rule;
+
+test('presets and phrases become RRULEs', () => {
+  assert.equal(rule('daily'), 'RRULE:FREQ=DAILY');
+  assert.equal(rule('Every Weekday'), 'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.equal(rule('fortnightly'), 'RRULE:FREQ=WEEKLY;INTERVAL=2');
+  assert.equal(rule('every other Tuesday'), 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU');
+  assert.equal(rule('every monday and wednesdays'), 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE');
+  assert.equal(rule('every 3 weeks'), 'RRULE:FREQ=WEEKLY;INTERVAL=3');
+  assert.equal(rule('first Monday of the month'), 'RRULE:FREQ=MONTHLY;BYDAY=1MO');
+  assert.equal(rule('last friday'), 'RRULE:FREQ=MONTHLY;BYDAY=-1FR');
+});
+
+test('raw RRULEs pass a sanity check', () => {
+  assert.equal(rule('freq=monthly;bymonthday=15'), 'RRULE:FREQ=MONTHLY;BYMONTHDAY=15');
+  assert.match(buildRecurrence('RRULE:FREQ=HOURLY').error, /FREQ must be/);
+  assert.match(buildRecurrence('FREQ=DAILY;X-NOTE=a b').error, /unexpected characters/);
+  assert.match(buildRecurrence('whenever I feel like it').error, /could not understand/);
+  assert.equal(buildRecurrence('').error, 'empty recurrence');
+});
+
+test('until and count replace whatever limit the rule had', () => {
+  const until = new Date('2026-12-31T22:59:59Z');
+  assert.equal(rule('weekly', { until }), 'RRULE:FREQ=WEEKLY;UNTIL=20261231T225959Z');
+  assert.equal(rule('weekly', { until, allDay: true }), 'RRULE:FREQ=WEEKLY;UNTIL=20261231');
+  assert.equal(rule('RRULE:COUNT=5;FREQ=DAILY', { count: 3 }), 'RRULE:FREQ=DAILY;COUNT=3');
+  assert.equal(rule('daily', { count: 5000 }), 'RRULE:FREQ=DAILY;COUNT=730');
+  assert.match(buildRecurrence('daily', { until, count: 2 }).error, /either until or count/);
+});
+
+test('rules are read back in plain English', () => {
+  assert.equal(describeRule('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'), 'every weekday');
+  assert.equal(describeRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU'), 'every 2 weeks on Tuesday');
+  assert.equal(describeRule('FREQ=MONTHLY;BYDAY=-1FR,2MO'), 'every month on last Friday, second Monday');
+  assert.equal(describeRule('FREQ=DAILY;COUNT=4'), 'every day, 4 times');
+  assert.equal(buildRecurrence('monthly', { until: new Date('2027-03-01T00:00:00Z') }).description, 'every month, until 2027-03-01');
+});
+
+test('splitting a series: the old part ends before the split, a COUNT carries on with what is left', () => {
+  const split = new Date('2026-11-02T09:00:00Z');
+  assert.equal(endRuleBefore('RRULE:FREQ=WEEKLY;COUNT=10', split), 'RRULE:FREQ=WEEKLY;UNTIL=20261102T085959Z');
+  assert.equal(ruleCount('RRULE:FREQ=WEEKLY;COUNT=10'), 10);
+  assert.equal(ruleCount('RRULE:COUNT=3;FREQ=DAILY'), 3);
+  assert.equal(ruleCount('RRULE:FREQ=WEEKLY'), null);
+  assert.equal(remainingRule('RRULE:FREQ=WEEKLY;COUNT=10', 4), 'RRULE:FREQ=WEEKLY;COUNT=6');
+  assert.equal(remainingRule('RRULE:FREQ=WEEKLY;COUNT=3', 5), 'RRULE:FREQ=WEEKLY;COUNT=1');
+  assert.equal(remainingRule('RRULE:FREQ=WEEKLY;UNTIL=20261231T000000Z', 4), 'RRULE:FREQ=WEEKLY;UNTIL=20261231T000000Z');
+});
@@ -0,0 +1,128 @@
+// test/relay.test.js — server/gemini-realtime.js: setup building and the browser <-> Gemini message translation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSetup, toGeminiSchema, RelaySession } = require('../server/gemini-realtime');
+
+// A socket stand-in that is always open and keeps what was sent to it.
+function fakeSocket() {
+  return { readyState: 1, sent: [], send(raw) { this.sent.push(JSON.parse(raw)); }, close() { this.readyState = 3; } };
+}
+
+function session() {
+  const s = new RelaySession(fakeSocket(), { email: 'test' });
+  s.upstream = fakeSocket();
+  s.ready = true;
+  s.setupSent = true;
+  return s;
+}
+
+test('toGeminiSchema keeps the OpenAPI subset and types untyped properties', () => {
+  const out = toGeminiSchema({
+    type: 'object',
+    additionalProperties: false,
+    properties: { q: { description: 'query' }, n: { type: 'integer', minimum: 1, maximum: 5, default: 2 } },
+    required: [],
+  });
+  assert.deepEqual(out, {
+    type: 'object',
+    properties: { q: { type: 'string', description: 'query' }, n: { type: 'integer', minimum: 1, maximum: 5 } },
+  });
+  assert.deepEqual(toGeminiSchema({ type: 'object', properties: {} }), { type: 'object' });
+  assert.deepEqual(toGeminiSchema({ type: 'array', items: { enum: ['a'] } }), { type: 'array', items: { type: 'string', enum: ['a'] } });
+});
+
+test('buildSetup maps voice, instructions, tools and turn detection', () => {
+  const { setup } = buildSetup({
+    voice: 'Kore',
+    instructions: 'Be brief.',
+    tools: [
+      { name: 'calendar_list', description: 'List', parameters: { type: 'object', properties: { maxResults: { type: 'integer' } } } },
+      { name: 'workspace_undo', parameters: { type: 'object', properties: {} } },
+      { description: 'no name' },
+    ],
+    turn_detection: { type: 'server_vad', prefix_padding_ms: 300, silence_duration_ms: 900 },
+  });
+  assert.equal(setup.generationConfig.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName, 'Kore');
+  assert.deepEqual(setup.systemInstruction, { parts: [{ text: 'Be brief.' }] });
+  assert.deepEqual(setup.tools[0].functionDeclarations.map(d => [d.name, !!d.parameters]), [['calendar_list', true], ['workspace_undo', false]]);
+  assert.deepEqual(setup.realtimeInputConfig.automaticActivityDetection, { disabled: false, prefixPaddingMs: 300, silenceDurationMs: 900 });
+});
+
+test('buildSetup falls back to the default voice for one Gemini does not have', () => {
+  const { setup } = buildSetup({ voice: 'alloy' });
+  assert.equal(setup.generationConfig.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName, process.env.GEMINI_VOICE || 'Puck');
+  assert.equal(setup.tools, undefined);
+});
+
+test('browser audio, prompts and tool output become Gemini messages', () => {
+  const s = session();
+  s.onClient(JSON.stringify({ realtime_input: { media_chunks: [{ mime_type: 'audio/pcm;rate=16000', data: 'AAA=' }] } }));
+  s.onClient(JSON.stringify({ type: 'response.create', response: { instructions: 'Say hi' } }));
+  s.onClient(JSON.stringify({ type: 'conversation.item.create', item: { type: 'function_call_output', call_id: 'c1', name: 'calendar_list', output: '{"ok":true}' } }));
+  s.onClient(JSON.stringify({ type: 'conversation.item.create', item: { type: 'function_call_output', call_id: 'c2', output: 'plain' } }));
+  assert.deepEqual(s.upstream.sent, [
+    { realtimeInput: { mediaChunks: [{ mimeType: 'audio/pcm;rate=16000', data: 'AAA=' }] } },
+    { clientContent: { turns: [{ role: 'user', parts: [{ text: 'Say hi' }] }], turnComplete: true } },
+    { toolResponse: { functionResponses: [{ id: 'c1', name: 'calendar_list', response: { ok: true } }] } },
+    { toolResponse: { functionResponses: [{ id: 'c2', name: '', response: { output: 'plain' } }] } },
+  ]);
+});
+
+test('messages sent before setupComplete are queued and flushed in order', () => {
+  const s = session();
+  s.ready = false;
+  s.onClient(JSON.stringify({ type: 'response.create', response: { instructions: 'first' } }));
+  assert.equal(s.upstream.sent.length, 0);
+  s.onUpstream(JSON.stringify({ setupComplete: {} }));
+  assert.equal(s.upstream.sent[0].clientContent.turns[0].parts[0].text, 'first');
+  assert.equal(s.queue.length, 0);
+});
+
+test('a model turn becomes one response with transcript, audio and done', () => {
+  const s = session();
+  s.onUpstream(JSON.stringify({ serverContent: { inputTranscription: { text: 'hello' } } }));
+  s.onUpstream(JSON.stringify({ serverContent: { outputTranscription: { text: 'Hi ' } } }));
+  s.onUpstream(JSON.stringify({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data: 'AA==' } }] } } }));
+  s.onUpstream(JSON.stringify({ serverContent: { turnComplete: true } }));
+  const sent = s.client.sent;
+  assert.deepEqual(sent.map(m => m.type), [
+    'response.input_text.delta', 'response.created', 'response.audio_transcript.delta', 'response.audio.delta', 'response.done',
+  ]);
+  const id = sent[1].response.id;
+  assert.ok(sent.slice(2).every(m => m.response_id === id));
+  assert.equal(sent[4].response.status, 'completed');
+});
+
+test('tool calls are passed on as function_call_arguments.done and end the turn', () => {
+  const s = session();
+  s.onUpstream(JSON.stringify({ toolCall: { functionCalls: [{ id: 'f1', name: 'calendar_list', args: { maxResults: 3 } }] } }));
+  const [created, call, done] = s.client.sent;
+  assert.equal(created.type, 'response.created');
+  assert.deepEqual(
+    { type: call.type, call_id: call.call_id, name: call.name, arguments: JSON.parse(call.arguments) },
+    { type: 'response.function_call_arguments.done', call_id: 'f1', name: 'calendar_list', arguments: { maxResults: 3 } }
+  );
+  assert.equal(done.type, 'response.done');
+});
+
+test('an interruption cancels the response and goAway warns the browser', () => {
+  const s = session();
+  s.onUpstream(JSON.stringify({ serverContent: { modelTurn: { parts: [{ text: 'Long answer' }] } } }));
+  s.onUpstream(JSON.stringify({ serverContent: { interrupted: true } }));
+  s.onUpstream(JSON.stringify({ goAway: { timeLeft: '10s' } }));
+  assert.deepEqual(s.client.sent.slice(-2).map(m => m.type), ['response.done', 'session.expiring']);
+  assert.equal(s.client.sent.at(-2).response.status, 'cancelled');
+  assert.equal(s.client.sent.at(-1).time_left, '10s');
+});
+
+test('session.update after setup restarts the upstream with the merged config', () => {
+  const s = session();
+  const old = s.upstream;
+  s.openUpstream = () => {}; // no network here
+  s.onClient(JSON.stringify({ type: 'session.update', session: { instructions: 'New', voice: 'Leda', ignored: 1 } }));
+  assert.equal(old.readyState, 3);
+  assert.equal(s.upstream, null);
+  assert.deepEqual(s.cfg, { instructions: 'New', voice: 'Leda' });
+  assert.equal(s.client.sent.at(-1).type, 'session.updated');
+});
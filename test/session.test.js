@@ -0,0 +1,127 @@
+// test/session.test.js — lib/session.js: encrypted session records, accounts, the legacy cookie and token refresh
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-test-'));
+process.env.STORE_DIR = dir;
+process.env.SESSION_SECRET = 's'.repeat(32);
+
+const {
+  seal, open, saveTokens, getSession, getFreshTokens, listAccounts, configureAccount, removeAccount,
+} = require('../lib/session');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function fakeRes() {
+  const headers = {};
+  return { getHeader: k => headers[k], setHeader: (k, v) => { headers[k] = v; }, headers };
+}
+
+// A request carrying the sid cookie a previous response set.
+function withCookie(res, extra = '') {
+  const sid = res.headers['Set-Cookie'].find(c => c.startsWith('sid=')).split(';')[0];
+  return { headers: { host: 'localhost', cookie: [sid, extra].filter(Boolean).join('; ') } };
+}
+
+async function newSession(account = { id: 'g1', email: 'ann@example.com' }, tokens = {}) {
+  const res = fakeRes();
+  await saveTokens({ headers: { host: 'localhost' } }, res, { access_token: 'at1', refresh_token: 'rt1', expires_in: 3600, ...tokens }, account);
+  return { res, req: withCookie(res) };
+}
+
+test('records are sealed with SESSION_SECRET and tampering is caught', () => {
+  const sealed = seal({ access_token: 'secret-token' });
+  assert.ok(sealed.startsWith('v1.') && !sealed.includes('secret-token'));
+  assert.deepEqual(open(sealed), { access_token: 'secret-token' });
+  const buf = Buffer.from(sealed.slice(3), 'base64');
+  buf[buf.length - 1] ^= 1;
+  assert.equal(open(`v1.${buf.toString('base64')}`), null);
+  assert.equal(open('plain'), null);
+
+  process.env.SESSION_SECRET = 'x'.repeat(32);
+  try {
+    assert.equal(open(sealed), null);
+  } finally {
+    process.env.SESSION_SECRET = 's'.repeat(32);
+  }
+});
+
+test('a new session sets an HttpOnly sid cookie and keeps no token in clear text', async () => {
+  const { res, req } = await newSession();
+  const cookie = res.headers['Set-Cookie'].find(c => c.startsWith('sid='));
+  assert.match(cookie, /HttpOnly/);
+  assert.doesNotMatch(cookie, /Secure/); // plain-http localhost
+  const { record } = await getSession(req, fakeRes());
+  assert.equal(record.accounts.g1.tokens.access_token, 'at1');
+  assert.equal(record.defaultAccount, 'g1');
+  assert.ok(!fs.readFileSync(path.join(dir, 'sessions.json'), 'utf8').includes('at1'));
+});
+
+test('accounts added at the same time are all kept', async () => {
+  const { req } = await newSession();
+  await Promise.all(['g2', 'g3', 'g4'].map(id =>
+    saveTokens(req, fakeRes(), { access_token: `at-${id}` }, { id, email: `${id}@example.com` })
+  ));
+  const { accounts, defaultAccount } = await listAccounts(req, fakeRes());
+  assert.deepEqual(accounts.map(a => a.id).sort(), ['g1', 'g2', 'g3', 'g4']);
+  assert.equal(defaultAccount, 'g1');
+});
+
+test('accounts can be labelled, made default and removed', async () => {
+  const { req } = await newSession();
+  await saveTokens(req, fakeRes(), { access_token: 'w' }, { id: 'g2', email: 'ann@work.example' });
+  const work = await configureAccount(req, 'ann@work.example', { label: 'work', makeDefault: true });
+  assert.deepEqual([work.id, work.label, work.default], ['g2', 'work', true]);
+  assert.equal((await getFreshTokens(req, fakeRes())).access_token, 'w');
+  assert.equal((await getFreshTokens(req, fakeRes(), { account: 'ann@example.com' })).access_token, 'at1');
+  assert.equal(await getFreshTokens(req, fakeRes(), { account: 'nobody' }), null);
+
+  assert.deepEqual(await removeAccount(req, fakeRes(), 'work'), { removed: 'g2', remaining: 1 });
+  assert.equal((await listAccounts(req, fakeRes())).defaultAccount, 'g1');
+});
+
+test('a legacy gTokens cookie is moved into the store and cleared', async () => {
+  const legacy = encodeURIComponent(JSON.stringify({ access_token: 'old', refresh_token: 'r' }));
+  const res = fakeRes();
+  const { sid, record } = await getSession({ headers: { host: 'localhost', cookie: `gTokens=${legacy}` } }, res);
+  assert.ok(sid);
+  assert.equal(record.accounts.legacy.tokens.access_token, 'old');
+  assert.ok(res.headers['Set-Cookie'].some(c => c.startsWith('gTokens=;') && c.includes('Max-Age=0')));
+});
+
+test('expiring tokens are refreshed once for parallel callers', async () => {
+  const { req } = await newSession({ id: 'g1' }, { expires_in: 30 });
+  const calls = [];
+  const saved = global.fetch;
+  global.fetch = async (url, init) => {
+    calls.push(new URLSearchParams(init.body).get('refresh_token'));
+    await new Promise(r => setTimeout(r, 20));
+    return { ok: true, status: 200, json: async () => ({ access_token: 'at2', expires_in: 3600 }) };
+  };
+  try {
+    const got = await Promise.all([1, 2, 3].map(() => getFreshTokens(req, fakeRes())));
+    assert.deepEqual(got.map(t => t.access_token), ['at2', 'at2', 'at2']);
+    assert.deepEqual(calls, ['rt1']);
+    const { record } = await getSession(req, fakeRes());
+    assert.equal(record.accounts.g1.tokens.refresh_token, 'rt1'); // Google leaves it out of refresh answers
+  } finally {
+    global.fetch = saved;
+  }
+});
+
+test('a failed refresh comes back as the old tokens with _refresh_error', async () => {
+  const { req } = await newSession({ id: 'g1' }, { expires_in: 30 });
+  const saved = global.fetch;
+  global.fetch = async () => ({ ok: false, status: 400, json: async () => ({ error: 'invalid_grant' }) });
+  try {
+    const t = await getFreshTokens(req, fakeRes());
+    assert.equal(t.access_token, 'at1');
+    assert.deepEqual(t._refresh_error, { error: 'invalid_grant' });
+  } finally {
+    global.fetch = saved;
+  }
+});
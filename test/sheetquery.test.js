@@ -0,0 +1,140 @@
+// test/sheetquery.test.js — lib/sheetquery.js: typed records from a Sheets grid, filters, groups and totals
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toRecords, runQuery, periodRange, typedCell, headerNames, findHeader } = require('../lib/sheetquery');
+
+const serial = iso => (Date.parse(`${iso}T00:00:00Z`) - Date.UTC(1899, 11, 30)) / 86400000;
+const text = s => ({ effectiveValue: { stringValue: s }, formattedValue: s });
+const num = (n, f = String(n)) => ({ effectiveValue: { numberValue: n }, formattedValue: f });
+const day = iso => ({ effectiveValue: { numberValue: serial(iso) }, formattedValue: iso, effectiveFormat: { numberFormat: { type: 'DATE' } } });
+
+// Client | Amount | Status | Date, with a blank row that is skipped.
+const rowData = [
+  { values: [text('Client'), text('Amount'), text('Status'), text('Date')] },
+  { values: [text('Acme'), num(1200.5, '€1,200.50'), text('Unpaid'), day('2026-10-03')] },
+  { values: [text('Beta'), num(300), text('Paid'), day('2026-10-10')] },
+  { values: [] },
+  { values: [text('Cato'), num(0.1), text('Paid'), day('2026-09-28')] },
+  { values: [text('Cato'), num(0.2), text('Unpaid'), day('2026-10-18')] },
+  { values: [text('Acme'), num(99.5), text('Paid')] },
+];
+const table = toRecords(rowData);
+const query = (spec, opts = { timeZone: 'Europe/Amsterdam' }) => runQuery(table, spec, opts);
+
+test('records carry sheet row numbers and typed cells', () => {
+  assert.deepEqual(table.headers, ['Client', 'Amount', 'Status', 'Date']);
+  assert.equal(table.records.length, 5);
+  assert.equal(table.records[2].row, 5);
+  assert.deepEqual(query({ where: { Client: 'beta' } }).rows, [{ _row: 3, Client: 'Beta', Amount: 300, Status: 'Paid', Date: '2026-10-10' }]);
+});
+
+test('header names are unique', () => {
+  assert.deepEqual(headerNames(['Amount', '', 'Amount']), ['Amount', 'Column 2', 'Amount (2)']);
+});
+
+test('filters compare numbers as numbers and dates by day', () => {
+  assert.equal(query({ where: [{ column: 'Amount', op: '>', value: '250' }] }).matched, 2);
+  assert.equal(query({ where: [{ column: 'Date', op: 'eq', value: '2026-10-10' }] }).matched, 1);
+  const between = query({ where: [{ column: 'Date', op: 'between', value: ['2026-10-01', '2026-10-10'] }], select: ['Client'] });
+  assert.deepEqual(between.rows.map(r => r.Client), ['Acme', 'Beta']);
+  assert.equal(query({ where: [{ column: 'Date', op: 'empty' }] }).matched, 1);
+});
+
+test('match any, sort and limit', () => {
+  const r = query({
+    where: [{ column: 'Status', op: 'eq', value: 'unpaid' }, { column: 'Client', op: 'starts_with', value: 'be' }],
+    match: 'any',
+    sort: 'Amount desc',
+    limit: 2,
+  });
+  assert.equal(r.matched, 3);
+  assert.deepEqual(r.rows.map(x => x.Client), ['Acme', 'Beta']);
+  assert.equal(r.truncated, true);
+});
+
+test('totals and groups', () => {
+  const totals = query({ where: { Client: 'Cato' }, aggregates: [{ op: 'sum', column: 'Amount' }, { op: 'count' }] }).totals;
+  assert.equal(totals.sum_Amount, 0.3); // no floating point noise
+  assert.equal(totals.count, 2);
+
+  const grouped = query({ groupBy: 'Client', aggregates: [{ op: 'sum', column: 'Amount' }], sort: 'sum_Amount desc' });
+  assert.deepEqual(grouped.groups.map(g => [g.Client, g.sum_Amount]), [['Acme', 1300], ['Beta', 300], ['Cato', 0.3]]);
+});
+
+test('unknown columns are a 400 listing the columns', () => {
+  assert.throws(() => query({ where: { Nope: 1 } }), e => e.status === 400 && e.body.columns.length === 4);
+});
+
+test('periods are [from, to) in wall-clock time of the zone', () => {
+  const now = new Date('2026-10-19T08:00:00Z');
+  const [from, to] = periodRange('this month', 'Europe/Amsterdam', now);
+  assert.equal(new Date(from).toISOString(), '2026-10-01T00:00:00.000Z');
+  assert.equal(new Date(to).toISOString(), '2026-11-01T00:00:00.000Z');
+  const [weekFrom] = periodRange('last week', 'Europe/Amsterdam', now);
+  assert.equal(new Date(weekFrom).toISOString(), '2026-10-12T00:00:00.000Z');
+  assert.throws(() => periodRange('someday', 'UTC', now), e => e.status === 400);
+});
+
+test('cells are typed from the effective value and number format', () => {
+  const at = { effectiveValue: { numberValue: serial('2026-10-19') + 0.5 }, formattedValue: '19/10 12:00', effectiveFormat: { numberFormat: { type: 'DATE_TIME' } } };
+  assert.deepEqual(typedCell(at), { v: Date.parse('2026-10-19T12:00:00Z'), t: 'datetime', f: '19/10 12:00' });
+  assert.equal(typedCell({ effectiveValue: { boolValue: false }, formattedValue: 'FALSE' }).t, 'boolean');
+  assert.equal(typedCell({ effectiveValue: { errorValue: { type: 'DIVIDE_BY_ZERO' } }, formattedValue: '#DIV/0!' }).t, 'error');
+  assert.deepEqual(typedCell(undefined), { v: null, t: 'empty', f: '' });
+  assert.equal(typedCell(text('  Acme ')).v, 'Acme');
+});
+
+test('header row and first row place records on their sheet rows', () => {
+  const t = toRecords([
+    { values: [text('Invoices 2026')] },
+    { values: [text('Client'), text('Amount')] },
+    { values: [text('Acme'), num(10)] },
+  ], { headerRow: 2, firstRow: 5 });
+  assert.deepEqual(t.headers, ['Client', 'Amount']);
+  assert.deepEqual(t.records.map(r => r.row), [7]);
+});
+
+test('column names match whatever the case', () => {
+  assert.equal(findHeader(table.headers, ' amount '), 'Amount');
+  assert.throws(() => findHeader(table.headers, 'Total'), e => e.status === 400);
+});
+
+test('text ops look at the formatted value; in and ne', () => {
+  assert.equal(query({ where: [{ column: 'Amount', op: 'contains', value: '1,200' }] }).matched, 1);
+  assert.equal(query({ where: [{ column: 'Status', op: 'includes', value: 'unp' }] }).matched, 2);
+  assert.equal(query({ where: [{ column: 'Status', op: 'not_contains', value: 'unp' }] }).matched, 3);
+  assert.equal(query({ where: [{ column: 'Client', op: 'in', value: 'acme,beta' }] }).matched, 3);
+  assert.equal(query({ where: [{ column: 'Client', op: 'ne', value: 'Cato' }] }).matched, 3);
+  assert.equal(query({ where: [{ column: 'Date', op: 'ne', value: '2026-10-10' }] }).matched, 4); // the empty date counts as "not"
+});
+
+test('unknown ops and incomplete filters are a 400', () => {
+  assert.throws(() => query({ where: [{ column: 'Amount', op: 'near', value: 1 }] }), e => e.status === 400 && e.body.ops.includes('between'));
+  assert.throws(() => query({ where: [{ column: 'Amount', op: 'between', value: 5 }] }), e => e.status === 400);
+  assert.throws(() => query({ aggregates: [{ op: 'median', column: 'Amount' }] }), e => e.status === 400 && e.body.aggregates.length === 5);
+  assert.throws(() => query({ aggregates: [{ op: 'sum' }] }), e => e.status === 400);
+});
+
+test('avg, min and max; dates come back as days and are not summed', () => {
+  const totals = query({
+    aggregates: [
+      { op: 'avg', column: 'Amount' }, { op: 'min', column: 'Amount' }, { op: 'max', column: 'Amount', as: 'largest' },
+      { op: 'min', column: 'Date' }, { op: 'max', column: 'Date' }, { op: 'sum', column: 'Date' }, { op: 'count', column: 'Date' },
+    ],
+  }).totals;
+  assert.equal(totals.avg_Amount, 320.06);
+  assert.equal(totals.min_Amount, 0.1);
+  assert.equal(totals.largest, 1200.5);
+  assert.equal(totals.min_Date, '2026-09-28');
+  assert.equal(totals.max_Date, '2026-10-18');
+  assert.equal(totals.max_Date_n, 4);
+  assert.equal(totals.sum_Date, null);
+  assert.equal(totals.count_Date, 4);
+});
+
+test('includeRows returns rows next to the totals', () => {
+  const r = query({ where: { Status: 'paid' }, aggregates: [{ op: 'count' }], includeRows: true, select: ['client'] });
+  assert.equal(r.totals.count, 3);
+  assert.deepEqual(r.rows.map(x => Object.keys(x)), [['_row', 'Client'], ['_row', 'Client'], ['_row', 'Client']]);
+});
@@ -0,0 +1,100 @@
+// test/store.test.js — lib/store.js: the file adapter, the kv adapter's commands and withLock
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+process.env.STORE_DIR = dir;
+
+const { createStore, withLock } = require('../lib/store');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+test('file adapter: set, setIfAbsent, incr, del and delIfEqual', async () => {
+  const store = createStore('basics');
+  await store.set('a', { n: 1 });
+  assert.deepEqual(await store.get('a'), { n: 1 });
+  assert.equal(await store.setIfAbsent('a', 'other'), false);
+  assert.equal(await store.setIfAbsent('b', 'mine', 40), true);
+  assert.equal(await store.delIfEqual('b', 'theirs'), false);
+  assert.equal(await store.delIfEqual('b', 'mine'), true);
+  assert.equal(await store.get('b'), null);
+  assert.deepEqual(await Promise.all([store.incr('c'), store.incr('c'), store.incr('c')]), [1, 2, 3]);
+  await store.del('a');
+  assert.equal(await store.get('a'), null);
+});
+
+test('file adapter: entries expire after their TTL', async () => {
+  const store = createStore('ttl');
+  await store.set('k', 'v', 30);
+  assert.equal(await store.get('k'), 'v');
+  await sleep(50);
+  assert.equal(await store.get('k'), null);
+  assert.equal(await store.setIfAbsent('k', 'again'), true);
+});
+
+test('withLock runs holders one at a time and releases on errors', async () => {
+  const store = createStore('locks');
+  const order = [];
+  const hold = name => withLock(store, 'k', async () => {
+    order.push(`${name}+`);
+    await sleep(20);
+    order.push(`${name}-`);
+  }, { pollMs: 5 });
+  await Promise.all([hold('a'), hold('b')]);
+  assert.deepEqual(order, ['a+', 'a-', 'b+', 'b-']);
+
+  await assert.rejects(withLock(store, 'k', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await store.get('lock:k'), null);
+});
+
+test('a holder that outlived its TTL leaves the lock of the next holder alone', async () => {
+  const store = createStore('stale');
+  let inside;
+  const slow = withLock(store, 'k', () => sleep(120), { ttlMs: 40, pollMs: 5 });
+  await sleep(10);
+  const next = withLock(store, 'k', async () => {
+    inside = await store.get('lock:k');
+    await sleep(150); // still holding when the slow holder finishes
+    return store.get('lock:k');
+  }, { ttlMs: 1000, pollMs: 5 });
+  await slow;
+  assert.equal(await next, inside);
+  assert.ok(inside);
+  assert.equal(await store.get('lock:k'), null);
+});
+
+test('waiting for a lock gives up after its TTL, naming the lock', async () => {
+  const store = createStore('timeout');
+  await store.setIfAbsent('lock:k', 'someone', 5000);
+  await assert.rejects(withLock(store, 'k', async () => {}, { ttlMs: 30, pollMs: 5, label: 'Journal' }), /Journal lock timed out/);
+});
+
+test('kv adapter: NX/PX locks and a compare-and-delete script', async () => {
+  const saved = { fetch: global.fetch, env: { ...process.env } };
+  const sent = [];
+  global.fetch = async (url, init) => {
+    const args = JSON.parse(init.body);
+    sent.push(args);
+    const result = args[0] === 'SET' ? 'OK' : args[0] === 'EVAL' ? 1 : null;
+    return { ok: true, status: 200, json: async () => ({ result }) };
+  };
+  Object.assign(process.env, { STORE_ADAPTER: 'kv', KV_REST_API_URL: 'https://kv.example/', KV_REST_API_TOKEN: 't' });
+  try {
+    const store = createStore('sessions');
+    assert.equal(await withLock(store, 'sid1', async () => 'done', { ttlMs: 1500 }), 'done');
+    const [set, evalArgs] = sent;
+    assert.deepEqual([set[0], set[1], set[3], set[4], set[5]], ['SET', 'sessions:lock:sid1', 'NX', 'PX', '1500']);
+    assert.equal(evalArgs[0], 'EVAL');
+    assert.match(evalArgs[1], /GET.*DEL/);
+    assert.deepEqual(evalArgs.slice(2), ['1', 'sessions:lock:sid1', set[2]]); // deletes only its own token
+  } finally {
+    global.fetch = saved.fetch;
+    process.env = saved.env;
+  }
+});
@@ -0,0 +1,84 @@
+// test/tools.test.js — lib/tools.js: the tool registry and the argument checks api/workspace.js runs on every call
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TOOLS, CALENDAR_LIST_MAX, toolByName, toolByAction, toolSchemas, validateArgs } = require('../lib/tools');
+
+const tool = {
+  name: 'demo',
+  parameters: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      count: { type: 'integer', minimum: 1, maximum: 20 },
+      ratio: { type: 'number' },
+      notify: { type: 'boolean' },
+      mode: { type: 'string', enum: ['append', 'replace'] },
+      rows: { type: 'array', items: { type: 'object', required: ['name'] } },
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['title'],
+  },
+  requireOne: [['docId', 'docName']],
+};
+
+test('every tool has a unique name and action and lists its required keys', () => {
+  assert.equal(new Set(TOOLS.map(t => t.name)).size, TOOLS.length);
+  assert.equal(new Set(TOOLS.map(t => t.action)).size, TOOLS.length);
+  for (const t of TOOLS) {
+    assert.equal(t.parameters.type, 'object', t.name);
+    for (const key of t.parameters.required || []) assert.ok(t.parameters.properties[key], `${t.name}.${key}`);
+    assert.equal(toolByName(t.name), t);
+    assert.equal(toolByAction(t.action), t);
+  }
+  assert.equal(toolByName('nope'), null);
+  assert.equal(toolByName('calendar_list').parameters.properties.maxResults.maximum, CALENDAR_LIST_MAX);
+});
+
+test('schemas are what the realtime session registers', () => {
+  const schemas = toolSchemas();
+  assert.equal(schemas.length, TOOLS.length);
+  assert.deepEqual(Object.keys(schemas[0]), ['type', 'name', 'description', 'parameters']);
+  assert.ok(schemas.every(s => s.type === 'function'));
+});
+
+test('scalars are coerced the way models get them wrong', () => {
+  const { args, errors } = validateArgs(tool, { title: 42, count: '7', ratio: '0.5', notify: 'false', mode: 'Replace', docId: 'd1' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(args, { title: '42', count: 7, ratio: 0.5, notify: false, mode: 'replace', docId: 'd1' });
+});
+
+test('numbers are rounded and clamped to their range', () => {
+  assert.equal(validateArgs(tool, { title: 't', docId: 'd', count: 2.6 }).args.count, 3);
+  assert.equal(validateArgs(tool, { title: 't', docId: 'd', count: 500 }).args.count, 20);
+  assert.equal(validateArgs(tool, { title: 't', docId: 'd', count: '-3' }).args.count, 1);
+});
+
+test('wrong types and unknown enum values are errors', () => {
+  const { errors } = validateArgs(tool, { title: 't', docId: 'd', count: 'lots', notify: 'maybe', mode: 'merge', ratio: 'x' });
+  assert.deepEqual(errors, [
+    'count must be an integer',
+    'ratio must be a number',
+    'notify must be a boolean',
+    'mode must be one of append, replace',
+  ]);
+});
+
+test('required keys, one-of keys and required keys of array items', () => {
+  const { errors } = validateArgs(tool, { title: '', rows: [{ name: 'a' }, { name: '' }, 'skip'] });
+  assert.deepEqual(errors, ['rows[1].name is required', 'title is required', 'docId or docName is required']);
+  assert.deepEqual(validateArgs(tool, { title: 't', docName: 'Notes' }).errors, []);
+  assert.deepEqual(validateArgs(tool, null).errors, ['title is required', 'docId or docName is required']);
+});
+
+test('empty optional values are dropped; unknown and object values pass through', () => {
+  const { args, errors } = validateArgs(tool, { title: 't', docId: 'd', mode: '', count: null, extra: 1, ratio: [1, 2], tags: 'x' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(args, { title: 't', docId: 'd', extra: 1, ratio: [1, 2], tags: 'x' });
+});
+
+test('the input object is not changed', () => {
+  const input = { title: 5, docId: 'd' };
+  validateArgs(tool, input);
+  assert.deepEqual(input, { title: 5, docId: 'd' });
+});
@@ -0,0 +1,39 @@
+// test/websearch.test.js — lib/websearch.js with the offline fixture provider (fixtures/web-search.json)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.WEB_SEARCH_PROVIDER = 'fixture';
+delete process.env.WEB_SEARCH_FIXTURE;
+
+const { searchWeb, providerName, fixturePage } = require('../lib/websearch');
+
+test('the fixture provider ranks results by the query words they contain', async () => {
+  assert.equal(providerName(), 'fixture');
+  const out = await searchWeb({ query: 'VAT rates in the Netherlands' });
+  assert.equal(out.provider, 'fixture');
+  assert.equal(out.results[0].link, 'https://example.com/tax/vat-netherlands');
+  assert.ok(out.results.every(r => r.title && r.link && r.source));
+});
+
+test('site, num and freshnessDays narrow the results', async () => {
+  const site = await searchWeb({ query: 'vat invoice freelancer', site: 'example.org' });
+  assert.deepEqual(site.results.map(r => r.link), ['https://example.org/freelance/vat-registration']);
+  assert.equal((await searchWeb({ query: 'vat', num: 1 })).results.length, 1);
+  const fresh = await searchWeb({ query: 'vat', freshnessDays: 1 });
+  assert.equal(fresh.results.length, 0);
+});
+
+test('stored pages are served for web.fetch', () => {
+  assert.match(fixturePage('https://example.com/tax/vat-netherlands'), /<article>/);
+  assert.equal(fixturePage('https://example.com/nope'), null);
+});
+
+test('an unknown provider is a 500 listing the known ones', async () => {
+  process.env.WEB_SEARCH_PROVIDER = 'altavista';
+  try {
+    await assert.rejects(searchWeb({ query: 'vat' }), e => e.status === 500 && e.body.allowed.includes('fixture'));
+  } finally {
+    process.env.WEB_SEARCH_PROVIDER = 'fixture';
+  }
+});